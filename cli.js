@@ -7,19 +7,156 @@
  * @typedef {import('./lib/types').GoogleFontListInstance} GoogleFontListInstance
  * @typedef {import('./lib/types').GoogleFontInstance} GoogleFontInstance
  * @typedef {import('./lib/types').FontResult} FontResult
+ * @typedef {import('./lib/types').InstalledFontStatus} InstalledFontStatus
+ * @typedef {import('./lib/types').UpdatePlanItem} UpdatePlanItem
+ * @typedef {import('./lib/types').RegistryEntry} RegistryEntry
+ * @typedef {import('./lib/types').FontFormat} FontFormat
+ * @typedef {import('./lib/types').CacheInfo} CacheInfo
+ * @typedef {import('./lib/types').ConfigValues} ConfigValues
+ * @typedef {import('./lib/types').ConfigWhere} ConfigWhere
+ * @typedef {import('./lib/types').LoadedConfig} LoadedConfig
+ * @typedef {import('./lib/types').InstallScope} InstallScope
+ * @typedef {import('./lib/types').FontMetadata} FontMetadata
+ * @typedef {import('./lib/types').FontInspection} FontInspection
+ * @typedef {import('./lib/types').SubsetResult} SubsetResult
  */
 
+const path = require("path");
+const fs = require("fs");
 const { Command } = require("commander");
 const pc = require("picocolors");
 const ncp = require("copy-paste-win32fix");
 const GoogleFontList = require("./lib/google-font-list");
+const googleFont = require("./lib/google-font");
+const systemFont = require("./lib/system-font");
+const Registry = require("./lib/registry");
+const Manifest = require("./lib/manifest");
+const FontFace = require("./lib/font-face");
+const Browser = require("./lib/browse");
+const FontQuery = require("./lib/font-query");
+const Report = require("./lib/report");
+const Providers = require("./lib/providers");
+const Mirror = require("./lib/mirror");
+const Cache = require("./lib/cache");
+const Config = require("./lib/config");
+const Pool = require("./lib/pool");
+const Progress = require("./lib/progress");
+const Request = require("./lib/request");
+const HttpClient = require("./lib/http-client");
+const FontMetadata = require("./lib/font-metadata");
+const Subset = require("./lib/subset");
+const ora = require("ora");
 const pjson = require("./package.json");
 
-/** @type {any} */
-const fontList = new GoogleFontList();
+/** @type {any} The catalog, created on first use by `getFontList` and only loaded by commands that need it */
+let fontList = null;
+/** @type {ConfigValues} Defaults of the config files, loaded before each command */
+let config = {};
 const program = new Command();
 
 program.option("--refresh-cache", "Refresh the cached Google font list");
+program.option("--json", "Print a machine-readable JSON document on stdout");
+program.option(
+  "--provider <name>",
+  `Font provider: ${Providers.names().join(", ")} (default: $${Providers.PROVIDER_ENV} or ${Providers.DEFAULT_PROVIDER})`
+);
+program.option("--offline", "Read the font list and files from a font mirror, without network access");
+program.option("--mirror <dir>", `Font mirror used by --offline (default: $${Providers.MIRROR_ENV} or ~/.gfcli/mirror)`);
+program.option("--cache-dir <dir>", `Cache directory (default: $${Cache.CACHE_DIR_ENV}, $XDG_CACHE_HOME/gfcli or ~/.gfcli)`);
+program.option("--data-dir <dir>", `Directory of the installation registry (default: $${Registry.DATA_DIR_ENV}, $XDG_DATA_HOME/gfcli or ~/.gfcli)`);
+program.option("--cache-ttl <duration>", "Time-to-live of the cached font list, in hours or with a unit: 30m, 12h, 7d (default: 24h)");
+program.option("--no-cache", "Neither read nor write the cache");
+program.option("--concurrency <number>", `Number of files downloaded at once (default: ${Pool.DEFAULT_CONCURRENCY})`);
+program.option("--retries <number>", "Retries of a failed request, waiting longer after each one (default: 3)");
+program.option("--proxy <url>", "Proxy of every request (default: $HTTPS_PROXY or $HTTP_PROXY, except for $NO_PROXY hosts)");
+program.option("--ca-file <file>", "PEM file of certificates to trust besides the built-in ones");
+
+/**
+ * Pick a setting: the command line flag, else the environment variable, else the config files
+ * @param {any} flag - Option value, undefined when not given
+ * @param {string | null} envName - Environment variable overriding the config files
+ * @param {any} configured - Value of the config files
+ * @returns {any} Setting, undefined for the built-in default
+ */
+const setting = (flag, envName, configured) => {
+  if (flag !== undefined) return flag;
+  if (envName && process.env[envName]) return process.env[envName];
+  return configured;
+};
+
+/** @type {string} Name of the running command, used in JSON documents */
+let commandName = "";
+program.hook("preAction", (_program, actionCommand) => {
+  commandName = actionCommand.name();
+  const opts = program.opts();
+  // `gfcli config` reads the files itself, so that a broken one can still be fixed
+  if (commandName !== "config") {
+    try {
+      config = Config.load().values;
+    } catch (err) {
+      exitWithError(/** @type {Error} */ (err));
+    }
+  }
+  systemFont.offline = Boolean(opts.offline);
+  const cacheTtl = setting(opts.cacheTtl, null, config.cacheTtl);
+  Cache.configure({
+    dir: setting(opts.cacheDir, Cache.CACHE_DIR_ENV, config.cacheDir),
+    ttl: cacheTtl === undefined ? undefined : parseDuration(cacheTtl, "--cache-ttl"),
+    // --no-cache sets `cache` to false, commander defaults it to true otherwise
+    enabled: program.getOptionValueSource("cache") === "cli" ? false : config.cache
+  });
+  Registry.configure({ dir: setting(opts.dataDir, Registry.DATA_DIR_ENV, config.dataDir) });
+  const retries = setting(opts.retries, null, config.retries);
+  if (retries !== undefined) Request.configure({ retries: parseCount(retries, "--retries") });
+  const proxyEnv = HttpClient.HTTPS_PROXY_ENV.concat(HttpClient.HTTP_PROXY_ENV).some((name) => process.env[name]);
+  try {
+    HttpClient.configure({
+      // HTTPS_PROXY and HTTP_PROXY win over the config files, like the other environment variables
+      proxy: setting(opts.proxy, null, proxyEnv ? undefined : config.proxy),
+      caFile: setting(opts.caFile, null, config.caFile)
+    });
+  } catch (err) {
+    exitWithError(/** @type {Error} */ (err));
+  }
+});
+
+/**
+ * Whether the JSON document was requested
+ * @returns {boolean}
+ */
+const isJson = () => Boolean(program.opts().json);
+
+/**
+ * Print human-readable output. With --json it goes to stderr,
+ * so that stdout only holds the JSON document.
+ * @param {...any} args - console.log arguments
+ * @returns {void}
+ */
+const say = (...args) => (isJson() ? console.error(...args) : console.log(...args));
+
+/**
+ * Print the JSON document of a command when --json is set
+ * @param {Report} report - Outcome of the command
+ * @returns {boolean} True if the document was printed (human output should be skipped)
+ */
+const emitReport = (report) => {
+  if (!isJson()) return false;
+  process.stdout.write(JSON.stringify(report, null, 2) + "\n");
+  return true;
+};
+
+/**
+ * Report an error that stops the command, then exit with status 1
+ * @param {Error | string} err - Error or message
+ * @param {string} [code] - Error code for the JSON document, derived from the error when omitted
+ * @returns {never}
+ */
+const exitWithError = (err, code) => {
+  if (!emitReport(new Report(commandName).error(err, code))) {
+    console.error(pc.red(err.toString()));
+  }
+  process.exit(1);
+};
 
 /**
  * Split comma-separated font family arguments into an array
@@ -34,17 +171,154 @@ const splitFamilies = (familyArgs) =>
     .filter(Boolean);
 
 /**
- * Promisified wrapper for getFontByName
- * @param {string} term - Font family name to search
- * @returns {Promise<any>} Filtered font list
+ * Parse a numeric option, exiting on anything but a positive integer
+ * @param {string | undefined} value - Raw option value
+ * @param {string} flag - Option name, for the error message
+ * @returns {number} Parsed value, 0 when the option is not set
  */
-const getFontByNameAsync = (term) =>
-  new Promise((resolve, reject) => {
-    fontList.getFontByName(term, (/** @type {Error | null} */ err, /** @type {any} */ filtered) => {
-      if (err) return reject(err);
-      resolve(filtered);
-    });
+const parsePositiveInt = (value, flag) => {
+  if (value === undefined) return 0;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    exitWithError(`Invalid ${flag} "${value}", expected a positive number`, Report.ERROR_CODES.INVALID_ARGUMENT);
+  }
+  return number;
+};
+
+/**
+ * Parse a retry count: 0 or more, exiting if invalid
+ * @param {string | number} value - Raw option value, or value of the config files
+ * @param {string} flag - Option name, for the error message
+ * @returns {number} Parsed value
+ */
+const parseCount = (value, flag) => {
+  const number = Number(value);
+  if (value === "" || !Number.isInteger(number) || number < 0) {
+    exitWithError(`Invalid ${flag} "${value}", expected 0 or a positive number`, Report.ERROR_CODES.INVALID_ARGUMENT);
+  }
+  return number;
+};
+
+/**
+ * Parse a duration option in hours, or with a unit (30m, 12h, 7d), exiting if invalid
+ * @param {string} value - Raw option value
+ * @param {string} flag - Option name, for the error message
+ * @returns {number} Duration in milliseconds
+ */
+const parseDuration = (value, flag) => {
+  try {
+    return Config.parseDuration(value);
+  } catch (err) {
+    exitWithError(`Invalid ${flag} "${value}", expected a duration such as 30m, 12h or 7d`, Report.ERROR_CODES.INVALID_ARGUMENT);
+  }
+};
+
+/**
+ * Find the font with the given family name. When there is none, report the
+ * failure with "did you mean" suggestions, or use the only close one if `autoPick` is set.
+ * @param {string} term - Family name as typed by the user
+ * @param {string} action - Action being performed, for the error message
+ * @param {Report} report - Report receiving the failure
+ * @param {boolean} [autoPick=false] - Pick the suggestion if exactly one is close enough
+ * @returns {Promise<GoogleFontInstance | null>} Font, or null once the failure is reported
+ */
+const resolveFontAsync = async (term, action, report, autoPick = false) => {
+  const filteredList = await getFontList().getFontByName(term);
+  if (filteredList.data.length === 1) return filteredList.getFirst();
+
+  const suggestions = await getFontList().suggestFont(term);
+  /** @type {GoogleFontInstance[]} */
+  const close = suggestions.data.filter((/** @type {GoogleFontInstance} */ f) => f.close);
+  if (autoPick && close.length === 1) {
+    say(pc.yellow(`Using "${close[0].family}" for "${term}".`));
+    return close[0];
+  }
+
+  report.fail(term, null, `Unable to find font family "${term}"`, {
+    code: Report.ERROR_CODES.FONT_NOT_FOUND,
+    suggestions: suggestions.data.map((/** @type {GoogleFontInstance} */ f) => f.getFamily())
+  });
+  if (isJson()) return null;
+  handleMatchError(action, term, null, suggestions.data);
+  if (close.length === 1) {
+    console.log(pc.dim(`Run again with --yes to use "${close[0].family}".`));
+  }
+  return null;
+};
+
+/**
+ * Resolve every family name before the downloads start, so that suggestions
+ * are printed before the progress line
+ * @param {string[]} terms - Family names as typed by the user
+ * @param {string} action - Action being performed, for the error message
+ * @param {Report} report - Report receiving the failures
+ * @param {boolean} [autoPick=false] - Pick the suggestion if exactly one is close enough
+ * @returns {Promise<{ term: string, font: GoogleFontInstance }[]>} Fonts found, in the order of the names
+ */
+const resolveFamilies = async (terms, action, report, autoPick = false) => {
+  /** @type {{ term: string, font: GoogleFontInstance }[]} */
+  const resolved = [];
+  for (const term of terms) {
+    try {
+      const font = await resolveFontAsync(term, action, report, autoPick);
+      if (font) resolved.push({ term, font });
+    } catch (err) {
+      report.fail(term, null, err);
+      handleMatchError(action, term, /** @type {Error} */ (err));
+    }
+  }
+  return resolved;
+};
+
+/**
+ * Create the pool shared by the downloads of a command, sized by --concurrency.
+ * Families are not run in the pool: they queue their own downloads in it.
+ * @returns {Pool} Pool
+ */
+const createPool = () => new Pool(parsePositiveInt(program.opts().concurrency, "--concurrency") || undefined);
+
+/**
+ * Run downloads while a spinner on stderr shows the files and bytes done
+ * @template T
+ * @param {string} label - What is being done, e.g. "Downloading"
+ * @param {(progress: Progress) => Promise<T>} run - Downloads, updating the progress
+ * @returns {Promise<T>} Result of the downloads
+ */
+const withProgress = async (label, run) => {
+  const progress = new Progress();
+  const spinner = ora({ text: `${label}...`, stream: process.stderr }).start();
+  // @ts-ignore - Progress inherits from EventEmitter
+  progress.on("update", () => {
+    spinner.text = `${label} ${progress.files}/${progress.totalFiles} file(s), ${formatBytes(progress.bytes)}`;
   });
+  try {
+    return await run(progress);
+  } finally {
+    spinner.stop();
+  }
+};
+
+/**
+ * Get the catalog, created on first use with the provider of the flags, the
+ * environment and the config files. It is not loaded, see `ensureFontsLoaded`.
+ * @returns {any} GoogleFontList
+ */
+const getFontList = () => {
+  if (fontList) return fontList;
+  const opts = program.opts();
+  try {
+    fontList = new GoogleFontList({
+      autoLoad: false,
+      provider: setting(opts.provider, Providers.PROVIDER_ENV, config.provider),
+      offline: opts.offline,
+      mirrorDir: setting(opts.mirror, Providers.MIRROR_ENV, config.mirror),
+      staleWhileRevalidate: true
+    });
+  } catch (err) {
+    exitWithError(/** @type {Error} */ (err));
+  }
+  return fontList;
+};
 
 /**
  * Helper to wrap fontList initialization in a Promise
@@ -52,17 +326,18 @@ const getFontByNameAsync = (term) =>
  * @returns {Promise<void>}
  */
 const ensureFontsLoaded = async (refreshCache = false) => {
+  const list = getFontList();
   if (refreshCache) {
-    fontList.loaded = false;
-    console.log(pc.bold(pc.blue("\nRefreshing Google Font List cache...\n")));
+    list.loaded = false;
+    // Progress goes to stderr so machine-readable stdout stays clean
+    console.error(pc.bold(pc.blue("\nRefreshing Google Font List cache...\n")));
   }
-  if (fontList.loaded) return;
+  if (list.loaded) return;
   try {
-    await fontList.load(refreshCache);
+    await list.load(refreshCache);
   } catch (err) {
-    console.error(pc.bold(pc.red("Error loading font list!")));
-    console.error(pc.red(err.toString()));
-    process.exit(1);
+    if (!isJson()) console.error(pc.bold(pc.red("Error loading font list!")));
+    exitWithError(/** @type {Error} */ (err), Report.ERROR_CODES.CATALOG_UNAVAILABLE);
   }
 };
 
@@ -70,12 +345,88 @@ program.version(pjson.version);
 
 program
   .command("search [family...]")
-  .description("Search for a font family")
-  .action(async (family) => {
+  .description("Search for a font family, best matches first")
+  .option("-l, --limit <number>", "Show at most this many results")
+  .option("-c, --category <categories>", "Only fonts of these categories, separated by comma")
+  .option("-s, --subset <subsets>", "Only fonts supporting all these subsets, separated by comma")
+  .option("--has-variant <variants>", "Only fonts having all these variants, separated by comma")
+  .option("--min-variants <number>", "Only fonts with at least this many variants")
+  .option("--italic", "Only fonts with italic variants")
+  .option("--variable [axes]", "Only variable fonts, having all these axes if given (e.g. wght,opsz), separated by comma")
+  .option("--sort <key>", `Sort results by ${FontQuery.SORT_KEYS.join(", ")}`, "relevance")
+  .action(async (family, options) => {
     const refresh = program.opts().refreshCache;
+    const limit = parsePositiveInt(options.limit, "--limit");
+    const minVariants = parsePositiveInt(options.minVariants, "--min-variants");
+    if (!FontQuery.SORT_KEYS.includes(options.sort)) {
+      exitWithError(`Invalid --sort "${options.sort}", expected one of: ${FontQuery.SORT_KEYS.join(", ")}`, Report.ERROR_CODES.INVALID_ARGUMENT);
+    }
     await ensureFontsLoaded(refresh);
     const term = family ? family.join(" ") : "";
-    fontList.searchFontByName(term, printFontList);
+
+    /** @type {string[]} */
+    const filters = [];
+    const query = getFontList().query();
+    if (options.category) {
+      query.category(options.category.split(","));
+      filters.push(`category ${options.category}`);
+    }
+    if (options.subset) {
+      query.subset(options.subset.split(","));
+      filters.push(`subset ${options.subset}`);
+    }
+    if (options.hasVariant) {
+      query.hasVariant(options.hasVariant.split(","));
+      filters.push(`variant ${options.hasVariant}`);
+    }
+    if (minVariants) {
+      query.minVariants(minVariants);
+      filters.push(`at least ${minVariants} variants`);
+    }
+    if (options.italic) {
+      query.italic();
+      filters.push("italic");
+    }
+    const axes = typeof options.variable === "string" ? options.variable.split(",") : [];
+    if (options.variable) {
+      query.variable(axes);
+      filters.push(axes.length ? `variable ${options.variable}` : "variable");
+    }
+    // Without a term, the filters alone select the fonts
+    if (term || filters.length === 0) query.search(term);
+    query.sort(options.sort);
+
+    // The axes of the fonts passing the other filters are read from the provider
+    const spinner = options.variable ? ora({ text: "Reading variation axes...", stream: process.stderr }).start() : null;
+    const list = await query.execAsync({ pool: createPool() }).catch((/** @type {Error} */ err) => {
+      if (spinner) spinner.stop();
+      exitWithError(err);
+    });
+    if (spinner) spinner.stop();
+    if (!term) list._filterTerm = filters.join(", ");
+    const total = list.data.length;
+    if (limit && total > limit) list.data = list.data.slice(0, limit);
+
+    const report = new Report("search")
+      .set("query", {
+        term: term,
+        category: options.category ? options.category.split(",") : null,
+        subset: options.subset ? options.subset.split(",") : null,
+        hasVariant: options.hasVariant ? options.hasVariant.split(",") : null,
+        minVariants: minVariants || null,
+        italic: Boolean(options.italic),
+        variable: options.variable ? axes : null,
+        sort: options.sort,
+        limit: limit || null
+      })
+      .set("total", total)
+      .set("fonts", list.data.map(Report.describeFont));
+    if (emitReport(report)) return;
+
+    printFontList(null, list, term ? "Search results for:" : "Fonts matching:");
+    if (limit && total > limit) {
+      console.log(pc.dim(`Showing ${limit} of ${total} results, use --limit to see more.`));
+    }
   });
 
 program
@@ -85,59 +436,70 @@ program
   .option("-v, --variants <variants>", "Variants separated by comma")
   .option("--ttf", "Download TTF format (default)")
   .option("--woff2", "Download WOFF2 format")
+  .option("--variable", "Download the variable font instead of static variants")
+  .option("-s, --subset <subsets>", "Character subsets of the files, separated by comma (default: the family's default subset)")
+  .option("-y, --yes", "Use the closest family name when there is no exact match")
+  .option("--css <file>", "Write @font-face rules for the downloaded files")
+  .option("--font-display <value>", `font-display of the generated rules (${FontFace.FONT_DISPLAY_VALUES.join(", ")})`, FontFace.DEFAULT_FONT_DISPLAY)
   .action(async (family, options) => {
     const refresh = program.opts().refreshCache;
-    const variants = options.variants ? options.variants.split(",") : false;
-    const format = options.woff2 ? "woff2" : "ttf";
+    const variants = options.variants ? options.variants.split(",") : config.variants || false;
+    const format = options.woff2 ? "woff2" : options.ttf ? "ttf" : config.format || "ttf";
+    const dest = options.dest || config.dest;
+    const subsets = options.subset ? options.subset.split(",") : undefined;
     const families = splitFamilies(family);
+    const report = new Report("download");
+
+    if (options.css && !FontFace.FONT_DISPLAY_VALUES.includes(options.fontDisplay)) {
+      exitWithError(`Invalid --font-display "${options.fontDisplay}", expected one of: ${FontFace.FONT_DISPLAY_VALUES.join(", ")}`, Report.ERROR_CODES.INVALID_ARGUMENT);
+    }
 
     try {
       await ensureFontsLoaded(refresh);
+      const resolved = await resolveFamilies(families, "Download", report, options.yes);
+      const pool = createPool();
+      const outcomes = await withProgress("Downloading", (progress) =>
+        Promise.allSettled(resolved.map(({ font }) => font.saveAtAsync(variants, dest, format, { pool, progress, variable: options.variable, subsets })))
+      );
       /** @type {FontResult[]} */
       let allResults = [];
-      let successCount = 0;
-      let failCount = 0;
 
-      for (const term of families) {
-        try {
-          const filteredList = await getFontByNameAsync(term);
-          if (filteredList.data.length !== 1) {
-            handleMatchError("Download", term, null);
-            failCount++;
-            continue;
-          }
-          const font = filteredList.getFirst();
-          if (!font) {
-            handleMatchError("Download", term, null);
-            failCount++;
-            continue;
-          }
-          const result = await font.saveAtAsync(variants, options.dest, format);
-          allResults = allResults.concat(result);
-          successCount++;
-        } catch (err) {
-          handleMatchError("Download", term, /** @type {Error} */ (err));
-          failCount++;
+      outcomes.forEach((outcome, i) => {
+        const { term, font } = resolved[i];
+        if (outcome.status === "fulfilled") {
+          allResults = allResults.concat(outcome.value);
+          report.succeed(term, font.getFamily(), outcome.value);
+        } else {
+          // Variants saved before the failure are still on disk
+          allResults = allResults.concat(outcome.reason.results || []);
+          report.fail(term, font.getFamily(), outcome.reason);
+          handleMatchError("Download", term, outcome.reason);
         }
+      });
+
+      if (options.css && allResults.length > 0) {
+        const cssPath = await FontFace.writeFontFace(allResults, options.css, { display: options.fontDisplay });
+        report.set("css", cssPath);
+        say(pc.green(`@font-face rules written to ${pc.underline(cssPath)}`));
       }
 
-      if (allResults.length > 0) {
+      if (!emitReport(report) && allResults.length > 0) {
         printResult(null, allResults);
       }
+      const { succeeded, failed } = report.summary();
 
       // If all operations failed, exit with error
-      if (failCount > 0 && successCount === 0) {
-        console.error(pc.red(pc.bold(`\nAll ${failCount} font download(s) failed.`)));
+      if (failed > 0 && succeeded === 0) {
+        console.error(pc.red(pc.bold(`\nAll ${failed} font download(s) failed.`)));
         process.exit(1);
       }
 
       // Report partial failures
-      if (failCount > 0 && successCount > 0) {
-        console.log(pc.yellow(`\n${successCount} font(s) downloaded successfully, ${failCount} failed.`));
+      if (failed > 0 && succeeded > 0) {
+        say(pc.yellow(`\n${succeeded} font(s) downloaded successfully, ${failed} failed.`));
       }
     } catch (err) {
-      console.error(pc.red(/** @type {Error} */ (err).toString()));
-      process.exit(1);
+      exitWithError(/** @type {Error} */ (err));
     }
   });
 
@@ -145,58 +507,309 @@ program
   .command("install <family...>")
   .description("Install a font family to the system")
   .option("-v, --variants <variants>", "Variants separated by comma")
+  .option("--variable", "Install the variable font instead of static variants")
+  .option("-s, --subset <subsets>", "Character subsets of the files, separated by comma (default: the family's default subset)")
+  .option("-y, --yes", "Use the closest family name when there is no exact match")
+  .option("--scope <scope>", "Install for the current user or for all users: user, system (default: user)")
   .action(async (family, options) => {
     const refresh = program.opts().refreshCache;
-    const variants = options.variants ? options.variants.split(",") : false;
+    const variants = options.variants ? options.variants.split(",") : config.variants || false;
+    const subsets = options.subset ? options.subset.split(",") : undefined;
     const families = splitFamilies(family);
+    const report = new Report("install");
+    try {
+      systemFont.scope = options.scope ? /** @type {InstallScope} */ (Config.parseValue("scope", options.scope)) : config.scope || "user";
+    } catch (err) {
+      exitWithError(`Invalid --scope "${options.scope}", expected one of: user, system`, Report.ERROR_CODES.INVALID_ARGUMENT);
+    }
 
     try {
       await ensureFontsLoaded(refresh);
+      const resolved = await resolveFamilies(families, "Installation", report, options.yes);
+      const pool = createPool();
+      const outcomes = await withProgress("Installing", (progress) =>
+        Promise.allSettled(resolved.map(({ font }) => font.installAsync(variants, { pool, progress, variable: options.variable, subsets })))
+      );
       /** @type {FontResult[]} */
       let allResults = [];
-      let successCount = 0;
-      let failCount = 0;
 
+      outcomes.forEach((outcome, i) => {
+        const { term, font } = resolved[i];
+        if (outcome.status === "fulfilled") {
+          allResults = allResults.concat(outcome.value);
+          report.succeed(term, font.getFamily(), outcome.value);
+        } else {
+          // Variants installed before the failure stay installed
+          allResults = allResults.concat(outcome.reason.results || []);
+          report.fail(term, font.getFamily(), outcome.reason);
+          handleMatchError("Installation", term, outcome.reason);
+        }
+      });
+
+      if (!emitReport(report) && allResults.length > 0) {
+        printResult(null, allResults);
+      }
+      const { succeeded, failed } = report.summary();
+
+      // If all operations failed, exit with error
+      if (failed > 0 && succeeded === 0) {
+        console.error(pc.red(pc.bold(`\nAll ${failed} font installation(s) failed.`)));
+        process.exit(1);
+      }
+
+      // Report partial failures
+      if (failed > 0 && succeeded > 0) {
+        say(pc.yellow(`\n${succeeded} font(s) installed successfully, ${failed} failed.`));
+      }
+    } catch (err) {
+      exitWithError(/** @type {Error} */ (err));
+    }
+  });
+
+program
+  .command("uninstall <family...>")
+  .description("Remove a font family installed by gfcli")
+  .option("-v, --variants <variants>", "Variants separated by comma")
+  .action(async (family, options) => {
+    const variants = options.variants
+      ? options.variants.split(",").map((/** @type {string} */ v) => googleFont.prototype._normalizeVariant(v))
+      : false;
+    const families = splitFamilies(family);
+    const report = new Report("uninstall");
+
+    try {
       for (const term of families) {
+        const entries = await Registry.find(term, variants, "install");
+        if (entries.length === 0) {
+          console.error(pc.bold(pc.red(`Uninstall failed: "${term}" was not installed by gfcli`)));
+          report.fail(term, null, `"${term}" was not installed by gfcli`, { code: Report.ERROR_CODES.NOT_INSTALLED });
+          continue;
+        }
+
+        const result = await systemFont.uninstall(entries);
+        result.removed.forEach((entry) => {
+          say(pc.green(`${pc.bold(entry.family)} variant ${pc.bold(entry.variant)} removed: ${pc.underline(entry.path)}`));
+        });
+        result.missing.forEach((entry) => {
+          say(pc.yellow(`${pc.bold(entry.family)} variant ${pc.bold(entry.variant)} was already gone: ${entry.path}`));
+        });
+        result.skipped.forEach(({ entry, reason }) => {
+          console.error(pc.red(`${pc.bold(entry.family)} variant ${pc.bold(entry.variant)} left in place, ${reason}: ${entry.path}`));
+        });
+
+        const details = {
+          missing: result.missing.map((entry) => Report.describeFile(entry)),
+          skipped: result.skipped.map(({ entry, reason }) => Object.assign(Report.describeFile(entry), { reason: reason }))
+        };
+        if (result.skipped.length > 0) {
+          report.fail(term, entries[0].family, `${result.skipped.length} file(s) were modified after installation`,
+            Object.assign({ code: Report.ERROR_CODES.FILE_MODIFIED, files: result.removed }, details));
+        } else {
+          report.succeed(term, entries[0].family, result.removed, details);
+        }
+      }
+    } catch (err) {
+      exitWithError(/** @type {Error} */ (err));
+    }
+
+    emitReport(report);
+    const { succeeded, failed } = report.summary();
+    if (failed > 0) {
+      console.error(pc.red(`\n${succeeded} font(s) uninstalled successfully, ${failed} failed.`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command("list")
+  .description("List the fonts installed or downloaded by gfcli")
+  .action(async () => {
+    const refresh = program.opts().refreshCache;
+    const report = new Report("list");
+
+    try {
+      // Downloads are listed too: they are what `update` refreshes besides installs
+      const entries = await Registry.readRegistry();
+      /** @type {GoogleFontInstance[]} */
+      let catalog = [];
+      let versionChecked = false;
+      if (entries.length > 0) {
         try {
-          const filteredList = await getFontByNameAsync(term);
-          if (filteredList.data.length !== 1) {
-            handleMatchError("Installation", term, null);
-            failCount++;
-            continue;
-          }
+          const list = getFontList();
+          if (refresh) list.loaded = false;
+          if (!list.loaded) await list.load(refresh);
+          catalog = list.data;
+          versionChecked = true;
+        } catch (err) {
+          // Still list what is on disk; versions just cannot be compared
+          console.error(pc.yellow(`Unable to load the font list, skipping version check: ${err}`));
+        }
+      }
+      const statuses = await Registry.status(entries, catalog);
+
+      report.set("versionChecked", versionChecked).set("fonts", statuses);
+      if (emitReport(report)) return;
+      printInstalledList(statuses);
+    } catch (err) {
+      exitWithError(/** @type {Error} */ (err));
+    }
+  });
+
+program
+  .command("update [family...]")
+  .description("Update installed and downloaded fonts when a newer version is published")
+  .option("--dry-run", "Only print the update plan")
+  .action(async (family, options) => {
+    const refresh = program.opts().refreshCache;
+    const families = splitFamilies(family || []);
+    const report = new Report("update").set("dryRun", Boolean(options.dryRun)).set("plan", []);
+
+    try {
+      let entries = await Registry.readRegistry();
+      if (families.length > 0) {
+        const wanted = families.map((f) => f.toLowerCase());
+        const unknown = families.filter((f) => !entries.some((e) => e.family.toLowerCase() === f.toLowerCase()));
+        unknown.forEach((f) => {
+          console.error(pc.bold(pc.red(`Update failed: "${f}" was not installed or downloaded by gfcli`)));
+          report.fail(f, null, `"${f}" was not installed or downloaded by gfcli`, { code: Report.ERROR_CODES.NOT_INSTALLED });
+        });
+        if (unknown.length > 0) {
+          emitReport(report);
+          process.exit(1);
+        }
+        entries = entries.filter((e) => wanted.includes(e.family.toLowerCase()));
+      }
+
+      if (entries.length === 0) {
+        if (!emitReport(report)) console.log(pc.yellow("No fonts installed or downloaded by gfcli."));
+        return;
+      }
+
+      await ensureFontsLoaded(refresh);
+      const plan = Registry.planUpdate(await Registry.status(entries, getFontList().data));
+      report.set("plan", plan);
+      if (plan.length === 0) {
+        if (!emitReport(report)) console.log(pc.green("All fonts are up to date."));
+        return;
+      }
+
+      if (options.dryRun) {
+        if (!emitReport(report)) printUpdatePlan(plan);
+        return;
+      }
+      if (!isJson()) printUpdatePlan(plan);
+
+      /** @type {FontResult[]} */
+      let allResults = [];
+
+      for (const item of plan) {
+        try {
+          const filteredList = await getFontList().getFontByName(item.family);
           const font = filteredList.getFirst();
           if (!font) {
-            handleMatchError("Installation", term, null);
-            failCount++;
+            report.fail(item.family, null, `Unable to find font family "${item.family}"`, { code: Report.ERROR_CODES.FONT_NOT_FOUND, kind: item.kind });
+            if (!isJson()) handleMatchError("Update", item.family, null);
             continue;
           }
-          const result = await font.installAsync(variants);
+          // Reinstall in the recorded scope, entries of older versions have the configured one
+          if (item.kind === "install") systemFont.scope = item.scope || config.scope || "user";
+          const result = item.kind === "install"
+            ? await font.installAsync(item.variants, { variable: item.variable, subsets: item.subsets })
+            : await font.saveAtAsync(item.variants, item.dest, item.format, { variable: item.variable, subsets: item.subsets });
           allResults = allResults.concat(result);
-          successCount++;
+          report.succeed(item.family, font.getFamily(), result, { kind: item.kind });
         } catch (err) {
-          handleMatchError("Installation", term, /** @type {Error} */ (err));
-          failCount++;
+          report.fail(item.family, item.family, err, { kind: item.kind });
+          handleMatchError("Update", item.family, /** @type {Error} */ (err));
         }
       }
 
-      if (allResults.length > 0) {
+      if (!emitReport(report) && allResults.length > 0) {
         printResult(null, allResults);
       }
 
-      // If all operations failed, exit with error
-      if (failCount > 0 && successCount === 0) {
-        console.error(pc.red(pc.bold(`\nAll ${failCount} font installation(s) failed.`)));
+      const { failed } = report.summary();
+      if (failed > 0) {
+        console.error(pc.red(`\n${plan.length - failed} update(s) applied, ${failed} failed.`));
         process.exit(1);
       }
+    } catch (err) {
+      exitWithError(/** @type {Error} */ (err));
+    }
+  });
 
-      // Report partial failures
-      if (failCount > 0 && successCount > 0) {
-        console.log(pc.yellow(`\n${successCount} font(s) installed successfully, ${failCount} failed.`));
+program
+  .command("sync")
+  .description(`Download the fonts listed in ${Manifest.MANIFEST_FILE} and lock them in ${Manifest.LOCK_FILE}`)
+  .option("-m, --manifest <file>", "Path of the font manifest", Manifest.MANIFEST_FILE)
+  .option("--frozen", `Only verify the fonts against ${Manifest.LOCK_FILE}`)
+  .action(async (options) => {
+    const refresh = program.opts().refreshCache;
+
+    try {
+      const manifest = await Manifest.readManifest(options.manifest);
+      const lockFile = Manifest.lockPathFor(manifest.file);
+      const lock = await Manifest.readLock(lockFile);
+      if (options.frozen && !lock) {
+        exitWithError(`Sync failed: ${lockFile} not found, run "gfcli sync" first`, Report.ERROR_CODES.SYNC_FAILED);
+      }
+
+      /** @type {Promise<void> | undefined} */
+      let loading;
+      const result = await Manifest.sync(manifest, {
+        lock: lock,
+        frozen: options.frozen,
+        findFont: async (familyName) => {
+          // The catalog is only needed when something has to be resolved
+          loading = loading || ensureFontsLoaded(refresh);
+          await loading;
+          return (await getFontList().getFontByName(familyName)).getFirst();
+        }
+      });
+
+      const report = new Report("sync").set("manifest", manifest.file).set("lockFile", lockFile);
+      /** @type {Map<string, FontResult[]>} */
+      const downloaded = new Map();
+      result.downloaded.forEach((file) => {
+        downloaded.set(file.family, (downloaded.get(file.family) || []).concat(file));
+      });
+      downloaded.forEach((files, familyName) => report.succeed(familyName, familyName, files));
+      result.verified.forEach((familyName) => report.succeed(familyName, familyName, [], { verified: true }));
+      result.failed.forEach(({ family: familyName, problems }) => {
+        report.fail(familyName, familyName, problems.join("; "), { code: Report.ERROR_CODES.SYNC_FAILED });
+      });
+      // Problems of a family are in its entry, the others are not tied to one
+      const familyProblems = result.failed.reduce((all, failure) => all.concat(failure.problems), []);
+      result.problems
+        .filter((problem) => !familyProblems.includes(problem))
+        .forEach((problem) => report.error(problem, Report.ERROR_CODES.SYNC_FAILED));
+
+      if (!options.frozen && result.problems.length === 0) {
+        await Manifest.writeLock(lockFile, result.lock);
+      }
+      if (emitReport(report)) {
+        if (result.problems.length > 0) process.exit(1);
+        return;
+      }
+
+      if (result.downloaded.length > 0) {
+        printResult(null, result.downloaded);
+      }
+      result.verified.forEach((familyName) => {
+        console.log(pc.green(`${pc.bold(familyName)} matches ${Manifest.LOCK_FILE}`));
+      });
+
+      if (result.problems.length > 0) {
+        console.error(pc.bold(pc.red(`\nSync failed:`)));
+        result.problems.forEach((problem) => console.error(pc.red(` * ${problem}`)));
+        process.exit(1);
+      }
+
+      if (!options.frozen) {
+        console.log(pc.green(`\n${lockFile} written.`));
       }
     } catch (err) {
-      console.error(pc.red(/** @type {Error} */ (err).toString()));
-      process.exit(1);
+      exitWithError(/** @type {Error} */ (err));
     }
   });
 
@@ -204,34 +817,363 @@ program
   .command("copy <family...>")
   .description("Copy Google Fonts stylesheet link to clipboard")
   .option("-v, --variants <variants>", "Variants separated by comma")
+  .option("-y, --yes", "Use the closest family name when there is no exact match")
   .action(async (family, options) => {
     const refresh = program.opts().refreshCache;
     await ensureFontsLoaded(refresh);
     const term = family.join(" ");
     const variants = options.variants ? options.variants.split(",") : false;
+    const report = new Report("copy");
+
+    /** @type {GoogleFontInstance | null} */
+    let font = null;
+    try {
+      font = await resolveFontAsync(term, "Copy", report, options.yes);
+    } catch (err) {
+      report.fail(term, null, err);
+      handleMatchError("Copy", term, /** @type {Error} */ (err));
+    }
+    if (!font) {
+      emitReport(report);
+      process.exitCode = 1;
+      return;
+    }
+    const url = variants
+      ? `${font.getCssUrl()}:${variants.join(",")}`
+      : font.getCssUrl();
+
+    ncp.copy(url, () => {
+      report.succeed(term, font.getFamily(), [], { url: url });
+      if (emitReport(report)) return;
+      console.log(pc.green(`"${font.getFamily()}" CSS URL copied to clipboard.`));
+    });
+  });
+
+program
+  .command("inspect <target...>")
+  .description("Print the metadata of a font file, or of the files of a family")
+  .option("-v, --variants <variants>", "Variants separated by comma (family only)")
+  .option("--ttf", "Inspect TTF files (default)")
+  .option("--woff2", "Inspect WOFF2 files")
+  .option("-y, --yes", "Use the closest family name when there is no exact match")
+  .action(async (target, options) => {
+    const refresh = program.opts().refreshCache;
+    const term = target.join(" ");
+    const report = new Report("inspect");
+
+    // A file on disk is read as is, anything else is a family name
+    if (fs.existsSync(term) && fs.statSync(term).isFile()) {
+      try {
+        const metadata = await FontMetadata.readFile(term);
+        report.set("fonts", [{ path: path.resolve(term), metadata: metadata }]);
+        if (!emitReport(report)) printMetadata(path.basename(term), metadata);
+      } catch (err) {
+        exitWithError(/** @type {Error} */ (err));
+      }
+      return;
+    }
 
-    fontList.getFontByName(term, (/** @type {Error | null} */ err, /** @type {any} */ filteredList) => {
-      if (err || filteredList.data.length !== 1) {
-        handleMatchError("Copy", term, err);
+    const variants = options.variants ? options.variants.split(",") : config.variants || false;
+    const format = options.woff2 ? "woff2" : options.ttf ? "ttf" : config.format || "ttf";
+    try {
+      await ensureFontsLoaded(refresh);
+      const font = await resolveFontAsync(term, "Inspect", report, options.yes);
+      if (!font) {
+        emitReport(report);
+        process.exitCode = 1;
         return;
       }
-      const font = filteredList.getFirst();
-      if (!font) return;
+
+      /** @type {FontInspection[]} */
+      let inspected = [];
+      try {
+        inspected = await withProgress("Downloading", (progress) =>
+          font.inspectAsync(variants, format, { pool: createPool(), progress })
+        );
+        report.succeed(term, font.getFamily(), []);
+      } catch (err) {
+        // Variants read before the failure are still printed
+        inspected = /** @type {any} */ (err).results || [];
+        report.fail(term, font.getFamily(), err);
+        handleMatchError("Inspect", term, /** @type {Error} */ (err));
+        process.exitCode = 1;
+      }
+
+      report.set("fonts", inspected);
+      if (emitReport(report)) return;
+      inspected.forEach((item) => printMetadata(`${item.family} ${item.variant}`, item.metadata, item.url));
+    } catch (err) {
+      exitWithError(/** @type {Error} */ (err));
+    }
+  });
+
+program
+  .command("subset <target...>")
+  .description("Write the glyphs of a text or of code points only, from a font file or the files of families")
+  .option("-t, --text <text>", "Keep the characters of this text")
+  .option("-u, --unicodes <ranges>", "Keep these code points, e.g. U+0020-007E,U+00A0")
+  .option("-o, --out <folder>", "Destination folder (default: current folder)")
+  .option("-v, --variants <variants>", "Variants separated by comma (families only)")
+  .option("--ttf", "Write TTF files")
+  .option("--woff2", "Write WOFF2 files (default)")
+  .option("--variable", "Subset the variable font instead of static variants (families only)")
+  .option("-y, --yes", "Use the closest family name when there is no exact match")
+  .action(async (target, options) => {
+    const refresh = program.opts().refreshCache;
+    const term = target.join(" ");
+    const format = options.ttf ? "ttf" : "woff2";
+    const report = new Report("subset");
+    if (!options.text && !options.unicodes) {
+      exitWithError("Give the characters to keep with --text or --unicodes", Report.ERROR_CODES.INVALID_ARGUMENT);
+    }
+
+    try {
+      const ranges = Subset.mergeRanges(
+        (options.text ? Subset.textRanges(options.text) : []).concat(options.unicodes ? Subset.parseUnicodes(options.unicodes) : [])
+      );
+
+      // A file on disk is subset as is, anything else is a family name
+      if (fs.existsSync(term) && fs.statSync(term).isFile()) {
+        const result = await Subset.subsetFile(term, ranges, { format });
+        const folder = path.resolve(options.out || ".");
+        fs.mkdirSync(folder, { recursive: true });
+        const file = path.join(folder, `${path.basename(term, path.extname(term))}-subset.${format}`);
+        fs.writeFileSync(file, result.data);
+        const item = {
+          path: file,
+          source: path.resolve(term),
+          originalSize: fs.statSync(term).size,
+          size: result.data.length,
+          glyphs: result.glyphs,
+          codePoints: result.codePoints,
+          unicodeRanges: result.unicodeRanges
+        };
+        report.set("files", [item]);
+        if (!emitReport(report)) printSubsets([{ title: path.basename(term), ...item }], options.text);
+        return;
+      }
+
+      const variants = options.variants ? options.variants.split(",") : config.variants || false;
+      await ensureFontsLoaded(refresh);
+      const resolved = await resolveFamilies(splitFamilies(target), "Subset", report, options.yes);
+      const pool = createPool();
+      const outcomes = await withProgress("Downloading", (progress) =>
+        Promise.allSettled(resolved.map(({ font }) => font.subsetAsync(variants, options.out, ranges, { pool, progress, format, variable: options.variable })))
+      );
+      /** @type {SubsetResult[]} */
+      let allResults = [];
+
+      outcomes.forEach((outcome, i) => {
+        const { term, font } = resolved[i];
+        if (outcome.status === "fulfilled") {
+          allResults = allResults.concat(outcome.value);
+          report.succeed(term, font.getFamily(), outcome.value);
+        } else {
+          // Variants written before the failure are still on disk
+          allResults = allResults.concat(outcome.reason.results || []);
+          report.fail(term, font.getFamily(), outcome.reason);
+          handleMatchError("Subset", term, outcome.reason);
+        }
+      });
+
+      report.set("files", allResults);
+      if (!emitReport(report)) {
+        printSubsets(allResults.map((result) => ({ title: `${result.family} ${result.variant}`, ...result })), options.text);
+      }
+      const { succeeded, failed } = report.summary();
+      if (failed > 0) process.exitCode = 1;
+      if (failed > 0 && succeeded > 0) {
+        say(pc.yellow(`\n${succeeded} font(s) subset, ${failed} failed.`));
+      }
+    } catch (err) {
+      exitWithError(/** @type {Error} */ (err));
+    }
+  });
+
+program
+  .command("mirror <dest> [family...]")
+  .description("Copy font families (all of them when none is given) into a font mirror for --offline")
+  .option("--ttf", "Mirror TTF files only")
+  .option("--woff2", "Mirror WOFF2 files only")
+  .option("-y, --yes", "Use the closest family name when there is no exact match")
+  .action(async (dest, family, options) => {
+    const refresh = program.opts().refreshCache;
+    const report = new Report("mirror");
+    if (program.opts().offline) {
+      exitWithError("gfcli mirror copies the online font list, run it without --offline", Report.ERROR_CODES.INVALID_ARGUMENT);
+    }
+    /** @type {FontFormat[]} */
+    const formats = options.ttf === options.woff2 ? Mirror.DEFAULT_FORMATS : [options.ttf ? "ttf" : "woff2"];
+
+    try {
+      await ensureFontsLoaded(refresh);
+      /** @type {{ term: string, font: GoogleFontInstance }[]} */
+      const requested = [];
+      if (family.length > 0) {
+        for (const term of splitFamilies(family)) {
+          const font = await resolveFontAsync(term, "Mirror", report, options.yes);
+          if (font) requested.push({ term, font });
+        }
+      } else {
+        say(pc.yellow(`Mirroring all ${getFontList().data.length} families, this takes a while.`));
+        getFontList().data.forEach((/** @type {GoogleFontInstance} */ font) => requested.push({ term: font.getFamily(), font }));
+      }
+
+      /** @type {GoogleFontInstance[]} */
+      const mirrored = [];
+      for (const { term, font } of requested) {
+        try {
+          const files = await Mirror.saveFamily(font, dest, formats);
+          mirrored.push(font);
+          report.succeed(term, font.getFamily(), files);
+          say(pc.green(`${pc.bold(font.getFamily())} mirrored: ${files.length} file(s)`));
+        } catch (err) {
+          report.fail(term, font.getFamily(), err);
+          handleMatchError("Mirror", term, /** @type {Error} */ (err));
+        }
+      }
+
+      if (mirrored.length > 0) {
+        report.set("catalog", await Mirror.writeCatalog(dest, mirrored));
+      }
+      report.set("mirror", path.resolve(dest));
+      if (!emitReport(report) && mirrored.length > 0) {
+        console.log(pc.green(`\nFont mirror ready in ${pc.underline(path.resolve(dest))}, use it with --offline --mirror ${dest}`));
+      }
+
+      const { succeeded, failed } = report.summary();
+      if (failed > 0 && succeeded === 0) {
+        console.error(pc.red(pc.bold(`\nAll ${failed} famil${failed === 1 ? "y" : "ies"} failed to mirror.`)));
+        process.exit(1);
+      }
+      if (failed > 0) {
+        say(pc.yellow(`\n${succeeded} famil${succeeded === 1 ? "y" : "ies"} mirrored, ${failed} failed.`));
+      }
+    } catch (err) {
+      exitWithError(/** @type {Error} */ (err));
+    }
+  });
+
+program
+  .command("cache <action>")
+  .description("Manage the cache of font lists, family data and font files (info, clear or prune)")
+  .option("--older-than <days>", "prune: remove font files unused for this many days (default: 30)")
+  .action(async (action, options) => {
+    const report = new Report("cache").set("action", action);
+    const days = parsePositiveInt(options.olderThan, "--older-than");
+
+    try {
+      if (action === "info") {
+        const info = await Cache.info();
+        report.set("cache", info);
+        if (emitReport(report)) return;
+        printCacheInfo(info);
+      } else if (action === "clear" || action === "prune") {
+        const result = action === "clear"
+          ? await Cache.clear()
+          : await Cache.prune(days ? { maxAge: days * 24 * 60 * 60 * 1000 } : {});
+        report.set("removed", result.removed).set("freed", result.freed);
+        if (emitReport(report)) return;
+        console.log(pc.green(`${result.removed} file(s) removed, ${formatBytes(result.freed)} freed.`));
+      } else {
+        exitWithError(`Invalid cache action "${action}", expected one of: info, clear, prune`, Report.ERROR_CODES.INVALID_ARGUMENT);
+      }
+    } catch (err) {
+      exitWithError(/** @type {Error} */ (err));
+    }
+  });
+
+program
+  .command("config <action> [key] [value]")
+  .description("Show or change the defaults of the config files (list, get, set or unset)")
+  .option("--project", `set/unset: change the project config file (${Config.PROJECT_CONFIG_FILE}) instead of the user one`)
+  .action((action, key, value, options) => {
+    const report = new Report("config").set("action", action);
+    /** @type {ConfigWhere} */
+    const where = options.project ? "project" : "user";
+
+    try {
+      if (action === "list") {
+        const loaded = Config.load();
+        report.set("config", loaded.values).set("sources", loaded.sources).set("files", loaded.files);
+        if (emitReport(report)) return;
+        printConfig(loaded);
+      } else if (action === "get") {
+        if (!key) exitWithError("Missing setting name: gfcli config get <key>", Report.ERROR_CODES.INVALID_ARGUMENT);
+        Config.checkKey(key);
+        const loaded = Config.load();
+        const configured = /** @type {Record<string, any>} */ (loaded.values)[key];
+        report.set("key", key).set("value", configured === undefined ? null : configured).set("source", loaded.sources[key] || null);
+        if (configured === undefined) process.exitCode = 1;
+        if (emitReport(report) || configured === undefined) return;
+        console.log(Array.isArray(configured) ? configured.join(",") : String(configured));
+      } else if (action === "set") {
+        if (!key || value === undefined) {
+          exitWithError("Missing setting name or value: gfcli config set <key> <value>", Report.ERROR_CODES.INVALID_ARGUMENT);
+        }
+        const result = Config.set(key, value, where);
+        report.set("key", key).set("value", result.value).set("file", result.file);
+        if (emitReport(report)) return;
+        console.log(pc.green(`${key} set in ${pc.underline(result.file)}`));
+      } else if (action === "unset") {
+        if (!key) exitWithError("Missing setting name: gfcli config unset <key>", Report.ERROR_CODES.INVALID_ARGUMENT);
+        const result = Config.unset(key, where);
+        report.set("key", key).set("removed", result.removed).set("file", result.file);
+        if (emitReport(report)) return;
+        console.log(result.removed ? pc.green(`${key} removed from ${pc.underline(result.file)}`) : pc.dim(`${key} is not set in ${result.file}`));
+      } else {
+        exitWithError(`Invalid config action "${action}", expected one of: list, get, set, unset`, Report.ERROR_CODES.INVALID_ARGUMENT);
+      }
+    } catch (err) {
+      exitWithError(/** @type {Error} */ (err));
+    }
+  });
+
+program
+  .command("browse")
+  .description("Browse, preview and install fonts interactively")
+  .action(async () => {
+    if (isJson()) {
+      exitWithError("The browser is interactive and has no JSON output", Report.ERROR_CODES.INVALID_ARGUMENT);
+    }
+    await runBrowser(program.opts().refreshCache);
+  });
+
+// Without arguments, open the browser in a terminal; commander prints the help otherwise
+const interactive = process.argv.length <= 2 && process.stdin.isTTY && process.stdout.isTTY;
+program.parse(interactive ? process.argv.concat("browse") : process.argv);
+
+/**
+ * Open the interactive browser and carry out the action picked in it
+ * @param {boolean} [refresh=false] - Whether to force refresh the cache
+ * @returns {Promise<void>}
+ */
+async function runBrowser(refresh) {
+  await ensureFontsLoaded(refresh);
+
+  try {
+    const selection = await Browser.browse(getFontList().data);
+    if (!selection) return;
+    const { font, variants } = selection;
+
+    if (selection.action === "copy") {
       const url = variants
         ? `${font.getCssUrl()}:${variants.join(",")}`
         : font.getCssUrl();
-
       ncp.copy(url, () => {
-        console.log(pc.green(`"${term}" CSS URL copied to clipboard.`));
+        console.log(pc.green(`"${font.getFamily()}" CSS URL copied to clipboard.`));
       });
-    });
-  });
-
-program.parse(process.argv);
+      return;
+    }
 
-// Handle empty commands
-if (program.args.length === 0) {
-  program.help();
+    const result = selection.action === "install"
+      ? await font.installAsync(variants)
+      : await font.saveAtAsync(variants, process.cwd(), selection.format);
+    printResult(null, result);
+  } catch (err) {
+    console.error(pc.red(/** @type {Error} */ (err).toString()));
+    process.exit(1);
+  }
 }
 
 /**
@@ -243,16 +1185,23 @@ if (program.args.length === 0) {
  * @param {string} action - Action being performed (e.g., "Download", "Install")
  * @param {string} term - Font family name that failed
  * @param {Error | null} err - Error object or null
+ * @param {GoogleFontInstance[]} [suggestions] - Close family names, printed instead of search results
  * @returns {void}
  */
-function handleMatchError(action, term, err) {
+function handleMatchError(action, term, err, suggestions) {
   if (err) {
     console.error(pc.red(err.toString()));
   } else {
-    console.log(
+    say(
       pc.bold(pc.red(`${action} failed: unable to find font family "${term}"`))
     );
-    fontList.searchFontByName(term, printFontList);
+    if (suggestions && suggestions.length > 0) {
+      say(pc.green("\nDid you mean:"));
+      suggestions.forEach((el) => say(pc.bold(pc.blue(` * ${el.family}`))));
+      say("");
+      return;
+    }
+    getFontList().searchFontByName(term, printFontList);
   }
 }
 
@@ -279,6 +1228,187 @@ function printFontList(err, list, message = "Search results for:") {
   });
 }
 
+/**
+ * Print the fonts recorded in the installation registry, grouped by family
+ * @param {InstalledFontStatus[]} statuses - Registry entries with their status
+ * @returns {void}
+ */
+function printInstalledList(statuses) {
+  if (statuses.length === 0) {
+    return console.log(pc.yellow("No fonts installed or downloaded by gfcli."));
+  }
+
+  /** @type {Map<string, InstalledFontStatus[]>} */
+  const families = new Map();
+  statuses.forEach((el) => {
+    families.set(el.family, (families.get(el.family) || []).concat(el));
+  });
+
+  console.log("");
+  families.forEach((variants, family) => {
+    console.log(pc.bold(pc.blue(` * ${family}`)));
+    variants.forEach((el) => {
+      const when = `${el.kind === "download" ? "downloaded" : "installed"} ${el.installedAt.slice(0, 10)}`;
+      let flag = "";
+      if (el.status === "outdated") {
+        flag = pc.yellow(` [outdated: ${el.version || el.lastModified} -> ${el.latestVersion || el.latestLastModified}]`);
+      } else if (el.status === "missing") {
+        flag = pc.red(" [missing on disk]");
+      }
+      console.log(`    ${el.variant}: ${el.path} (${when})${flag}`);
+    });
+    console.log("");
+  });
+
+  const outdated = statuses.filter((el) => el.status === "outdated").length;
+  const missing = statuses.filter((el) => el.status === "missing").length;
+  if (outdated > 0 || missing > 0) {
+    console.log(pc.yellow(`${outdated} outdated, ${missing} missing.`));
+  }
+}
+
+/**
+ * Format a size in bytes for humans
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size with a unit (e.g. "1.2 MB")
+ */
+function formatBytes(bytes) {
+  const units = ["B", "KB", "MB", "GB"];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Print what `gfcli cache info` found
+ * @param {CacheInfo} info - Cache content
+ * @returns {void}
+ */
+function printCacheInfo(info) {
+  console.log(pc.green(`\nCache directory: ${pc.underline(info.dir)}\n`));
+  if (info.catalogs.length === 0) {
+    console.log("  Font lists:       none");
+  }
+  info.catalogs.forEach((catalog) => {
+    const state = catalog.expired ? pc.yellow(" [expired]") : "";
+    console.log(`  Font list:        ${path.basename(catalog.file)}, updated ${catalog.updatedAt} (${formatBytes(catalog.size)})${state}`);
+  });
+  console.log(`  Family data:      ${info.families.count} (${formatBytes(info.families.size)})`);
+  console.log(`  Font files:       ${info.files.count} (${formatBytes(info.files.size)})`);
+  console.log(pc.bold(`  Total:            ${formatBytes(info.size)}\n`));
+}
+
+/**
+ * Print the metadata of a font file
+ * @param {string} title - File name, or family and variant
+ * @param {FontMetadata} metadata - Metadata read from the file
+ * @param {string} [url] - URL the file was downloaded from
+ * @returns {void}
+ */
+function printMetadata(title, metadata, url) {
+  const shownRanges = 8;
+  const ranges = FontMetadata.formatUnicodeRanges(metadata.unicodeRanges.slice(0, shownRanges));
+  const moreRanges = metadata.unicodeRanges.length - shownRanges;
+  const weightName = FontMetadata.weightName(metadata.weightClass);
+  const widthName = FontMetadata.widthName(metadata.widthClass);
+  /** @type {[string, string | number | null][]} */
+  const rows = [
+    ["Family", metadata.typographicFamily || metadata.family],
+    ["Style", metadata.typographicSubfamily || metadata.subfamily],
+    ["Full name", metadata.fullName],
+    ["PostScript name", metadata.postScriptName],
+    ["Version", metadata.version],
+    ["Format", metadata.format],
+    ["Weight", metadata.weightClass === null ? null : `${metadata.weightClass}${weightName ? ` (${weightName})` : ""}`],
+    ["Width", metadata.widthClass === null ? null : `${metadata.widthClass}${widthName ? ` (${widthName})` : ""}`],
+    ["Italic", metadata.italic ? "yes" : "no"],
+    ["Axes", metadata.axes.map((axis) => `${axis.tag} ${axis.min}-${axis.max} (default ${axis.default})`).join(", ")],
+    ["Instances", metadata.instances.map((instance) => instance.name || "?").join(", ")],
+    ["Glyphs", metadata.glyphs === null ? null : `${metadata.glyphs}, ${metadata.codePoints} code points`],
+    ["Unicode ranges", ranges + (moreRanges > 0 ? ` and ${moreRanges} more` : "")],
+    ["Designer", metadata.designer],
+    ["Manufacturer", metadata.manufacturer],
+    ["Vendor", metadata.vendor],
+    ["Created", metadata.created],
+    ["Modified", metadata.modified],
+    ["Embedding", metadata.embedding],
+    ["License", metadata.license],
+    ["License URL", metadata.licenseUrl],
+    ["Copyright", metadata.copyright]
+  ];
+  const shown = rows.filter(([, value]) => value !== null && value !== "");
+  const width = Math.max(...shown.map(([label]) => label.length));
+
+  console.log(pc.green(`\n${pc.bold(title)}${url ? pc.dim(` ${url}`) : ""}\n`));
+  shown.forEach(([label, value]) => console.log(`  ${pc.bold(label.padEnd(width))}  ${value}`));
+  console.log("");
+}
+
+/**
+ * Print the size of subset files against the original ones, and the
+ * characters of the text the fonts do not have
+ * @param {{ title: string, path: string, originalSize: number, size: number, glyphs: number, unicodeRanges: number[][] }[]} results - Subset files
+ * @param {string} [text] - Text the files were subset to
+ * @returns {void}
+ */
+function printSubsets(results, text) {
+  console.log("");
+  results.forEach((el) => {
+    const saved = el.originalSize ? Math.round((1 - el.size / el.originalSize) * 100) : 0;
+    console.log(
+      pc.green(
+        `${pc.bold(el.title)}: ${formatBytes(el.originalSize)} -> ${formatBytes(el.size)} (${saved}% smaller, ${el.glyphs} glyphs): ${pc.underline(el.path)}`
+      )
+    );
+    const missing = Array.from(new Set(Array.from(text || ""))).filter((char) => {
+      const code = /** @type {number} */ (char.codePointAt(0));
+      return !el.unicodeRanges.some(([first, last]) => code >= first && code <= last);
+    });
+    if (missing.length) console.log(pc.yellow(`  Not in the font: ${missing.join(" ")}`));
+  });
+  console.log("");
+}
+
+/**
+ * Print every setting of the config files, with the file it comes from
+ * @param {LoadedConfig} loaded - Loaded config files
+ * @returns {void}
+ */
+function printConfig(loaded) {
+  console.log(pc.green(`\nUser config:    ${pc.underline(loaded.files.user)}`));
+  console.log(pc.green(`Project config: ${loaded.files.project ? pc.underline(loaded.files.project) : "none"}\n`));
+  const width = Math.max(...Object.keys(Config.KEYS).map((key) => key.length));
+  Object.keys(Config.KEYS).forEach((key) => {
+    const configured = /** @type {Record<string, any>} */ (loaded.values)[key];
+    const shown = configured === undefined
+      ? pc.dim(`(not set) ${Config.KEYS[key].description}`)
+      : `${Array.isArray(configured) ? configured.join(",") : configured} ${pc.dim(`(${loaded.sources[key]})`)}`;
+    console.log(`  ${pc.bold(key.padEnd(width))}  ${shown}`);
+  });
+  console.log("");
+}
+
+/**
+ * Print the operations `gfcli update` is about to perform
+ * @param {UpdatePlanItem[]} plan - Update plan
+ * @returns {void}
+ */
+function printUpdatePlan(plan) {
+  console.log(pc.green("\nUpdate plan:\n"));
+  plan.forEach((item) => {
+    const target = item.kind === "install"
+      ? "reinstall"
+      : `download ${item.format} to ${item.dest}`;
+    console.log(pc.bold(pc.blue(` * ${item.family}`)) + ` ${item.from || "?"} -> ${item.to || "?"}`);
+    console.log(`    ${target}: ${item.variants.join(", ")}`);
+  });
+  console.log("");
+}
+
 /**
  * Print font operation results to the console
  * @param {Error | null} err - Error object or null
@@ -294,6 +1424,7 @@ function printResult(err, result) {
         `${pc.bold(el.family)} variant ${pc.bold(el.variant)} processed: ${pc.underline(el.path)}`
       )
     );
+    if (el.warning) console.log(pc.yellow(`  ${el.warning}`));
   });
   console.log("");
 }
\ No newline at end of file
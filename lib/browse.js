@@ -0,0 +1,190 @@
+'use strict'
+
+/**
+ * @typedef {import('./types').GoogleFontInstance} GoogleFontInstance
+ * @typedef {import('./types').BrowseSelection} BrowseSelection
+ */
+
+const React = require('react');
+const Fuzzy = require('./fuzzy');
+
+/** @type {number} Number of families shown at once */
+const PAGE_SIZE = 12;
+/** @type {string} Pseudo category matching every font */
+const ALL_CATEGORIES = 'all';
+
+/**
+ * Collect the categories present in a list of fonts
+ * @param {GoogleFontInstance[]} fonts - Fonts to inspect
+ * @returns {string[]} 'all' followed by the sorted categories
+ */
+function getCategories(fonts) {
+	/** @type {string[]} */
+	const categories = [];
+	fonts.forEach(function(font) {
+		const category = font.getCategory();
+		if (category && categories.indexOf(category) === -1) categories.push(category);
+	});
+	return [ALL_CATEGORIES].concat(categories.sort());
+}
+
+/**
+ * Filter fonts by category and rank them by the words typed in the search box,
+ * using the same scoring as `searchFont`
+ * @param {GoogleFontInstance[]} fonts - Fonts to filter
+ * @param {string} query - Search box content
+ * @param {string} [category='all'] - Category to keep
+ * @returns {GoogleFontInstance[]} Matching fonts, best first (catalog order for an empty query)
+ */
+function filterFonts(fonts, query, category) {
+	const inCategory = fonts.filter(function(font) {
+		return !category || category === ALL_CATEGORIES || font.getCategory() === category;
+	});
+	if (!query.trim()) return inCategory;
+
+	return inCategory
+		.map(function(font) { return { font: font, score: Fuzzy.score(query, font.getFamily()) }; })
+		.filter(function(match) { return match.score > 0; })
+		.sort(function(a, b) { return b.score - a.score; })
+		.map(function(match) { return match.font; });
+}
+
+/**
+ * Add a variant to the selection, or remove it if already selected
+ * @param {string[]} selected - Selected variants
+ * @param {string} variant - Variant to toggle
+ * @param {string[]} order - All variants, used to keep the selection in catalog order
+ * @returns {string[]} New selection
+ */
+function toggleVariant(selected, variant, order) {
+	const next = selected.indexOf(variant) === -1
+		? selected.concat(variant)
+		: selected.filter(function(v) { return v !== variant; });
+	return order.filter(function(v) { return next.indexOf(v) !== -1; });
+}
+
+/**
+ * Open the interactive font browser.
+ * Resolves once the user picks an action, or with null if they leave without one.
+ * @param {GoogleFontInstance[]} fonts - Loaded catalog
+ * @returns {Promise<BrowseSelection | null>} What to do with which font and variants
+ */
+async function browse(fonts) {
+	// ink and its components are ESM only
+	const { render, Box, Text, useInput, useApp } = await import('ink');
+	const TextInput = (await import('ink-text-input')).default;
+	const SelectInput = (await import('ink-select-input')).default;
+	const h = React.createElement;
+	const categories = getCategories(fonts);
+	/** @type {BrowseSelection | null} */
+	let selection = null;
+
+	/**
+	 * Variant list with checkboxes and the action keys
+	 * @param {{ font: GoogleFontInstance, onBack: () => void, onDone: (selection: BrowseSelection) => void }} props
+	 */
+	function VariantPicker(props) {
+		const variants = props.font.getVariants();
+		const [cursor, setCursor] = React.useState(0);
+		const [selected, setSelected] = React.useState(/** @type {string[]} */ ([]));
+
+		/**
+		 * @param {BrowseSelection['action']} action
+		 * @param {BrowseSelection['format']} [format]
+		 */
+		const done = function(action, format) {
+			props.onDone({
+				action: action,
+				font: props.font,
+				variants: selected.length ? selected : false,
+				format: format || 'ttf'
+			});
+		};
+
+		useInput(function(input, key) {
+			if (key.escape) return props.onBack();
+			if (key.upArrow) return setCursor(Math.max(0, cursor - 1));
+			if (key.downArrow) return setCursor(Math.min(variants.length - 1, cursor + 1));
+			if (input === ' ') return setSelected(toggleVariant(selected, variants[cursor], variants));
+			if (input === 'a') return setSelected(selected.length === variants.length ? [] : variants.slice());
+			if (input === 'i') return done('install');
+			if (input === 'd') return done('download', 'ttf');
+			if (input === 'w') return done('download', 'woff2');
+			if (input === 'c') return done('copy');
+		});
+
+		return h(Box, { flexDirection: 'column' },
+			h(Text, { bold: true, color: 'blue' }, props.font.getFamily()),
+			h(Text, { dimColor: true }, 'Category: ' + props.font.getCategory()),
+			h(Box, { flexDirection: 'column', marginY: 1 },
+				variants.map(function(variant, index) {
+					const checked = selected.indexOf(variant) !== -1;
+					return h(Text, { key: variant, color: index === cursor ? 'cyan' : undefined },
+						(index === cursor ? '❯ ' : '  ') + (checked ? '[x] ' : '[ ] ') + variant);
+				})
+			),
+			h(Text, { dimColor: true }, 'space: select  a: all/none  i: install  d: download TTF  w: download WOFF2  c: copy CSS URL  esc: back'),
+			h(Text, { dimColor: true }, 'Nothing selected means every variant.')
+		);
+	}
+
+	function App() {
+		const { exit } = useApp();
+		const [query, setQuery] = React.useState('');
+		const [categoryIndex, setCategoryIndex] = React.useState(0);
+		const [font, setFont] = React.useState(/** @type {GoogleFontInstance | null} */ (null));
+		const category = categories[categoryIndex];
+		const matches = React.useMemo(function() {
+			return filterFonts(fonts, query, category);
+		}, [query, category]);
+
+		useInput(function(input, key) {
+			if (font) return;
+			if (key.escape) return exit();
+			if (key.tab) setCategoryIndex((categoryIndex + (key.shift ? categories.length - 1 : 1)) % categories.length);
+		});
+
+		if (font) {
+			return h(VariantPicker, {
+				font: font,
+				onBack: function() { setFont(null); },
+				onDone: function(/** @type {BrowseSelection} */ result) {
+					selection = result;
+					exit();
+				}
+			});
+		}
+
+		return h(Box, { flexDirection: 'column' },
+			h(Box, null,
+				h(Text, { bold: true }, 'Search: '),
+				h(TextInput, { value: query, onChange: setQuery, placeholder: 'type a family name' })
+			),
+			h(Text, { dimColor: true }, 'Category: ' + category + ' (tab to change)  ' + matches.length + ' font(s)'),
+			h(Box, { marginTop: 1 },
+				matches.length
+					? h(SelectInput, {
+						items: matches.map(function(f) {
+							return { key: f.getFamily(), label: f.getFamily() + '  (' + f.getVariants().length + ' variants)', value: f };
+						}),
+						limit: PAGE_SIZE,
+						onSelect: function(/** @type {{ value: GoogleFontInstance }} */ item) { setFont(item.value); }
+					})
+					: h(Text, { color: 'red' }, 'No fonts found')
+			),
+			h(Text, { dimColor: true }, 'enter: show variants  esc: quit')
+		);
+	}
+
+	const app = render(h(App));
+	await app.waitUntilExit();
+	return selection;
+}
+
+module.exports = {
+	getCategories,
+	filterFonts,
+	toggleVariant,
+	browse,
+	ALL_CATEGORIES
+};
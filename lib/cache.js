@@ -3,68 +3,418 @@
 /**
  * @typedef {import('./types').FontData} FontData
  * @typedef {import('./types').CachePayload} CachePayload
+ * @typedef {import('./types').CacheValidators} CacheValidators
+ * @typedef {import('./types').FamilyCachePayload} FamilyCachePayload
+ * @typedef {import('./types').CacheInfo} CacheInfo
+ * @typedef {import('./types').CacheCleanup} CacheCleanup
+ * @typedef {import('./types').CacheSettings} CacheSettings
  */
 
 var fs = require('fs');
 var path = require('path');
 var os = require('os');
+var crypto = require('crypto');
 
-/** @type {string} */
+/** @type {string} Default cache directory, when neither GFCLI_CACHE_DIR nor XDG_CACHE_HOME is set */
 const CACHE_DIR = path.join(os.homedir(), '.gfcli');
 /** @type {string} */
 const CACHE_FILE = path.join(CACHE_DIR, 'cache.json');
 /** @type {number} Cache time-to-live in milliseconds (24 hours) */
 const CACHE_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+/** @type {number} An expired font list younger than this may be used while it is revalidated (7 days) */
+const CACHE_STALE_MS = 7 * 24 * 60 * 60 * 1000;
+/** @type {number} Time-to-live of cached family responses in milliseconds (7 days) */
+const FAMILY_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+/** @type {number} Font files unused for longer are removed by `prune` (30 days) */
+const FILE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+/** @type {string} Folder of the content store, in the cache directory */
+const STORE_DIR = 'store';
+/** @type {RegExp} Cached font lists, one per provider */
+const CATALOG_FILE_PATTERN = /^cache(-[\w-]+)?\.json$/;
+/** @type {string} Environment variable overriding the cache directory */
+const CACHE_DIR_ENV = 'GFCLI_CACHE_DIR';
+
+/** @type {CacheSettings} Process-wide settings, see `configure` */
+const settings = { dir: undefined, ttl: CACHE_TTL_MS, enabled: true };
+
+/**
+ * Change the process-wide cache settings. They apply to every call without an
+ * explicit cache directory or time-to-live, including the family responses and
+ * font files cached while downloading. Omitted settings are left unchanged.
+ * @param {CacheSettings} options - Cache directory, font list time-to-live in milliseconds, and whether to cache at all
+ * @returns {void}
+ */
+function configure(options) {
+	if (options.dir !== undefined) settings.dir = options.dir || undefined;
+	if (options.ttl !== undefined) settings.ttl = options.ttl;
+	if (options.enabled !== undefined) settings.enabled = options.enabled;
+}
+
+/**
+ * Directory of the cache: the configured one, else GFCLI_CACHE_DIR, else
+ * `$XDG_CACHE_HOME/gfcli`, else `~/.gfcli`
+ * @returns {string} Cache directory
+ */
+function getCacheDir() {
+	if (settings.dir) return path.resolve(settings.dir);
+	if (process.env[CACHE_DIR_ENV]) return path.resolve(process.env[CACHE_DIR_ENV]);
+	if (process.env.XDG_CACHE_HOME) return path.join(process.env.XDG_CACHE_HOME, 'gfcli');
+	return CACHE_DIR;
+}
+
+/**
+ * Time-to-live of cached font lists
+ * @returns {number} Milliseconds, CACHE_TTL_MS unless configured
+ */
+function getCacheTtl() {
+	return settings.ttl;
+}
+
+/**
+ * Whether caching is enabled; when disabled, nothing is read from or written to the cache
+ * @returns {boolean} False after `configure({ enabled: false })`
+ */
+function isEnabled() {
+	return settings.enabled;
+}
+
+/**
+ * Path of a cached font list in a cache directory
+ * @param {string} [cacheDir] - Cache directory, `getCacheDir()` by default
+ * @param {string} [fileName] - Cache file name, `cache.json` by default (one per provider)
+ * @returns {string} Cache file path
+ */
+function cacheFileFor(cacheDir, fileName) {
+	return path.join(cacheDir || getCacheDir(), fileName || 'cache.json');
+}
 
 /**
  * Ensures the cache directory exists
+ * @param {string} [cacheDir] - Cache directory, `getCacheDir()` by default
  * @returns {Promise<void>}
  */
-async function ensureDir() {
+async function ensureDir(cacheDir) {
 	try {
-		await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+		await fs.promises.mkdir(cacheDir || getCacheDir(), { recursive: true });
 	} catch (err) {
 		// Swallow mkdir errors; caching is best-effort
 	}
 }
 
 /**
- * Reads the cached font list if valid and not expired
- * @returns {Promise<FontData[] | null>} Cached font data or null if cache miss/expired
+ * Reads the cached font list with its validators, even if expired
+ * @param {string} [cacheDir] - Cache directory, `getCacheDir()` by default
+ * @param {string} [fileName] - Cache file name, `cache.json` by default
+ * @returns {Promise<CachePayload | null>} Cache content or null if there is no valid cache
  */
-async function readCache() {
+async function readCacheEntry(cacheDir, fileName) {
+	if (!settings.enabled) return null;
 	try {
-		const content = await fs.promises.readFile(CACHE_FILE, 'utf8');
+		const content = await fs.promises.readFile(cacheFileFor(cacheDir, fileName), 'utf8');
 		/** @type {CachePayload} */
 		const parsed = JSON.parse(content);
 		if (!parsed || !Array.isArray(parsed.fonts) || typeof parsed.fetchedAt !== 'number') return null;
-		const age = Date.now() - parsed.fetchedAt;
-		if (age > CACHE_TTL_MS) return null;
-		return parsed.fonts;
+		return parsed;
 	} catch (err) {
 		return null;
 	}
 }
 
 /**
- * Writes the font list to the cache file
+ * Whether a cached font list is younger than a time-to-live
+ * @param {CachePayload} payload - Cache content
+ * @param {number} [ttl] - Time-to-live in milliseconds, `getCacheTtl()` by default
+ * @returns {boolean} True if not expired
+ */
+function isFresh(payload, ttl) {
+	return Date.now() - payload.fetchedAt <= (ttl === undefined ? settings.ttl : ttl);
+}
+
+/**
+ * Reads the cached font list if valid and not expired
+ * @param {string} [cacheDir] - Cache directory, `getCacheDir()` by default
+ * @param {string} [fileName] - Cache file name, `cache.json` by default
+ * @returns {Promise<FontData[] | null>} Cached font data or null if cache miss/expired
+ */
+async function readCache(cacheDir, fileName) {
+	const payload = await readCacheEntry(cacheDir, fileName);
+	return payload && isFresh(payload) ? payload.fonts : null;
+}
+
+/**
+ * Writes the font list to the cache file. Writing a list again with its
+ * validators extends it after the server answered 304 Not Modified.
  * @param {FontData[]} fonts - Font data to cache
+ * @param {string} [cacheDir] - Cache directory, `getCacheDir()` by default
+ * @param {string} [fileName] - Cache file name, `cache.json` by default
+ * @param {CacheValidators} [validators] - ETag and Last-Modified of the response
  * @returns {Promise<void>}
  */
-async function writeCache(fonts) {
+async function writeCache(fonts, cacheDir, fileName, validators) {
+	if (!settings.enabled) return;
 	try {
-		await ensureDir();
+		await ensureDir(cacheDir);
 		/** @type {CachePayload} */
 		const payload = { fetchedAt: Date.now(), fonts: fonts };
-		await fs.promises.writeFile(CACHE_FILE, JSON.stringify(payload), 'utf8');
+		if (validators && validators.etag) payload.etag = validators.etag;
+		if (validators && validators.lastModified) payload.lastModified = validators.lastModified;
+		await fs.promises.writeFile(cacheFileFor(cacheDir, fileName), JSON.stringify(payload), 'utf8');
+	} catch (err) {
+		// Ignore cache write errors; not critical
+	}
+}
+
+/**
+ * Key of a URL in the content store
+ * @param {string} url - Remote URL
+ * @returns {string} SHA-256 hex digest of the URL
+ */
+function hashKey(url) {
+	return crypto.createHash('sha256').update(url).digest('hex');
+}
+
+/**
+ * Folder of the content store
+ * @param {'families' | 'files'} kind - Family responses or font files
+ * @param {string} [cacheDir] - Cache directory, `getCacheDir()` by default
+ * @returns {string} Folder path
+ */
+function storeDir(kind, cacheDir) {
+	return path.join(cacheDir || getCacheDir(), STORE_DIR, kind);
+}
+
+/**
+ * Path of a cached family response
+ * @param {string} url - Family endpoint
+ * @param {string} [cacheDir] - Cache directory, `getCacheDir()` by default
+ * @returns {string} File path
+ */
+function familyFileFor(url, cacheDir) {
+	return path.join(storeDir('families', cacheDir), hashKey(url) + '.json');
+}
+
+/**
+ * Path of a cached font file; the extension of the URL is kept
+ * @param {string} url - Font file URL
+ * @param {string} [cacheDir] - Cache directory, `getCacheDir()` by default
+ * @returns {string} File path
+ */
+function fontFileFor(url, cacheDir) {
+	return path.join(storeDir('files', cacheDir), hashKey(url) + path.extname(new URL(url).pathname));
+}
+
+/**
+ * Reads a cached family response if not expired and of the same font version
+ * @param {string} url - Family endpoint
+ * @param {string} [version] - Catalog version of the font; a response of another version is a miss
+ * @param {string} [cacheDir] - Cache directory, `getCacheDir()` by default
+ * @returns {Promise<string | null>} Raw response or null if cache miss/expired
+ */
+async function readFamily(url, version, cacheDir) {
+	if (!settings.enabled) return null;
+	try {
+		/** @type {FamilyCachePayload} */
+		const parsed = JSON.parse(await fs.promises.readFile(familyFileFor(url, cacheDir), 'utf8'));
+		if (!parsed || typeof parsed.body !== 'string' || typeof parsed.fetchedAt !== 'number') return null;
+		if (Date.now() - parsed.fetchedAt > FAMILY_TTL_MS) return null;
+		if (version && parsed.version && version !== parsed.version) return null;
+		return parsed.body;
+	} catch (err) {
+		return null;
+	}
+}
+
+/**
+ * Writes a family response to the content store
+ * @param {string} url - Family endpoint
+ * @param {string} body - Raw response
+ * @param {string} [version] - Catalog version of the font
+ * @param {string} [cacheDir] - Cache directory, `getCacheDir()` by default
+ * @returns {Promise<void>}
+ */
+async function writeFamily(url, body, version, cacheDir) {
+	if (!settings.enabled) return;
+	try {
+		await ensureDir(storeDir('families', cacheDir));
+		/** @type {FamilyCachePayload} */
+		const payload = { fetchedAt: Date.now(), url: url, version: version, body: body };
+		await fs.promises.writeFile(familyFileFor(url, cacheDir), JSON.stringify(payload), 'utf8');
+	} catch (err) {
+		// Ignore cache write errors; not critical
+	}
+}
+
+/**
+ * Find a font file in the content store, marking it as used
+ * @param {string} url - Font file URL
+ * @param {string} [cacheDir] - Cache directory, `getCacheDir()` by default
+ * @returns {Promise<string | null>} Path of the cached file or null if not cached
+ */
+async function readFile(url, cacheDir) {
+	if (!settings.enabled) return null;
+	try {
+		const filePath = fontFileFor(url, cacheDir);
+		const now = new Date();
+		// The modification time tells `prune` when the file was last used
+		await fs.promises.utimes(filePath, now, now);
+		return filePath;
+	} catch (err) {
+		return null;
+	}
+}
+
+/**
+ * Copy a downloaded font file to the content store
+ * @param {string} url - Font file URL
+ * @param {string} filePath - Downloaded file
+ * @param {string} [cacheDir] - Cache directory, `getCacheDir()` by default
+ * @returns {Promise<void>}
+ */
+async function writeFile(url, filePath, cacheDir) {
+	if (!settings.enabled) return;
+	try {
+		const target = fontFileFor(url, cacheDir);
+		await ensureDir(path.dirname(target));
+		// Copy then rename, so that a file in the store is always complete
+		await fs.promises.copyFile(filePath, target + '.tmp');
+		await fs.promises.rename(target + '.tmp', target);
 	} catch (err) {
 		// Ignore cache write errors; not critical
 	}
 }
 
+/**
+ * List the files of a folder with their size and modification time
+ * @param {string} dir - Folder
+ * @returns {Promise<{ file: string, size: number, mtimeMs: number }[]>} Files, empty if the folder does not exist
+ */
+async function listFiles(dir) {
+	/** @type {string[]} */
+	let names;
+	try {
+		names = await fs.promises.readdir(dir);
+	} catch (err) {
+		return [];
+	}
+	const files = [];
+	for (const name of names) {
+		try {
+			const stat = await fs.promises.stat(path.join(dir, name));
+			if (stat.isFile()) files.push({ file: path.join(dir, name), size: stat.size, mtimeMs: stat.mtimeMs });
+		} catch (err) {
+			// Removed meanwhile
+		}
+	}
+	return files;
+}
+
+/**
+ * Describe the content of the cache
+ * @param {string} [cacheDir] - Cache directory, `getCacheDir()` by default
+ * @returns {Promise<CacheInfo>} Cached font lists, family responses and font files
+ */
+async function info(cacheDir) {
+	const dir = cacheDir || getCacheDir();
+	const catalogs = (await listFiles(dir)).filter(function(f) { return CATALOG_FILE_PATTERN.test(path.basename(f.file)); });
+	const families = await listFiles(storeDir('families', cacheDir));
+	const files = await listFiles(storeDir('files', cacheDir));
+	/** @param {{ size: number }[]} list */
+	const sizeOf = function(list) { return list.reduce(function(total, f) { return total + f.size; }, 0); };
+
+	return {
+		dir: dir,
+		catalogs: catalogs.map(function(f) {
+			return {
+				file: f.file,
+				size: f.size,
+				updatedAt: new Date(f.mtimeMs).toISOString(),
+				expired: Date.now() - f.mtimeMs > settings.ttl
+			};
+		}),
+		families: { count: families.length, size: sizeOf(families) },
+		files: { count: files.length, size: sizeOf(files) },
+		size: sizeOf(catalogs) + sizeOf(families) + sizeOf(files)
+	};
+}
+
+/**
+ * Remove cache files
+ * @param {{ file: string, size: number }[]} list - Files to remove
+ * @returns {Promise<CacheCleanup>} Removed files and freed bytes
+ */
+async function removeFiles(list) {
+	/** @type {CacheCleanup} */
+	const result = { removed: 0, freed: 0 };
+	for (const f of list) {
+		try {
+			await fs.promises.unlink(f.file);
+			result.removed++;
+			result.freed += f.size;
+		} catch (err) {
+			// Removed meanwhile
+		}
+	}
+	return result;
+}
+
+/**
+ * Remove everything cached: font lists, family responses and font files.
+ * Other files of the directory (such as the installation registry) are kept.
+ * @param {string} [cacheDir] - Cache directory, `getCacheDir()` by default
+ * @returns {Promise<CacheCleanup>} Removed files and freed bytes
+ */
+async function clear(cacheDir) {
+	const catalogs = (await listFiles(cacheDir || getCacheDir())).filter(function(f) { return CATALOG_FILE_PATTERN.test(path.basename(f.file)); });
+	const families = await listFiles(storeDir('families', cacheDir));
+	const files = await listFiles(storeDir('files', cacheDir));
+	return removeFiles(catalogs.concat(families, files));
+}
+
+/**
+ * Remove expired family responses, font lists too old to be used while they are
+ * revalidated, and font files unused for a while
+ * @param {{ maxAge?: number }} [options] - Age in milliseconds after which unused font files are removed (30 days by default)
+ * @param {string} [cacheDir] - Cache directory, `getCacheDir()` by default
+ * @returns {Promise<CacheCleanup>} Removed files and freed bytes
+ */
+async function prune(options, cacheDir) {
+	const maxAge = options && typeof options.maxAge === 'number' ? options.maxAge : FILE_MAX_AGE_MS;
+	const now = Date.now();
+	/** @param {number} ttl */
+	const olderThan = function(ttl) {
+		return function(/** @type {{ mtimeMs: number }} */ f) { return now - f.mtimeMs > ttl; };
+	};
+
+	const catalogs = (await listFiles(cacheDir || getCacheDir())).filter(function(f) { return CATALOG_FILE_PATTERN.test(path.basename(f.file)); });
+	const families = await listFiles(storeDir('families', cacheDir));
+	const files = await listFiles(storeDir('files', cacheDir));
+	// An expired list still serves stale-while-revalidate loads and conditional requests
+	return removeFiles(catalogs.filter(olderThan(Math.max(settings.ttl, CACHE_STALE_MS)))
+		.concat(families.filter(olderThan(FAMILY_TTL_MS)), files.filter(olderThan(maxAge))));
+}
+
 module.exports = {
+	configure,
+	getCacheDir,
+	getCacheTtl,
+	isEnabled,
 	readCache,
+	readCacheEntry,
+	isFresh,
 	writeCache,
+	readFamily,
+	writeFamily,
+	readFile,
+	writeFile,
+	info,
+	clear,
+	prune,
+	CACHE_DIR,
 	CACHE_FILE,
-	CACHE_TTL_MS
+	CACHE_DIR_ENV,
+	CACHE_TTL_MS,
+	CACHE_STALE_MS,
+	FAMILY_TTL_MS,
+	FILE_MAX_AGE_MS
 };
@@ -0,0 +1,291 @@
+'use strict'
+
+/**
+ * @typedef {import('./types').ConfigKey} ConfigKey
+ * @typedef {import('./types').ConfigValues} ConfigValues
+ * @typedef {import('./types').LoadedConfig} LoadedConfig
+ * @typedef {import('./types').ConfigWhere} ConfigWhere
+ */
+
+var fs = require('fs');
+var path = require('path');
+var os = require('os');
+var Providers = require('./providers');
+
+/** @type {string} Project config file, looked up from the working directory to the root */
+const PROJECT_CONFIG_FILE = '.gfclirc';
+
+/** @type {Record<string, number>} Milliseconds per unit of a duration */
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/** @type {Record<string, ConfigKey>} Settings a config file may hold */
+const KEYS = {
+	format: { type: 'enum', values: ['ttf', 'woff2'], description: 'Format of downloaded files' },
+	dest: { type: 'path', description: 'Destination folder of downloaded files' },
+	variants: { type: 'list', description: 'Variants to download and install, separated by comma' },
+	scope: { type: 'enum', values: ['user', 'system'], description: 'Install fonts for the current user or for all users' },
+	provider: { type: 'enum', values: Providers.names(), description: 'Font provider' },
+	mirror: { type: 'path', description: 'Font mirror used by --offline' },
+	cacheDir: { type: 'path', description: 'Cache directory' },
+	dataDir: { type: 'path', description: 'Directory of the installation registry' },
+	cacheTtl: { type: 'duration', description: 'Time-to-live of the cached font list (30m, 12h, 7d)' },
+	cache: { type: 'boolean', description: 'Read and write the cache' },
+	retries: { type: 'number', description: 'Retries of a failed request' },
+	proxy: { type: 'string', description: 'Proxy URL of every request' },
+	caFile: { type: 'path', description: 'PEM file of certificates trusted besides the built-in ones' }
+};
+
+/**
+ * Error thrown for invalid settings, with code INVALID_ARGUMENT
+ * @param {string} message - Error message
+ * @returns {Error & { code: string }} Error
+ */
+function invalid(message) {
+	return Object.assign(new Error(message), { code: 'INVALID_ARGUMENT' });
+}
+
+/**
+ * Description of a setting
+ * @param {string} key - Setting name
+ * @returns {ConfigKey} Description
+ * @throws {Error} With code INVALID_ARGUMENT if there is no such setting
+ */
+function checkKey(key) {
+	if (!Object.prototype.hasOwnProperty.call(KEYS, key)) {
+		throw invalid('Unknown setting "' + key + '" (available: ' + Object.keys(KEYS).join(', ') + ')');
+	}
+	return KEYS[key];
+}
+
+/**
+ * Path of the user config file: `$XDG_CONFIG_HOME/gfcli/config.json`, `~/.config/gfcli/config.json` by default
+ * @returns {string} File path
+ */
+function userConfigFile() {
+	return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'gfcli', 'config.json');
+}
+
+/**
+ * Find the project config file of a folder or of its closest parent
+ * @param {string} [cwd] - Folder to start from, the working directory by default
+ * @returns {string | null} File path, null if there is none
+ */
+function findProjectConfig(cwd) {
+	let dir = path.resolve(cwd || process.cwd());
+	for (;;) {
+		const file = path.join(dir, PROJECT_CONFIG_FILE);
+		if (fs.existsSync(file)) return file;
+		const parent = path.dirname(dir);
+		if (parent === dir) return null;
+		dir = parent;
+	}
+}
+
+/**
+ * Parse a duration in hours, or with a unit (30m, 12h, 7d)
+ * @param {string | number} value - Duration
+ * @returns {number} Duration in milliseconds
+ * @throws {Error} With code INVALID_ARGUMENT if the duration is invalid
+ */
+function parseDuration(value) {
+	const match = /^(\d+(?:\.\d+)?)([mhd]?)$/.exec(String(value).trim());
+	if (!match) throw invalid('Invalid duration "' + value + '", expected a duration such as 30m, 12h or 7d');
+	return Math.round(Number(match[1]) * DURATION_UNITS[match[2] || 'h']);
+}
+
+/**
+ * Check a setting and convert it to its stored form; strings are parsed,
+ * so that values given on the command line can be stored as is
+ * @param {string} key - Setting name
+ * @param {any} value - Raw value
+ * @returns {string | string[] | boolean | number} Stored value
+ * @throws {Error} With code INVALID_ARGUMENT if the key is unknown or the value invalid
+ */
+function parseValue(key, value) {
+	const spec = checkKey(key);
+	/** @param {string} expected */
+	const fail = function(expected) {
+		return invalid('Invalid value ' + JSON.stringify(value) + ' for ' + key + ', expected ' + expected);
+	};
+
+	switch (spec.type) {
+		case 'enum': {
+			const name = String(value).trim().toLowerCase();
+			if (typeof value !== 'string' || (spec.values || []).indexOf(name) === -1) throw fail('one of: ' + (spec.values || []).join(', '));
+			return name;
+		}
+		case 'list': {
+			const list = (Array.isArray(value) ? value : String(value).split(','))
+				.map(function(item) { return String(item).trim(); })
+				.filter(Boolean);
+			if (!list.length) throw fail('a comma separated list');
+			return list;
+		}
+		case 'boolean':
+			if (value === true || value === 'true') return true;
+			if (value === false || value === 'false') return false;
+			throw fail('true or false');
+		case 'duration':
+			try {
+				parseDuration(value);
+			} catch (err) {
+				throw fail('a duration such as 30m, 12h or 7d');
+			}
+			return String(value).trim();
+		case 'number': {
+			const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+			if (typeof number !== 'number' || !Number.isInteger(number) || number < 0) throw fail('a whole number');
+			return number;
+		}
+		default:
+			if (typeof value !== 'string' || !value.trim()) throw fail('a ' + spec.type);
+			return value.trim();
+	}
+}
+
+/**
+ * Read a config file and check its settings. Relative paths are resolved
+ * from the folder of the file.
+ * @param {string} file - Config file
+ * @returns {ConfigValues} Settings, empty if the file does not exist
+ * @throws {Error} With code INVALID_ARGUMENT if the file is not valid JSON or has invalid settings
+ */
+function readFile(file) {
+	const raw = readRaw(file);
+	/** @type {Record<string, any>} */
+	const values = {};
+	for (const key of Object.keys(raw)) {
+		try {
+			values[key] = parseValue(key, raw[key]);
+		} catch (err) {
+			throw invalid(/** @type {Error} */ (err).message + ' in ' + file);
+		}
+		if (KEYS[key].type === 'path') values[key] = path.resolve(path.dirname(file), values[key]);
+	}
+	return values;
+}
+
+/**
+ * Read the content of a config file without checking it
+ * @param {string} file - Config file
+ * @returns {Record<string, any>} Content, empty if the file does not exist
+ * @throws {Error} With code INVALID_ARGUMENT if the file is not a JSON object
+ */
+function readRaw(file) {
+	let content;
+	try {
+		content = fs.readFileSync(file, 'utf8');
+	} catch (err) {
+		if (/** @type {NodeJS.ErrnoException} */ (err).code === 'ENOENT') return {};
+		throw err;
+	}
+	let parsed;
+	try {
+		parsed = JSON.parse(content);
+	} catch (err) {
+		throw invalid('Invalid config file ' + file + ': ' + /** @type {Error} */ (err).message);
+	}
+	if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+		throw invalid('Invalid config file ' + file + ': expected a JSON object');
+	}
+	return parsed;
+}
+
+/**
+ * Load the settings of the user config file, overridden by those of the project config file
+ * @param {string} [cwd] - Folder of the project, the working directory by default
+ * @returns {LoadedConfig} Merged settings and the file each one comes from
+ * @throws {Error} With code INVALID_ARGUMENT if a config file is invalid
+ */
+function load(cwd) {
+	/** @type {LoadedConfig} */
+	const loaded = { values: {}, sources: {}, files: { user: userConfigFile(), project: findProjectConfig(cwd) } };
+	for (const file of [loaded.files.user, loaded.files.project]) {
+		if (!file) continue;
+		const values = readFile(file);
+		for (const key of Object.keys(values)) {
+			/** @type {Record<string, any>} */ (loaded.values)[key] = /** @type {Record<string, any>} */ (values)[key];
+			loaded.sources[key] = file;
+		}
+	}
+	return loaded;
+}
+
+/**
+ * Config file written by `set` and `unset`
+ * @param {ConfigWhere} [where] - 'user' (default) or 'project'
+ * @param {string} [cwd] - Folder of the project, the working directory by default
+ * @returns {string} File path; a new project config file goes to the working directory
+ */
+function targetFile(where, cwd) {
+	if (where !== 'project') return userConfigFile();
+	return findProjectConfig(cwd) || path.join(path.resolve(cwd || process.cwd()), PROJECT_CONFIG_FILE);
+}
+
+/**
+ * Write a config file through a temporary file
+ * @param {string} file - Config file
+ * @param {Record<string, any>} content - Settings
+ * @returns {void}
+ */
+function writeRaw(file, content) {
+	fs.mkdirSync(path.dirname(file), { recursive: true });
+	const tmpFile = file + '.' + process.pid + '.tmp';
+	fs.writeFileSync(tmpFile, JSON.stringify(content, null, 2) + '\n', 'utf8');
+	fs.renameSync(tmpFile, file);
+}
+
+/**
+ * Store a setting in a config file. Paths are stored relative to a project
+ * config file, and absolute in the user config file.
+ * @param {string} key - Setting name
+ * @param {any} value - Value, as typed on the command line
+ * @param {ConfigWhere} [where] - 'user' (default) or 'project'
+ * @param {string} [cwd] - Working directory, relative paths are resolved from it
+ * @returns {{ file: string, value: string | string[] | boolean | number }} Written file and stored value
+ * @throws {Error} With code INVALID_ARGUMENT if the key is unknown or the value invalid
+ */
+function set(key, value, where, cwd) {
+	let stored = parseValue(key, value);
+	const file = targetFile(where, cwd);
+	if (KEYS[key].type === 'path') {
+		const absolute = path.resolve(cwd || process.cwd(), /** @type {string} */ (stored));
+		stored = where === 'project' ? path.relative(path.dirname(file), absolute) || '.' : absolute;
+	}
+	const content = readRaw(file);
+	content[key] = stored;
+	writeRaw(file, content);
+	return { file: file, value: stored };
+}
+
+/**
+ * Remove a setting from a config file
+ * @param {string} key - Setting name
+ * @param {ConfigWhere} [where] - 'user' (default) or 'project'
+ * @param {string} [cwd] - Folder of the project, the working directory by default
+ * @returns {{ file: string, removed: boolean }} File and whether the setting was there
+ * @throws {Error} With code INVALID_ARGUMENT if the key is unknown
+ */
+function unset(key, where, cwd) {
+	checkKey(key);
+	const file = targetFile(where, cwd);
+	const content = readRaw(file);
+	if (!Object.prototype.hasOwnProperty.call(content, key)) return { file: file, removed: false };
+	delete content[key];
+	writeRaw(file, content);
+	return { file: file, removed: true };
+}
+
+module.exports = {
+	load,
+	set,
+	unset,
+	readFile,
+	parseValue,
+	parseDuration,
+	checkKey,
+	userConfigFile,
+	findProjectConfig,
+	KEYS,
+	PROJECT_CONFIG_FILE
+};
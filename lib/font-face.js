@@ -0,0 +1,136 @@
+'use strict'
+
+/**
+ * @typedef {import('./types').FontResult} FontResult
+ * @typedef {import('./types').FontFaceOptions} FontFaceOptions
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+/** @type {string[]} */
+const FONT_DISPLAY_VALUES = ['auto', 'block', 'swap', 'fallback', 'optional'];
+/** @type {string} */
+const DEFAULT_FONT_DISPLAY = 'swap';
+
+/** @type {Record<string, string>} CSS format() hint per file extension */
+const CSS_FORMATS = {
+	'.woff2': 'woff2',
+	'.woff': 'woff',
+	'.ttf': 'truetype',
+	'.otf': 'opentype'
+};
+
+/**
+ * Derive CSS weight and style from a variant ID ('regular', 'italic', '700italic', ...).
+ * Variable fonts have a weight range ('100..900', '100..900italic'), which
+ * becomes a two-value font-weight ('100 900').
+ * @param {string} variant - Normalized variant ID
+ * @returns {{ weight: string, style: string }} font-weight and font-style values
+ */
+function parseVariant(variant) {
+	const match = /^(?:(\d+)(?:\.\.(\d+))?)?(regular|italic)?$/.exec(variant);
+	if (!match) return { weight: '400', style: 'normal' };
+	return {
+		weight: match[2] && match[2] !== match[1] ? match[1] + ' ' + match[2] : match[1] || '400',
+		style: match[3] === 'italic' ? 'italic' : 'normal'
+	};
+}
+
+/**
+ * Tell whether a variant ID is the weight range of a variable font
+ * @param {string} variant - Normalized variant ID
+ * @returns {boolean}
+ */
+function isVariableVariant(variant) {
+	return /^\d+\.\.\d+(italic)?$/.test(variant);
+}
+
+/**
+ * Escape a value for use inside a double quoted CSS string
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+function cssString(value) {
+	return '"' + value.replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+}
+
+/**
+ * Build @font-face rules for saved font files.
+ * Files of the same family and variant in several formats share one rule,
+ * with WOFF2 listed first.
+ * @param {FontResult[]} results - Files returned by `saveAtAsync`
+ * @param {FontFaceOptions} [options] - CSS location and font-display
+ * @returns {string} Stylesheet content
+ * @throws {Error} If font-display is not a valid value
+ */
+function buildFontFace(results, options) {
+	options = options || {};
+	const display = options.display || DEFAULT_FONT_DISPLAY;
+	if (FONT_DISPLAY_VALUES.indexOf(display) === -1) {
+		throw new Error('Invalid font-display "' + display + '", expected one of: ' + FONT_DISPLAY_VALUES.join(', '));
+	}
+	const baseDir = options.cssFile ? path.dirname(path.resolve(options.cssFile)) : process.cwd();
+
+	/** @type {Map<string, { family: string, variant: string, files: string[] }>} */
+	const faces = new Map();
+	results.forEach(function(result) {
+		const key = result.family + '\0' + result.variant;
+		if (!faces.has(key)) faces.set(key, { family: result.family, variant: result.variant, files: [] });
+		faces.get(key).files.push(result.path);
+	});
+
+	const rules = Array.from(faces.values()).sort(function(a, b) {
+		if (a.family !== b.family) return a.family < b.family ? -1 : 1;
+		const va = parseVariant(a.variant);
+		const vb = parseVariant(b.variant);
+		if (va.weight !== vb.weight) return parseInt(va.weight, 10) - parseInt(vb.weight, 10);
+		return va.style === vb.style ? 0 : (va.style === 'normal' ? -1 : 1);
+	}).map(function(face) {
+		const variant = parseVariant(face.variant);
+		const sources = face.files
+			.slice()
+			.sort(function(a, b) { return (path.extname(a) === '.woff2' ? 0 : 1) - (path.extname(b) === '.woff2' ? 0 : 1); })
+			.map(function(file) {
+				const url = path.relative(baseDir, path.resolve(file)).split(path.sep).join('/');
+				const format = CSS_FORMATS[path.extname(file).toLowerCase()];
+				return 'url(' + cssString(url) + ')' + (format ? ' format(' + cssString(format) + ')' : '');
+			});
+
+		return [
+			'@font-face {',
+			'  font-family: ' + cssString(face.family) + ';',
+			'  font-style: ' + variant.style + ';',
+			'  font-weight: ' + variant.weight + ';',
+			'  font-display: ' + display + ';',
+			'  src: ' + sources.join(',\n       ') + ';',
+			'}'
+		].join('\n');
+	});
+
+	return rules.join('\n\n') + (rules.length ? '\n' : '');
+}
+
+/**
+ * Write @font-face rules for saved font files to a stylesheet
+ * @param {FontResult[]} results - Files returned by `saveAtAsync`
+ * @param {string} cssFile - Stylesheet path; `src` URLs are relative to it
+ * @param {FontFaceOptions} [options] - font-display
+ * @returns {Promise<string>} Absolute path of the written stylesheet
+ */
+async function writeFontFace(results, cssFile, options) {
+	const file = path.resolve(cssFile);
+	const css = buildFontFace(results, Object.assign({}, options, { cssFile: file }));
+	await fs.promises.mkdir(path.dirname(file), { recursive: true });
+	await fs.promises.writeFile(file, css, 'utf8');
+	return file;
+}
+
+module.exports = {
+	parseVariant,
+	isVariableVariant,
+	buildFontFace,
+	writeFontFace,
+	FONT_DISPLAY_VALUES,
+	DEFAULT_FONT_DISPLAY
+};
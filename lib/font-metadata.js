@@ -0,0 +1,343 @@
+'use strict'
+
+/**
+ * @typedef {import('./types').FontMetadata} FontMetadata
+ * @typedef {import('./types').FontAxis} FontAxis
+ * @typedef {import('./types').FontInstance} FontInstance
+ */
+
+const fs = require('fs').promises;
+const Sfnt = require('./sfnt');
+
+/** @type {Record<number, string>} Names of the usWeightClass values */
+const WEIGHT_NAMES = {
+	100: 'Thin', 200: 'ExtraLight', 300: 'Light', 400: 'Regular', 500: 'Medium',
+	600: 'SemiBold', 700: 'Bold', 800: 'ExtraBold', 900: 'Black'
+};
+
+/** @type {string[]} Names of the usWidthClass values, from 1 */
+const WIDTH_NAMES = [
+	'UltraCondensed', 'ExtraCondensed', 'Condensed', 'SemiCondensed', 'Normal',
+	'SemiExpanded', 'Expanded', 'ExtraExpanded', 'UltraExpanded'
+];
+
+/** @type {number[][]} cmap subtables by preference: platform and encoding IDs */
+const CMAP_ENCODINGS = [[3, 10], [0, 6], [0, 4], [3, 1], [0, 3], [0, 2], [0, 1], [0, 0]];
+
+/** @type {number} Seconds between 1904-01-01, the epoch of font dates, and 1970-01-01 */
+const MAC_EPOCH_OFFSET = 2082844800;
+
+/**
+ * Read a 16.16 fixed-point number
+ * @param {Buffer} data - Table data
+ * @param {number} offset - Offset of the number
+ * @returns {number} Value, rounded to 3 decimals
+ */
+function readFixed(data, offset) {
+	return Math.round(data.readInt32BE(offset) / 65536 * 1000) / 1000;
+}
+
+/**
+ * Read a LONGDATETIME of the head table
+ * @param {Buffer} data - head table
+ * @param {number} offset - Offset of the date
+ * @returns {string | null} ISO date, null if unset or out of range
+ */
+function readDate(data, offset) {
+	const seconds = data.readUInt32BE(offset) * 4294967296 + data.readUInt32BE(offset + 4);
+	if (!seconds) return null;
+	const date = new Date((seconds - MAC_EPOCH_OFFSET) * 1000);
+	return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Embedding permissions of the fsType field of the OS/2 table
+ * @param {number} fsType - fsType value
+ * @returns {string} installable, restricted, preview & print or editable
+ */
+function embedding(fsType) {
+	if (fsType & 0x0002) return 'restricted';
+	if (fsType & 0x0004) return 'preview & print';
+	if (fsType & 0x0008) return 'editable';
+	return 'installable';
+}
+
+/**
+ * Add the code points of a cmap subtable of format 4 (BMP segments)
+ * @param {Buffer} cmap - cmap table
+ * @param {number} offset - Offset of the subtable
+ * @param {(codePoint: number, glyph: number) => void} add - Called with each mapped code point and its glyph
+ * @returns {void}
+ */
+function readFormat4(cmap, offset, add) {
+	const segCount = cmap.readUInt16BE(offset + 6) / 2;
+	const endCodes = offset + 14;
+	const startCodes = endCodes + segCount * 2 + 2;
+	const idDeltas = startCodes + segCount * 2;
+	const idRangeOffsets = idDeltas + segCount * 2;
+	if (idRangeOffsets + segCount * 2 > cmap.length) return;
+
+	for (let i = 0; i < segCount; i++) {
+		const end = cmap.readUInt16BE(endCodes + i * 2);
+		const start = cmap.readUInt16BE(startCodes + i * 2);
+		const delta = cmap.readUInt16BE(idDeltas + i * 2);
+		const rangeOffsetPosition = idRangeOffsets + i * 2;
+		const rangeOffset = cmap.readUInt16BE(rangeOffsetPosition);
+		for (let code = start; code <= end && code !== 0xFFFF; code++) {
+			let glyph = (code + delta) & 0xFFFF;
+			if (rangeOffset) {
+				const position = rangeOffsetPosition + rangeOffset + (code - start) * 2;
+				const index = position + 2 <= cmap.length ? cmap.readUInt16BE(position) : 0;
+				glyph = index ? (index + delta) & 0xFFFF : 0;
+			}
+			if (glyph) add(code, glyph);
+		}
+	}
+}
+
+/**
+ * Add the code points of a cmap subtable of format 12 (groups of the whole Unicode range)
+ * @param {Buffer} cmap - cmap table
+ * @param {number} offset - Offset of the subtable
+ * @param {(start: number, end: number, glyph: number) => void} addRange - Called with each mapped range and the glyph of its start
+ * @returns {void}
+ */
+function readFormat12(cmap, offset, addRange) {
+	const groups = cmap.readUInt32BE(offset + 12);
+	for (let i = 0; i < groups; i++) {
+		const group = offset + 16 + i * 12;
+		if (group + 12 > cmap.length) return;
+		const start = cmap.readUInt32BE(group);
+		const end = Math.min(cmap.readUInt32BE(group + 4), 0x10FFFF);
+		// Glyph 0 is .notdef: the first code point of the group is not mapped
+		const glyph = cmap.readUInt32BE(group + 8);
+		const first = glyph === 0 ? start + 1 : start;
+		if (first <= end) addRange(first, end, glyph + first - start);
+	}
+}
+
+/**
+ * Offset of the preferred Unicode subtable of a cmap table (see CMAP_ENCODINGS)
+ * @param {Buffer} cmap - cmap table
+ * @returns {number} Offset of a format 4 or 12 subtable, -1 if there is none
+ */
+function findUnicodeSubtable(cmap) {
+	if (cmap.length < 4) return -1;
+	const numTables = cmap.readUInt16BE(2);
+	/** @type {Record<string, number>} */
+	const subtables = {};
+	for (let i = 0; i < numTables; i++) {
+		const record = 4 + i * 8;
+		if (record + 8 > cmap.length) break;
+		const offset = cmap.readUInt32BE(record + 4);
+		if (offset + 4 > cmap.length) continue;
+		const format = cmap.readUInt16BE(offset);
+		if (format === 4 || format === 12) {
+			subtables[cmap.readUInt16BE(record) + '/' + cmap.readUInt16BE(record + 2)] = offset;
+		}
+	}
+
+	const encoding = CMAP_ENCODINGS.find(function(ids) { return subtables[ids.join('/')] !== undefined; });
+	return encoding ? subtables[encoding.join('/')] : -1;
+}
+
+/**
+ * Code points mapped by the Unicode subtable of a cmap table
+ * @param {Buffer} cmap - cmap table
+ * @returns {number[][]} Sorted ranges of code points, [first, last] each
+ */
+function readCoverage(cmap) {
+	const offset = findUnicodeSubtable(cmap);
+	if (offset === -1) return [];
+
+	/** @type {number[][]} */
+	const ranges = [];
+	/**
+	 * @param {number} start
+	 * @param {number} end
+	 */
+	const addRange = function(start, end) {
+		const last = ranges[ranges.length - 1];
+		if (last && start <= last[1] + 1) last[1] = Math.max(last[1], end);
+		else ranges.push([start, end]);
+	};
+	if (cmap.readUInt16BE(offset) === 4) {
+		readFormat4(cmap, offset, function(code) { addRange(code, code); });
+	} else {
+		readFormat12(cmap, offset, addRange);
+	}
+	// Segments and groups are sorted, but merging again keeps odd fonts right
+	ranges.sort(function(a, b) { return a[0] - b[0]; });
+	return ranges.reduce(function(/** @type {number[][]} */ merged, range) {
+		const last = merged[merged.length - 1];
+		if (last && range[0] <= last[1] + 1) last[1] = Math.max(last[1], range[1]);
+		else merged.push(range.slice());
+		return merged;
+	}, []);
+}
+
+/**
+ * Glyph of each code point mapped by the Unicode subtable of a cmap table
+ * @param {Buffer} cmap - cmap table
+ * @returns {Map<number, number>} Glyph ID by code point
+ */
+function readGlyphIds(cmap) {
+	/** @type {Map<number, number>} */
+	const glyphs = new Map();
+	const offset = findUnicodeSubtable(cmap);
+	if (offset === -1) return glyphs;
+	if (cmap.readUInt16BE(offset) === 4) {
+		readFormat4(cmap, offset, function(code, glyph) { glyphs.set(code, glyph); });
+	} else {
+		readFormat12(cmap, offset, function(start, end, glyph) {
+			for (let code = start; code <= end; code++) glyphs.set(code, glyph + code - start);
+		});
+	}
+	return glyphs;
+}
+
+/**
+ * Axes and named instances of a variable font
+ * @param {Buffer} fvar - fvar table
+ * @param {Record<number, string>} names - Strings of the name table
+ * @returns {{ axes: FontAxis[], instances: FontInstance[] }} Axes and instances
+ */
+function readVariations(fvar, names) {
+	/** @type {FontAxis[]} */
+	const axes = [];
+	/** @type {FontInstance[]} */
+	const instances = [];
+	if (fvar.length < 16) return { axes: axes, instances: instances };
+	const axesOffset = fvar.readUInt16BE(4);
+	const axisCount = fvar.readUInt16BE(8);
+	const axisSize = fvar.readUInt16BE(10);
+	const instanceCount = fvar.readUInt16BE(12);
+	const instanceSize = fvar.readUInt16BE(14);
+
+	for (let i = 0; i < axisCount; i++) {
+		const axis = axesOffset + i * axisSize;
+		if (axis + 20 > fvar.length) break;
+		axes.push({
+			tag: fvar.toString('latin1', axis, axis + 4),
+			name: names[fvar.readUInt16BE(axis + 18)] || null,
+			min: readFixed(fvar, axis + 4),
+			default: readFixed(fvar, axis + 8),
+			max: readFixed(fvar, axis + 12),
+			hidden: (fvar.readUInt16BE(axis + 16) & 0x0001) !== 0
+		});
+	}
+
+	const instancesOffset = axesOffset + axisCount * axisSize;
+	for (let i = 0; i < instanceCount; i++) {
+		const instance = instancesOffset + i * instanceSize;
+		if (instance + 4 + axes.length * 4 > fvar.length) break;
+		/** @type {Record<string, number>} */
+		const coordinates = {};
+		axes.forEach(function(axis, j) { coordinates[axis.tag] = readFixed(fvar, instance + 4 + j * 4); });
+		instances.push({ name: names[fvar.readUInt16BE(instance)] || null, coordinates: coordinates });
+	}
+	return { axes: axes, instances: instances };
+}
+
+/**
+ * Read the metadata of a font file: names, version and license (name), weight,
+ * width, style and embedding (OS/2), revision and dates (head), axes and
+ * instances (fvar), and the code points it maps (cmap)
+ * @param {Buffer} buffer - Content of a TTF, OTF or WOFF2 file
+ * @returns {FontMetadata} Metadata, null for what the font does not tell
+ * @throws {Error} With code INVALID_RESPONSE if the file is not a valid font
+ */
+function read(buffer) {
+	const font = Sfnt.parse(buffer);
+	const names = font.data.name ? Sfnt.readNameRecords(font.data.name) : {};
+	const os2 = font.data['OS/2'];
+	const head = font.data.head;
+	const maxp = font.data.maxp;
+	const variations = font.data.fvar ? readVariations(font.data.fvar, names) : { axes: [], instances: [] };
+	const unicodeRanges = font.data.cmap ? readCoverage(font.data.cmap) : [];
+	const macStyle = head && head.length >= 46 ? head.readUInt16BE(44) : 0;
+	const fsSelection = os2 && os2.length >= 64 ? os2.readUInt16BE(62) : null;
+
+	/** @param {number} id */
+	const name = function(id) { return names[id] || null; };
+	return {
+		format: font.format,
+		family: name(1),
+		subfamily: name(2),
+		fullName: name(4),
+		typographicFamily: name(16),
+		typographicSubfamily: name(17),
+		postScriptName: name(6),
+		version: name(5),
+		copyright: name(0),
+		manufacturer: name(8),
+		designer: name(9),
+		license: name(13),
+		licenseUrl: name(14),
+		weightClass: os2 && os2.length >= 6 ? os2.readUInt16BE(4) : null,
+		widthClass: os2 && os2.length >= 8 ? os2.readUInt16BE(6) : null,
+		// fsSelection bit 0 (italic) or 9 (oblique), else the italic bit of macStyle
+		italic: fsSelection === null ? (macStyle & 0x02) !== 0 : (fsSelection & 0x0201) !== 0,
+		embedding: os2 && os2.length >= 10 ? embedding(os2.readUInt16BE(8)) : null,
+		vendor: os2 && os2.length >= 62 ? os2.toString('latin1', 58, 62).replace(/[\s\u0000]+$/, '') || null : null,
+		revision: head && head.length >= 8 ? readFixed(head, 4).toFixed(3) : null,
+		unitsPerEm: head && head.length >= 20 ? head.readUInt16BE(18) : null,
+		created: head && head.length >= 28 ? readDate(head, 20) : null,
+		modified: head && head.length >= 36 ? readDate(head, 28) : null,
+		glyphs: maxp && maxp.length >= 6 ? maxp.readUInt16BE(4) : null,
+		codePoints: unicodeRanges.reduce(function(sum, range) { return sum + range[1] - range[0] + 1; }, 0),
+		unicodeRanges: unicodeRanges,
+		axes: variations.axes,
+		instances: variations.instances
+	};
+}
+
+/**
+ * Read the metadata of a font file, see `read`
+ * @param {string} file - Path of a TTF, OTF or WOFF2 file
+ * @returns {Promise<FontMetadata>} Metadata
+ * @throws {Error} If the file cannot be read, or with code INVALID_RESPONSE if it is not a valid font
+ */
+async function readFile(file) {
+	return read(await fs.readFile(file));
+}
+
+/**
+ * Name of a weight class, e.g. 700 is Bold
+ * @param {number | null} weightClass - usWeightClass of the OS/2 table
+ * @returns {string | null} Name, null for values between the named ones
+ */
+function weightName(weightClass) {
+	return (weightClass && WEIGHT_NAMES[weightClass]) || null;
+}
+
+/**
+ * Name of a width class, e.g. 3 is Condensed
+ * @param {number | null} widthClass - usWidthClass of the OS/2 table
+ * @returns {string | null} Name, null if out of range
+ */
+function widthName(widthClass) {
+	return (widthClass && WIDTH_NAMES[widthClass - 1]) || null;
+}
+
+/**
+ * Write code point ranges like the CSS unicode-range descriptor
+ * @param {number[][]} ranges - Ranges of code points, [first, last] each
+ * @returns {string} e.g. "U+0020-007E, U+00A0"
+ */
+function formatUnicodeRanges(ranges) {
+	/** @param {number} code */
+	const hex = function(code) { return code.toString(16).toUpperCase().padStart(4, '0'); };
+	return ranges.map(function(range) {
+		return 'U+' + hex(range[0]) + (range[1] > range[0] ? '-' + hex(range[1]) : '');
+	}).join(', ');
+}
+
+module.exports = {
+	read,
+	readFile,
+	readGlyphIds,
+	weightName,
+	widthName,
+	formatUnicodeRanges
+};
@@ -0,0 +1,276 @@
+'use strict'
+
+/**
+ * @typedef {import('./types').GoogleFontInstance} GoogleFontInstance
+ * @typedef {import('./types').GoogleFontListInstance} GoogleFontListInstance
+ * @typedef {import('./types').FontListCallback} FontListCallback
+ * @typedef {import('./types').FontSortKey} FontSortKey
+ * @typedef {import('./types').QueryOptions} QueryOptions
+ */
+
+var Fuzzy = require('./fuzzy');
+var googleFont = require('./google-font');
+var Pool = require('./pool');
+
+/** @type {FontSortKey[]} */
+const SORT_KEYS = ['relevance', 'popularity', 'name', 'lastModified'];
+
+/**
+ * Chainable filters over the fonts of a GoogleFontList.
+ * Filters are combined with AND and only applied by `exec`, so a query
+ * can be built step by step:
+ *
+ *     list.query().search('sans').category('serif').subset('cyrillic').sort('popularity').exec(callback)
+ *
+ * @constructor
+ * @param {GoogleFontListInstance} list - List to query
+ */
+function FontQuery(list) {
+	if (!(this instanceof FontQuery))
+		return new FontQuery(list);
+
+	/** @type {GoogleFontListInstance} */
+	this._list = list;
+	/** @type {((font: GoogleFontInstance) => boolean)[]} */
+	this._filters = [];
+	/** @type {{ term: string, field: string } | null} */
+	this._search = null;
+	/** @type {FontSortKey} */
+	this._sort = 'relevance';
+	/** @type {number} */
+	this._limit = 0;
+	/** @type {string[] | null} Axis tags required by `variable` (lowercase), null without it */
+	this._axes = null;
+}
+
+/**
+ * Keep fonts whose field matches a term, ranked with the fuzzy scoring of `searchFont`.
+ * An empty term matches no font.
+ * @param {string} term - Search term
+ * @param {string} [field='family'] - Field to search
+ * @returns {FontQuery} This query
+ */
+FontQuery.prototype.search = function(term, field) {
+	this._search = { term: term, field: field || 'family' };
+	return this;
+};
+
+/**
+ * Keep fonts of one of the given categories (case insensitive)
+ * @param {string | string[]} categories - Category or categories (e.g. 'serif', 'sans-serif')
+ * @returns {FontQuery} This query
+ */
+FontQuery.prototype.category = function(categories) {
+	const wanted = [].concat(/** @type {any} */ (categories)).map(function(c) { return String(c).toLowerCase(); });
+	return this.where(function(font) {
+		return wanted.indexOf((font.getCategory() || '').toLowerCase()) !== -1;
+	});
+};
+
+/**
+ * Keep fonts that support every given subset
+ * @param {string | string[]} subsets - Subset or subsets (e.g. 'cyrillic', 'latin-ext')
+ * @returns {FontQuery} This query
+ */
+FontQuery.prototype.subset = function(subsets) {
+	const wanted = [].concat(/** @type {any} */ (subsets)).map(function(s) { return String(s).toLowerCase(); });
+	return this.where(function(font) {
+		const available = font.getSubsets();
+		return wanted.every(function(s) { return available.indexOf(s) !== -1; });
+	});
+};
+
+/**
+ * Keep fonts that have every given variant ('400' and 'regular' are the same)
+ * @param {string | string[]} variants - Variant or variants (e.g. '700italic')
+ * @returns {FontQuery} This query
+ */
+FontQuery.prototype.hasVariant = function(variants) {
+	const wanted = [].concat(/** @type {any} */ (variants)).map(function(v) {
+		return googleFont.prototype._normalizeVariant(v);
+	});
+	return this.where(function(font) {
+		const available = font.getVariants();
+		return wanted.every(function(v) { return available.indexOf(v) !== -1; });
+	});
+};
+
+/**
+ * Keep fonts with at least a number of variants
+ * @param {number} count - Minimum number of variants
+ * @returns {FontQuery} This query
+ */
+FontQuery.prototype.minVariants = function(count) {
+	return this.where(function(font) {
+		return font.getVariants().length >= count;
+	});
+};
+
+/**
+ * Keep fonts with at least one italic variant
+ * @returns {FontQuery} This query
+ */
+FontQuery.prototype.italic = function() {
+	return this.where(function(font) {
+		return font.getVariants().some(function(v) { return v.indexOf('italic') !== -1; });
+	});
+};
+
+/**
+ * Keep fonts with a variable version having every given axis (case insensitive).
+ * The axes come from the provider, see `GoogleFont.getAxesAsync`: run the query
+ * with `execAsync`, which reads them first. `exec` only sees the axes read before.
+ * @param {string | string[]} [axes] - Axis tag or tags (e.g. 'wght', 'opsz'), none for any variable font
+ * @returns {FontQuery} This query
+ */
+FontQuery.prototype.variable = function(axes) {
+	this._axes = [].concat(/** @type {any} */ (axes || [])).map(function(tag) { return String(tag).toLowerCase(); });
+	return this;
+};
+
+/**
+ * Keep fonts accepted by a custom predicate
+ * @param {(font: GoogleFontInstance) => boolean} predicate - Filter function
+ * @returns {FontQuery} This query
+ */
+FontQuery.prototype.where = function(predicate) {
+	this._filters.push(predicate);
+	return this;
+};
+
+/**
+ * Set the result order. 'relevance' (the default) ranks search matches best first
+ * and keeps catalog order otherwise; 'popularity' puts the most used fonts first,
+ * 'name' sorts alphabetically and 'lastModified' puts the latest updates first.
+ * @param {FontSortKey} key - Sort key
+ * @returns {FontQuery} This query
+ * @throws {Error} If the key is unknown
+ */
+FontQuery.prototype.sort = function(key) {
+	if (SORT_KEYS.indexOf(key) === -1) {
+		throw new Error('Invalid sort "' + key + '", expected one of: ' + SORT_KEYS.join(', '));
+	}
+	this._sort = key;
+	return this;
+};
+
+/**
+ * Keep only the first results
+ * @param {number} count - Maximum number of results, 0 for no limit
+ * @returns {FontQuery} This query
+ */
+FontQuery.prototype.limit = function(count) {
+	this._limit = count;
+	return this;
+};
+
+/**
+ * Fonts passing the filters and the search, in catalog order
+ * @param {boolean} axes - Also apply the axes of `variable`
+ * @returns {{ font: GoogleFontInstance, score: number }[]} Matching fonts with their search score
+ */
+FontQuery.prototype._matches = function(axes) {
+	const self = this;
+	const filters = self._filters;
+
+	/** @type {{ font: GoogleFontInstance, score: number }[]} */
+	const matches = [];
+	self._list.data.forEach(function(font) {
+		if (!filters.every(function(filter) { return filter(font); })) return;
+		if (axes && self._axes && !hasAxes(font, self._axes)) return;
+		if (!self._search) return matches.push({ font: font, score: 0 });
+		const val = /** @type {string} */ (font[self._search.field]) || '';
+		const score = Fuzzy.score(self._search.term, val);
+		if (score > 0) matches.push({ font: font, score: score });
+	});
+	return matches;
+};
+
+/**
+ * Run the query
+ * @param {FontListCallback} [callback] - Optional callback with the resulting list
+ * @returns {GoogleFontListInstance} New list with the matching fonts
+ */
+FontQuery.prototype.exec = function(callback) {
+	const self = this;
+	let matches = self._matches(true);
+
+	// Array.prototype.sort is stable, so ties keep catalog order
+	const compare = COMPARATORS[self._sort];
+	matches.sort(function(a, b) {
+		return compare(a, b) || b.score - a.score;
+	});
+	if (self._limit > 0) matches = matches.slice(0, self._limit);
+
+	const fontList = self._list.clone();
+	fontList.data = matches.map(function(match) {
+		if (!self._search) return match.font;
+		return /** @type {GoogleFontInstance} */ (Object.create(match.font, {
+			score: { value: Math.round(match.score * 1000) / 1000, enumerable: true }
+		}));
+	});
+	if (self._search) {
+		fontList._filterField = self._search.field;
+		fontList._filterTerm = self._search.term;
+	}
+	if (callback) callback(null, fontList);
+	return fontList;
+};
+
+/**
+ * Run the query after reading the variation axes of the fonts passing the other
+ * filters, when `variable` is used. Fonts the catalog marks as static are not
+ * requested, and fonts whose axes cannot be read are left out as static.
+ * @param {QueryOptions} [options] - Concurrency or shared pool of the axis requests
+ * @returns {Promise<GoogleFontListInstance>} New list with the matching fonts
+ * @throws {Error} With code INVALID_ARGUMENT if the provider has no variable fonts
+ */
+FontQuery.prototype.execAsync = async function(options) {
+	options = options || {};
+	if (this._axes) {
+		const fonts = this._matches(false).map(function(match) { return match.font; });
+		const unsupported = fonts.find(function(font) { return !font._provider.getAxesAsync; });
+		if (unsupported) {
+			throw Object.assign(new Error('The ' + unsupported._provider.label + ' does not serve variable fonts'), { code: 'INVALID_ARGUMENT' });
+		}
+		const pool = options.pool || new Pool(options.concurrency);
+		await pool.map(fonts.filter(function(font) { return font.variable !== false; }), function(font) {
+			return font.getAxesAsync();
+		});
+	}
+	return this.exec();
+};
+
+/**
+ * Whether a font has a variable version with every given axis
+ * @param {GoogleFontInstance} font - Font whose axes were read
+ * @param {string[]} wanted - Lowercase axis tags
+ * @returns {boolean} True if the font is variable and has the axes
+ */
+function hasAxes(font, wanted) {
+	const tags = font.getAxes().map(function(axis) { return axis.tag.toLowerCase(); });
+	return tags.length > 0 && wanted.every(function(tag) { return tags.indexOf(tag) !== -1; });
+}
+
+/** @type {Record<FontSortKey, (a: { font: GoogleFontInstance, score: number }, b: { font: GoogleFontInstance, score: number }) => number>} */
+const COMPARATORS = {
+	relevance: function() { return 0; },
+	popularity: function(a, b) {
+		// Popularity is a rank: 1 is the most used family, fonts without one go last
+		const pa = typeof a.font.popularity === 'number' ? a.font.popularity : Infinity;
+		const pb = typeof b.font.popularity === 'number' ? b.font.popularity : Infinity;
+		return pa === pb ? 0 : (pa < pb ? -1 : 1);
+	},
+	name: function(a, b) {
+		return a.font.getFamily().localeCompare(b.font.getFamily());
+	},
+	lastModified: function(a, b) {
+		const la = a.font.lastModified || '';
+		const lb = b.font.lastModified || '';
+		return la === lb ? 0 : (la > lb ? -1 : 1);
+	}
+};
+
+FontQuery.SORT_KEYS = SORT_KEYS;
+
+module.exports = FontQuery;
@@ -0,0 +1,136 @@
+'use strict'
+
+/** Score of a term equal to a whole word */
+const EXACT_WORD = 1;
+/** Score of a term starting a word */
+const PREFIX_WORD = 0.85;
+/** Score of a term found inside a word */
+const INSIDE_WORD = 0.6;
+/** Score of a term matching a word with typos, minus TYPO_PENALTY per typo */
+const TYPO_MATCH = 0.5;
+const TYPO_PENALTY = 0.15;
+
+/**
+ * Lowercase a string and turn punctuation, hyphens and underscores into single spaces
+ * @param {string} value - Raw string
+ * @returns {string} Normalized string
+ */
+function normalize(value) {
+	return value
+		.toLowerCase()
+		.replace(/[^\p{L}\p{N}]+/gu, ' ')
+		.trim();
+}
+
+/**
+ * Normalize a string and drop its spaces, so "Open-Sans" and "opensans" compare equal
+ * @param {string} value - Raw string
+ * @returns {string} Compact string
+ */
+function compact(value) {
+	return normalize(value).replace(/ /g, '');
+}
+
+/**
+ * Edit distance between two strings, counting an adjacent transposition as one edit
+ * (optimal string alignment distance)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of edits
+ */
+function distance(a, b) {
+	if (a === b) return 0;
+	if (!a.length) return b.length;
+	if (!b.length) return a.length;
+
+	/** @type {number[][]} */
+	const d = [];
+	for (let i = 0; i <= a.length; i++) {
+		d.push([i]);
+		for (let j = 1; j <= b.length; j++) d[i].push(i === 0 ? j : 0);
+	}
+
+	for (let i = 1; i <= a.length; i++) {
+		for (let j = 1; j <= b.length; j++) {
+			const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+			d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+			if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+				d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+			}
+		}
+	}
+	return d[a.length][b.length];
+}
+
+/**
+ * Number of typos tolerated for a search term of a given length
+ * @param {number} length - Term length
+ * @returns {number} Allowed edits
+ */
+function allowedTypos(length) {
+	if (length < 4) return 0;
+	if (length < 8) return 1;
+	return 2;
+}
+
+/**
+ * Score a single search term against the words of a value
+ * @param {string} term - Normalized term (one word)
+ * @param {string[]} words - Normalized words of the value
+ * @returns {number} Best score of the term, 0 if it matches no word
+ */
+function scoreTerm(term, words) {
+	let best = 0;
+	const typos = allowedTypos(term.length);
+
+	words.forEach(function(word) {
+		if (word === term) {
+			best = Math.max(best, EXACT_WORD);
+		} else if (word.indexOf(term) === 0) {
+			best = Math.max(best, PREFIX_WORD);
+		} else if (word.indexOf(term) !== -1) {
+			best = Math.max(best, INSIDE_WORD);
+		} else if (typos > 0) {
+			// Compare with the whole word and with its beginning, for partially typed words
+			const edits = Math.min(distance(term, word), distance(term, word.slice(0, term.length)));
+			if (edits <= typos) best = Math.max(best, TYPO_MATCH - TYPO_PENALTY * edits);
+		}
+	});
+	return best;
+}
+
+/**
+ * Score how well a search query matches a value.
+ * Every word of the query has to match a word of the value (exactly, as a prefix,
+ * inside it or with a few typos), in any order. An exact match scores 1, and
+ * values the query covers more completely score higher.
+ * @param {string} query - Search query
+ * @param {string} value - Value to test (e.g. a family name)
+ * @returns {number} Score between 0 (no match) and 1 (exact match)
+ */
+function score(query, value) {
+	const q = normalize(query);
+	const v = normalize(value);
+	if (!q || !v) return 0;
+	if (q === v || compact(q) === compact(v)) return 1;
+
+	const words = v.split(' ');
+	const terms = q.split(' ');
+	let total = 0;
+	for (const term of terms) {
+		const termScore = scoreTerm(term, words);
+		if (termScore === 0) return 0;
+		total += termScore;
+	}
+
+	const coverage = Math.min(1, compact(q).length / compact(v).length);
+	// Stay below 1 so only exact matches reach the top score
+	return Math.min(0.99, 0.9 * (total / terms.length) + 0.1 * coverage);
+}
+
+module.exports = {
+	normalize,
+	compact,
+	distance,
+	score
+};
@@ -4,61 +4,212 @@
  * @typedef {import('./types').FontData} FontData
  * @typedef {import('./types').GoogleFontInstance} GoogleFontInstance
  * @typedef {import('./types').FontListCallback} FontListCallback
+ * @typedef {import('./types').FontQueryInstance} FontQueryInstance
+ * @typedef {import('./types').FetchFunction} FetchFunction
+ * @typedef {import('./types').FontProvider} FontProvider
+ * @typedef {import('./types').CachePayload} CachePayload
+ * @typedef {import('./types').CacheValidators} CacheValidators
+ * @typedef {import('./types').CacheSettings} CacheSettings
+ * @typedef {import('./types').RetrySettings} RetrySettings
+ * @typedef {import('./types').HttpSettings} HttpSettings
+ * @typedef {import('./types').FontListResponse} FontListResponse
+ * @typedef {import('./types').LoadResult} LoadResult
+ * @typedef {import('./types').FetchResponse} FetchResponse
+ * @typedef {import('./types').GoogleFontListOptions} GoogleFontListOptions
+ * @typedef {import('./types').GoogleFontListCreateOptions} GoogleFontListCreateOptions
  */
 
 var util = require('util');
 var EventEmitter = require('events').EventEmitter;
 var Request = require('./request');
+var HttpClient = require('./http-client');
 var googleFont = require('./google-font');
 var Cache = require('./cache');
+var Fuzzy = require('./fuzzy');
+var FontQuery = require('./font-query');
+var Providers = require('./providers');
 
-/** @type {boolean} */
-const CACHE_ENABLED = true;
+/** @type {number} Maximum number of fonts returned by suggestFont */
+const MAX_SUGGESTIONS = 5;
 
-/** @type {string} */
-const gwfhFontApiUrl = 'https://gwfh.mranftl.com/api/fonts';
+/**
+ * Hand a lookup result to a callback, or return it as a promise when no callback is given
+ * @param {() => GoogleFontList} lookup - Synchronous lookup
+ * @param {FontListCallback} [callback] - Optional callback
+ * @returns {Promise<GoogleFontList> | void} Promise of the result when no callback is given
+ */
+function respond(lookup, callback) {
+	if (!callback) {
+		return new Promise(function(resolve) { resolve(lookup()); });
+	}
+	// @ts-ignore - GoogleFontList implements GoogleFontListInstance
+	callback(null, lookup());
+}
 
 /**
- * Manages a list of Google Fonts with search and filter capabilities
+ * Manages a list of Google Fonts with search and filter capabilities.
+ * The list starts loading as soon as it is created, unless `autoLoad` is false;
+ * `GoogleFontList.create` returns a list that is already loaded.
  * @constructor
+ * @param {GoogleFontListOptions} [options] - Loading options
  * @fires GoogleFontList#success
  * @fires GoogleFontList#error
  */
-function GoogleFontList() {
+function GoogleFontList(options) {
 	if (!(this instanceof GoogleFontList))
-		return new GoogleFontList();
+		return new GoogleFontList(options);
 
 	EventEmitter.call(this);
+	options = options || {};
 
 	/** @type {GoogleFontInstance[]} */
 	this.data = [];
 	/** @type {boolean} */
 	this._loading = false;
-	/** @type {Promise<{fromCache: boolean}> | null} */
+	/** @type {Promise<LoadResult> | null} */
 	this._loadingPromise = null;
+	/** @type {Promise<void> | null} Background refresh of a stale cache, see `load` */
+	this._revalidating = null;
 	/** @type {string | undefined} */
 	this._filterField = undefined;
 	/** @type {string | undefined} */
 	this._filterTerm = undefined;
 	/** @type {boolean | undefined} */
 	this.loaded = undefined;
-	this.load(false);
+	/** @type {string | undefined} Folder of the cached list; family data and font files use the process-wide `Cache` settings */
+	this._cacheDir = options.cacheDir;
+	/** @type {number | undefined} Time-to-live of the cached list, the process-wide one when undefined */
+	this._cacheTtl = options.cacheTtl;
+	/** @type {boolean} */
+	this._cacheEnabled = options.cache !== false;
+	/** @type {FetchFunction | undefined} */
+	this._fetch = options.fetch;
+	/** @type {FontProvider} */
+	this._provider = options.offline ? Providers.mirror(options.mirrorDir) : Providers.get(options.provider);
+	/** @type {boolean} */
+	this._staleWhileRevalidate = Boolean(options.staleWhileRevalidate);
+	if (options.autoLoad !== false) this.load(false);
 }
 
 util.inherits(GoogleFontList, EventEmitter);
 
 /**
- * Download the font list from GWFH API
- * @returns {Promise<{fromCache: boolean}>} Result indicating source
+ * Create a font list and load it
+ * @param {GoogleFontListCreateOptions} [options] - Loading options
+ * @returns {Promise<GoogleFontList>} Loaded font list
+ */
+GoogleFontList.create = async function(options) {
+	options = options || {};
+	var list = new GoogleFontList({
+		autoLoad: false,
+		cacheDir: options.cacheDir,
+		cacheTtl: options.cacheTtl,
+		cache: options.cache,
+		fetch: options.fetch,
+		provider: options.provider,
+		offline: options.offline,
+		mirrorDir: options.mirrorDir,
+		staleWhileRevalidate: options.staleWhileRevalidate
+	});
+	await list.load(Boolean(options.refresh));
+	return list;
+};
+
+/**
+ * Change the process-wide cache settings: the default of every list, and the
+ * cache of family data and font files used while downloading
+ * @param {CacheSettings} settings - Cache directory, font list time-to-live in milliseconds, and whether to cache at all
+ * @returns {void}
+ */
+GoogleFontList.configureCache = function(settings) {
+	Cache.configure(settings);
+};
+
+/**
+ * Change the process-wide retry settings of the requests for font lists and font files
+ * @param {RetrySettings} settings - Retries, base and longest delay between attempts in milliseconds
+ * @returns {void}
+ */
+GoogleFontList.configureRetries = function(settings) {
+	Request.configure(settings);
+};
+
+/**
+ * Change the process-wide proxy and trusted certificates of every request
+ * @param {HttpSettings} settings - Proxy URL and PEM file of extra certificates
+ * @returns {void}
+ * @throws {Error} With code INVALID_ARGUMENT if the proxy URL or the CA file is invalid
  */
-GoogleFontList.prototype.downloadList = function() {
+GoogleFontList.configureNetwork = function(settings) {
+	HttpClient.configure(settings);
+};
+
+/**
+ * Download the font list from the provider API. With a cached list, the request is
+ * conditional: when the server answers 304 Not Modified, the cached list is used and extended.
+ * @param {CachePayload} [cached] - Cached list, with the validators of its response
+ * @returns {Promise<LoadResult>} Result indicating source
+ */
+GoogleFontList.prototype.downloadList = function(cached) {
 	var self = this;
+	return self._fetchRawList(cached).then(function(response) {
+		if (response.body === null) {
+			if (!cached) throw new Error(self._provider.label + ' returned 304 for the font list');
+			self._writeCache(cached.fonts, cached);
+			self.data = [];
+			self.populate(cached.fonts);
+			return { fromCache: true, revalidated: true };
+		}
+		try {
+			self._populateRaw(response.body, response);
+		} catch (error) {
+			// Keep notifying listeners, but do not throw from the emitter when there are none
+			// @ts-ignore - listenerCount and emit inherited from EventEmitter
+			if (self.listenerCount('error') > 0) self.emit('error', error);
+			throw error;
+		}
+		return { fromCache: false };
+	});
+}
+
+/**
+ * Fetch the raw font list, with the `fetch` option if given
+ * @param {CachePayload} [cached] - Cached list whose validators make the request conditional
+ * @returns {Promise<FontListResponse>} Raw JSON and validators, or a null body if not modified
+ */
+GoogleFontList.prototype._fetchRawList = function(cached) {
+	var fetch = this._fetch;
+	var provider = this._provider;
+	/** @type {Record<string, string>} */
+	var headers = {};
+	if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+	if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+	if (provider.fetchList) {
+		return provider.fetchList().then(function(body) { return { body: body }; });
+	}
+	if (fetch) {
+		return fetch(provider.listUrl, { headers: headers }).then(/** @param {FetchResponse} res */ function(res) {
+			if (res.status === 304) return /** @type {FontListResponse} */ ({ body: null });
+			if (!res.ok) throw new Error(provider.label + ' returned ' + res.status + ' for the font list');
+			return res.text().then(function(body) {
+				return {
+					body: body,
+					etag: (res.headers && res.headers.get('etag')) || undefined,
+					lastModified: (res.headers && res.headers.get('last-modified')) || undefined
+				};
+			});
+		});
+	}
 	return new Promise(function(resolve, reject) {
-		var request = new Request(gwfhFontApiUrl);
+		var request = new Request(provider.listUrl, { headers: headers });
 		// @ts-ignore - Request inherits from PassThrough which has EventEmitter
 		request.on('success', /** @param {string} data */ function(data){
-			self.parseRawData(data);
-			resolve({ fromCache: false });
+			resolve({ body: data, etag: request.getHeader('etag'), lastModified: request.getHeader('last-modified') });
+		})
+		// @ts-ignore - Request inherits from PassThrough which has EventEmitter
+		request.on('notModified', function(){
+			resolve(/** @type {FontListResponse} */ ({ body: null }));
 		})
 		// @ts-ignore - Request inherits from PassThrough which has EventEmitter
 		request.on('error', /** @param {Error} error */ function(error){
@@ -68,9 +219,11 @@ GoogleFontList.prototype.downloadList = function() {
 }
 
 /**
- * Load the font list (from cache or API)
+ * Load the font list (from cache or API). An expired cache is revalidated with a
+ * conditional request; with `staleWhileRevalidate`, a cache expired for less than
+ * CACHE_STALE_MS is used right away and revalidated in the background for the next load.
  * @param {boolean} [forceRefresh=false] - Force refresh from API
- * @returns {Promise<{fromCache: boolean}>} Result indicating source
+ * @returns {Promise<LoadResult>} Result indicating source
  */
 GoogleFontList.prototype.load = function(forceRefresh) {
 	var self = this;
@@ -78,15 +231,26 @@ GoogleFontList.prototype.load = function(forceRefresh) {
 	self._loading = true;
 	self._loadingPromise = (async function(){
 		try {
-			if (!forceRefresh && CACHE_ENABLED) {
-				var cached = await Cache.readCache();
-				if (cached && Array.isArray(cached)) {
-					self.populate(cached);
-					return { fromCache: true };
+			var cacheFile = self._provider.cacheFile;
+			/** @type {CachePayload | null} */
+			var cached = self._cacheEnabled && cacheFile ? await Cache.readCacheEntry(self._cacheDir, cacheFile) : null;
+			if (cached && !forceRefresh) {
+				var stale = !Cache.isFresh(cached, self._cacheTtl);
+				if (!stale || (self._staleWhileRevalidate && Cache.isFresh(cached, Cache.CACHE_STALE_MS))) {
+					self.data = [];
+					self.populate(cached.fonts);
+					self.loaded = true;
+					if (stale) self._revalidating = self._revalidate(cached);
+					return { fromCache: true, stale: stale };
 				}
 			}
-			console.log('\nDownloading Google Font List...\n');
-			return await self.downloadList();
+			// Progress goes to stderr so machine-readable stdout stays clean
+			if (!self._provider.fetchList) {
+				console.error(cached ? '\nChecking the Google Font List for updates...\n' : '\nDownloading Google Font List...\n');
+			}
+			var result = await self.downloadList(cached || undefined);
+			self.loaded = true;
+			return result;
 		} finally {
 			self._loading = false;
 			self._loadingPromise = null;
@@ -95,6 +259,35 @@ GoogleFontList.prototype.load = function(forceRefresh) {
 	return self._loadingPromise;
 };
 
+/**
+ * Refresh a stale cached list without touching the loaded data: the new list
+ * is only written to the cache. Failures are ignored, the next load tries again.
+ * @param {CachePayload} cached - Stale cached list
+ * @returns {Promise<void>}
+ */
+GoogleFontList.prototype._revalidate = function(cached) {
+	var self = this;
+	return self._fetchRawList(cached).then(function(response) {
+		if (response.body === null) return self._writeCache(cached.fonts, cached);
+		return self._writeCache(self._parseRaw(response.body), response);
+	}).catch(function() {
+		// The stale list stays in the cache
+	}).then(function() {
+		self._revalidating = null;
+	});
+};
+
+/**
+ * Cache a font list of the provider, if it has a cache
+ * @param {FontData[]} fonts - Font list
+ * @param {CacheValidators} [validators] - ETag and Last-Modified of the response
+ * @returns {Promise<void>}
+ */
+GoogleFontList.prototype._writeCache = function(fonts, validators) {
+	if (!this._cacheEnabled || !this._provider.cacheFile) return Promise.resolve();
+	return Cache.writeCache(fonts, this._cacheDir, this._provider.cacheFile, validators);
+};
+
 /**
  * Parse raw JSON data from the API
  * @param {string} rawData - Raw JSON string from API
@@ -103,32 +296,54 @@ GoogleFontList.prototype.load = function(forceRefresh) {
  * @fires GoogleFontList#success
  */
 GoogleFontList.prototype.parseRawData = function(rawData) {
-	var self = this;
+	try {
+		this._populateRaw(rawData);
+	} catch (error) {
+		// @ts-ignore - emit inherited from EventEmitter
+		this.emit('error', error);
+	}
+}
+
+/**
+ * Parse raw JSON data from the API, cache it and replace the list content
+ * @param {string} rawData - Raw JSON string from API
+ * @param {CacheValidators} [validators] - ETag and Last-Modified of the response
+ * @returns {void}
+ * @throws {Error} With `isInvalidJson` set if the data is not a font list
+ */
+GoogleFontList.prototype._populateRaw = function(rawData, validators) {
+	var fonts = this._parseRaw(rawData);
+	this._writeCache(fonts, validators);
+	this.data = [];
+	this.populate(fonts);
+}
+
+/**
+ * Parse raw JSON data from the API into font data
+ * @param {string} rawData - Raw JSON string from API
+ * @returns {FontData[]} Font data
+ * @throws {Error} With `isInvalidJson` set if the data is not a font list
+ */
+GoogleFontList.prototype._parseRaw = function(rawData) {
 	/** @type {FontData[] | false} */
 	var jsonList = false;
 	try {
 		jsonList = JSON.parse(rawData);
 	} catch (e) {
 		/** @type {Error & { isInvalidJson?: boolean }} */
-		var error = new Error('Failed to parse GWFH Fonts JSON: ' + /** @type {Error} */ (e).message);
+		var error = new Error('Failed to parse ' + this._provider.label + ' font list JSON: ' + /** @type {Error} */ (e).message);
 		error.isInvalidJson = true;
-		// @ts-ignore - emit inherited from EventEmitter
-		self.emit('error', error);
-		return;
+		throw error;
 	}
 
-	if (Array.isArray(jsonList)) {
-		if (CACHE_ENABLED) {
-			Cache.writeCache(jsonList);
-		}
-		self.populate(jsonList);
-	} else {
+	if (!Array.isArray(jsonList)) {
 		/** @type {Error & { isInvalidJson?: boolean }} */
-		var newError = new Error('Invalid GWFH Font Json format');
+		var newError = new Error('Invalid ' + this._provider.label + ' font list format');
 		newError.isInvalidJson = true;
-		// @ts-ignore - emit inherited from EventEmitter
-		self.emit('error', newError);
+		throw newError;
 	}
+
+	return this._provider.parseList(jsonList);
 }
 
 /**
@@ -141,7 +356,7 @@ GoogleFontList.prototype.populate = function(list){
 	var self = this;
 	list.forEach(function(fontData){
 		// @ts-ignore - googleFont implements GoogleFontInstance
-		self.data.push(new googleFont(fontData));
+		self.data.push(new googleFont(fontData, self._provider));
 	});
 	// @ts-ignore - emit inherited from EventEmitter
 	self.emit('success', self);
@@ -152,99 +367,148 @@ GoogleFontList.prototype.populate = function(list){
  * @returns {GoogleFontList} Cloned font list
  */
 GoogleFontList.prototype.clone = function(){
-	var newFontList = new GoogleFontList();
+	var newFontList = new GoogleFontList({ autoLoad: false, cacheDir: this._cacheDir, cacheTtl: this._cacheTtl, cache: this._cacheEnabled, fetch: this._fetch, provider: this._provider });
 	newFontList.data = this.data;
 	return newFontList;
 }
 
 /**
- * Search for fonts matching a term in a specific field
+ * Start a query combining search, filters, sorting and a limit
+ * @returns {FontQueryInstance} Chainable query over this list
+ */
+GoogleFontList.prototype.query = function() {
+	// @ts-ignore - GoogleFontList implements GoogleFontListInstance
+	return new FontQuery(this);
+};
+
+/**
+ * Search for fonts matching a term in a specific field.
+ * Every word of the term has to match a word of the field (exactly, as a prefix,
+ * inside it or with a few typos). Results are ranked best first; each one is a view
+ * of the catalog font with a `score` between 0 and 1 (1 is an exact match).
  * @param {string} term - Search term
  * @param {string} field - Field to search (e.g., 'family', 'category')
- * @param {FontListCallback} callback - Callback with filtered results
- * @returns {void}
+ * @param {FontListCallback} [callback] - Callback with filtered results
+ * @returns {Promise<GoogleFontList> | void} Filtered results when no callback is given
  */
 GoogleFontList.prototype.searchFont = function(term, field, callback) {
 	var self = this;
-	var searchTerms = term.trim().length > 0 ? term.toLowerCase().split(' ') : [];
-	
-	const result = self.data.filter(function(el) {
-		var found = searchTerms.length > 0 ? true : false;
-		searchTerms.forEach(function(subTerm){
-			var val = /** @type {string} */ (el[field]) || '';
-			found = found && (val.toLowerCase().indexOf(subTerm) !== -1);
-		});
-		return found;
-	});
-	
-	var fontList = self.clone();
-	fontList.data = result;
-	fontList._filterField = field;
-	fontList._filterTerm = term;
-	callback(null, fontList);
+	return respond(function() {
+		return /** @type {GoogleFontList} */ (/** @type {unknown} */ (self.query().search(term, field).exec()));
+	}, callback);
 };
 
 /**
  * Search for fonts by family name
  * @param {string} term - Search term
- * @param {FontListCallback} callback - Callback with filtered results
- * @returns {void}
+ * @param {FontListCallback} [callback] - Callback with filtered results
+ * @returns {Promise<GoogleFontList> | void} Filtered results when no callback is given
  */
 GoogleFontList.prototype.searchFontByName = function(term, callback) {
-	this.searchFont(term, 'family', callback);
+	return this.searchFont(term, 'family', callback);
 }
 
 /**
  * Search for fonts by category type
  * @param {string} term - Search term
- * @param {FontListCallback} callback - Callback with filtered results
- * @returns {void}
+ * @param {FontListCallback} [callback] - Callback with filtered results
+ * @returns {Promise<GoogleFontList> | void} Filtered results when no callback is given
  */
 GoogleFontList.prototype.searchFontByType = function(term, callback) {
-	this.searchFont(term, 'category', callback);
+	return this.searchFont(term, 'category', callback);
 }
 
+/**
+ * Suggest family names close to a term that matched no font exactly.
+ * Case, spaces, hyphens and punctuation are ignored, then families are ranked by
+ * edit distance. Each font of the result has a `distance` property and a `close`
+ * flag, set when the distance is small enough to assume a typo.
+ * @param {string} term - Family name as typed by the user
+ * @param {FontListCallback} [callback] - Callback with at most 5 suggestions, closest first
+ * @returns {Promise<GoogleFontList> | void} Suggestions when no callback is given
+ */
+GoogleFontList.prototype.suggestFont = function(term, callback) {
+	var self = this;
+	return respond(function() { return self._suggestFont(term); }, callback);
+};
+
+/**
+ * @param {string} term - Family name as typed by the user
+ * @returns {GoogleFontList} At most 5 suggestions, closest first
+ */
+GoogleFontList.prototype._suggestFont = function(term) {
+	var self = this;
+	var wanted = Fuzzy.compact(term);
+	var maxDistance = Math.max(2, Math.floor(wanted.length / 3));
+	var closeDistance = Math.max(1, Math.floor(wanted.length / 5));
+
+	/** @type {{ font: GoogleFontInstance, distance: number }[]} */
+	var matches = [];
+	self.data.forEach(function(el) {
+		if (!wanted) return;
+		var family = Fuzzy.compact(el.family || '');
+		// The length difference is a lower bound of the distance
+		if (Math.abs(family.length - wanted.length) > maxDistance) return;
+		var distance = Fuzzy.distance(wanted, family);
+		if (distance <= maxDistance) matches.push({ font: el, distance: distance });
+	});
+	matches.sort(function(a, b) { return a.distance - b.distance; });
+
+	var fontList = self.clone();
+	fontList.data = matches.slice(0, MAX_SUGGESTIONS).map(function(match) {
+		return /** @type {GoogleFontInstance} */ (Object.create(match.font, {
+			distance: { value: match.distance, enumerable: true },
+			close: { value: match.distance <= closeDistance, enumerable: true }
+		}));
+	});
+	fontList._filterField = 'family';
+	fontList._filterTerm = term;
+	return fontList;
+};
+
 /**
  * Get fonts matching a term exactly in a specific field
  * @param {string} term - Search term
  * @param {string} field - Field to match (e.g., 'family', 'category')
- * @param {FontListCallback} callback - Callback with filtered results
- * @returns {void}
+ * @param {FontListCallback} [callback] - Callback with filtered results
+ * @returns {Promise<GoogleFontList> | void} Filtered results when no callback is given
  */
 GoogleFontList.prototype.getFont = function(term, field, callback) {
 	var self = this;
-	var searchTerms = term.trim().toLowerCase();
-	
-	const result = self.data.filter(function(el) {
-		var val = /** @type {string} */ (el[field]) || '';
-		return val.toLowerCase() === searchTerms;
-	});
-	
-	var fontList = self.clone();
-	fontList.data = result;
-	fontList._filterField = field;
-	fontList._filterTerm = term;
-	callback(null, fontList);
+	return respond(function() {
+		var searchTerms = term.trim().toLowerCase();
+
+		const result = self.data.filter(function(el) {
+			var val = /** @type {string} */ (el[field]) || '';
+			return val.toLowerCase() === searchTerms;
+		});
+
+		var fontList = self.clone();
+		fontList.data = result;
+		fontList._filterField = field;
+		fontList._filterTerm = term;
+		return fontList;
+	}, callback);
 }
 
 /**
  * Get a font by exact family name match
  * @param {string} term - Font family name
- * @param {FontListCallback} callback - Callback with filtered results
- * @returns {void}
+ * @param {FontListCallback} [callback] - Callback with filtered results
+ * @returns {Promise<GoogleFontList> | void} Filtered results when no callback is given
  */
 GoogleFontList.prototype.getFontByName = function(term, callback) {
-	this.getFont(term, 'family', callback);
+	return this.getFont(term, 'family', callback);
 }
 
 /**
  * Get fonts by exact category match
  * @param {string} term - Category name
- * @param {FontListCallback} callback - Callback with filtered results
- * @returns {void}
+ * @param {FontListCallback} [callback] - Callback with filtered results
+ * @returns {Promise<GoogleFontList> | void} Filtered results when no callback is given
  */
 GoogleFontList.prototype.getFontByType = function(term, callback) {
-	this.getFont(term, 'category', callback);
+	return this.getFont(term, 'category', callback);
 }
 
 /**
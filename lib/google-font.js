@@ -4,15 +4,30 @@
  * @typedef {import('./types').FontData} FontData
  * @typedef {import('./types').FontResult} FontResult
  * @typedef {import('./types').FontFormat} FontFormat
- * @typedef {import('./types').GWFHFontResponse} GWFHFontResponse
+ * @typedef {import('./types').FontProvider} FontProvider
  * @typedef {import('./types').FontResultCallback} FontResultCallback
  * @typedef {import('./types').FileMapCallback} FileMapCallback
+ * @typedef {import('./types').RegistryKind} RegistryKind
+ * @typedef {import('./types').FontFaceOptions} FontFaceOptions
+ * @typedef {import('./types').DownloadOptions} DownloadOptions
+ * @typedef {import('./types').TaskPool} TaskPool
+ * @typedef {import('./types').FontInspection} FontInspection
+ * @typedef {import('./types').VariationAxis} VariationAxis
+ * @typedef {import('./types').SubsetOptions} SubsetOptions
+ * @typedef {import('./types').SubsetResult} SubsetResult
  */
 
 const pascalCase = require('pascal-case');
+const nodePath = require('path');
+const fs = require('fs').promises;
 const systemFont = require('./system-font');
+const FontMetadata = require('./font-metadata');
+const Subset = require('./subset');
+const Registry = require('./registry');
+const FontFace = require('./font-face');
 const noop = require('./noop');
-const https = require('https');
+const Providers = require('./providers');
+const Pool = require('./pool');
 
 /** @type {FontFormat} */
 const DEFAULT_FORMAT = 'ttf';
@@ -20,11 +35,12 @@ const DEFAULT_FORMAT = 'ttf';
 /**
  * Represents a single Google Font with download and install capabilities
  * @class
- * @param {FontData} fontData - Font data from GWFH API
+ * @param {FontData} fontData - Font data from the provider catalog
+ * @param {string | FontProvider} [provider] - Provider serving the files, GWFH by default
  */
-function googleFont(fontData) {
+function googleFont(fontData, provider) {
 	if (!(this instanceof googleFont))
-		return new googleFont(fontData);
+		return new googleFont(fontData, provider);
 
 	Object.assign(this, fontData);
 	/** @type {string} */
@@ -35,9 +51,20 @@ function googleFont(fontData) {
 	this.category = fontData.category;
 	/** @type {string[] | Record<string, string> | undefined} */
 	this.variants = fontData.variants;
-    
+	/** @type {string | undefined} */
+	this.version = fontData.version;
+	/** @type {string | undefined} */
+	this.lastModified = fontData.lastModified;
+	/** @type {string[] | undefined} */
+	this.subsets = fontData.subsets;
+	/** @type {FontProvider} */
+	this._provider = Providers.get(provider);
+	/** @type {VariationAxis[] | undefined} */
+	this.axes = undefined;
+
 	/** @type {string} */
-	this.apiUrl = 'https://gwfh.mranftl.com/api/fonts/' + this.getFamily().toLowerCase().replace(/\s/g, '-');
+	// @ts-ignore - googleFont implements GoogleFontInstance
+	this.apiUrl = this._provider.familyUrl(this);
 }
 
 /**
@@ -105,44 +132,89 @@ googleFont.prototype._getFileMap = function(format, callback) {
 /**
  * Get file URL map for font variants (Promise-based)
  * @param {FontFormat} [format='ttf'] - Font format
+ * @param {string[]} [subsets] - Subsets of the files (see `_normalizeSubsets`), the default subset otherwise
  * @returns {Promise<Record<string, string>>} Map of variant ID to download URL
  */
-googleFont.prototype._getFileMapAsync = async function(format) {
-	format = format || DEFAULT_FORMAT;
-	const options = {
-		headers: { 'User-Agent': 'google-font-installer-tin' }
-	};
-
-	return new Promise((resolve, reject) => {
-		https.get(this.apiUrl, options, (res) => {
-			if (res.statusCode !== 200) {
-				return reject(new Error('GWFH API returned ' + res.statusCode + ' for ' + this.getFamily()));
-			}
-
-			let data = '';
-			res.on('data', (chunk) => { data += chunk; });
-			res.on('end', () => {
-				try {
-					/** @type {GWFHFontResponse} */
-					const json = JSON.parse(data);
-					/** @type {Record<string, string>} */
-					const files = {};
-					
-					json.variants.forEach((v) => {
-						// Map variants to IDs based on requested format
-						if (format === 'woff2' && v.woff2) {
-							files[v.id] = v.woff2;
-						} else if (format === 'ttf' && v.ttf) {
-							files[v.id] = v.ttf;
-						}
-					});
-					resolve(files);
-				} catch (e) {
-					reject(new Error('Failed to parse GWFH JSON response'));
-				}
-			});
-		}).on('error', reject);
+googleFont.prototype._getFileMapAsync = async function(format, subsets) {
+	// @ts-ignore - googleFont implements GoogleFontInstance
+	return this._provider.getFileMapAsync(this, format || DEFAULT_FORMAT, subsets);
+};
+
+/**
+ * Get file URL map of the variable font, one file per style (see `FontFace.isVariableVariant`)
+ * @param {FontFormat} [format='ttf'] - Font format
+ * @param {string[]} [subsets] - Subsets of the files, the default subset otherwise
+ * @returns {Promise<Record<string, string>>} Map of variable variant ID to download URL
+ * @throws {Error} With code INVALID_ARGUMENT if the family or the provider has no variable font
+ */
+googleFont.prototype._getVariableFileMapAsync = async function(format, subsets) {
+	const provider = this._provider;
+	if (!provider.getVariableFileMapAsync) {
+		throw Object.assign(new Error('The ' + provider.label + ' does not serve variable fonts'), { code: 'INVALID_ARGUMENT' });
+	}
+	const axes = await this.getAxesAsync();
+	if (!axes.length) {
+		throw Object.assign(new Error('"' + this.getFamily() + '" has no variable version'), { code: 'INVALID_ARGUMENT' });
+	}
+	// @ts-ignore - googleFont implements GoogleFontInstance
+	return provider.getVariableFileMapAsync(this, format || DEFAULT_FORMAT, axes, subsets);
+};
+
+/**
+ * Check requested subsets against the ones of the family
+ * @param {string[]} [subsets] - Requested subsets (e.g. ['latin', 'latin-ext'])
+ * @returns {string[] | undefined} Lowercase, sorted and without duplicates; undefined when none are requested
+ * @throws {Error} With code INVALID_ARGUMENT if the family lacks some of them
+ */
+googleFont.prototype._normalizeSubsets = function(subsets) {
+	if (!subsets || !subsets.length) return undefined;
+	/** @type {string[]} */
+	const norms = [];
+	subsets.forEach((s) => {
+		const norm = s.toString().trim().toLowerCase();
+		if (norm && norms.indexOf(norm) === -1) norms.push(norm);
 	});
+	const available = this.getSubsets();
+	const unknown = norms.filter((s) => available.indexOf(s) === -1);
+	// Catalogs without subsets cannot be checked
+	if (available.length && unknown.length) {
+		throw Object.assign(new Error('"' + this.getFamily() + '" has no subset(s) ' + unknown.join(', ') +
+			' (available: ' + available.join(', ') + ')'), { code: 'INVALID_ARGUMENT' });
+	}
+	return norms.length ? norms.sort() : undefined;
+};
+
+/**
+ * Variable files covering the requested variants: the upright file for
+ * upright weights, the italic one for italic weights
+ * @param {string[] | false | undefined} variants - Variants, or false for all
+ * @param {Record<string, string>} fileList - Map of variable variant ID to URL
+ * @returns {string[] | false} Variable variant IDs, or false for all
+ */
+googleFont.prototype._variableVariants = function(variants, fileList) {
+	if (!variants || !variants.length) return false;
+	const norms = variants.map((v) => this._normalizeVariant(v));
+	const italic = norms.some((v) => /italic$/.test(v));
+	const upright = norms.some((v) => !/italic$/.test(v));
+	const ids = Object.keys(fileList).filter((id) => /italic$/.test(id) ? italic : upright);
+	// Nothing to map: the requested variants, which match no file, as for static fonts
+	return ids.length ? ids : variants;
+};
+
+/**
+ * Name of the file of a variant, without extension. Variable files follow the
+ * Google Fonts download (e.g. 'Inter-Italic-VariableFont_opsz,wght'). Requested
+ * subsets are appended, so that files of other subsets are not overwritten
+ * (e.g. 'Inter-700-latin_latin-ext').
+ * @param {string} variant - Normalized variant ID
+ * @param {string[]} [subsets] - Normalized subsets
+ * @returns {string} File name
+ */
+googleFont.prototype._localName = function(variant, subsets) {
+	const suffix = subsets ? '-' + subsets.join('_') : '';
+	if (!FontFace.isVariableVariant(variant)) return this._fileName + '-' + variant + suffix;
+	const tags = this.getAxes().map((axis) => axis.tag).filter((tag) => tag !== 'ital');
+	return this._fileName + (/italic$/.test(variant) ? '-Italic' : '') + '-VariableFont_' + tags.join(',') + suffix;
 };
 
 /**
@@ -161,34 +233,110 @@ googleFont.prototype.install = function(variants, callback) {
 };
 
 /**
- * Install font variants to the system font folder (Promise-based)
+ * Install font variants to the system font folder (Promise-based). Variants are
+ * installed in parallel; when some fail, the others are still installed.
+ * With `options.variable`, the variable files covering the variants are installed instead.
+ * `options.subsets` must be subsets of the family, and are appended to the file names.
  * @param {string[] | false} [variants] - Variants to install, or false for all
- * @returns {Promise<FontResult[]>} Results of installed fonts
+ * @param {DownloadOptions} [options] - Concurrency, shared pool, progress, variable mode and subsets
+ * @returns {Promise<FontResult[]>} Results of installed fonts, in the order of the variants
+ * @throws {AggregateError} If some variants failed, with the installed ones in `results`
+ */
+googleFont.prototype.installAsync = async function(variants, options) {
+	options = options || {};
+	const pool = options.pool || new Pool(options.concurrency);
+	const subsets = this._normalizeSubsets(options.subsets);
+	const fileList = await pool.run(() => options.variable ? this._getVariableFileMapAsync(DEFAULT_FORMAT, subsets) : this._getFileMapAsync(DEFAULT_FORMAT, subsets));
+	const wanted = options.variable ? this._variableVariants(variants, fileList) : variants;
+
+	return this._writeVariants(wanted, fileList, pool, options, 'install', async (norm, url, onData) => {
+		const path = await systemFont.install(url, this._localName(norm, subsets), { onData: onData, family: this.getFamily() });
+		if (!path) return null;
+		await this._recordFile('install', norm, url, path, DEFAULT_FORMAT, subsets);
+		return { family: this.getFamily(), variant: norm, path: path, url: url, subsets: subsets };
+	});
+};
+
+/**
+ * Write the requested variants of a file map, at most `pool.concurrency` at once
+ * @template {object} T
+ * @param {string[] | false | undefined} variants - Variants, or false for all
+ * @param {Record<string, string>} fileList - Map of variant ID to URL
+ * @param {TaskPool} pool - Pool running the downloads
+ * @param {DownloadOptions} options - Progress to update
+ * @param {string} action - Verb of the error message ('save', 'install', 'inspect' or 'subset')
+ * @param {(variant: string, url: string, onData: (bytes: number) => void) => Promise<T | null>} write - Write one variant
+ * @returns {Promise<T[]>} Written files, in the order of the variants
+ * @throws {AggregateError} If some variants failed, with the written ones in `results`
  */
-googleFont.prototype.installAsync = async function(variants) {
-	const fileList = await this._getFileMapAsync(DEFAULT_FORMAT);
+googleFont.prototype._writeVariants = async function(variants, fileList, pool, options, action, write) {
 	const requested = (variants && variants.length) ? variants : Object.keys(fileList);
-	const resultList = [];
-	
-	for (const v of requested) {
+	const progress = options.progress;
+	/** @type {string[]} */
+	const norms = [];
+	requested.forEach((v) => {
 		const norm = this._normalizeVariant(v);
-		const url = fileList[norm];
+		// Two spellings of a variant would write the same file at once
+		if (fileList[norm] && norms.indexOf(norm) === -1) norms.push(norm);
+	});
+	if (progress) progress.plan(norms.length);
 
-		if (url) {
-			try {
-				const path = await systemFont.install(url, this._fileName + '-' + norm);
-				if (path) {
-					resultList.push({ family: this.getFamily(), variant: norm, path: path });
-				}
-			} catch (err) {
-				throw err;
-			}
+	const outcomes = await pool.map(norms, async (norm) => {
+		try {
+			return await write(norm, fileList[norm], (bytes) => { if (progress) progress.addBytes(bytes); });
+		} finally {
+			if (progress) progress.fileDone();
 		}
+	});
+
+	/** @type {T[]} */
+	const resultList = [];
+	/** @type {Error[]} */
+	const errors = [];
+	outcomes.forEach((outcome) => {
+		if (outcome.status === 'rejected') errors.push(outcome.reason);
+		else if (outcome.value) resultList.push(outcome.value);
+	});
+
+	// Throw collected errors, attach partial results for caller inspection
+	if (errors.length > 0) {
+		const err = new AggregateError(errors, `Failed to ${action} ${errors.length} variant(s)`);
+		/** @type {any} */ (err).results = resultList;
+		throw err;
 	}
-	
 	return resultList;
 };
 
+/**
+ * Record an installed or downloaded file in the installation registry
+ * @param {RegistryKind} kind - Whether the file was installed or downloaded
+ * @param {string} variant - Normalized variant ID
+ * @param {string} url - Source URL of the font file
+ * @param {string} filePath - Written file path
+ * @param {FontFormat} format - Format of the file
+ * @param {string[]} [subsets] - Subsets the file was requested with
+ * @returns {Promise<void>}
+ */
+googleFont.prototype._recordFile = async function(kind, variant, url, filePath, format, subsets) {
+	// Windows installs go through the shell and return a message instead of a path
+	if (!nodePath.isAbsolute(filePath)) return;
+
+	await Registry.record([{
+		family: this.getFamily(),
+		variant: variant,
+		kind: kind,
+		format: format,
+		path: filePath,
+		url: url,
+		sha256: await systemFont.checksum(filePath),
+		version: this.version,
+		lastModified: this.lastModified,
+		subsets: subsets,
+		scope: kind === 'install' ? systemFont.scope : undefined,
+		installedAt: new Date().toISOString()
+	}]);
+};
+
 /**
  * Save font variants to a specified folder
  * @param {string[] | false} [variants] - Variants to download, or false for all
@@ -212,47 +360,130 @@ googleFont.prototype.saveAt = function(variants, destFolder, format, callback) {
 };
 
 /**
- * Save font variants to a specified folder (Promise-based)
+ * Save font variants to a specified folder (Promise-based). Variants are
+ * downloaded in parallel; one failing variant does not abort the others.
+ * With `options.variable`, the variable files covering the variants are saved instead.
+ * `options.subsets` must be subsets of the family, and are appended to the file names.
+ * Saved files are recorded in the installation registry unless `options.record`
+ * is false; when it cannot be written, the file is still returned, with a `warning`.
  * @param {string[] | false} [variants] - Variants to download, or false for all
  * @param {string} [destFolder] - Destination folder path
  * @param {FontFormat} [format='ttf'] - Font format
- * @returns {Promise<FontResult[]>} Results of saved fonts
+ * @param {DownloadOptions} [options] - Concurrency, shared pool, progress, variable mode, subsets and recording
+ * @returns {Promise<FontResult[]>} Results of saved fonts, in the order of the variants
+ * @throws {AggregateError} If some variants failed, with the saved ones in `results`
  */
-googleFont.prototype.saveAtAsync = async function(variants, destFolder, format) {
-	format = format || DEFAULT_FORMAT;
-	const fileList = await this._getFileMapAsync(format);
-	const requested = (variants && variants.length) ? variants : Object.keys(fileList);
-	/** @type {FontResult[]} */
-	const resultList = [];
-	/** @type {Error[]} */
-	const errors = [];
+googleFont.prototype.saveAtAsync = async function(variants, destFolder, format, options) {
+	const fontFormat = format || DEFAULT_FORMAT;
+	options = options || {};
+	const pool = options.pool || new Pool(options.concurrency);
+	const subsets = this._normalizeSubsets(options.subsets);
+	const fileList = await pool.run(() => options.variable ? this._getVariableFileMapAsync(fontFormat, subsets) : this._getFileMapAsync(fontFormat, subsets));
+	const wanted = options.variable ? this._variableVariants(variants, fileList) : variants;
+	const dest = destFolder || process.cwd();
 
-	for (const v of requested) {
-		const norm = this._normalizeVariant(v);
-		const url = fileList[norm];
+	return this._writeVariants(wanted, fileList, pool, options, 'save', async (norm, url, onData) => {
+		const path = await systemFont.saveAt(url, dest, this._localName(norm, subsets), { onData: onData, family: this.getFamily() });
+		if (!path) return null;
+		/** @type {FontResult} */
+		const result = { family: this.getFamily(), variant: norm, path: path, url: url, subsets: subsets };
+		if (options.record === false) return result;
+		try {
+			await this._recordFile('download', norm, url, path, fontFormat, subsets);
+		} catch (err) {
+			// The file is saved: a registry that cannot be written only keeps it out of `update`
+			result.warning = 'Not recorded in the installation registry: ' + /** @type {Error} */ (err).message;
+		}
+		return result;
+	});
+};
 
-		if (url) {
+/**
+ * Write @font-face rules for files saved by `saveAtAsync`
+ * @param {FontResult[]} results - Files returned by `saveAtAsync`
+ * @param {string} cssFile - Stylesheet path; `src` URLs are relative to it
+ * @param {FontFaceOptions} [options] - font-display (default 'swap')
+ * @returns {Promise<string>} Absolute path of the written stylesheet
+ */
+googleFont.prototype.writeCssAsync = function(results, cssFile, options) {
+	return FontFace.writeFontFace(results, cssFile, options);
+};
+
+/**
+ * Read the metadata of the files of some variants (see `FontMetadata.readFile`).
+ * Each file is downloaded to a temporary path, deleted once read.
+ * @param {string[] | false} [variants] - Variants to inspect, or false for all
+ * @param {FontFormat} [format='ttf'] - Font format
+ * @param {DownloadOptions} [options] - Concurrency, shared pool and progress
+ * @returns {Promise<FontInspection[]>} Family, variant, URL and metadata of each variant the family has, in the order of the variants
+ * @throws {AggregateError} If some variants failed, with the inspected ones in `results`
+ */
+googleFont.prototype.inspectAsync = async function(variants, format, options) {
+	const fontFormat = format || DEFAULT_FORMAT;
+	options = options || {};
+	const pool = options.pool || new Pool(options.concurrency);
+	const fileList = await pool.run(() => this._getFileMapAsync(fontFormat));
+
+	return this._writeVariants(variants, fileList, pool, options, 'inspect', async (norm, url, onData) => {
+		const tmpPath = await systemFont._saveTmp(url, this._fileName + '-' + norm, { onData: onData, family: this.getFamily() });
+		try {
+			return { family: this.getFamily(), variant: norm, url: url, metadata: await FontMetadata.readFile(tmpPath) };
+		} finally {
 			try {
-				const dest = destFolder || process.cwd();
-				const path = await systemFont.saveAt(url, dest, this._fileName + '-' + norm);
-				if (path) {
-					resultList.push({ family: this.getFamily(), variant: norm, path: path });
-				}
-			} catch (err) {
-				// Collect errors so one failing variant does not abort the entire batch
-				errors.push(/** @type {Error} */ (err));
-			}
+				await fs.unlink(tmpPath);
+			} catch (e) {}
 		}
-	}
-	
-	// Throw collected errors, attach partial results for caller inspection
-	if (errors.length > 0) {
-		const err = new AggregateError(errors, `Failed to save ${errors.length} variant(s)`);
-		/** @type {any} */ (err).results = resultList;
-		throw err;
-	}
-	
-	return resultList;
+	});
+};
+
+/**
+ * Download variants and write their subset to a folder: the glyphs of some
+ * code points only (see `Subset.subset`), as WOFF2 files by default. The TTF
+ * files are downloaded, since subsetting reads their glyf table. Subset files
+ * are named after the downloaded ones, with a `-subset` suffix, and are not
+ * recorded in the registry.
+ * @param {string[] | false | undefined} variants - Variants to subset, or false for all
+ * @param {string | undefined} destFolder - Destination folder path, the current folder if undefined
+ * @param {number[][]} ranges - Sorted code point ranges to keep, [first, last] each
+ * @param {SubsetOptions} [options] - Output format, and the options of `saveAtAsync`
+ * @returns {Promise<SubsetResult[]>} Subset files and their sizes, in the order of the variants
+ * @throws {AggregateError} If some variants failed, with the written ones in `results`
+ */
+googleFont.prototype.subsetAsync = async function(variants, destFolder, ranges, options) {
+	options = options || {};
+	const format = options.format || 'woff2';
+	const pool = options.pool || new Pool(options.concurrency);
+	const subsets = this._normalizeSubsets(options.subsets);
+	const fileList = await pool.run(() => options.variable ? this._getVariableFileMapAsync(DEFAULT_FORMAT, subsets) : this._getFileMapAsync(DEFAULT_FORMAT, subsets));
+	const wanted = options.variable ? this._variableVariants(variants, fileList) : variants;
+	const dest = await systemFont._checkDestFolder(destFolder);
+
+	return this._writeVariants(wanted, fileList, pool, options, 'subset', async (norm, url, onData) => {
+		const name = this._localName(norm, subsets);
+		const tmpPath = await systemFont._saveTmp(url, name, { onData: onData, family: this.getFamily() });
+		try {
+			const original = await fs.readFile(tmpPath);
+			const result = Subset.subset(original, ranges, { format: format });
+			const path = nodePath.join(dest, name + '-subset.' + format);
+			await fs.writeFile(path, result.data);
+			return {
+				family: this.getFamily(),
+				variant: norm,
+				path: path,
+				url: url,
+				subsets: subsets,
+				originalSize: original.length,
+				size: result.data.length,
+				glyphs: result.glyphs,
+				codePoints: result.codePoints,
+				unicodeRanges: result.unicodeRanges
+			};
+		} finally {
+			try {
+				await fs.unlink(tmpPath);
+			} catch (e) {}
+		}
+	});
 };
 
 /**
@@ -279,11 +510,40 @@ googleFont.prototype._normalizeVariant = function(variant) {
 googleFont.prototype.getCategory = function() { return this.category; };
 
 /**
- * Get the Google Fonts CSS URL for this font
+ * Get the character subsets the font supports
+ * @returns {string[]} Subset names (e.g. 'latin', 'cyrillic')
+ */
+googleFont.prototype.getSubsets = function() {
+	return Array.isArray(this.subsets) ? this.subsets : [];
+};
+
+/**
+ * Get the variation axes read by `getAxesAsync`
+ * @returns {VariationAxis[]} Axes, empty until read or for static families
+ */
+googleFont.prototype.getAxes = function() {
+	return this.axes || [];
+};
+
+/**
+ * Read the variation axes of the variable version of the font (wght, wdth, opsz, ital, ...)
+ * @returns {Promise<VariationAxis[]>} Axes, empty if the family or its provider has no variable font
+ */
+googleFont.prototype.getAxesAsync = async function() {
+	if (!this.axes) {
+		// @ts-ignore - googleFont implements GoogleFontInstance
+		this.axes = this._provider.getAxesAsync ? await this._provider.getAxesAsync(this) : [];
+	}
+	return this.axes;
+};
+
+/**
+ * Get the CSS URL for this font, as served by its provider
  * @returns {string} CSS stylesheet URL
  */
 googleFont.prototype.getCssUrl = function() {
-	return 'https://fonts.googleapis.com/css?family=' + this.getFamily().replace(/\s/g, "+");
+	// @ts-ignore - googleFont implements GoogleFontInstance
+	return this._provider.cssUrl(this);
 };
 
 module.exports = googleFont;
\ No newline at end of file
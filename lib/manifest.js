@@ -0,0 +1,329 @@
+'use strict'
+
+/**
+ * @typedef {import('./types').FontFormat} FontFormat
+ * @typedef {import('./types').FontResult} FontResult
+ * @typedef {import('./types').GoogleFontInstance} GoogleFontInstance
+ * @typedef {import('./types').ManifestData} ManifestData
+ * @typedef {import('./types').ManifestFont} ManifestFont
+ * @typedef {import('./types').LockData} LockData
+ * @typedef {import('./types').LockedFont} LockedFont
+ * @typedef {import('./types').LockedFile} LockedFile
+ * @typedef {import('./types').SyncOptions} SyncOptions
+ * @typedef {import('./types').SyncResult} SyncResult
+ */
+
+var fs = require('fs');
+var path = require('path');
+var googleFont = require('./google-font');
+var systemFont = require('./system-font');
+
+/** @type {string} */
+const MANIFEST_FILE = 'fonts.json';
+/** @type {string} */
+const LOCK_FILE = 'fonts.lock.json';
+/** @type {number} */
+const LOCKFILE_VERSION = 1;
+/** @type {FontFormat[]} */
+const FORMATS = ['ttf', 'woff2'];
+
+/**
+ * Normalize a list of variant IDs the same way downloads do
+ * @param {string[]} variants - Variants as written in the manifest
+ * @returns {string[]} Normalized variant IDs
+ */
+function normalizeVariants(variants) {
+	return variants.map(function(v) { return googleFont.prototype._normalizeVariant(v); });
+}
+
+/**
+ * Read and validate a fonts.json manifest
+ * @param {string} file - Path of the manifest
+ * @returns {Promise<ManifestData>} Validated manifest with defaults applied
+ * @throws {Error} If the manifest is missing or invalid
+ */
+async function readManifest(file) {
+	const manifestPath = path.resolve(file);
+	var raw;
+	try {
+		raw = JSON.parse(await fs.promises.readFile(manifestPath, 'utf8'));
+	} catch (err) {
+		const error = new Error('Unable to read font manifest ' + manifestPath + ': ' + /** @type {Error} */ (err).message);
+		error.cause = err;
+		throw error;
+	}
+
+	if (!raw || !Array.isArray(raw.fonts)) {
+		throw new Error('Font manifest ' + manifestPath + ' must contain a "fonts" array');
+	}
+	if (raw.destination !== undefined && typeof raw.destination !== 'string') {
+		throw new Error('Font manifest "destination" must be a string');
+	}
+
+	/** @type {ManifestFont[]} */
+	const fonts = raw.fonts.map(function(/** @type {any} */ entry, /** @type {number} */ index) {
+		if (typeof entry === 'string') entry = { family: entry };
+		if (!entry || typeof entry.family !== 'string' || !entry.family.trim()) {
+			throw new Error('Font manifest entry #' + (index + 1) + ' has no "family"');
+		}
+		['variants', 'formats', 'subsets'].forEach(function(key) {
+			if (entry[key] !== undefined && !Array.isArray(entry[key])) {
+				throw new Error('Font manifest entry "' + entry.family + '": "' + key + '" must be an array');
+			}
+		});
+		const formats = entry.formats && entry.formats.length ? entry.formats : ['ttf'];
+		formats.forEach(function(/** @type {string} */ format) {
+			if (FORMATS.indexOf(/** @type {FontFormat} */ (format)) === -1) {
+				throw new Error('Font manifest entry "' + entry.family + '": unsupported format "' + format + '"');
+			}
+		});
+		return {
+			family: entry.family.trim(),
+			variants: entry.variants && entry.variants.length ? normalizeVariants(entry.variants) : false,
+			formats: formats,
+			subsets: entry.subsets || []
+		};
+	});
+
+	return {
+		file: manifestPath,
+		dir: path.dirname(manifestPath),
+		destination: raw.destination || '.',
+		fonts: fonts
+	};
+}
+
+/**
+ * Get the lockfile path belonging to a manifest
+ * @param {string} manifestFile - Path of the manifest
+ * @returns {string} Path of the lockfile
+ */
+function lockPathFor(manifestFile) {
+	return path.join(path.dirname(path.resolve(manifestFile)), LOCK_FILE);
+}
+
+/**
+ * Read a lockfile
+ * @param {string} file - Path of the lockfile
+ * @returns {Promise<LockData | null>} Lock data, or null if there is no lockfile
+ * @throws {Error} If the lockfile exists but is invalid
+ */
+async function readLock(file) {
+	var content;
+	try {
+		content = await fs.promises.readFile(file, 'utf8');
+	} catch (err) {
+		if (/** @type {NodeJS.ErrnoException} */ (err).code === 'ENOENT') return null;
+		throw err;
+	}
+
+	/** @type {LockData} */
+	var lock;
+	try {
+		lock = JSON.parse(content);
+	} catch (err) {
+		throw new Error('Lockfile ' + file + ' is not valid JSON');
+	}
+	if (!lock || lock.lockfileVersion !== LOCKFILE_VERSION || typeof lock.fonts !== 'object') {
+		throw new Error('Lockfile ' + file + ' has an unsupported format');
+	}
+	return lock;
+}
+
+/**
+ * Write a lockfile
+ * @param {string} file - Path of the lockfile
+ * @param {LockData} lock - Lock data
+ * @returns {Promise<void>}
+ */
+async function writeLock(file, lock) {
+	await fs.promises.writeFile(file, JSON.stringify(lock, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * Tell whether a locked family was resolved from the same manifest entry
+ * @param {ManifestFont} entry - Manifest entry
+ * @param {LockedFont | undefined} locked - Locked family
+ * @returns {boolean} True if the lock can be reused for the entry
+ */
+function satisfies(entry, locked) {
+	if (!locked) return false;
+	const sorted = function(/** @type {string[] | false} */ list) {
+		return list ? list.slice().sort().join(',') : '*';
+	};
+	return sorted(entry.variants) === sorted(locked.variants) &&
+		sorted(entry.formats) === sorted(locked.formats) &&
+		sorted(entry.subsets) === sorted(locked.subsets);
+}
+
+/**
+ * Check locked files against the disk, optionally downloading missing ones again
+ * from their locked URL
+ * @param {LockedFont} locked - Locked family
+ * @param {string} baseDir - Directory the locked paths are relative to
+ * @param {boolean} restore - Download missing files
+ * @returns {Promise<string[]>} Problems found (empty when everything matches)
+ */
+async function verifyLocked(locked, baseDir, restore) {
+	/** @type {string[]} */
+	const problems = [];
+
+	for (const file of locked.files) {
+		const filePath = path.resolve(baseDir, file.path);
+		var sum;
+		try {
+			sum = await systemFont.checksum(filePath);
+		} catch (err) {
+			if (!restore) {
+				problems.push(file.path + ' is missing');
+				continue;
+			}
+			try {
+				const name = path.parse(filePath).name;
+				const saved = await systemFont.saveAt(file.url, path.dirname(filePath), name);
+				sum = await systemFont.checksum(saved);
+			} catch (downloadErr) {
+				problems.push(file.path + ' could not be downloaded: ' + /** @type {Error} */ (downloadErr).message);
+				continue;
+			}
+		}
+		if (sum !== file.sha256) {
+			problems.push(file.path + ' does not match the locked SHA-256 checksum');
+		}
+	}
+
+	return problems;
+}
+
+/**
+ * Resolve a manifest entry against the catalog and download its files
+ * @param {ManifestFont} entry - Manifest entry
+ * @param {GoogleFontInstance} font - Matching catalog font
+ * @param {ManifestData} manifest - Manifest the entry belongs to
+ * @returns {Promise<{ locked: LockedFont, results: FontResult[] }>} Lock entry and saved files
+ */
+async function resolveFont(entry, font, manifest) {
+	const available = font.getVariants();
+	const unknownVariants = (entry.variants || []).filter(function(v) { return available.indexOf(v) === -1; });
+	if (available.length && unknownVariants.length) {
+		throw new Error('"' + font.getFamily() + '" has no variant(s) ' + unknownVariants.join(', '));
+	}
+	const subsets = font.getSubsets();
+	const unknownSubsets = entry.subsets.filter(function(s) { return subsets.indexOf(s) === -1; });
+	if (subsets.length && unknownSubsets.length) {
+		throw new Error('"' + font.getFamily() + '" has no subset(s) ' + unknownSubsets.join(', '));
+	}
+
+	const dest = path.resolve(manifest.dir, manifest.destination);
+	/** @type {FontResult[]} */
+	let results = [];
+	/** @type {LockedFile[]} */
+	const files = [];
+
+	for (const format of entry.formats) {
+		// The lockfile keeps track of these files, `gfcli update` must not touch them
+		const saved = await font.saveAtAsync(entry.variants, dest, format, { subsets: entry.subsets, record: false });
+		for (const result of saved) {
+			files.push({
+				variant: result.variant,
+				format: format,
+				url: result.url,
+				path: path.relative(manifest.dir, result.path).split(path.sep).join('/'),
+				sha256: await systemFont.checksum(result.path)
+			});
+		}
+		results = results.concat(saved);
+	}
+
+	return {
+		locked: {
+			family: font.getFamily(),
+			version: font.version,
+			lastModified: font.lastModified,
+			variants: entry.variants,
+			formats: entry.formats,
+			subsets: entry.subsets,
+			files: files
+		},
+		results: results
+	};
+}
+
+/**
+ * Bring the files of a manifest in line with its lockfile.
+ * Families whose lock entry still matches the manifest are only verified; the
+ * others are resolved against the catalog and downloaded. In frozen mode nothing
+ * is resolved: any difference between manifest, lockfile and disk is a problem.
+ * @param {ManifestData} manifest - Manifest to sync
+ * @param {SyncOptions} options - Lockfile, catalog access and mode
+ * @returns {Promise<SyncResult>} New lock data, downloaded files and problems
+ */
+async function sync(manifest, options) {
+	const previous = options.lock;
+	/** @type {SyncResult} */
+	const result = {
+		lock: { lockfileVersion: LOCKFILE_VERSION, destination: manifest.destination, fonts: {} },
+		downloaded: [],
+		verified: [],
+		failed: [],
+		problems: []
+	};
+
+	for (const entry of manifest.fonts) {
+		const key = entry.family.toLowerCase();
+		const locked = previous ? previous.fonts[key] : undefined;
+
+		if (satisfies(entry, locked)) {
+			const problems = await verifyLocked(locked, manifest.dir, !options.frozen);
+			if (problems.length === 0) {
+				result.lock.fonts[key] = locked;
+				result.verified.push(locked.family);
+				continue;
+			}
+			if (options.frozen) {
+				result.problems = result.problems.concat(problems);
+				result.failed.push({ family: locked.family, problems: problems });
+				continue;
+			}
+		} else if (options.frozen) {
+			result.problems.push('"' + entry.family + '" in ' + MANIFEST_FILE + ' does not match ' + LOCK_FILE);
+			continue;
+		}
+
+		try {
+			const font = await options.findFont(entry.family);
+			if (!font) {
+				result.problems.push('Unable to find font family "' + entry.family + '"');
+				continue;
+			}
+			const resolved = await resolveFont(entry, font, manifest);
+			result.lock.fonts[key] = resolved.locked;
+			result.downloaded = result.downloaded.concat(resolved.results);
+		} catch (err) {
+			result.problems.push(entry.family + ': ' + /** @type {Error} */ (err).message);
+		}
+	}
+
+	if (options.frozen && previous) {
+		const requested = manifest.fonts.map(function(entry) { return entry.family.toLowerCase(); });
+		Object.keys(previous.fonts).forEach(function(key) {
+			if (requested.indexOf(key) === -1) {
+				result.problems.push('"' + previous.fonts[key].family + '" is locked but no longer in ' + MANIFEST_FILE);
+			}
+		});
+	}
+
+	return result;
+}
+
+module.exports = {
+	readManifest,
+	readLock,
+	writeLock,
+	lockPathFor,
+	satisfies,
+	verifyLocked,
+	sync,
+	MANIFEST_FILE,
+	LOCK_FILE
+};
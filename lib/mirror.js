@@ -0,0 +1,143 @@
+'use strict'
+
+/**
+ * @typedef {import('./types').FontData} FontData
+ * @typedef {import('./types').FontFormat} FontFormat
+ * @typedef {import('./types').FontResult} FontResult
+ * @typedef {import('./types').GWFHVariant} GWFHVariant
+ * @typedef {import('./types').GoogleFontInstance} GoogleFontInstance
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const systemFont = require('./system-font');
+const MirrorProvider = require('./providers/mirror');
+
+/** @type {FontFormat[]} */
+const DEFAULT_FORMATS = ['ttf', 'woff2'];
+
+/**
+ * Whether a file exists
+ * @param {string} filePath - File path
+ * @returns {Promise<boolean>}
+ */
+async function exists(filePath) {
+	try {
+		await fs.access(filePath);
+		return true;
+	} catch (err) {
+		return false;
+	}
+}
+
+/**
+ * Catalog fields of a mirrored font
+ * @param {GoogleFontInstance} font - Catalog font
+ * @param {string[]} variants - Mirrored variants
+ * @returns {FontData} Font data for the mirror font list
+ */
+function describeFont(font, variants) {
+	return {
+		id: MirrorProvider.familyId(font),
+		family: font.getFamily(),
+		category: font.getCategory(),
+		variants: variants,
+		subsets: font.getSubsets(),
+		version: font.version,
+		lastModified: font.lastModified,
+		popularity: font.popularity,
+		variable: font.variable
+	};
+}
+
+/**
+ * Download the files of a family into a mirror and write its family file.
+ * Files already in the mirror are kept, so running it again only fetches what is missing.
+ * @param {GoogleFontInstance} font - Catalog font, from an online provider
+ * @param {string} dest - Mirror directory
+ * @param {FontFormat[]} [formats] - Formats to mirror, TTF and WOFF2 by default
+ * @returns {Promise<FontResult[]>} Files of the family in the mirror
+ * @throws {AggregateError} With the files saved so far in `results` if some files failed
+ */
+async function saveFamily(font, dest, formats) {
+	const root = path.resolve(dest);
+	const id = MirrorProvider.familyId(font);
+	const folder = path.join(root, MirrorProvider.FILES_DIR, id);
+	/** @type {Record<string, GWFHVariant>} */
+	const variants = {};
+	/** @type {FontResult[]} */
+	const resultList = [];
+	/** @type {Error[]} */
+	const errors = [];
+
+	for (const format of formats || DEFAULT_FORMATS) {
+		const fileList = await font._getFileMapAsync(format);
+		for (const variant of Object.keys(fileList)) {
+			const url = fileList[variant];
+			const name = font._fileName + '-' + variant;
+			const target = path.join(folder, name + path.parse(url).ext);
+			try {
+				const saved = await exists(target) ? target : await systemFont.saveAt(url, folder, name, { family: font.getFamily() });
+				variants[variant] = variants[variant] || { id: variant };
+				variants[variant][format] = path.relative(root, saved).split(path.sep).join('/');
+				resultList.push({ family: font.getFamily(), variant: variant, path: saved, url: url });
+			} catch (err) {
+				errors.push(/** @type {Error} */ (err));
+			}
+		}
+	}
+
+	if (errors.length > 0) {
+		const err = new AggregateError(errors, `Failed to mirror ${errors.length} file(s) of ${font.getFamily()}`);
+		/** @type {any} */ (err).results = resultList;
+		throw err;
+	}
+
+	// Same order as the catalog
+	const mirrored = font.getVariants().filter(function(v) { return variants[v]; })
+		.concat(Object.keys(variants).filter(function(v) { return font.getVariants().indexOf(v) === -1; }));
+	const familyFile = path.join(root, MirrorProvider.FAMILIES_DIR, id + '.json');
+	await fs.mkdir(path.dirname(familyFile), { recursive: true });
+	await fs.writeFile(familyFile, JSON.stringify(Object.assign(describeFont(font, mirrored), {
+		variants: mirrored.map(function(v) { return variants[v]; })
+	}), null, 2) + '\n', 'utf8');
+
+	return resultList;
+}
+
+/**
+ * Add families to the font list of a mirror, replacing older entries of the same family
+ * @param {string} dest - Mirror directory
+ * @param {GoogleFontInstance[]} fonts - Families saved with `saveFamily`
+ * @returns {Promise<string>} Path of the font list
+ */
+async function writeCatalog(dest, fonts) {
+	const root = path.resolve(dest);
+	const catalogFile = path.join(root, MirrorProvider.CATALOG_FILE);
+	/** @type {FontData[]} */
+	let catalog = [];
+	try {
+		catalog = JSON.parse(await fs.readFile(catalogFile, 'utf8'));
+	} catch (err) {
+		// No mirror yet (or an unreadable one): start a new list
+	}
+
+	for (const font of fonts) {
+		const familyFile = path.join(root, MirrorProvider.FAMILIES_DIR, MirrorProvider.familyId(font) + '.json');
+		const mirrored = JSON.parse(await fs.readFile(familyFile, 'utf8'));
+		const entry = describeFont(font, mirrored.variants.map(function(/** @type {GWFHVariant} */ v) { return v.id; }));
+		const index = catalog.findIndex(function(item) { return item.family === entry.family; });
+		if (index === -1) catalog.push(entry);
+		else catalog[index] = entry;
+	}
+
+	await fs.mkdir(root, { recursive: true });
+	await fs.writeFile(catalogFile, JSON.stringify(catalog, null, 2) + '\n', 'utf8');
+	return catalogFile;
+}
+
+module.exports = {
+	saveFamily,
+	writeCatalog,
+	DEFAULT_FORMATS
+};
@@ -0,0 +1,81 @@
+'use strict'
+
+/** @type {number} Number of tasks run at once when no concurrency is given */
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Runs asynchronous tasks, at most `concurrency` at once. Tasks start in the
+ * order they are queued; a task may queue more tasks in the same pool, but
+ * must not wait for them (it would hold a slot they need).
+ * @constructor
+ * @param {number} [concurrency] - Maximum number of running tasks, DEFAULT_CONCURRENCY by default
+ * @throws {Error} With code INVALID_ARGUMENT if the concurrency is not a positive integer
+ */
+function Pool(concurrency) {
+	if (!(this instanceof Pool))
+		return new Pool(concurrency);
+
+	if (concurrency !== undefined && (!Number.isInteger(concurrency) || concurrency < 1)) {
+		/** @type {Error & { code?: string }} */
+		const err = new Error('Invalid concurrency "' + concurrency + '", expected a positive integer');
+		err.code = 'INVALID_ARGUMENT';
+		throw err;
+	}
+	/** @type {number} */
+	this.concurrency = concurrency || DEFAULT_CONCURRENCY;
+	/** @type {number} Tasks running now */
+	this.running = 0;
+	/** @type {(() => void)[]} Tasks waiting for a slot */
+	this._queue = [];
+}
+
+/**
+ * Run a task as soon as a slot is free
+ * @template T
+ * @param {() => T | Promise<T>} task - Task
+ * @returns {Promise<T>} Result of the task
+ */
+Pool.prototype.run = function(task) {
+	var self = this;
+	return new Promise(function(resolve, reject) {
+		self._queue.push(function() {
+			self.running++;
+			new Promise(function(done) { done(task()); })
+				.then(resolve, reject)
+				.then(function() {
+					self.running--;
+					self._next();
+				});
+		});
+		self._next();
+	});
+};
+
+/**
+ * Run a task for each item. The outcomes are in the order of the items,
+ * whatever the order the tasks finish in.
+ * @template I, T
+ * @param {I[]} items - Items
+ * @param {(item: I, index: number) => T | Promise<T>} task - Task run for an item
+ * @returns {Promise<PromiseSettledResult<T>[]>} Outcome of each task
+ */
+Pool.prototype.map = function(items, task) {
+	var self = this;
+	return Promise.allSettled(items.map(function(item, index) {
+		return self.run(function() { return task(item, index); });
+	}));
+};
+
+/**
+ * Start queued tasks while there are free slots
+ * @returns {void}
+ */
+Pool.prototype._next = function() {
+	while (this.running < this.concurrency && this._queue.length > 0) {
+		/** @type {() => void} */ (this._queue.shift())();
+	}
+};
+
+Pool.DEFAULT_CONCURRENCY = DEFAULT_CONCURRENCY;
+
+module.exports = Pool;
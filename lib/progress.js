@@ -0,0 +1,70 @@
+'use strict'
+
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+
+/**
+ * Counts the files and bytes of downloads running at once, for a single progress
+ * line. `saveAtAsync` and `installAsync` plan the files of a family, count the
+ * bytes received and mark each file as done, failed or not.
+ * @constructor
+ * @fires Progress#update
+ */
+function Progress() {
+	if (!(this instanceof Progress))
+		return new Progress();
+
+	EventEmitter.call(this);
+	/** @type {number} Files done */
+	this.files = 0;
+	/** @type {number} Files planned */
+	this.totalFiles = 0;
+	/** @type {number} Bytes received */
+	this.bytes = 0;
+}
+
+util.inherits(Progress, EventEmitter);
+
+/**
+ * Add files to download
+ * @param {number} count - Number of files
+ * @returns {void}
+ */
+Progress.prototype.plan = function(count) {
+	this.totalFiles += count;
+	this._update();
+};
+
+/**
+ * Count received bytes
+ * @param {number} count - Number of bytes
+ * @returns {void}
+ */
+Progress.prototype.addBytes = function(count) {
+	this.bytes += count;
+	this._update();
+};
+
+/**
+ * Mark a file as done
+ * @returns {void}
+ */
+Progress.prototype.fileDone = function() {
+	this.files++;
+	this._update();
+};
+
+/**
+ * @returns {void}
+ */
+Progress.prototype._update = function() {
+	/**
+	 * Counters changed
+	 * @event Progress#update
+	 * @type {Progress}
+	 */
+	// @ts-ignore - emit inherited from EventEmitter
+	this.emit('update', this);
+};
+
+module.exports = Progress;
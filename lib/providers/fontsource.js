@@ -0,0 +1,156 @@
+'use strict'
+
+/**
+ * @typedef {import('../types').FontData} FontData
+ * @typedef {import('../types').FontFormat} FontFormat
+ * @typedef {import('../types').FontProvider} FontProvider
+ * @typedef {import('../types').GoogleFontInstance} GoogleFontInstance
+ */
+
+const Variable = require('./variable');
+
+/** @type {string} */
+const API_URL = 'https://api.fontsource.org/v1/fonts';
+/** @type {string} */
+const FILES_URL = 'https://cdn.jsdelivr.net/fontsource/fonts/';
+/** @type {string} */
+const PACKAGES_URL = 'https://cdn.jsdelivr.net/npm/@fontsource/';
+
+/**
+ * Fontsource slug of a font, derived from the family name when the catalog has none
+ * @param {GoogleFontInstance} font - Catalog font
+ * @returns {string} Font ID (e.g. 'roboto-mono')
+ */
+function fontId(font) {
+	return typeof font.id === 'string' ? font.id : font.getFamily().toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Variant ID of a weight and style, in the Google Fonts notation
+ * @param {number | string} weight - Font weight (e.g. 400)
+ * @param {string} style - 'normal' or 'italic'
+ * @returns {string} Variant ID (e.g. 'regular', '700italic')
+ */
+function variantId(weight, style) {
+	const italic = style === 'italic';
+	if (String(weight) === '400') return italic ? 'italic' : 'regular';
+	return weight + (italic ? 'italic' : '');
+}
+
+/**
+ * Weight and style of a variant ID
+ * @param {string} variant - Variant ID (e.g. 'regular', '700italic')
+ * @returns {{ weight: string, style: string }} Weight and style
+ */
+function parseVariant(variant) {
+	const style = /italic$/.test(variant) ? 'italic' : 'normal';
+	const weight = variant.replace(/italic$/, '').replace('regular', '');
+	return { weight: weight || '400', style: style };
+}
+
+/**
+ * Subset whose files are downloaded: the default subset of the family, else latin
+ * @param {GoogleFontInstance} font - Catalog font
+ * @returns {string} Subset name
+ */
+function fileSubset(font) {
+	if (typeof font.defSubset === 'string') return font.defSubset;
+	const subsets = font.getSubsets();
+	return subsets.indexOf('latin') !== -1 || !subsets.length ? 'latin' : subsets[0];
+}
+
+/**
+ * Fontsource: Google Fonts packaged as npm modules and served by jsDelivr.
+ * Files follow a fixed layout (`<id>@latest/<subset>-<weight>-<style>.<format>`),
+ * so only the catalog needs the API. Each file holds a single subset.
+ * @type {FontProvider}
+ */
+const fontsource = {
+	name: 'fontsource',
+	label: 'Fontsource API',
+	listUrl: API_URL,
+	cacheFile: 'cache-fontsource.json',
+
+	/**
+	 * Convert the Fontsource catalog, keeping the Google Fonts only
+	 * @param {any} json - Parsed font list
+	 * @returns {FontData[]} Font data
+	 */
+	parseList: function(json) {
+		return json.filter(/** @param {any} item */ function(item) {
+			return item && item.family && (!item.type || item.type === 'google');
+		}).map(/** @param {any} item */ function(item) {
+			const weights = (item.weights || []).slice().sort(function(/** @type {number} */ a, /** @type {number} */ b) { return a - b; });
+			// Upright before italic, as in the Google Fonts catalog
+			const styles = (item.styles || ['normal']).slice().sort(function(/** @type {string} */ a, /** @type {string} */ b) {
+				return Number(a === 'italic') - Number(b === 'italic');
+			});
+			/** @type {string[]} */
+			const variants = [];
+			weights.forEach(function(/** @type {number} */ weight) {
+				styles.forEach(function(/** @type {string} */ style) {
+					variants.push(variantId(weight, style));
+				});
+			});
+			return {
+				id: item.id,
+				family: item.family,
+				category: item.category,
+				variants: variants,
+				subsets: item.subsets || [],
+				defSubset: item.defSubset,
+				version: item.version,
+				lastModified: item.lastModified,
+				// Spares the axis requests of `variable` queries for the static families
+				variable: typeof item.variable === 'boolean' ? item.variable : undefined
+			};
+		});
+	},
+
+	/**
+	 * @param {GoogleFontInstance} font - Catalog font
+	 * @returns {string} Family endpoint
+	 */
+	familyUrl: function(font) {
+		return API_URL + '/' + fontId(font);
+	},
+
+	/**
+	 * Build the file URLs of a family from the catalog data
+	 * @param {GoogleFontInstance} font - Catalog font
+	 * @param {FontFormat} format - Font format
+	 * @param {string[]} [subsets] - Subset of the files, at most one; the default subset otherwise
+	 * @returns {Promise<Record<string, string>>} Map of variant ID to download URL
+	 */
+	getFileMapAsync: function(font, format, subsets) {
+		if (subsets && subsets.length > 1) {
+			/** @type {Error & { code?: string }} */
+			const err = new Error('Fontsource files hold a single subset, got ' + subsets.join(', '));
+			err.code = 'INVALID_ARGUMENT';
+			return Promise.reject(err);
+		}
+		const subset = subsets && subsets.length ? subsets[0] : fileSubset(font);
+		const base = FILES_URL + fontId(font) + '@latest/' + subset + '-';
+		/** @type {Record<string, string>} */
+		const files = {};
+		font.getVariants().forEach(function(variant) {
+			const parsed = parseVariant(variant);
+			files[variant] = base + parsed.weight + '-' + parsed.style + '.' + format;
+		});
+		return Promise.resolve(files);
+	},
+
+	/**
+	 * @param {GoogleFontInstance} font - Catalog font
+	 * @returns {string} Stylesheet of the npm package
+	 */
+	cssUrl: function(font) {
+		return PACKAGES_URL + fontId(font) + '/index.css';
+	},
+
+	// Variable fonts: axes from the Fontsource API, files from the Google Fonts stylesheet
+	getAxesAsync: Variable.getAxesAsync,
+	getVariableFileMapAsync: Variable.getVariableFileMapAsync
+};
+
+module.exports = fontsource;
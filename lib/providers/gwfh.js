@@ -0,0 +1,119 @@
+'use strict'
+
+/**
+ * @typedef {import('../types').FontData} FontData
+ * @typedef {import('../types').FontFormat} FontFormat
+ * @typedef {import('../types').FontProvider} FontProvider
+ * @typedef {import('../types').GWFHFontResponse} GWFHFontResponse
+ * @typedef {import('../types').GoogleFontInstance} GoogleFontInstance
+ */
+
+const Request = require('../request');
+const Cache = require('../cache');
+const Variable = require('./variable');
+
+/** @type {string} */
+const API_URL = 'https://gwfh.mranftl.com/api/fonts';
+
+/**
+ * Request the family endpoint of a font
+ * @param {GoogleFontInstance} font - Catalog font
+ * @param {string} uri - Family endpoint, with the subsets query if any
+ * @returns {Promise<string>} Raw response
+ */
+function fetchFamily(font, uri) {
+	const options = {
+		headers: { 'User-Agent': 'google-font-installer-tin' }
+	};
+
+	return new Promise((resolve, reject) => {
+		const request = new Request(uri, options);
+		// @ts-ignore - Request inherits from PassThrough which has EventEmitter
+		request.on('success', resolve);
+		// @ts-ignore - Request inherits from PassThrough which has EventEmitter
+		request.on('error', /** @param {Error & { statusCode?: number }} err */ (err) => {
+			reject(err.statusCode ? new Error('GWFH API returned ' + err.statusCode + ' for ' + font.getFamily()) : err);
+		});
+	});
+}
+
+/**
+ * google-webfonts-helper: the catalog and TTF/WOFF2 files of Google Fonts, without an API key
+ * @type {FontProvider}
+ */
+const gwfh = {
+	name: 'gwfh',
+	label: 'GWFH API',
+	listUrl: API_URL,
+	cacheFile: 'cache.json',
+
+	/**
+	 * The font list is already made of FontData objects
+	 * @param {any} json - Parsed font list
+	 * @returns {FontData[]} Font data
+	 */
+	parseList: function(json) {
+		return json;
+	},
+
+	/**
+	 * @param {GoogleFontInstance} font - Catalog font
+	 * @returns {string} Family endpoint
+	 */
+	familyUrl: function(font) {
+		return API_URL + '/' + font.getFamily().toLowerCase().replace(/\s/g, '-');
+	},
+
+	/**
+	 * Fetch the file URLs of a family from its endpoint. Responses are cached
+	 * (see `Cache.readFamily`) until they expire or the catalog has a new version of the font.
+	 * With subsets, the endpoint serves files holding all of them.
+	 * @param {GoogleFontInstance} font - Catalog font
+	 * @param {FontFormat} format - Font format
+	 * @param {string[]} [subsets] - Subsets of the files, the default subset otherwise
+	 * @returns {Promise<Record<string, string>>} Map of variant ID to download URL
+	 */
+	getFileMapAsync: async function(font, format, subsets) {
+		const uri = subsets && subsets.length ? font.apiUrl + '?subsets=' + subsets.join(',') : font.apiUrl;
+		const cached = await Cache.readFamily(uri, font.version);
+		const data = cached === null ? await fetchFamily(font, uri) : cached;
+
+		/** @type {GWFHFontResponse} */
+		let json;
+		try {
+			json = JSON.parse(data);
+		} catch (e) {
+			throw new Error('Failed to parse GWFH JSON response');
+		}
+		if (!json || !Array.isArray(json.variants)) {
+			throw new Error('Failed to parse GWFH JSON response');
+		}
+		if (cached === null) await Cache.writeFamily(uri, data, font.version);
+
+		/** @type {Record<string, string>} */
+		const files = {};
+		json.variants.forEach((v) => {
+			// Map variants to IDs based on requested format
+			if (format === 'woff2' && v.woff2) {
+				files[v.id] = v.woff2;
+			} else if (format === 'ttf' && v.ttf) {
+				files[v.id] = v.ttf;
+			}
+		});
+		return files;
+	},
+
+	/**
+	 * @param {GoogleFontInstance} font - Catalog font
+	 * @returns {string} Google Fonts stylesheet URL
+	 */
+	cssUrl: function(font) {
+		return 'https://fonts.googleapis.com/css?family=' + font.getFamily().replace(/\s/g, "+");
+	},
+
+	// Variable fonts: axes from the Fontsource API, files from the Google Fonts stylesheet
+	getAxesAsync: Variable.getAxesAsync,
+	getVariableFileMapAsync: Variable.getVariableFileMapAsync
+};
+
+module.exports = gwfh;
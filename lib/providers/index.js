@@ -0,0 +1,73 @@
+'use strict'
+
+/**
+ * @typedef {import('../types').FontProvider} FontProvider
+ */
+
+const os = require('os');
+const path = require('path');
+const Mirror = require('./mirror');
+
+/** @type {Record<string, FontProvider>} Available providers by name */
+const PROVIDERS = {
+	gwfh: require('./gwfh'),
+	fontsource: require('./fontsource')
+};
+
+/** @type {string} */
+const DEFAULT_PROVIDER = 'gwfh';
+
+/** @type {string} Environment variable selecting the provider */
+const PROVIDER_ENV = 'GFCLI_PROVIDER';
+
+/** @type {string} Environment variable setting the mirror directory of offline mode */
+const MIRROR_ENV = 'GFCLI_MIRROR';
+
+/** @type {string} */
+const DEFAULT_MIRROR_DIR = path.join(os.homedir(), '.gfcli', 'mirror');
+
+/**
+ * Names of the available providers
+ * @returns {string[]} Provider names
+ */
+function names() {
+	return Object.keys(PROVIDERS);
+}
+
+/**
+ * Get a provider by name. Without a name, the one set in GFCLI_PROVIDER, else the default.
+ * @param {string | FontProvider} [provider] - Provider name, or a provider returned as is
+ * @returns {FontProvider} Provider
+ * @throws {Error} With code INVALID_ARGUMENT if there is no such provider
+ */
+function get(provider) {
+	if (provider && typeof provider === 'object') return provider;
+
+	const name = String(provider || process.env[PROVIDER_ENV] || DEFAULT_PROVIDER).trim().toLowerCase();
+	if (!Object.prototype.hasOwnProperty.call(PROVIDERS, name)) {
+		/** @type {Error & { code?: string }} */
+		const err = new Error('Unknown font provider "' + name + '" (available: ' + names().join(', ') + ')');
+		err.code = 'INVALID_ARGUMENT';
+		throw err;
+	}
+	return PROVIDERS[name];
+}
+
+/**
+ * Get the offline provider reading a font mirror
+ * @param {string} [dir] - Mirror directory, GFCLI_MIRROR or `~/.gfcli/mirror` by default
+ * @returns {FontProvider} Provider
+ */
+function mirror(dir) {
+	return Mirror.createMirror(dir || process.env[MIRROR_ENV] || DEFAULT_MIRROR_DIR);
+}
+
+module.exports = {
+	get,
+	names,
+	mirror,
+	DEFAULT_PROVIDER,
+	PROVIDER_ENV,
+	DEFAULT_MIRROR_DIR,
+	MIRROR_ENV
+};
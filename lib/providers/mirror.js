@@ -0,0 +1,130 @@
+'use strict'
+
+/**
+ * @typedef {import('../types').FontData} FontData
+ * @typedef {import('../types').FontFormat} FontFormat
+ * @typedef {import('../types').FontProvider} FontProvider
+ * @typedef {import('../types').GWFHFontResponse} GWFHFontResponse
+ * @typedef {import('../types').GoogleFontInstance} GoogleFontInstance
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const url = require('url');
+const gwfh = require('./gwfh');
+
+/** @type {string} Font list, in the format of the GWFH list endpoint */
+const CATALOG_FILE = 'fonts.json';
+/** @type {string} Folder of the family files, in the format of the GWFH family endpoint */
+const FAMILIES_DIR = 'fonts';
+/** @type {string} Folder of the font files, one subfolder per family */
+const FILES_DIR = 'files';
+
+/**
+ * Folder and file name of a family in a mirror (e.g. 'roboto-mono')
+ * @param {GoogleFontInstance} font - Catalog font
+ * @returns {string} Family ID
+ */
+function familyId(font) {
+	return typeof font.id === 'string' ? font.id : font.getFamily().toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Provider reading a font mirror written by `gfcli mirror`, without any network access:
+ *
+ *     <dir>/fonts.json              font list
+ *     <dir>/fonts/<id>.json         family, with file paths relative to <dir>
+ *     <dir>/files/<id>/<file>       font files
+ *
+ * Font files are returned as file: URLs.
+ * @param {string} dir - Mirror directory
+ * @returns {FontProvider} Provider
+ */
+function createMirror(dir) {
+	const root = path.resolve(dir);
+	const catalog = path.join(root, CATALOG_FILE);
+
+	return {
+		name: 'mirror',
+		label: 'Font mirror',
+		listUrl: url.pathToFileURL(catalog).href,
+		// The mirror is already on disk, there is nothing to cache
+		cacheFile: null,
+
+		/**
+		 * Read the font list from the mirror
+		 * @returns {Promise<string>} Raw JSON
+		 */
+		fetchList: async function() {
+			try {
+				return await fs.readFile(catalog, 'utf8');
+			} catch (err) {
+				if (/** @type {NodeJS.ErrnoException} */ (err).code !== 'ENOENT') throw err;
+				throw new Error('No font mirror in ' + root + ', create one with "gfcli mirror ' + dir + '"');
+			}
+		},
+
+		/**
+		 * The font list is already made of FontData objects
+		 * @param {any} json - Parsed font list
+		 * @returns {FontData[]} Font data
+		 */
+		parseList: function(json) {
+			return json;
+		},
+
+		/**
+		 * @param {GoogleFontInstance} font - Catalog font
+		 * @returns {string} Path of the family file
+		 */
+		familyUrl: function(font) {
+			return path.join(root, FAMILIES_DIR, familyId(font) + '.json');
+		},
+
+		/**
+		 * Read the file paths of a family from its family file. The mirror only
+		 * has the files of the default subset.
+		 * @param {GoogleFontInstance} font - Catalog font
+		 * @param {FontFormat} format - Font format
+		 * @param {string[]} [subsets] - Subsets of the files, only the default one is available
+		 * @returns {Promise<Record<string, string>>} Map of variant ID to file: URL
+		 */
+		getFileMapAsync: async function(font, format, subsets) {
+			/** @type {GWFHFontResponse} */
+			let json;
+			try {
+				json = JSON.parse(await fs.readFile(font.apiUrl, 'utf8'));
+			} catch (err) {
+				if (/** @type {NodeJS.ErrnoException} */ (err).code === 'ENOENT') {
+					throw new Error(font.getFamily() + ' is not in the font mirror ' + root);
+				}
+				throw new Error('Failed to parse the mirror file of ' + font.getFamily());
+			}
+			const defSubset = typeof json.defSubset === 'string' ? json.defSubset : 'latin';
+			if (subsets && subsets.length && (subsets.length > 1 || subsets[0] !== defSubset)) {
+				/** @type {Error & { code?: string }} */
+				const err = new Error('The font mirror only has the ' + defSubset + ' subset of ' + font.getFamily());
+				err.code = 'INVALID_ARGUMENT';
+				throw err;
+			}
+
+			/** @type {Record<string, string>} */
+			const files = {};
+			json.variants.forEach((v) => {
+				const file = v[format];
+				if (file) files[v.id] = url.pathToFileURL(path.resolve(root, file)).href;
+			});
+			return files;
+		},
+
+		cssUrl: gwfh.cssUrl
+	};
+}
+
+module.exports = {
+	createMirror,
+	familyId,
+	CATALOG_FILE,
+	FAMILIES_DIR,
+	FILES_DIR
+};
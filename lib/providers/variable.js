@@ -0,0 +1,206 @@
+'use strict'
+
+/**
+ * @typedef {import('../types').FontFormat} FontFormat
+ * @typedef {import('../types').GoogleFontInstance} GoogleFontInstance
+ * @typedef {import('../types').VariationAxis} VariationAxis
+ */
+
+const Request = require('../request');
+const Cache = require('../cache');
+
+/** @type {string} */
+const AXES_URL = 'https://api.fontsource.org/v1/variable/';
+/** @type {string} */
+const CSS2_URL = 'https://fonts.googleapis.com/css2';
+
+/**
+ * Google Fonts serves TTF files to unknown browsers and WOFF2 files,
+ * split by subset, to the ones that support them
+ * @type {string}
+ */
+const WOFF2_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+/** @type {string} Subset of the WOFF2 files when none is requested, if the stylesheet splits the font */
+const WOFF2_SUBSET = 'latin';
+
+/**
+ * Request a text resource
+ * @param {string} url - Resource URL
+ * @param {Record<string, string>} headers - Request headers
+ * @returns {Promise<string>} Response body
+ */
+function fetchText(url, headers) {
+	return new Promise((resolve, reject) => {
+		const request = new Request(url, { headers: headers });
+		// @ts-ignore - Request inherits from PassThrough which has EventEmitter
+		request.on('success', resolve);
+		// @ts-ignore - Request inherits from PassThrough which has EventEmitter
+		request.on('error', reject);
+	});
+}
+
+/**
+ * Read a response from the cache, else request and cache it
+ * @param {string} key - Cache key
+ * @param {GoogleFontInstance} font - Catalog font, whose version invalidates the response
+ * @param {() => Promise<string>} fetch - Request the response
+ * @returns {Promise<string>} Response body
+ */
+async function cachedText(key, font, fetch) {
+	const cached = await Cache.readFamily(key, font.version);
+	if (cached !== null) return cached;
+	const body = await fetch();
+	await Cache.writeFamily(key, body, font.version);
+	return body;
+}
+
+/**
+ * Sort axes as Google Fonts does: lowercase (registered) tags first, then uppercase ones, each alphabetically
+ * @param {VariationAxis[]} axes - Axes
+ * @returns {VariationAxis[]} Sorted copy
+ */
+function sortAxes(axes) {
+	return axes.slice().sort(function(a, b) {
+		const ca = a.tag[0] === a.tag[0].toUpperCase() ? 1 : 0;
+		const cb = b.tag[0] === b.tag[0].toUpperCase() ? 1 : 0;
+		if (ca !== cb) return ca - cb;
+		return a.tag < b.tag ? -1 : a.tag > b.tag ? 1 : 0;
+	});
+}
+
+/**
+ * Variation axes of a family, from the Fontsource API. Families without a
+ * variable version answer 404, which gives no axes. The `ital` axis is added
+ * when the catalog has italic variants, since Google Fonts serves them as a second file.
+ * @param {GoogleFontInstance} font - Catalog font
+ * @returns {Promise<VariationAxis[]>} Axes, sorted as in Google Fonts file names
+ */
+async function getAxesAsync(font) {
+	const id = typeof font.id === 'string' ? font.id : font.getFamily().toLowerCase().replace(/\s+/g, '-');
+	const url = AXES_URL + id;
+	const body = await cachedText(url, font, () => fetchText(url, {}).catch(/** @param {Error & { statusCode?: number }} err */ (err) => {
+		if (err.statusCode === 404) return '{}';
+		throw err.statusCode ? new Error('Fontsource API returned ' + err.statusCode + ' for the axes of ' + font.getFamily()) : err;
+	}));
+
+	/** @type {any} */
+	let json;
+	try {
+		json = JSON.parse(body);
+	} catch (e) {
+		throw new Error('Failed to parse Fontsource variable axes');
+	}
+	const data = (json && json.axes) || {};
+	/** @type {VariationAxis[]} */
+	const axes = Object.keys(data).map(function(tag) {
+		return {
+			tag: tag,
+			min: Number(data[tag].min),
+			default: Number(data[tag].default),
+			max: Number(data[tag].max)
+		};
+	}).filter(function(axis) {
+		return !isNaN(axis.min) && !isNaN(axis.max) && !isNaN(axis.default);
+	});
+	const italic = font.getVariants().some(function(v) { return /italic$/.test(v); });
+	if (axes.length && italic && !axes.some(function(axis) { return axis.tag === 'ital'; })) {
+		axes.push({ tag: 'ital', min: 0, default: 0, max: 1 });
+	}
+	return sortAxes(axes);
+}
+
+/**
+ * Google Fonts stylesheet of the full ranges of the axes, with an upright and
+ * an italic face when there is an `ital` axis
+ * @param {GoogleFontInstance} font - Catalog font
+ * @param {VariationAxis[]} axes - Axes of `getAxesAsync`
+ * @returns {string} css2 URL (e.g. `...?family=Inter:ital,wght@0,100..900;1,100..900`)
+ */
+function css2Url(font, axes) {
+	const sorted = sortAxes(axes);
+	const ranges = sorted.map(function(axis) {
+		return axis.tag === 'ital' ? null : axis.min === axis.max ? String(axis.min) : axis.min + '..' + axis.max;
+	});
+	const styles = sorted.some(function(axis) { return axis.tag === 'ital'; }) ? ['0', '1'] : [null];
+	const tuples = styles.map(function(style) {
+		return ranges.map(function(range) { return range === null ? style : range; }).join(',');
+	});
+	return CSS2_URL + '?family=' + font.getFamily().replace(/\s/g, '+') + ':' +
+		sorted.map(function(axis) { return axis.tag; }).join(',') + '@' + tuples.join(';');
+}
+
+/**
+ * Faces of a stylesheet, with the subset named in the comment before each one
+ * @param {string} css - Stylesheet
+ * @returns {{ subset: string | null, style: string, url: string }[]} Faces, in order
+ */
+function parseFaces(css) {
+	/** @type {{ subset: string | null, style: string, url: string }[]} */
+	const faces = [];
+	const re = /(?:\/\*\s*([\w-]+)\s*\*\/\s*)?@font-face\s*\{([^}]*)\}/g;
+	let match;
+	while ((match = re.exec(css)) !== null) {
+		const style = /font-style:\s*(\w+)/.exec(match[2]);
+		const url = /url\(\s*['"]?([^'")]+)['"]?\s*\)/.exec(match[2]);
+		if (url) faces.push({ subset: match[1] || null, style: style ? style[1] : 'normal', url: url[1] });
+	}
+	return faces;
+}
+
+/**
+ * Variant ID of a variable file: the range of its weight axis, 'italic' appended
+ * for the italic file. Without a weight axis, the range is the normal weight.
+ * @param {VariationAxis[]} axes - Axes of the font
+ * @param {boolean} italic - Whether the file is the italic one
+ * @returns {string} Variant ID (e.g. '100..900', '100..900italic')
+ */
+function variantId(axes, italic) {
+	const wght = axes.filter(function(axis) { return axis.tag === 'wght'; })[0];
+	return (wght ? wght.min + '..' + wght.max : '400..400') + (italic ? 'italic' : '');
+}
+
+/**
+ * Fetch the URLs of the variable files of a family from the Google Fonts
+ * stylesheet of its axes. TTF files hold every subset. WOFF2 files of a split
+ * font hold one: the requested one, else latin.
+ * @param {GoogleFontInstance} font - Catalog font
+ * @param {FontFormat} format - Font format
+ * @param {VariationAxis[]} axes - Axes of `getAxesAsync`
+ * @param {string[]} [subsets] - Subset of the WOFF2 files, at most one
+ * @returns {Promise<Record<string, string>>} Map of variant ID to download URL
+ * @throws {Error} With code INVALID_ARGUMENT if several WOFF2 subsets are requested
+ */
+async function getVariableFileMapAsync(font, format, axes, subsets) {
+	const requested = format === 'woff2' && subsets && subsets.length ? subsets : null;
+	if (requested && requested.length > 1) {
+		/** @type {Error & { code?: string }} */
+		const err = new Error('Variable WOFF2 files hold a single subset, got ' + requested.join(', '));
+		err.code = 'INVALID_ARGUMENT';
+		throw err;
+	}
+	const wanted = requested ? requested[0] : WOFF2_SUBSET;
+	const url = css2Url(font, axes);
+	const headers = format === 'woff2' ? { 'User-Agent': WOFF2_USER_AGENT } : {};
+	const css = await cachedText(url + '#' + format, font, () => fetchText(url, headers).catch(/** @param {Error & { statusCode?: number }} err */ (err) => {
+		throw err.statusCode ? new Error('Google Fonts returned ' + err.statusCode + ' for the variable font of ' + font.getFamily()) : err;
+	}));
+
+	/** @type {Record<string, string>} */
+	const files = {};
+	parseFaces(css).forEach(function(face) {
+		const id = variantId(axes, face.style === 'italic');
+		// Prefer the file of the wanted subset; a requested subset has no fallback in a split font
+		if (face.subset === wanted || (!files[id] && (!requested || face.subset === null))) files[id] = face.url;
+	});
+	return files;
+}
+
+module.exports = {
+	getAxesAsync,
+	getVariableFileMapAsync,
+	css2Url,
+	parseFaces,
+	sortAxes,
+	variantId
+};
@@ -0,0 +1,292 @@
+'use strict'
+
+/**
+ * @typedef {import('./types').RegistryEntry} RegistryEntry
+ * @typedef {import('./types').RegistryPayload} RegistryPayload
+ * @typedef {import('./types').InstalledFontStatus} InstalledFontStatus
+ * @typedef {import('./types').RegistryKind} RegistryKind
+ * @typedef {import('./types').UpdatePlanItem} UpdatePlanItem
+ * @typedef {import('./types').GoogleFontInstance} GoogleFontInstance
+ * @typedef {import('./types').RegistrySettings} RegistrySettings
+ */
+
+var fs = require('fs');
+var path = require('path');
+var os = require('os');
+var FontFace = require('./font-face');
+
+/** @type {string} Default data directory, when neither GFCLI_DATA_DIR nor XDG_DATA_HOME is set */
+const REGISTRY_DIR = path.join(os.homedir(), '.gfcli');
+/** @type {string} Registry file in the default data directory */
+const REGISTRY_FILE = path.join(REGISTRY_DIR, 'installed.json');
+/** @type {string} Environment variable overriding the data directory */
+const DATA_DIR_ENV = 'GFCLI_DATA_DIR';
+/** @type {number} */
+const REGISTRY_VERSION = 1;
+
+/** @type {RegistrySettings} Process-wide settings, see `configure` */
+const settings = { dir: undefined };
+
+/**
+ * Change the process-wide registry settings. Omitted settings are left unchanged.
+ * @param {RegistrySettings} options - Data directory holding the registry
+ * @returns {void}
+ */
+function configure(options) {
+	if (options.dir !== undefined) settings.dir = options.dir || undefined;
+}
+
+/**
+ * Directory of the registry: the configured one, else GFCLI_DATA_DIR, else
+ * `$XDG_DATA_HOME/gfcli`, else `~/.gfcli`
+ * @returns {string} Data directory
+ */
+function getDataDir() {
+	if (settings.dir) return path.resolve(settings.dir);
+	if (process.env[DATA_DIR_ENV]) return path.resolve(process.env[DATA_DIR_ENV]);
+	if (process.env.XDG_DATA_HOME) return path.join(process.env.XDG_DATA_HOME, 'gfcli');
+	return REGISTRY_DIR;
+}
+
+/**
+ * Path of the registry file
+ * @returns {string} `installed.json` of the data directory
+ */
+function getRegistryFile() {
+	return path.join(getDataDir(), 'installed.json');
+}
+
+/**
+ * Pending registry mutation; writes are chained so concurrent
+ * installs never overwrite each other's entries
+ * @type {Promise<any>}
+ */
+var queue = Promise.resolve();
+
+/**
+ * Read every entry recorded in the registry
+ * @returns {Promise<RegistryEntry[]>} Recorded entries (empty if no registry exists yet)
+ * @throws {Error} If the registry file exists but cannot be parsed
+ */
+async function readRegistry() {
+	const file = getRegistryFile();
+	var content;
+	try {
+		content = await fs.promises.readFile(file, 'utf8');
+	} catch (err) {
+		if (/** @type {NodeJS.ErrnoException} */ (err).code === 'ENOENT') return [];
+		throw err;
+	}
+
+	try {
+		/** @type {RegistryPayload} */
+		const parsed = JSON.parse(content);
+		if (!parsed || !Array.isArray(parsed.fonts)) throw new Error('missing fonts array');
+		return parsed.fonts;
+	} catch (err) {
+		const error = new Error('Installation registry ' + file + ' is corrupted');
+		error.cause = err;
+		throw error;
+	}
+}
+
+/**
+ * Replace the registry content, writing through a temporary file
+ * so an interrupted write never leaves a truncated registry behind
+ * @param {RegistryEntry[]} entries - Entries to persist
+ * @returns {Promise<void>}
+ */
+async function writeRegistry(entries) {
+	const file = getRegistryFile();
+	await fs.promises.mkdir(path.dirname(file), { recursive: true });
+	/** @type {RegistryPayload} */
+	const payload = { version: REGISTRY_VERSION, fonts: entries };
+	const tmpFile = file + '.' + process.pid + '.tmp';
+	await fs.promises.writeFile(tmpFile, JSON.stringify(payload, null, 2), 'utf8');
+	await fs.promises.rename(tmpFile, file);
+}
+
+/**
+ * Apply a mutation to the registry once all previous mutations have settled
+ * @param {(entries: RegistryEntry[]) => RegistryEntry[]} mutator - Returns the new entry list
+ * @returns {Promise<RegistryEntry[]>} Entries after the mutation
+ */
+function update(mutator) {
+	const next = queue.then(async function() {
+		const entries = mutator(await readRegistry());
+		await writeRegistry(entries);
+		return entries;
+	});
+	// Keep the chain alive even if this mutation fails
+	queue = next.catch(function() {});
+	return next;
+}
+
+/**
+ * Record installed files; an entry for the same path replaces the old one
+ * @param {RegistryEntry[]} entries - Entries to record
+ * @returns {Promise<void>}
+ */
+async function record(entries) {
+	if (!entries.length) return;
+	const paths = entries.map(function(e) { return path.resolve(e.path); });
+	await update(function(current) {
+		return current
+			.filter(function(e) { return paths.indexOf(path.resolve(e.path)) === -1; })
+			.concat(entries);
+	});
+}
+
+/**
+ * Forget recorded files
+ * @param {string[]} filePaths - Paths of the entries to remove
+ * @returns {Promise<void>}
+ */
+async function remove(filePaths) {
+	if (!filePaths.length) return;
+	const paths = filePaths.map(function(p) { return path.resolve(p); });
+	await update(function(current) {
+		return current.filter(function(e) { return paths.indexOf(path.resolve(e.path)) === -1; });
+	});
+}
+
+/**
+ * Get how a recorded file was written; entries from before downloads were tracked are installs
+ * @param {RegistryEntry} entry - Recorded file
+ * @returns {RegistryKind} Entry kind
+ */
+function kindOf(entry) {
+	return entry.kind || 'install';
+}
+
+/**
+ * Find recorded files of a family, optionally restricted to some variants
+ * @param {string} family - Family name (case insensitive)
+ * @param {string[] | false} [variants] - Normalized variant IDs, or false for all
+ * @param {RegistryKind} [kind] - Only return installed or downloaded files
+ * @returns {Promise<RegistryEntry[]>} Matching entries
+ */
+async function find(family, variants, kind) {
+	const term = family.trim().toLowerCase();
+	const entries = await readRegistry();
+	return entries.filter(function(e) {
+		if (e.family.toLowerCase() !== term) return false;
+		if (kind && kindOf(e) !== kind) return false;
+		return !variants || !variants.length || variants.indexOf(e.variant) !== -1;
+	});
+}
+
+/**
+ * Tell whether the catalog publishes a newer version than the recorded one
+ * @param {RegistryEntry} entry - Recorded file
+ * @param {GoogleFontInstance} font - Current catalog font
+ * @returns {boolean | undefined} undefined when there is nothing to compare
+ */
+function isOutdated(entry, font) {
+	if (entry.version && font.version) {
+		if (entry.version !== font.version) return true;
+	}
+	if (entry.lastModified && font.lastModified) {
+		// Dates are YYYY-MM-DD strings, so they compare lexicographically
+		return font.lastModified > entry.lastModified;
+	}
+	if (entry.version && font.version) return false;
+	return undefined;
+}
+
+/**
+ * Compare recorded files with the disk and with the current catalog
+ * @param {RegistryEntry[]} entries - Recorded files
+ * @param {GoogleFontInstance[]} catalog - Fonts of a loaded GoogleFontList
+ * @returns {Promise<InstalledFontStatus[]>} One status per entry, in the same order
+ */
+async function status(entries, catalog) {
+	/** @type {Record<string, GoogleFontInstance>} */
+	const byFamily = {};
+	catalog.forEach(function(font) {
+		byFamily[font.getFamily().toLowerCase()] = font;
+	});
+
+	return Promise.all(entries.map(async function(entry) {
+		const font = byFamily[entry.family.toLowerCase()];
+		/** @type {InstalledFontStatus} */
+		const result = Object.assign({}, entry, {
+			kind: kindOf(entry),
+			latestVersion: font ? font.version : undefined,
+			latestLastModified: font ? font.lastModified : undefined,
+			status: /** @type {InstalledFontStatus['status']} */ ('current')
+		});
+
+		try {
+			await fs.promises.access(entry.path);
+		} catch (err) {
+			result.status = 'missing';
+			return result;
+		}
+
+		const outdated = font ? isOutdated(entry, font) : undefined;
+		if (outdated === undefined) {
+			result.status = 'unknown';
+		} else if (outdated) {
+			result.status = 'outdated';
+		}
+		return result;
+	}));
+}
+
+/**
+ * Group outdated files into the operations needed to refresh them.
+ * Installs are grouped per family and scope; downloads per family, folder and format.
+ * Variable fonts, and files of other subsets, are kept apart from the static
+ * files of the same family.
+ * @param {InstalledFontStatus[]} statuses - Result of `status`
+ * @returns {UpdatePlanItem[]} Operations, in registry order
+ */
+function planUpdate(statuses) {
+	/** @type {Map<string, UpdatePlanItem>} */
+	const plan = new Map();
+
+	statuses.forEach(function(s) {
+		if (s.status !== 'outdated') return;
+		const kind = kindOf(s);
+		const format = s.format || 'ttf';
+		const dest = kind === 'download' ? path.dirname(s.path) : undefined;
+		const variable = FontFace.isVariableVariant(s.variant);
+		const key = [s.family.toLowerCase(), kind, format, dest, variable, (s.subsets || []).join(','), s.scope].join('\0');
+
+		if (!plan.has(key)) {
+			plan.set(key, {
+				family: s.family,
+				kind: kind,
+				format: format,
+				dest: dest,
+				variants: [],
+				variable: variable,
+				subsets: s.subsets,
+				scope: s.scope,
+				from: s.version || s.lastModified,
+				to: s.latestVersion || s.latestLastModified
+			});
+		}
+		const item = plan.get(key);
+		if (item.variants.indexOf(s.variant) === -1) item.variants.push(s.variant);
+	});
+
+	return Array.from(plan.values());
+}
+
+module.exports = {
+	configure,
+	getDataDir,
+	getRegistryFile,
+	readRegistry,
+	record,
+	remove,
+	find,
+	kindOf,
+	isOutdated,
+	status,
+	planUpdate,
+	REGISTRY_FILE,
+	DATA_DIR_ENV
+};
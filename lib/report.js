@@ -0,0 +1,244 @@
+'use strict'
+
+/**
+ * @typedef {import('./types').FontResult} FontResult
+ * @typedef {import('./types').GoogleFontInstance} GoogleFontInstance
+ * @typedef {import('./types').ReportError} ReportError
+ * @typedef {import('./types').ReportFamily} ReportFamily
+ * @typedef {import('./types').ReportFamilyStatus} ReportFamilyStatus
+ * @typedef {import('./types').ReportFile} ReportFile
+ * @typedef {import('./types').ReportFont} ReportFont
+ * @typedef {import('./types').ReportDocument} ReportDocument
+ */
+
+/** @type {number} Version of the JSON document shape, bumped on breaking changes */
+const SCHEMA_VERSION = 1;
+
+/** @type {Record<string, string>} Error codes used in JSON documents */
+const ERROR_CODES = {
+	FONT_NOT_FOUND: 'FONT_NOT_FOUND',
+	NOT_INSTALLED: 'NOT_INSTALLED',
+	FILE_MODIFIED: 'FILE_MODIFIED',
+	NETWORK_ERROR: 'NETWORK_ERROR',
+	INVALID_RESPONSE: 'INVALID_RESPONSE',
+	PERMISSION_DENIED: 'PERMISSION_DENIED',
+	UNSUPPORTED_PLATFORM: 'UNSUPPORTED_PLATFORM',
+	INVALID_ARGUMENT: 'INVALID_ARGUMENT',
+	CATALOG_UNAVAILABLE: 'CATALOG_UNAVAILABLE',
+	SYNC_FAILED: 'SYNC_FAILED',
+	OPERATION_FAILED: 'OPERATION_FAILED'
+};
+
+/** @type {string[]} System error codes of failed connections */
+const NETWORK_ERRNOS = ['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EPIPE'];
+
+/**
+ * Pick the error code of an error thrown by the library
+ * @param {any} err - Thrown error
+ * @returns {string} One of ERROR_CODES
+ */
+function errorCode(err) {
+	if (!err) return ERROR_CODES.OPERATION_FAILED;
+	if (typeof err.code === 'string' && ERROR_CODES[err.code]) return err.code;
+	if (err instanceof AggregateError && err.errors.length) return errorCode(err.errors[0]);
+	if (err.isInvalidJson) return ERROR_CODES.INVALID_RESPONSE;
+	if (err.code === 'EACCES' || err.code === 'EPERM') return ERROR_CODES.PERMISSION_DENIED;
+	if (NETWORK_ERRNOS.indexOf(err.code) !== -1) return ERROR_CODES.NETWORK_ERROR;
+
+	const message = String(err.message || err);
+	if (/^Connection to .* failed|Request timeout|API returned \d+/.test(message)) return ERROR_CODES.NETWORK_ERROR;
+	if (/Failed to parse|Invalid .*(json|format)/i.test(message)) return ERROR_CODES.INVALID_RESPONSE;
+	if (/Platform not supported/.test(message)) return ERROR_CODES.UNSUPPORTED_PLATFORM;
+	return ERROR_CODES.OPERATION_FAILED;
+}
+
+/**
+ * Describe an error for a JSON document
+ * @param {any} err - Thrown error or message
+ * @param {string} [code] - Error code, derived from the error when omitted
+ * @returns {ReportError} Code and message
+ */
+function describeError(err, code) {
+	return {
+		code: code || errorCode(err),
+		message: err && err.message ? err.message : String(err)
+	};
+}
+
+/**
+ * Describe a catalog font for a JSON document
+ * @param {GoogleFontInstance} font - Catalog font (or a search result)
+ * @returns {ReportFont} Public font fields
+ */
+function describeFont(font) {
+	/** @type {ReportFont} */
+	const described = {
+		family: font.getFamily(),
+		category: font.getCategory() || null,
+		variants: font.getVariants(),
+		subsets: font.getSubsets(),
+		version: font.version || null,
+		lastModified: font.lastModified || null,
+		cssUrl: font.getCssUrl()
+	};
+	if (typeof font.score === 'number') described.score = font.score;
+	return described;
+}
+
+/**
+ * Describe a saved or installed file for a JSON document
+ * @param {FontResult} result - File returned by the library
+ * @returns {ReportFile} Public file fields
+ */
+function describeFile(result) {
+	/** @type {ReportFile} */
+	const described = {
+		family: result.family,
+		variant: result.variant,
+		path: result.path,
+		url: result.url || null
+	};
+	if (result.warning) described.warning = result.warning;
+	return described;
+}
+
+/**
+ * Collects the outcome of a CLI command into a stable JSON document:
+ *
+ *     { schemaVersion, command, ok, summary: { total, succeeded, failed }, families: [...], errors: [...], ...data }
+ *
+ * Each requested family gets one entry with its status ('ok', 'partial' or 'failed'),
+ * the files it produced and, on failure, an error with a code from ERROR_CODES.
+ * @constructor
+ * @param {string} command - Command name
+ */
+function Report(command) {
+	if (!(this instanceof Report))
+		return new Report(command);
+
+	/** @type {string} */
+	this.command = command;
+	/** @type {ReportFamily[]} */
+	this.families = [];
+	/** @type {ReportError[]} */
+	this.errors = [];
+	/** @type {Record<string, any>} */
+	this.data = {};
+}
+
+/**
+ * Record a family that was processed
+ * @param {string} query - Family name as requested
+ * @param {string} family - Catalog family name
+ * @param {FontResult[]} files - Files produced
+ * @param {Record<string, any>} [extra] - Command specific fields
+ * @returns {ReportFamily} Recorded entry
+ */
+Report.prototype.succeed = function(query, family, files, extra) {
+	return this._add(Object.assign({
+		query: query,
+		family: family,
+		status: /** @type {ReportFamilyStatus} */ ('ok'),
+		files: files.map(describeFile)
+	}, extra));
+};
+
+/**
+ * Record a family that failed. Partial results attached to the error
+ * (see `saveAtAsync`) make it a partial failure.
+ * @param {string} query - Family name as requested
+ * @param {string | null} family - Catalog family name, null if none matched
+ * @param {any} err - Thrown error
+ * @param {{ code?: string, files?: FontResult[] } & Record<string, any>} [extra] - Error code, files produced before the failure and command specific fields
+ * @returns {ReportFamily} Recorded entry
+ */
+Report.prototype.fail = function(query, family, err, extra) {
+	extra = Object.assign({}, extra);
+	const files = extra.files || (err && Array.isArray(err.results) ? err.results : []);
+	const code = extra.code;
+	delete extra.files;
+	delete extra.code;
+	return this._add(Object.assign({
+		query: query,
+		family: family,
+		status: /** @type {ReportFamilyStatus} */ (files.length ? 'partial' : 'failed'),
+		files: files.map(describeFile),
+		error: describeError(err, code)
+	}, extra));
+};
+
+/**
+ * Record an error that is not tied to a family (e.g. the catalog could not be loaded)
+ * @param {any} err - Thrown error or message
+ * @param {string} [code] - Error code, derived from the error when omitted
+ * @returns {Report} This report
+ */
+Report.prototype.error = function(err, code) {
+	this.errors.push(describeError(err, code));
+	return this;
+};
+
+/**
+ * Set a command specific top-level field (e.g. `fonts` for search)
+ * @param {string} key - Field name
+ * @param {any} value - Field value
+ * @returns {Report} This report
+ */
+Report.prototype.set = function(key, value) {
+	this.data[key] = value;
+	return this;
+};
+
+/**
+ * Whether every family succeeded and no other error was recorded
+ * @returns {boolean} True on success
+ */
+Report.prototype.isOk = function() {
+	return this.errors.length === 0 && this.families.every(function(f) { return f.status === 'ok'; });
+};
+
+/**
+ * Count the recorded families; partial failures count as failed
+ * @returns {ReportDocument['summary']} Totals
+ */
+Report.prototype.summary = function() {
+	const succeeded = this.families.filter(function(f) { return f.status === 'ok'; }).length;
+	return {
+		total: this.families.length,
+		succeeded: succeeded,
+		failed: this.families.length - succeeded
+	};
+};
+
+/**
+ * Build the JSON document
+ * @returns {ReportDocument} Document, used by JSON.stringify
+ */
+Report.prototype.toJSON = function() {
+	return Object.assign({
+		schemaVersion: SCHEMA_VERSION,
+		command: this.command,
+		ok: this.isOk(),
+		summary: this.summary(),
+		families: this.families,
+		errors: this.errors
+	}, this.data);
+};
+
+/**
+ * @param {ReportFamily} entry
+ * @returns {ReportFamily}
+ */
+Report.prototype._add = function(entry) {
+	this.families.push(entry);
+	return entry;
+};
+
+Report.SCHEMA_VERSION = SCHEMA_VERSION;
+Report.ERROR_CODES = ERROR_CODES;
+Report.errorCode = errorCode;
+Report.describeError = describeError;
+Report.describeFont = describeFont;
+Report.describeFile = describeFile;
+
+module.exports = Report;
@@ -2,26 +2,42 @@
 
 /**
  * @typedef {import('./types').MimeTypeResult} MimeTypeResult
+ * @typedef {import('./types').RequestOptions} RequestOptions
+ * @typedef {import('./types').RetrySettings} RetrySettings
  * @typedef {import('http').IncomingMessage} IncomingMessage
  */
 
-var https = require('https');
-var http = require('http');
-var url = require('url');
+var HttpClient = require('./http-client');
 var StreamPass = require('stream').PassThrough;
 var util = require('util');
 
+/** @type {number[]} Status codes worth trying again, besides 5xx */
+var RETRY_STATUS_CODES = [408, 429];
+
+/** @type {Required<RetrySettings>} Process-wide settings, see `Request.configure` */
+var settings = { retries: 3, retryDelay: 500, maxRetryDelay: 30000 };
+
 /**
- * Handle API requests (extends EventEmitter via PassThrough)
+ * Handle API requests (extends EventEmitter via PassThrough). Connection errors,
+ * timeouts, 408, 429 and 5xx responses are retried with a jittered exponential
+ * backoff, or after the delay of a Retry-After header. A response cut short is
+ * resumed with a Range header, so the stream carries each byte once. The Range is
+ * sent with an If-Range header when the bytes before it have a known validator:
+ * a server answering with the whole file fails with code RANGE_IGNORED instead
+ * of mixing two versions of it.
  * @constructor
  * @param {string} uri - URL to fetch
+ * @param {RequestOptions} [options] - Request headers (e.g. If-None-Match), retry settings, bytes already on disk and their validator
  * @fires Request#success
+ * @fires Request#notModified
+ * @fires Request#retry
  * @fires Request#error
  */
-function Request(uri) {
+function Request(uri, options) {
 	if (!(this instanceof Request))
-		return new Request(uri);
+		return new Request(uri, options);
 
+	options = options || {};
 	StreamPass.call(this);
 	/** @type {number} */
 	this.redirect = 3; // Allow up to 3 redirects
@@ -33,11 +49,59 @@ function Request(uri) {
 	this.req = undefined;
 	/** @type {boolean | MimeTypeResult} */
 	this.mimeType = false;
+	/** @type {Record<string, string>} */
+	this.headers = options.headers || {};
+	/** @type {import('http').IncomingHttpHeaders} Headers of the final response */
+	this.responseHeaders = {};
+	/** @type {number} */
+	this.retries = options.retries === undefined ? settings.retries : options.retries;
+	/** @type {number} */
+	this.retryDelay = options.retryDelay === undefined ? settings.retryDelay : options.retryDelay;
+	/** @type {number} */
+	this.maxRetryDelay = options.maxRetryDelay === undefined ? settings.maxRetryDelay : options.maxRetryDelay;
+	/** @type {number} Retries done so far */
+	this.attempt = 0;
+	/** @type {number} Bytes of the file already on disk, not sent on the stream */
+	this.offset = options.offset || 0;
+	/** @type {string | undefined} ETag or Last-Modified of the bytes before the Range */
+	this.validator = options.validator;
+	/** @type {number} Bytes sent on the stream */
+	this.received = 0;
+	/** @type {Buffer[]} */
+	this._chunks = [];
+	/** @type {number} Current attempt: callbacks of older attempts are ignored */
+	this._requestId = 0;
 	this.init(uri);
 }
 
 util.inherits(Request, StreamPass);
 
+/**
+ * Change the process-wide retry settings of requests created afterwards.
+ * Omitted settings are left unchanged.
+ * @param {RetrySettings} options - Retries, base and longest delay in milliseconds
+ * @returns {void}
+ */
+Request.configure = function(options) {
+	if (options.retries !== undefined) settings.retries = options.retries;
+	if (options.retryDelay !== undefined) settings.retryDelay = options.retryDelay;
+	if (options.maxRetryDelay !== undefined) settings.maxRetryDelay = options.maxRetryDelay;
+};
+
+/**
+ * Read a Retry-After header, either a number of seconds or an HTTP date
+ * @param {string | undefined} value - Header value
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number | undefined} Delay in milliseconds, or undefined if missing or invalid
+ */
+Request.parseRetryAfter = function(value, now) {
+	if (!value) return undefined;
+	if (/^\s*\d+\s*$/.test(value)) return parseInt(value, 10) * 1000;
+	var date = Date.parse(value);
+	if (isNaN(date)) return undefined;
+	return Math.max(0, date - (now === undefined ? Date.now() : now));
+};
+
 /**
  * Initialize the HTTP(S) request
  * @param {string} uri - URL to fetch
@@ -45,27 +109,38 @@ util.inherits(Request, StreamPass);
  */
 Request.prototype.init = function(uri) {
 	var self = this;
+	var id = ++self._requestId;
 
 	self.mimeType = false;
 	try {
 		var parsedUri = new URL(uri);
 		if (parsedUri.protocol && parsedUri.hostname !== '') {
-			var lib = this._getProperLibrary(parsedUri);
-			
-			var req = this.req = lib.get(uri, function(res) {
-				self.handleResponse(res, uri);
-			})
+			var position = self.offset + self.received;
+			/** @type {Record<string, string>} */
+			var headers = self.headers;
+			if (position > 0) {
+				headers = Object.assign({}, headers, { Range: 'bytes=' + position + '-' });
+				if (self.validator) headers['If-Range'] = self.validator;
+			}
+
+			/** @param {IncomingMessage} res */
+			var onResponse = function(res) {
+				if (id === self._requestId) self.handleResponse(res, uri);
+			};
+			var req = this.req = HttpClient.get(uri, { headers: headers }, onResponse);
 
 			req.setTimeout(10000, function(){ // Increased to 10s for reliability
-				// @ts-ignore - emit inherited from PassThrough
-				self.emit('error', new Error('Request timeout.'));
-				req.destroy();
+				if (id === self._requestId) self._fail(new Error('Request timeout.'), uri);
 			})
 
 			req.on('error', function(e){
+				if (id !== self._requestId) return;
 				var errorMessage = util.format('Connection to %s failed: %s', parsedUri.hostname, e.message);
-				// @ts-ignore - emit inherited from PassThrough
-				self.emit('error', new Error(errorMessage));
+				/** @type {Error & { statusCode?: number }} */
+				var error = new Error(errorMessage);
+				// A proxy refusing the connection answers with a status code
+				error.statusCode = /** @type {Error & { statusCode?: number }} */ (e).statusCode;
+				self._fail(error, uri);
 			})
 
 		} else {
@@ -81,10 +156,10 @@ Request.prototype.init = function(uri) {
 /**
  * Get the appropriate HTTP library based on protocol
  * @param {URL} uri - Parsed URL object
- * @returns {typeof http | typeof https} HTTP or HTTPS module
+ * @returns {typeof import('http') | typeof import('https')} HTTP or HTTPS module
  */
 Request.prototype._getProperLibrary = function(uri){
-	return uri.protocol === 'https:' ? https : http;
+	return HttpClient.library(uri);
 }
 
 /**
@@ -95,6 +170,8 @@ Request.prototype._getProperLibrary = function(uri){
  */
 Request.prototype.handleResponse = function(res, originalUri) {
 	var self = this;
+	var id = self._requestId;
+	var position = self.offset + self.received;
 
 	if (res.statusCode && [301, 302, 303, 307, 308].includes(res.statusCode)) {
 		if (res.headers.location && self.redirect > 0) {
@@ -104,22 +181,85 @@ Request.prototype.handleResponse = function(res, originalUri) {
 		}
 	}
 
-	if (res.statusCode === 200) {
-		/** @type {Buffer[]} */
-		var chunks = [];
+	self.responseHeaders = res.headers || {};
+
+	if (res.statusCode === 304) {
+		self._requestId++;
+		// @ts-ignore - emit inherited from PassThrough
+		self.emit('notModified');
+		// @ts-ignore - end inherited from PassThrough
+		self.end();
+		return;
+	}
+
+	// The whole file is already on disk
+	if (res.statusCode === 416 && position > 0 && self.getHeader('content-range') === 'bytes */' + position) {
+		self._requestId++;
+		// @ts-ignore - emit inherited from PassThrough
+		self.emit('success', '');
+		// @ts-ignore - end inherited from PassThrough
+		self.end();
+		return;
+	}
+
+	// The whole file again: the bytes before the Range cannot be trusted, unless
+	// they were received in this request from a response of the same validator
+	if (res.statusCode === 200 && position > 0 &&
+		(self.offset > 0 || !self.validator || self.getValidator() !== self.validator)) {
+		var ignored = Object.assign(new Error('The server sent the whole file instead of the rest of it'), {
+			statusCode: res.statusCode,
+			code: 'RANGE_IGNORED'
+		});
+		return self._fail(ignored, originalUri);
+	}
+
+	if (res.statusCode === 200 || (res.statusCode === 206 && position > 0)) {
+		if (res.statusCode === 200 && position === 0) self.validator = self.getValidator();
+		// Bytes of the response already sent, all of them when the server ignored the Range header
+		var skip = position;
+		if (res.statusCode === 206) {
+			var range = /^bytes (\d+)-/.exec(self.getHeader('content-range') || '');
+			var start = range ? parseInt(range[1], 10) : NaN;
+			if (!(start <= position)) {
+				return self._fail(new Error('Unexpected range in response: ' + self.getHeader('content-range')), originalUri);
+			}
+			skip = position - start;
+		}
+
 		res.on('data', function(chunk) {
+			if (id !== self._requestId) return;
+			if (skip > 0) {
+				var dropped = Math.min(skip, chunk.length);
+				skip -= dropped;
+				chunk = chunk.subarray(dropped);
+				if (chunk.length === 0) return;
+			}
+			self.received += chunk.length;
 			// @ts-ignore - write inherited from PassThrough
 			self.write(chunk);
-			chunks.push(chunk);
+			self._chunks.push(chunk);
+		})
+		res.on('error', function(e) {
+			if (id === self._requestId) self._fail(new Error('Download of ' + originalUri + ' failed: ' + e.message), originalUri);
+		})
+		res.on('close', function() {
+			if (id === self._requestId && !res.complete) {
+				self._fail(new Error('Download of ' + originalUri + ' was interrupted'), originalUri);
+			}
 		})
 		res.on('end', async function(){
-			var fullBuffer = Buffer.concat(chunks);
+			if (id !== self._requestId) return;
+			self._requestId++;
+			var fullBuffer = Buffer.concat(self._chunks);
 			var message = fullBuffer.toString('utf8');
-			
-			try {
-				const { fileTypeFromBuffer } = await import('file-type');
-				self._mimeType = await fileTypeFromBuffer(fullBuffer);
-			} catch(e) {}
+
+			// The first bytes tell the type, they are on disk for a resumed file
+			if (self.offset === 0) {
+				try {
+					const { fileTypeFromBuffer } = await import('file-type');
+					self._mimeType = await fileTypeFromBuffer(fullBuffer);
+				} catch(e) {}
+			}
 
 			// @ts-ignore - emit inherited from PassThrough
 			self.emit('success', message);
@@ -130,8 +270,55 @@ Request.prototype.handleResponse = function(res, originalUri) {
 		var error = new Error('Bad response: ' + res.statusCode);
 		/** @type {Error & { statusCode?: number }} */
 		(error).statusCode = res.statusCode;
-		self.handleError(error);
+		var retryAfter = res.statusCode === 429 || res.statusCode === 503
+			? Request.parseRetryAfter(self.getHeader('retry-after'))
+			: undefined;
+		self._fail(error, originalUri, retryAfter);
+	}
+}
+
+/**
+ * End the current attempt, and try again after a delay if the error is worth
+ * it and retries are left. Otherwise emit the error.
+ * @param {Error & { statusCode?: number }} error - Error of the attempt
+ * @param {string} uri - URL of the attempt
+ * @param {number} [retryAfter] - Delay asked by the server in milliseconds
+ * @returns {void}
+ */
+Request.prototype._fail = function(error, uri, retryAfter) {
+	var self = this;
+	self._requestId++;
+	if (self.req) self.req.destroy();
+
+	var status = error.statusCode;
+	var retryable = !status || status >= 500 || RETRY_STATUS_CODES.includes(status);
+	if (!retryable || self.attempt >= self.retries) {
+		return self.handleError(error);
 	}
+
+	self.attempt++;
+	var delay = retryAfter === undefined
+		? self._backoff(self.attempt)
+		: Math.min(retryAfter, self.maxRetryDelay);
+	/**
+	 * An attempt failed and the request is tried again
+	 * @event Request#retry
+	 * @type {{ error: Error, attempt: number, delay: number }}
+	 */
+	// @ts-ignore - emit inherited from PassThrough
+	self.emit('retry', { error: error, attempt: self.attempt, delay: delay });
+	setTimeout(function() { self.init(uri); }, delay);
+}
+
+/**
+ * Delay before a retry: doubles with each attempt up to `maxRetryDelay`, half
+ * of it random so that parallel downloads do not retry all at once
+ * @param {number} attempt - Retry number, from 1
+ * @returns {number} Delay in milliseconds
+ */
+Request.prototype._backoff = function(attempt) {
+	var ceiling = Math.min(this.maxRetryDelay, this.retryDelay * Math.pow(2, attempt - 1));
+	return ceiling / 2 + Math.random() * ceiling / 2;
 }
 
 /**
@@ -146,6 +333,27 @@ Request.prototype.handleError = function(error){
 	this.end();
 }
 
+/**
+ * Get a header of the final response
+ * @param {string} name - Header name, case insensitive
+ * @returns {string | undefined} Header value
+ */
+Request.prototype.getHeader = function(name) {
+	var value = this.responseHeaders[name.toLowerCase()];
+	return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Get the validator of the final response for an If-Range header: its strong
+ * ETag, else its Last-Modified date
+ * @returns {string | undefined} Validator, or undefined if the response has none
+ */
+Request.prototype.getValidator = function() {
+	var etag = this.getHeader('etag');
+	if (etag && !/^W\//.test(etag)) return etag;
+	return this.getHeader('last-modified');
+}
+
 /**
  * Get the detected MIME type of the response
  * @returns {MimeTypeResult | undefined} MIME type info or undefined
@@ -154,4 +362,4 @@ Request.prototype.getMimeType = function(){
 	return this._mimeType;
 }
 
-module.exports = Request;
\ No newline at end of file
+module.exports = Request;
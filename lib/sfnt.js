@@ -0,0 +1,466 @@
+'use strict'
+
+/**
+ * @typedef {import('./types').SfntTable} SfntTable
+ * @typedef {import('./types').SfntFont} SfntFont
+ * @typedef {import('./types').FontNames} FontNames
+ * @typedef {import('./types').FontValidationOptions} FontValidationOptions
+ */
+
+const fs = require('fs').promises;
+const zlib = require('zlib');
+
+/** @type {Record<string, 'ttf' | 'otf'>} Outlines by sfnt version tag */
+const SFNT_VERSIONS = { '\u0000\u0001\u0000\u0000': 'ttf', 'true': 'ttf', 'OTTO': 'otf' };
+
+/** @type {string[]} Tables every font needs, besides its outlines */
+const REQUIRED_TABLES = ['cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name'];
+
+/** @type {number} Magic number of the head table */
+const HEAD_MAGIC = 0x5F0F3CF5;
+
+/** @type {string[]} Tags of the WOFF2 table directory, by index of the flags */
+const WOFF2_TAGS = [
+	'cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'OS/2', 'post', 'cvt ', 'fpgm', 'glyf', 'loca', 'prep', 'CFF ',
+	'VORG', 'EBDT', 'EBLC', 'gasp', 'hdmx', 'kern', 'LTSH', 'PCLT', 'VDMX', 'vhea', 'vmtx', 'BASE', 'GDEF', 'GPOS',
+	'GSUB', 'EBSC', 'JSTF', 'MATH', 'CBDT', 'CBLC', 'COLR', 'CPAL', 'SVG ', 'sbix', 'acnt', 'avar', 'bdat', 'bloc',
+	'bsln', 'cvar', 'fdsc', 'feat', 'fmtx', 'fvar', 'gvar', 'hsty', 'just', 'lcar', 'mort', 'morx', 'opbd', 'prop',
+	'trak', 'Zapf', 'Silf', 'Glat', 'Gloc', 'Feat', 'Sill'
+];
+
+/** @type {number} Size of the WOFF2 header */
+const WOFF2_HEADER_SIZE = 48;
+
+/** @type {number} checkSumAdjustment makes the checksum of the whole font this value */
+const CHECKSUM_MAGIC = 0xB1B0AFBA;
+
+/**
+ * Error of a file that is not a valid font, with code INVALID_RESPONSE
+ * @param {string} message - Error message
+ * @returns {Error & { code: string }} Error
+ */
+function invalid(message) {
+	return Object.assign(new Error(message), { code: 'INVALID_RESPONSE' });
+}
+
+/**
+ * Read a 4 byte tag
+ * @param {Buffer} buffer - Data
+ * @param {number} offset - Offset of the tag
+ * @returns {string} Tag
+ */
+function readTag(buffer, offset) {
+	return buffer.toString('latin1', offset, offset + 4);
+}
+
+/**
+ * Describe the first bytes of a file that is not a font, e.g. an HTML error page
+ * @param {Buffer} buffer - Data
+ * @returns {string} Description
+ */
+function describeStart(buffer) {
+	const start = buffer.toString('latin1', 0, 16);
+	return /^[\x20-\x7e\s]+$/.test(start) ? 'text starting with ' + JSON.stringify(start.trim()) : 'unknown signature';
+}
+
+/**
+ * Checksum of a table: the sum of its big-endian 32-bit words, the last one
+ * padded with zeros. checkSumAdjustment does not count in the head table.
+ * @param {Buffer} data - Table data
+ * @param {boolean} [isHead=false] - Whether it is the head table
+ * @returns {number} Unsigned 32-bit checksum
+ */
+function tableChecksum(data, isHead) {
+	let sum = 0;
+	for (let i = 0; i < data.length; i += 4) {
+		if (isHead && i === 8) continue;
+		let word = 0;
+		for (let j = 0; j < 4; j++) {
+			word = word * 256 + (i + j < data.length ? data[i + j] : 0);
+		}
+		sum = (sum + word) >>> 0;
+	}
+	return sum;
+}
+
+/**
+ * Read an UIntBase128 number of the WOFF2 table directory
+ * @param {Buffer} buffer - Data
+ * @param {number} offset - Offset of the number
+ * @returns {{ value: number, next: number }} Number and offset of the next field
+ * @throws {Error} If the number is malformed or runs past the data
+ */
+function readBase128(buffer, offset) {
+	let value = 0;
+	for (let i = 0; i < 5; i++) {
+		if (offset + i >= buffer.length) throw invalid('Truncated WOFF2 table directory');
+		const byte = buffer[offset + i];
+		if (i === 0 && byte === 0x80) throw invalid('Malformed WOFF2 table directory');
+		if (value & 0xFE000000) throw invalid('Malformed WOFF2 table directory');
+		value = (value * 128) + (byte & 0x7F);
+		if ((byte & 0x80) === 0) return { value: value, next: offset + i + 1 };
+	}
+	throw invalid('Malformed WOFF2 table directory');
+}
+
+/**
+ * Parse an sfnt (TrueType or OpenType) font: header, table directory and checksums
+ * @param {Buffer} buffer - File content
+ * @returns {SfntFont} Format, tables and their data
+ * @throws {Error} With code INVALID_RESPONSE if the font is truncated or a checksum does not match
+ */
+function parseSfnt(buffer) {
+	const format = SFNT_VERSIONS[readTag(buffer, 0)];
+	const numTables = buffer.readUInt16BE(4);
+	if (numTables === 0 || buffer.length < 12 + numTables * 16) {
+		throw invalid('Truncated table directory');
+	}
+
+	/** @type {SfntTable[]} */
+	const tables = [];
+	/** @type {Record<string, Buffer>} */
+	const data = {};
+	for (let i = 0; i < numTables; i++) {
+		const record = 12 + i * 16;
+		const table = {
+			tag: readTag(buffer, record),
+			checksum: buffer.readUInt32BE(record + 4),
+			offset: buffer.readUInt32BE(record + 8),
+			length: buffer.readUInt32BE(record + 12)
+		};
+		if (table.offset + table.length > buffer.length) {
+			throw invalid('Table "' + table.tag + '" ends after the end of the file');
+		}
+		const tableData = buffer.subarray(table.offset, table.offset + table.length);
+		if (tableChecksum(tableData, table.tag === 'head') !== table.checksum) {
+			throw invalid('Checksum mismatch in table "' + table.tag + '"');
+		}
+		tables.push(table);
+		data[table.tag] = tableData;
+	}
+	return { format: format, tables: tables, data: data };
+}
+
+/**
+ * Parse a WOFF2 font: header, table directory, and the size of the
+ * decompressed tables. Untransformed tables (name among them) are returned.
+ * @param {Buffer} buffer - File content
+ * @returns {SfntFont} Format, tables and the data of untransformed tables
+ * @throws {Error} With code INVALID_RESPONSE if the font is truncated or does not decompress
+ */
+function parseWoff2(buffer) {
+	if (buffer.length < WOFF2_HEADER_SIZE) throw invalid('Truncated WOFF2 header');
+	if (buffer.readUInt32BE(8) !== buffer.length) {
+		throw invalid('WOFF2 header gives a length of ' + buffer.readUInt32BE(8) + ' bytes, the file has ' + buffer.length);
+	}
+	if (readTag(buffer, 4) === 'ttcf') throw invalid('Font collections are not supported');
+	const numTables = buffer.readUInt16BE(12);
+	const totalCompressedSize = buffer.readUInt32BE(20);
+	if (numTables === 0) throw invalid('Empty WOFF2 table directory');
+
+	/** @type {(SfntTable & { transformed: boolean })[]} */
+	const entries = [];
+	let offset = WOFF2_HEADER_SIZE;
+	let tableOffset = 0;
+	for (let i = 0; i < numTables; i++) {
+		if (offset >= buffer.length) throw invalid('Truncated WOFF2 table directory');
+		const flags = buffer[offset++];
+		let tag = WOFF2_TAGS[flags & 0x3F];
+		if ((flags & 0x3F) === 0x3F) {
+			if (offset + 4 > buffer.length) throw invalid('Truncated WOFF2 table directory');
+			tag = readTag(buffer, offset);
+			offset += 4;
+		}
+		const version = flags >> 6;
+		const origLength = readBase128(buffer, offset);
+		offset = origLength.next;
+		// glyf and loca are transformed by default, the other tables only with a version
+		const transformed = (tag === 'glyf' || tag === 'loca') ? version === 0 : version !== 0;
+		let length = origLength.value;
+		if (transformed) {
+			const transformLength = readBase128(buffer, offset);
+			offset = transformLength.next;
+			length = transformLength.value;
+		}
+		entries.push({ tag: tag, checksum: 0, offset: tableOffset, length: length, transformed: transformed });
+		tableOffset += length;
+	}
+
+	if (offset + totalCompressedSize > buffer.length) {
+		throw invalid('Compressed WOFF2 data ends after the end of the file');
+	}
+	let tables;
+	try {
+		tables = zlib.brotliDecompressSync(buffer.subarray(offset, offset + totalCompressedSize));
+	} catch (err) {
+		throw invalid('WOFF2 data does not decompress: ' + /** @type {Error} */ (err).message);
+	}
+	if (tables.length !== tableOffset) {
+		throw invalid('WOFF2 tables take ' + tables.length + ' bytes, the table directory gives ' + tableOffset);
+	}
+
+	/** @type {Record<string, Buffer>} */
+	const data = {};
+	entries.forEach(function(entry) {
+		if (!entry.transformed) data[entry.tag] = tables.subarray(entry.offset, entry.offset + entry.length);
+	});
+	return {
+		format: 'woff2',
+		flavor: SFNT_VERSIONS[readTag(buffer, 4)],
+		tables: entries.map(function(entry) {
+			return { tag: entry.tag, checksum: entry.checksum, offset: entry.offset, length: entry.length };
+		}),
+		data: data
+	};
+}
+
+/**
+ * Parse a font file: sfnt (TTF, OTF) or WOFF2
+ * @param {Buffer} buffer - File content
+ * @returns {SfntFont} Format, tables and table data
+ * @throws {Error} With code INVALID_RESPONSE if it is not a font, or a damaged one
+ */
+function parse(buffer) {
+	if (buffer.length < 12) throw invalid('File too small to be a font (' + buffer.length + ' bytes)');
+	const signature = readTag(buffer, 0);
+	if (signature === 'wOF2') return parseWoff2(buffer);
+	if (SFNT_VERSIONS[signature]) return parseSfnt(buffer);
+	if (signature === 'ttcf') throw invalid('Font collections are not supported');
+	throw invalid('Not a font file: ' + describeStart(buffer));
+}
+
+/**
+ * Decode a string of the name table
+ * @param {Buffer} data - Encoded string
+ * @param {number} platformID - Platform of the record
+ * @returns {string} Decoded string
+ */
+function decodeName(data, platformID) {
+	// Unicode and Windows names are UTF-16BE, Macintosh ones are read as Latin-1
+	if (platformID === 0 || platformID === 3) {
+		const swapped = Buffer.from(data.subarray(0, data.length - (data.length % 2)));
+		return swapped.swap16().toString('utf16le');
+	}
+	return data.toString('latin1');
+}
+
+/**
+ * Read the strings of a name table. English Windows names come first, then
+ * other Windows names, then the other platforms.
+ * @param {Buffer} name - Data of the name table
+ * @returns {Record<number, string>} Strings by name ID
+ */
+function readNameRecords(name) {
+	/** @type {Record<number, { rank: number, value: string }>} */
+	const found = {};
+	if (name.length < 6) return {};
+	const count = name.readUInt16BE(2);
+	const storage = name.readUInt16BE(4);
+	for (let i = 0; i < count; i++) {
+		const record = 6 + i * 12;
+		if (record + 12 > name.length) break;
+		const platformID = name.readUInt16BE(record);
+		const languageID = name.readUInt16BE(record + 4);
+		const nameID = name.readUInt16BE(record + 6);
+		const length = name.readUInt16BE(record + 8);
+		const start = storage + name.readUInt16BE(record + 10);
+		if (start + length > name.length) continue;
+		const rank = platformID === 3 && languageID === 0x409 ? 0 : platformID === 3 ? 1 : 2;
+		if (!found[nameID] || rank < found[nameID].rank) {
+			found[nameID] = { rank: rank, value: decodeName(name.subarray(start, start + length), platformID) };
+		}
+	}
+	/** @type {Record<number, string>} */
+	const strings = {};
+	Object.keys(found).forEach(function(id) { strings[Number(id)] = found[Number(id)].value; });
+	return strings;
+}
+
+/**
+ * Read the names of a font from its name table
+ * @param {Buffer} name - Data of the name table
+ * @returns {FontNames} Family, subfamily, typographic family and full name
+ */
+function readNames(name) {
+	const strings = readNameRecords(name);
+	return { family: strings[1], subfamily: strings[2], fullName: strings[4], typographicFamily: strings[16] };
+}
+
+/**
+ * Compare family names, ignoring case, spaces and punctuation
+ * @param {string} name - Family name
+ * @returns {string} Comparable name
+ */
+function normalizeFamily(name) {
+	return name.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Whether the names of a font belong to a family. The typographic family has
+ * to be the same; the legacy family may add a style (e.g. "Roboto Medium").
+ * @param {FontNames} names - Names of the font
+ * @param {string} family - Requested family
+ * @returns {boolean}
+ */
+function matchesFamily(names, family) {
+	const expected = normalizeFamily(family);
+	if (names.typographicFamily) return normalizeFamily(names.typographicFamily) === expected;
+	const legacy = normalizeFamily(names.family || '');
+	return legacy === expected || legacy.indexOf(expected + ' ') === 0;
+}
+
+/**
+ * Write an UIntBase128 number of the WOFF2 table directory
+ * @param {number} value - Number
+ * @returns {Buffer} Encoded number, 1 to 5 bytes
+ */
+function writeBase128(value) {
+	const bytes = [value & 0x7F];
+	for (value = Math.floor(value / 128); value > 0; value = Math.floor(value / 128)) {
+		bytes.unshift(0x80 | (value & 0x7F));
+	}
+	return Buffer.from(bytes);
+}
+
+/**
+ * Write an sfnt font: table directory sorted by tag, tables aligned on 4 bytes,
+ * their checksums, and the checkSumAdjustment of the head table
+ * @param {Record<string, Buffer>} data - Table data by tag
+ * @param {'ttf' | 'otf'} [flavor='ttf'] - Outlines of the font
+ * @returns {Buffer} Font file
+ */
+function build(data, flavor) {
+	const tags = Object.keys(data).sort();
+	const entrySelector = Math.floor(Math.log2(tags.length));
+	const searchRange = Math.pow(2, entrySelector) * 16;
+	const header = Buffer.alloc(12 + tags.length * 16);
+	header.write(flavor === 'otf' ? 'OTTO' : '\u0000\u0001\u0000\u0000', 0, 'latin1');
+	header.writeUInt16BE(tags.length, 4);
+	header.writeUInt16BE(searchRange, 6);
+	header.writeUInt16BE(entrySelector, 8);
+	header.writeUInt16BE(tags.length * 16 - searchRange, 10);
+
+	/** @type {Buffer[]} */
+	const chunks = [header];
+	let offset = header.length;
+	let headOffset = -1;
+	tags.forEach(function(tag, i) {
+		let table = data[tag];
+		if (tag === 'head') {
+			// checkSumAdjustment is computed over the whole font, with itself at 0
+			table = Buffer.from(table);
+			table.writeUInt32BE(0, 8);
+			headOffset = offset;
+		}
+		const record = 12 + i * 16;
+		header.write(tag, record, 'latin1');
+		header.writeUInt32BE(tableChecksum(table), record + 4);
+		header.writeUInt32BE(offset, record + 8);
+		header.writeUInt32BE(table.length, record + 12);
+		const padding = Buffer.alloc((4 - (table.length % 4)) % 4);
+		chunks.push(table, padding);
+		offset += table.length + padding.length;
+	});
+
+	const font = Buffer.concat(chunks);
+	if (headOffset !== -1) font.writeUInt32BE((CHECKSUM_MAGIC - tableChecksum(font)) >>> 0, headOffset + 8);
+	return font;
+}
+
+/**
+ * Write a WOFF2 font. Tables are stored untransformed (glyf and loca with the
+ * null transform) and compressed together with Brotli in font mode.
+ * @param {Record<string, Buffer>} data - Table data by tag
+ * @param {'ttf' | 'otf'} [flavor='ttf'] - Outlines of the font
+ * @returns {Buffer} WOFF2 file
+ */
+function encodeWoff2(data, flavor) {
+	const sfnt = build(data, flavor);
+	const font = parseSfnt(sfnt);
+	/** @type {Buffer[]} */
+	const directory = [];
+	font.tables.forEach(function(table) {
+		const index = WOFF2_TAGS.indexOf(table.tag);
+		// Version 3 of glyf and loca is the null transform, version 0 of the others
+		const version = table.tag === 'glyf' || table.tag === 'loca' ? 3 : 0;
+		directory.push(Buffer.from([(version << 6) | (index === -1 ? 0x3F : index)]));
+		if (index === -1) directory.push(Buffer.from(table.tag, 'latin1'));
+		directory.push(writeBase128(table.length));
+	});
+	const tables = Buffer.concat(font.tables.map(function(table) { return font.data[table.tag]; }));
+	const compressed = zlib.brotliCompressSync(tables, {
+		params: {
+			[zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_FONT,
+			[zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+			[zlib.constants.BROTLI_PARAM_SIZE_HINT]: tables.length
+		}
+	});
+
+	const body = Buffer.concat(directory.concat([compressed]));
+	const padding = Buffer.alloc((4 - ((WOFF2_HEADER_SIZE + body.length) % 4)) % 4);
+	const header = Buffer.alloc(WOFF2_HEADER_SIZE);
+	header.write('wOF2', 0, 'latin1');
+	sfnt.copy(header, 4, 0, 4);
+	header.writeUInt32BE(WOFF2_HEADER_SIZE + body.length + padding.length, 8);
+	header.writeUInt16BE(font.tables.length, 12);
+	header.writeUInt32BE(sfnt.length, 16);
+	header.writeUInt32BE(compressed.length, 20);
+	// Font version, from the fontRevision of the head table
+	if (font.data.head) font.data.head.copy(header, 24, 4, 8);
+	return Buffer.concat([header, body, padding]);
+}
+
+/**
+ * Check that a buffer is a sound font: sfnt header and table directory, table
+ * checksums (WOFF2: header, directory and compressed data), the required tables,
+ * and with `family`, the family of its name table.
+ * @param {Buffer} buffer - File content
+ * @param {FontValidationOptions} [options] - Expected family
+ * @returns {SfntFont & { names: FontNames }} Parsed font and its names
+ * @throws {Error} With code INVALID_RESPONSE if the font is not valid
+ */
+function validate(buffer, options) {
+	const font = parse(buffer);
+	const tags = font.tables.map(function(table) { return table.tag; });
+	const flavor = font.format === 'woff2' ? font.flavor : font.format;
+	const missing = REQUIRED_TABLES.concat(flavor === 'otf' ? [] : ['glyf', 'loca']).filter(function(tag) {
+		return tags.indexOf(tag) === -1;
+	});
+	if (flavor === 'otf' && tags.indexOf('CFF ') === -1 && tags.indexOf('CFF2') === -1) missing.push('CFF');
+	if (missing.length) throw invalid('Missing font tables: ' + missing.join(', '));
+
+	const head = font.data.head;
+	if (head && (head.length < 54 || head.readUInt32BE(12) !== HEAD_MAGIC)) {
+		throw invalid('Invalid head table');
+	}
+
+	const names = font.data.name ? readNames(font.data.name) : {};
+	if (options && options.family && !matchesFamily(names, options.family)) {
+		const actual = names.typographicFamily || names.family;
+		throw invalid('Font family is ' + (actual ? '"' + actual + '"' : 'missing') + ', expected "' + options.family + '"');
+	}
+	return Object.assign(font, { names: names });
+}
+
+/**
+ * Check a font file, see `validate`
+ * @param {string} file - Path of the font file
+ * @param {FontValidationOptions} [options] - Expected family
+ * @returns {Promise<SfntFont & { names: FontNames }>} Parsed font and its names
+ * @throws {Error} With code INVALID_RESPONSE if the font is not valid
+ */
+async function validateFile(file, options) {
+	return validate(await fs.readFile(file), options);
+}
+
+module.exports = {
+	parse,
+	validate,
+	validateFile,
+	readNames,
+	readNameRecords,
+	matchesFamily,
+	tableChecksum,
+	build,
+	encodeWoff2
+};
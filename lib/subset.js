@@ -0,0 +1,523 @@
+'use strict'
+
+/**
+ * @typedef {import('./types').FontSubset} FontSubset
+ * @typedef {import('./types').FontSubsetOptions} FontSubsetOptions
+ */
+
+const fs = require('fs').promises;
+const Sfnt = require('./sfnt');
+const FontMetadata = require('./font-metadata');
+
+/** @type {string[]} Tables left out of subsets: the signature of the original file, and caches of per-glyph device metrics */
+const DROPPED_TABLES = ['DSIG', 'hdmx', 'LTSH'];
+
+/** @type {Record<string, number>} Flags of the components of a composite glyph */
+const COMPONENT = {
+	ARG_1_AND_2_ARE_WORDS: 0x0001,
+	WE_HAVE_A_SCALE: 0x0008,
+	MORE_COMPONENTS: 0x0020,
+	WE_HAVE_AN_X_AND_Y_SCALE: 0x0040,
+	WE_HAVE_A_TWO_BY_TWO: 0x0080
+};
+
+/** @type {number} Largest code point */
+const MAX_CODE_POINT = 0x10FFFF;
+
+/**
+ * Error of an argument the subsetter cannot use, with code INVALID_ARGUMENT
+ * @param {string} message - Error message
+ * @returns {Error & { code: string }} Error
+ */
+function invalidArgument(message) {
+	return Object.assign(new Error(message), { code: 'INVALID_ARGUMENT' });
+}
+
+/**
+ * Sort and merge ranges of code points
+ * @param {number[][]} ranges - Ranges, [first, last] each
+ * @returns {number[][]} Sorted ranges, none overlapping or adjacent
+ */
+function mergeRanges(ranges) {
+	return ranges.slice().sort(function(a, b) { return a[0] - b[0]; }).reduce(function(/** @type {number[][]} */ merged, range) {
+		const last = merged[merged.length - 1];
+		if (last && range[0] <= last[1] + 1) last[1] = Math.max(last[1], range[1]);
+		else merged.push(range.slice());
+		return merged;
+	}, []);
+}
+
+/**
+ * Parse code points written like the CSS unicode-range descriptor: single
+ * code points, ranges and wildcards, separated by commas or spaces
+ * @param {string} spec - e.g. "U+0020-007E,U+00A0, U+4??", "0x41-0x5A"
+ * @returns {number[][]} Sorted ranges of code points, [first, last] each
+ * @throws {Error} With code INVALID_ARGUMENT if a range cannot be read
+ */
+function parseUnicodes(spec) {
+	const tokens = String(spec).split(/[\s,]+/).filter(Boolean);
+	if (!tokens.length) throw invalidArgument('No code points given');
+	return mergeRanges(tokens.map(function(token) {
+		const match = /^(?:U\+|0x)?([0-9a-f?]{1,6})(?:-(?:U\+|0x)?([0-9a-f]{1,6}))?$/i.exec(token);
+		const wildcard = match && match[1].indexOf('?') !== -1;
+		if (!match || (wildcard && (match[2] || !/^[0-9a-f]*\?+$/i.test(match[1])))) {
+			throw invalidArgument('Invalid code point range "' + token + '" (e.g. U+0020-007E, U+4??)');
+		}
+		const first = parseInt(match[1].replace(/\?/g, '0'), 16);
+		const last = wildcard ? parseInt(match[1].replace(/\?/g, 'F'), 16) : match[2] ? parseInt(match[2], 16) : first;
+		if (last < first || last > MAX_CODE_POINT) {
+			throw invalidArgument('Invalid code point range "' + token + '" (e.g. U+0020-007E, U+4??)');
+		}
+		return [first, last];
+	}));
+}
+
+/**
+ * Code points of a text
+ * @param {string} text - Text
+ * @returns {number[][]} Sorted ranges of its code points, [first, last] each
+ */
+function textRanges(text) {
+	return mergeRanges(Array.from(String(text)).map(function(char) {
+		const code = /** @type {number} */ (char.codePointAt(0));
+		return [code, code];
+	}));
+}
+
+/**
+ * Whether a code point is in sorted ranges
+ * @param {number[][]} ranges - Sorted ranges, [first, last] each
+ * @param {number} code - Code point
+ * @returns {boolean}
+ */
+function inRanges(ranges, code) {
+	let low = 0;
+	let high = ranges.length - 1;
+	while (low <= high) {
+		const middle = (low + high) >> 1;
+		if (code < ranges[middle][0]) high = middle - 1;
+		else if (code > ranges[middle][1]) low = middle + 1;
+		else return true;
+	}
+	return false;
+}
+
+/**
+ * Offsets of the glyphs in the glyf table
+ * @param {Buffer} loca - loca table
+ * @param {number} numGlyphs - Number of glyphs, from maxp
+ * @param {boolean} long - Whether offsets are 32-bit (indexToLocFormat 1)
+ * @returns {number[]} numGlyphs + 1 offsets
+ */
+function readLoca(loca, numGlyphs, long) {
+	if (loca.length < (numGlyphs + 1) * (long ? 4 : 2)) throw Object.assign(new Error('Truncated loca table'), { code: 'INVALID_RESPONSE' });
+	/** @type {number[]} */
+	const offsets = [];
+	for (let i = 0; i <= numGlyphs; i++) {
+		offsets.push(long ? loca.readUInt32BE(i * 4) : loca.readUInt16BE(i * 2) * 2);
+	}
+	return offsets;
+}
+
+/**
+ * Glyphs a composite glyph is made of
+ * @param {Buffer} glyph - Glyph data
+ * @returns {number[]} Glyph IDs of the components, none for a simple glyph
+ */
+function readComponents(glyph) {
+	/** @type {number[]} */
+	const components = [];
+	// Simple glyphs have a count of contours, composite ones -1
+	if (glyph.length < 10 || glyph.readInt16BE(0) >= 0) return components;
+	let offset = 10;
+	let flags = COMPONENT.MORE_COMPONENTS;
+	while ((flags & COMPONENT.MORE_COMPONENTS) && offset + 4 <= glyph.length) {
+		flags = glyph.readUInt16BE(offset);
+		components.push(glyph.readUInt16BE(offset + 2));
+		offset += 4 + (flags & COMPONENT.ARG_1_AND_2_ARE_WORDS ? 4 : 2);
+		if (flags & COMPONENT.WE_HAVE_A_SCALE) offset += 2;
+		else if (flags & COMPONENT.WE_HAVE_AN_X_AND_Y_SCALE) offset += 4;
+		else if (flags & COMPONENT.WE_HAVE_A_TWO_BY_TWO) offset += 8;
+	}
+	return components;
+}
+
+/**
+ * Glyphs of a coverage table, in coverage index order
+ * @param {Buffer} table - Layout table
+ * @param {number} offset - Offset of the coverage table
+ * @returns {number[]} Glyph IDs
+ */
+function readCoverageTable(table, offset) {
+	/** @type {number[]} */
+	const glyphs = [];
+	const format = table.readUInt16BE(offset);
+	const count = table.readUInt16BE(offset + 2);
+	for (let i = 0; i < count; i++) {
+		if (format === 1) {
+			glyphs.push(table.readUInt16BE(offset + 4 + i * 2));
+		} else if (format === 2) {
+			const range = offset + 4 + i * 6;
+			const start = table.readUInt16BE(range);
+			const end = table.readUInt16BE(range + 2);
+			const index = table.readUInt16BE(range + 4);
+			for (let glyph = start; glyph <= end; glyph++) glyphs[index + glyph - start] = glyph;
+		}
+	}
+	return glyphs;
+}
+
+/**
+ * Add the glyphs a GSUB subtable can substitute for glyphs of the set
+ * @param {Buffer} gsub - GSUB table
+ * @param {number} type - Lookup type
+ * @param {number} offset - Offset of the subtable
+ * @param {Set<number>} glyphs - Glyph set, extended in place
+ * @returns {void}
+ */
+function closeSubstitution(gsub, type, offset, glyphs) {
+	// Extension subtables point to a subtable of another type
+	if (type === 7) {
+		closeSubstitution(gsub, gsub.readUInt16BE(offset + 2), offset + gsub.readUInt32BE(offset + 4), glyphs);
+		return;
+	}
+	if ([1, 2, 3, 4, 8].indexOf(type) === -1) return;
+	const format = gsub.readUInt16BE(offset);
+	const covered = readCoverageTable(gsub, offset + gsub.readUInt16BE(offset + 2));
+	/** @param {number} offset */
+	const u16 = function(offset) { return gsub.readUInt16BE(offset); };
+
+	covered.forEach(function(glyph, i) {
+		if (!glyphs.has(glyph)) return;
+		if (type === 1 && format === 1) {
+			glyphs.add((glyph + gsub.readInt16BE(offset + 4)) & 0xFFFF);
+		} else if (type === 1) {
+			glyphs.add(u16(offset + 6 + i * 2));
+		} else if (type === 2 || type === 3) {
+			// Multiple substitutions and alternates: every glyph of the sequence
+			const sequence = offset + u16(offset + 6 + i * 2);
+			for (let j = 0; j < u16(sequence); j++) glyphs.add(u16(sequence + 2 + j * 2));
+		} else if (type === 4) {
+			// Ligatures whose components are all in the set
+			const set = offset + u16(offset + 6 + i * 2);
+			for (let j = 0; j < u16(set); j++) {
+				const ligature = set + u16(set + 2 + j * 2);
+				let complete = true;
+				for (let k = 1; k < u16(ligature + 2); k++) complete = complete && glyphs.has(u16(ligature + 2 + k * 2));
+				if (complete) glyphs.add(u16(ligature));
+			}
+		} else {
+			// Reverse chaining: the substitute of the covered glyph, after the backtrack and lookahead coverages
+			const backtrack = u16(offset + 4);
+			const lookahead = offset + 6 + backtrack * 2;
+			const substitutes = lookahead + 2 + u16(lookahead) * 2;
+			glyphs.add(u16(substitutes + 2 + i * 2));
+		}
+	});
+}
+
+/**
+ * Add the glyphs the substitutions of a GSUB table can produce from the set.
+ * Contexts are not checked: a substitute is kept when its input glyphs are.
+ * @param {Buffer} gsub - GSUB table
+ * @param {Set<number>} glyphs - Glyph set, extended in place
+ * @returns {void}
+ */
+function closeGsub(gsub, glyphs) {
+	const lookupList = gsub.readUInt16BE(8);
+	const lookupCount = gsub.readUInt16BE(lookupList);
+	for (let i = 0; i < lookupCount; i++) {
+		const lookup = lookupList + gsub.readUInt16BE(lookupList + 2 + i * 2);
+		const type = gsub.readUInt16BE(lookup);
+		const subtableCount = gsub.readUInt16BE(lookup + 4);
+		for (let j = 0; j < subtableCount; j++) {
+			closeSubstitution(gsub, type, lookup + gsub.readUInt16BE(lookup + 6 + j * 2), glyphs);
+		}
+	}
+}
+
+/**
+ * Write a cmap table: a (3,1) format 4 subtable for the BMP, and a (3,10)
+ * format 12 subtable as well when code points are above it
+ * @param {Map<number, number>} mapping - Glyph ID by code point
+ * @returns {Buffer} cmap table
+ */
+function writeCmap(mapping) {
+	const codes = Array.from(mapping.keys()).sort(function(a, b) { return a - b; });
+
+	// Runs of consecutive code points mapped to consecutive glyphs
+	/** @type {number[][]} */
+	const groups = [];
+	codes.forEach(function(code) {
+		const glyph = /** @type {number} */ (mapping.get(code));
+		const last = groups[groups.length - 1];
+		if (last && code === last[1] + 1 && glyph === last[2] + code - last[0]) last[1] = code;
+		else groups.push([code, code, glyph]);
+	});
+
+	// Format 4 segments stop at 0xFFFF, which ends the last one and maps to .notdef
+	/** @type {number[][]} */
+	const segments = [];
+	groups.forEach(function(group) {
+		if (group[0] < 0xFFFF) segments.push([group[0], Math.min(group[1], 0xFFFE), group[2]]);
+	});
+	segments.push([0xFFFF, 0xFFFF, 0]);
+	const format4 = Buffer.alloc(16 + segments.length * 8);
+	const entrySelector = Math.floor(Math.log2(segments.length));
+	format4.writeUInt16BE(4, 0);
+	format4.writeUInt16BE(format4.length, 2);
+	format4.writeUInt16BE(segments.length * 2, 6);
+	format4.writeUInt16BE(Math.pow(2, entrySelector) * 2, 8);
+	format4.writeUInt16BE(entrySelector, 10);
+	format4.writeUInt16BE(segments.length * 2 - Math.pow(2, entrySelector) * 2, 12);
+	segments.forEach(function(segment, i) {
+		format4.writeUInt16BE(segment[1], 14 + i * 2);
+		format4.writeUInt16BE(segment[0], 16 + segments.length * 2 + i * 2);
+		format4.writeUInt16BE((segment[2] - segment[0]) & 0xFFFF, 16 + segments.length * 4 + i * 2);
+	});
+
+	/** @type {Buffer[]} */
+	const subtables = [];
+	/** @type {number[][]} */
+	const encodings = [];
+	// Format 4 lengths are 16-bit: fonts with too many segments only get format 12
+	if (format4.length <= 0xFFFF) {
+		subtables.push(format4);
+		encodings.push([3, 1]);
+	}
+	if (codes.length && codes[codes.length - 1] > 0xFFFF || !subtables.length) {
+		const format12 = Buffer.alloc(16 + groups.length * 12);
+		format12.writeUInt16BE(12, 0);
+		format12.writeUInt32BE(format12.length, 4);
+		format12.writeUInt32BE(groups.length, 12);
+		groups.forEach(function(group, i) {
+			format12.writeUInt32BE(group[0], 16 + i * 12);
+			format12.writeUInt32BE(group[1], 20 + i * 12);
+			format12.writeUInt32BE(group[2], 24 + i * 12);
+		});
+		subtables.push(format12);
+		encodings.push([3, 10]);
+	}
+
+	const header = Buffer.alloc(4 + subtables.length * 8);
+	header.writeUInt16BE(subtables.length, 2);
+	let offset = header.length;
+	subtables.forEach(function(subtable, i) {
+		header.writeUInt16BE(encodings[i][0], 4 + i * 8);
+		header.writeUInt16BE(encodings[i][1], 6 + i * 8);
+		header.writeUInt32BE(offset, 8 + i * 8);
+		offset += subtable.length;
+	});
+	subtables.unshift(header);
+	return Buffer.concat(subtables);
+}
+
+/**
+ * Empty the glyphs out of the set in the glyf table
+ * @param {Buffer} glyf - glyf table
+ * @param {number[]} offsets - Offsets of the glyphs, from loca
+ * @param {Set<number>} glyphs - Glyphs to keep
+ * @returns {{ glyf: Buffer, loca: Buffer, long: boolean }} Tables, and whether loca has 32-bit offsets
+ */
+function writeGlyf(glyf, offsets, glyphs) {
+	/** @type {Buffer[]} */
+	const chunks = [];
+	/** @type {number[]} */
+	const kept = [0];
+	let size = 0;
+	for (let i = 0; i < offsets.length - 1; i++) {
+		if (glyphs.has(i) && offsets[i + 1] > offsets[i]) {
+			const glyph = glyf.subarray(offsets[i], offsets[i + 1]);
+			const padding = Buffer.alloc((4 - (glyph.length % 4)) % 4);
+			chunks.push(glyph, padding);
+			size += glyph.length + padding.length;
+		}
+		kept.push(size);
+	}
+
+	// Short offsets are halved, up to 0xFFFF
+	const long = size > 0x1FFFE;
+	const loca = Buffer.alloc(kept.length * (long ? 4 : 2));
+	kept.forEach(function(offset, i) {
+		if (long) loca.writeUInt32BE(offset, i * 4);
+		else loca.writeUInt16BE(offset / 2, i * 2);
+	});
+	return { glyf: Buffer.concat(chunks), loca: loca, long: long };
+}
+
+/**
+ * Empty the variations of the glyphs out of the set in the gvar table
+ * @param {Buffer} gvar - gvar table
+ * @param {Set<number>} glyphs - Glyphs to keep
+ * @returns {Buffer} gvar table, with 32-bit offsets
+ */
+function writeGvar(gvar, glyphs) {
+	const glyphCount = gvar.readUInt16BE(12);
+	const long = (gvar.readUInt16BE(14) & 1) === 1;
+	const sharedTuples = gvar.readUInt32BE(8);
+	const dataArray = gvar.readUInt32BE(16);
+	const shared = gvar.subarray(sharedTuples, sharedTuples + gvar.readUInt16BE(4) * gvar.readUInt16BE(6) * 2);
+	/** @param {number} i */
+	const offset = function(i) { return long ? gvar.readUInt32BE(20 + i * 4) : gvar.readUInt16BE(20 + i * 2) * 2; };
+
+	/** @type {Buffer[]} */
+	const chunks = [];
+	const offsets = Buffer.alloc((glyphCount + 1) * 4);
+	let size = 0;
+	for (let i = 0; i < glyphCount; i++) {
+		if (glyphs.has(i)) {
+			const data = gvar.subarray(dataArray + offset(i), dataArray + offset(i + 1));
+			chunks.push(data);
+			size += data.length;
+		}
+		offsets.writeUInt32BE(size, (i + 1) * 4);
+	}
+
+	const header = Buffer.from(gvar.subarray(0, 20));
+	header.writeUInt32BE(20 + offsets.length, 8);
+	header.writeUInt16BE(header.readUInt16BE(14) | 1, 14);
+	header.writeUInt32BE(20 + offsets.length + shared.length, 16);
+	return Buffer.concat([header, offsets, shared].concat(chunks));
+}
+
+/**
+ * Keep the pairs of the kern table whose glyphs are both in the set. Tables
+ * with subtables other than format 0 (pair lists) are kept whole.
+ * @param {Buffer} kern - kern table
+ * @param {Set<number>} glyphs - Glyphs to keep
+ * @returns {Buffer} kern table
+ */
+function writeKern(kern, glyphs) {
+	// Version 1 is the Apple table, whose subtables are not pair lists
+	if (kern.length < 4 || kern.readUInt16BE(0) !== 0) return kern;
+	const nTables = kern.readUInt16BE(2);
+	/** @type {Buffer[]} */
+	const subtables = [];
+	let offset = 4;
+	for (let i = 0; i < nTables; i++) {
+		if (offset + 14 > kern.length || kern.readUInt16BE(offset + 4) >> 8 !== 0) return kern;
+		// The 16-bit length overflows in large tables: the pairs give the length of format 0
+		const nPairs = kern.readUInt16BE(offset + 6);
+		if (offset + 14 + nPairs * 6 > kern.length) return kern;
+		/** @type {Buffer[]} */
+		const pairs = [];
+		for (let j = 0; j < nPairs; j++) {
+			const pair = offset + 14 + j * 6;
+			if (glyphs.has(kern.readUInt16BE(pair)) && glyphs.has(kern.readUInt16BE(pair + 2))) pairs.push(kern.subarray(pair, pair + 6));
+		}
+		const entrySelector = pairs.length ? Math.floor(Math.log2(pairs.length)) : 0;
+		const header = Buffer.alloc(14);
+		header.writeUInt16BE(Math.min(14 + pairs.length * 6, 0xFFFF), 2);
+		header.writeUInt16BE(kern.readUInt16BE(offset + 4), 4);
+		header.writeUInt16BE(pairs.length, 6);
+		header.writeUInt16BE(pairs.length ? Math.pow(2, entrySelector) * 6 : 0, 8);
+		header.writeUInt16BE(entrySelector, 10);
+		header.writeUInt16BE(pairs.length ? (pairs.length - Math.pow(2, entrySelector)) * 6 : 0, 12);
+		subtables.push(header, Buffer.concat(pairs));
+		offset += 14 + nPairs * 6;
+	}
+	return Buffer.concat([kern.subarray(0, 4)].concat(subtables));
+}
+
+/**
+ * Subset a TrueType font to the glyphs of some code points. Glyph IDs are
+ * kept, so that metrics, layout and variation tables stay valid: the glyphs
+ * left out are emptied, and so are their kerning pairs. Kept are .notdef, the glyphs of the code points, the
+ * components of composite glyphs, and the substitutes GSUB can produce.
+ * @param {Buffer} buffer - TTF, or WOFF2 of untransformed glyf and loca tables
+ * @param {number[][]} ranges - Sorted code point ranges to keep, [first, last] each
+ * @param {FontSubsetOptions} [options] - Output format
+ * @returns {FontSubset} Font file, and what it holds
+ * @throws {Error} With code INVALID_ARGUMENT if the font has no TrueType outlines to subset, INVALID_RESPONSE if it is damaged
+ */
+function subset(buffer, ranges, options) {
+	const format = (options && options.format) || 'woff2';
+	const font = Sfnt.validate(buffer);
+	const data = font.data;
+	if ((font.format === 'woff2' ? font.flavor : font.format) === 'otf') {
+		throw invalidArgument('Fonts with CFF outlines cannot be subset, use the TTF file');
+	}
+	if (!data.glyf || !data.loca) {
+		throw invalidArgument('WOFF2 files with transformed glyf tables cannot be subset, use the TTF file');
+	}
+
+	const numGlyphs = data.maxp.readUInt16BE(4);
+	const offsets = readLoca(data.loca, numGlyphs, data.head.readInt16BE(50) === 1);
+	/** @type {Map<number, number>} */
+	const mapping = new Map();
+	FontMetadata.readGlyphIds(data.cmap).forEach(function(glyph, code) {
+		if (glyph < numGlyphs && inRanges(ranges, code)) mapping.set(code, glyph);
+	});
+
+	const glyphs = new Set([0]);
+	mapping.forEach(function(glyph) { glyphs.add(glyph); });
+	let size = 0;
+	while (size !== glyphs.size) {
+		size = glyphs.size;
+		if (data.GSUB) {
+			try {
+				closeGsub(data.GSUB, glyphs);
+			} catch (err) {
+				if (err instanceof RangeError) throw Object.assign(new Error('Damaged GSUB table'), { code: 'INVALID_RESPONSE' });
+				throw err;
+			}
+		}
+		glyphs.forEach(function(glyph) {
+			if (glyph >= numGlyphs) glyphs.delete(glyph);
+			else readComponents(data.glyf.subarray(offsets[glyph], offsets[glyph + 1])).forEach(function(component) { glyphs.add(component); });
+		});
+	}
+
+	/** @type {Record<string, Buffer>} */
+	const tables = {};
+	Object.keys(data).forEach(function(tag) {
+		if (DROPPED_TABLES.indexOf(tag) === -1) tables[tag] = data[tag];
+	});
+	const outlines = writeGlyf(data.glyf, offsets, glyphs);
+	tables.glyf = outlines.glyf;
+	tables.loca = outlines.loca;
+	tables.head = Buffer.from(data.head);
+	tables.head.writeInt16BE(outlines.long ? 1 : 0, 50);
+	tables.cmap = writeCmap(mapping);
+	if (data.gvar) tables.gvar = writeGvar(data.gvar, glyphs);
+	if (data.kern) tables.kern = writeKern(data.kern, glyphs);
+	// post version 3 has no glyph names
+	if (data.post && data.post.length >= 32) {
+		tables.post = Buffer.from(data.post.subarray(0, 32));
+		tables.post.writeUInt32BE(0x00030000, 0);
+	}
+	if (data['OS/2'] && data['OS/2'].length >= 68 && mapping.size) {
+		// First and last characters, capped to the BMP
+		const codes = Array.from(mapping.keys()).sort(function(a, b) { return a - b; });
+		tables['OS/2'] = Buffer.from(data['OS/2']);
+		tables['OS/2'].writeUInt16BE(Math.min(codes[0], 0xFFFF), 64);
+		tables['OS/2'].writeUInt16BE(Math.min(codes[codes.length - 1], 0xFFFF), 66);
+	}
+
+	return {
+		data: format === 'ttf' ? Sfnt.build(tables, 'ttf') : Sfnt.encodeWoff2(tables, 'ttf'),
+		format: format,
+		glyphs: glyphs.size,
+		codePoints: mapping.size,
+		unicodeRanges: mergeRanges(Array.from(mapping.keys()).map(function(code) { return [code, code]; }))
+	};
+}
+
+/**
+ * Subset a font file, see `subset`
+ * @param {string} file - Path of the font file
+ * @param {number[][]} ranges - Sorted code point ranges to keep, [first, last] each
+ * @param {FontSubsetOptions} [options] - Output format
+ * @returns {Promise<FontSubset>} Font file, and what it holds
+ */
+async function subsetFile(file, ranges, options) {
+	return subset(await fs.readFile(file), ranges, options);
+}
+
+module.exports = {
+	subset,
+	subsetFile,
+	parseUnicodes,
+	textRanges,
+	mergeRanges
+};
@@ -1,17 +1,25 @@
 'use strict'
 
 /**
- * @typedef {import('./types').MimeTypeResult} MimeTypeResult
+ * @typedef {import('./types').RegistryEntry} RegistryEntry
+ * @typedef {import('./types').UninstallResult} UninstallResult
+ * @typedef {import('./types').InstallScope} InstallScope
+ * @typedef {import('./types').SaveOptions} SaveOptions
  */
 
 var util = require('util');
 var path = require('path');
+var url = require('url');
 var os = require('os');
 var fs = require('fs').promises;
 var fsSync = require('fs');
+var crypto = require('crypto');
 var child_process = require('child_process');
 var { exec } = require('child_process');
 var Request = require('./request');
+var Registry = require('./registry');
+var Cache = require('./cache');
+var Sfnt = require('./sfnt');
 
 /** @type {NodeJS.Platform} */
 const platform = os.platform();
@@ -19,6 +27,8 @@ const platform = os.platform();
 const tmpdir = process.env.TRAVIS ? (process.env.TRAVIS_BUILD_DIR || os.tmpdir()) : os.tmpdir();
 /** @type {string} */
 const tmp_folder = path.join(tmpdir, 'google-font-installer');
+/** @type {Record<string, string>} Font folders shared by all users */
+const SYSTEM_FONT_FOLDERS = { linux: '/usr/local/share/fonts', darwin: '/Library/Fonts' };
 
 if (platform === 'win32') {
 	var PowerShell = require('node-powershell');
@@ -28,49 +38,167 @@ if (platform === 'win32') {
  * System font operations - download, save, and install fonts
  * @class
  */
-function SystemFont() {}
+function SystemFont() {
+	/** @type {boolean} Refuse to download remote files, only file: URLs are read (from a font mirror) */
+	this.offline = false;
+	/** @type {InstallScope} Install for the current user, or in the font folder of all users (needs write access to it) */
+	this.scope = 'user';
+}
 
 /**
- * Download a font file to a temporary location
+ * Download a font file to a temporary location. file: URLs are copied from disk,
+ * and files downloaded before are copied from the cache (even in offline mode).
+ * Every file is parsed before it is used or cached, see `Sfnt.validate`; a bad
+ * copy in the cache is downloaded again unless offline.
  * @param {string} remoteFile - URL of the font file to download
  * @param {string} fileName - Base name for the saved file (without extension)
+ * @param {SaveOptions} [options] - Progress callback and expected family
  * @returns {Promise<string>} Path to the downloaded temporary file
- * @throws {Error} If download fails or file is corrupted
+ * @throws {Error} If download fails or file is corrupted (code INVALID_RESPONSE)
  */
-SystemFont.prototype._saveTmp = async function(remoteFile, fileName) {
+SystemFont.prototype._saveTmp = async function(remoteFile, fileName, options) {
+	options = options || {};
 	if (!remoteFile) {
 		throw new Error('Nothing to download');
 	}
+	const isLocal = /^file:/i.test(remoteFile);
+	const cached = isLocal ? null : await Cache.readFile(remoteFile);
+	if (this.offline && !isLocal && !cached) {
+		throw new Error('Offline mode: ' + remoteFile + ' is not available on disk');
+	}
 	
 	const folder = await this._checkDestFolder(tmp_folder);
 	const remoteExt = path.parse(remoteFile).ext;
 	const filePath = path.join(folder, fileName + remoteExt);
-	const localFile = fsSync.createWriteStream(filePath);
-	const download = new Request(remoteFile);
-	
-	return new Promise((resolve, reject) => {
+	if (isLocal) {
+		const source = url.fileURLToPath(remoteFile);
+		await this._copyTmp(source, filePath);
+		await this._validateTmp(filePath, 'File ' + source, options.family);
+		return filePath;
+	}
+	if (cached) {
+		await this._copyTmp(cached, filePath);
+		try {
+			await this._validateTmp(filePath, 'Cached file ' + cached, options.family);
+			return filePath;
+		} catch (err) {
+			if (this.offline) throw err;
+		}
+	}
+	await this._download(remoteFile, filePath, options.onData);
+
+	// A URL ending in .ttf can still answer with an error page or a truncated file
+	await this._validateTmp(filePath, 'Downloaded file ' + remoteFile, options.family);
+	await Cache.writeFile(remoteFile, filePath);
+	return filePath;
+};
+
+/**
+ * Check that a temporary file is a font of the expected family, and remove it if not
+ * @param {string} filePath - Temporary file path
+ * @param {string} label - Where the file comes from, for the error message
+ * @param {string} [family] - Family the file must belong to
+ * @returns {Promise<void>}
+ * @throws {Error} If the file is not a font of the family (code INVALID_RESPONSE)
+ */
+SystemFont.prototype._validateTmp = async function(filePath, label, family) {
+	try {
+		await Sfnt.validateFile(filePath, { family: family });
+	} catch (err) {
+		try {
+			await fs.unlink(filePath);
+		} catch (e) {}
+		throw Object.assign(new Error(label + ' is corrupted: ' + /** @type {Error} */ (err).message), {
+			code: 'INVALID_RESPONSE',
+			cause: err
+		});
+	}
+};
+
+/**
+ * Download a remote file. The bytes are written to a `.part` file named after
+ * the hash of the URL first, with the ETag or Last-Modified date of the response
+ * next to it: when a download fails, the next one resumes from the bytes on disk
+ * if the server still has the same file, and starts over otherwise.
+ * @param {string} remoteFile - URL of the file
+ * @param {string} filePath - Path of the downloaded file
+ * @param {(bytes: number) => void} [onData] - Called with the size of each received chunk
+ * @returns {Promise<void>}
+ * @throws {Error} If the download fails after the retries of `Request`
+ */
+SystemFont.prototype._download = async function(remoteFile, filePath, onData) {
+	const partPath = path.join(path.dirname(filePath), crypto.createHash('sha256').update(remoteFile).digest('hex') + '.part');
+	const validatorPath = partPath + '.validator';
+	let offset = 0;
+	/** @type {string | undefined} */
+	let validator;
+	try {
+		validator = (await fs.readFile(validatorPath, 'utf8')).trim() || undefined;
+		offset = (await fs.stat(partPath)).size;
+	} catch (e) {}
+	// Bytes of an unknown version of the file cannot be resumed
+	if (!validator) offset = 0;
+
+	const localFile = fsSync.createWriteStream(partPath, { flags: offset ? 'a' : 'w' });
+	const download = new Request(remoteFile, offset ? { offset: offset, validator: validator } : { offset: 0 });
+	if (onData) {
 		// @ts-ignore - Request inherits from PassThrough which has EventEmitter
-		download.on('error', reject)
-			.pipe(localFile)
-			.on('finish', async () => {
-				const mimeType = download.getMimeType();
-				const ext = path.parse(filePath).ext.toLowerCase();
-				
-				// Check if the downloaded file is a valid font based on MIME type or file extension
-				const isValidFont = (mimeType && (mimeType.mime === 'application/font-sfnt' || mimeType.mime === 'font/woff2')) || 
-								  (ext === '.ttf' || ext === '.woff2');
-				
-				if (isValidFont) {
-					resolve(filePath);
-				} else {
-					try {
-						await fs.unlink(filePath);
-					} catch (e) {}
-					reject(new Error('Downloaded file is corrupted'));
-				}
-			})
-			.on('error', reject);
-	});
+		download.on('data', /** @param {Buffer} chunk */ (chunk) => onData(chunk.length));
+	}
+
+	try {
+		await new Promise((resolve, reject) => {
+			/** @type {Error | null} */
+			let failed = null;
+			// The stream still ends after an error, the partial file is kept for the next download
+			// @ts-ignore - Request inherits from PassThrough which has EventEmitter
+			download.on('error', /** @param {Error} err */ (err) => { failed = err; })
+				.pipe(localFile)
+				.on('finish', () => failed ? reject(failed) : resolve(undefined))
+				.on('error', reject);
+		});
+	} catch (err) {
+		const error = /** @type {Error & { statusCode?: number, code?: string }} */ (err);
+		if (offset && (error.statusCode === 416 || error.code === 'RANGE_IGNORED')) {
+			// The file on disk is not the beginning of the remote file anymore, download it all again
+			await fs.unlink(partPath);
+			await fs.rm(validatorPath, { force: true });
+			return this._download(remoteFile, filePath, onData);
+		}
+		try {
+			if (download.validator) {
+				await fs.writeFile(validatorPath, download.validator);
+			} else {
+				await fs.rm(validatorPath, { force: true });
+			}
+		} catch (e) {}
+		throw err;
+	}
+
+	await fs.rename(partPath, filePath);
+	await fs.rm(validatorPath, { force: true });
+};
+
+/**
+ * Copy a local font file to a temporary location
+ * @param {string} sourcePath - Font file on disk
+ * @param {string} filePath - Temporary file path
+ * @returns {Promise<string>} Path to the temporary file
+ * @throws {Error} If the file is missing or is not a font file
+ */
+SystemFont.prototype._copyTmp = async function(sourcePath, filePath) {
+	const ext = path.parse(filePath).ext.toLowerCase();
+	if (ext !== '.ttf' && ext !== '.woff2') {
+		throw new Error('Not a font file: ' + sourcePath);
+	}
+	try {
+		await fs.copyFile(sourcePath, filePath);
+	} catch (err) {
+		const error = new Error('Unable to read ' + sourcePath);
+		error.cause = err;
+		throw error;
+	}
+	return filePath;
 };
 
 /**
@@ -134,10 +262,11 @@ SystemFont.prototype._isFolderOk = async function(folder) {
  * @param {string} remoteFile - URL of the font file
  * @param {string | false} destFolder - Destination folder path
  * @param {string} fileName - Base name for the saved file
+ * @param {SaveOptions} [options] - Progress callback and expected family
  * @returns {Promise<string>} Path to the saved file
  */
-SystemFont.prototype.saveAt = async function(remoteFile, destFolder, fileName) {
-	const tmpPath = await this._saveTmp(remoteFile, fileName);
+SystemFont.prototype.saveAt = async function(remoteFile, destFolder, fileName, options) {
+	const tmpPath = await this._saveTmp(remoteFile, fileName, options);
 	// @ts-ignore - destFolder can be false, which _move handles
 	return await this._move(tmpPath, destFolder);
 };
@@ -154,31 +283,29 @@ SystemFont.prototype.saveHere = async function(remoteFile, fileName) {
 };
 
 /**
- * Download and install a font to the system font folder
+ * Download and install a font to the font folder of the current user, or of all users (see `scope`)
  * @param {string} remoteFile - URL of the font file
  * @param {string} fileName - Base name for the font file
+ * @param {SaveOptions} [options] - Progress callback and expected family
  * @returns {Promise<string>} Installation result message or path
  * @throws {Error} If platform is not supported
  */
-SystemFont.prototype.install = async function(remoteFile, fileName) {
+SystemFont.prototype.install = async function(remoteFile, fileName, options) {
 	switch (platform) {
 		case 'linux':
 			const xdgDataHome = process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share');
-			const linuxDestFolder = path.join(xdgDataHome, 'fonts');
-			const result = await this.saveAt(remoteFile, linuxDestFolder, fileName);
-			try {
-				await util.promisify(exec)('fc-cache -f');
-			} catch (err) {
-				// fc-cache might not be available or fail, but the font is already saved
-			}
+			const linuxDestFolder = this.scope === 'system' ? SYSTEM_FONT_FOLDERS.linux : path.join(xdgDataHome, 'fonts');
+			const result = await this.saveAt(remoteFile, linuxDestFolder, fileName, options);
+			await this._refreshFontCache();
 			return result;
 			
 		case 'darwin':
-			const darwinDestFolder = path.join(os.homedir(), 'Library', 'Fonts/');
-			return await this.saveAt(remoteFile, darwinDestFolder, fileName);
+			const darwinDestFolder = this.scope === 'system' ? SYSTEM_FONT_FOLDERS.darwin : path.join(os.homedir(), 'Library', 'Fonts/');
+			return await this.saveAt(remoteFile, darwinDestFolder, fileName, options);
 			
 		case 'win32':
-			const tmpPath = await this._saveTmp(remoteFile, fileName);
+			// The Windows font installer picks the folder, whatever the scope
+			const tmpPath = await this._saveTmp(remoteFile, fileName, options);
 			const ver = os.release().split('.');
 			let majorVer = 0;
 
@@ -221,4 +348,65 @@ SystemFont.prototype.install = async function(remoteFile, fileName) {
 	}
 };
 
+/**
+ * Rebuild the fontconfig cache on Linux so added or removed fonts are picked up
+ * @returns {Promise<void>}
+ */
+SystemFont.prototype._refreshFontCache = async function() {
+	if (platform !== 'linux') return;
+	try {
+		await util.promisify(exec)('fc-cache -f');
+	} catch (err) {
+		// fc-cache might not be available or fail, but the font files are already in place
+	}
+};
+
+/**
+ * Compute the SHA-256 checksum of a local file
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} Hex encoded digest
+ */
+SystemFont.prototype.checksum = async function(filePath) {
+	const content = await fs.readFile(filePath);
+	return crypto.createHash('sha256').update(content).digest('hex');
+};
+
+/**
+ * Remove installed font files recorded in the installation registry.
+ * Files whose content changed since installation are left untouched.
+ * @param {RegistryEntry[]} entries - Registry entries to uninstall
+ * @returns {Promise<UninstallResult>} Removed and skipped entries
+ */
+SystemFont.prototype.uninstall = async function(entries) {
+	/** @type {UninstallResult} */
+	const result = { removed: [], missing: [], skipped: [] };
+
+	for (const entry of entries) {
+		let sum;
+		try {
+			sum = await this.checksum(entry.path);
+		} catch (err) {
+			if (/** @type {NodeJS.ErrnoException} */ (err).code !== 'ENOENT') throw err;
+			result.missing.push(entry);
+			continue;
+		}
+
+		if (sum !== entry.sha256) {
+			result.skipped.push({ entry: entry, reason: 'file was modified after installation' });
+			continue;
+		}
+
+		await fs.unlink(entry.path);
+		result.removed.push(entry);
+	}
+
+	// Missing files are dropped from the registry too: there is nothing left to remove
+	const forgotten = result.removed.concat(result.missing);
+	await Registry.remove(forgotten.map((e) => e.path));
+	if (result.removed.length > 0) {
+		await this._refreshFontCache();
+	}
+	return result;
+};
+
 module.exports = new SystemFont();
@@ -17,8 +17,18 @@ export interface FontData {
   category?: string;
   /** Available variants - array of IDs or map of variant ID to URL */
   variants?: string[] | Record<string, string>;
+  /** Font version as published by the catalog (e.g., 'v30') */
+  version?: string;
+  /** Date the family was last modified in the catalog (YYYY-MM-DD) */
+  lastModified?: string;
+  /** Character subsets supported by the family (e.g., 'latin', 'cyrillic') */
+  subsets?: string[];
+  /** Popularity rank in the catalog, 1 being the most used family */
+  popularity?: number;
+  /** Whether the family has a variable version, when the catalog tells */
+  variable?: boolean;
   /** Allow indexing by string for dynamic field access */
-  [key: string]: string | string[] | Record<string, string> | undefined;
+  [key: string]: string | string[] | number | boolean | Record<string, string> | undefined;
 }
 
 /**
@@ -31,6 +41,22 @@ export interface FontResult {
   variant: string;
   /** Local file path where the font was saved */
   path: string;
+  /** URL the file was downloaded from */
+  url?: string;
+  /** Subsets the file was requested with, when not the default one */
+  subsets?: string[];
+  /** Why the file is saved but not recorded in the installation registry */
+  warning?: string;
+}
+
+/**
+ * Options for generated @font-face rules
+ */
+export interface FontFaceOptions {
+  /** Stylesheet path; `src` URLs are made relative to its folder */
+  cssFile?: string;
+  /** font-display value (default 'swap') */
+  display?: 'auto' | 'block' | 'swap' | 'fallback' | 'optional' | string;
 }
 
 /**
@@ -52,6 +78,54 @@ export interface GWFHVariant {
  */
 export interface GWFHFontResponse {
   variants: GWFHVariant[];
+  /** Subset of the files when none is requested */
+  defSubset?: string;
+}
+
+// ============================================================================
+// Provider Types
+// ============================================================================
+
+/**
+ * Backend serving the font catalog, the font files and the stylesheets
+ */
+export interface FontProvider {
+  /** Name used by --provider (e.g. 'gwfh') */
+  name: string;
+  /** Name of the API in error messages (e.g. 'GWFH API') */
+  label: string;
+  /** URL of the font list */
+  listUrl: string;
+  /** Name of the cached font list in the cache directory, null to never cache it */
+  cacheFile: string | null;
+  /** Read the raw font list instead of requesting listUrl */
+  fetchList?(): Promise<string>;
+  /** Convert the parsed font list to font data */
+  parseList(json: any): FontData[];
+  /** URL of a family on the provider API */
+  familyUrl(font: GoogleFontInstance): string;
+  /** Map of variant ID to file URL for a format, of the default subset unless subsets are given */
+  getFileMapAsync(font: GoogleFontInstance, format: FontFormat, subsets?: string[]): Promise<Record<string, string>>;
+  /** Stylesheet URL of a family */
+  cssUrl(font: GoogleFontInstance): string;
+  /** Variation axes of a family, empty when it has no variable version */
+  getAxesAsync?(font: GoogleFontInstance): Promise<VariationAxis[]>;
+  /** Map of variable variant ID (e.g. '100..900italic') to file URL for a format */
+  getVariableFileMapAsync?(font: GoogleFontInstance, format: FontFormat, axes: VariationAxis[], subsets?: string[]): Promise<Record<string, string>>;
+}
+
+/**
+ * Range of a variation axis of a variable font, as published by the catalog
+ */
+export interface VariationAxis {
+  /** Axis tag (e.g. 'wght', 'wdth', 'opsz', 'ital') */
+  tag: string;
+  /** Smallest value */
+  min: number;
+  /** Default value */
+  default: number;
+  /** Largest value */
+  max: number;
 }
 
 // ============================================================================
@@ -61,13 +135,491 @@ export interface GWFHFontResponse {
 /**
  * Structure of the cache file
  */
-export interface CachePayload {
-  /** Timestamp when the cache was written */
+export interface CachePayload extends CacheValidators {
+  /** Timestamp when the cache was written (or revalidated) */
   fetchedAt: number;
   /** Cached font list */
   fonts: FontData[];
 }
 
+/**
+ * Response validators used to revalidate the cached font list
+ */
+export interface CacheValidators {
+  /** ETag header, sent back in If-None-Match */
+  etag?: string;
+  /** Last-Modified header, sent back in If-Modified-Since */
+  lastModified?: string;
+}
+
+/**
+ * Font list response; `body` is null when the server answered 304 Not Modified
+ */
+export interface FontListResponse extends CacheValidators {
+  body: string | null;
+}
+
+/**
+ * Cached response of a family endpoint
+ */
+export interface FamilyCachePayload {
+  /** Timestamp when the response was cached */
+  fetchedAt: number;
+  /** Family endpoint */
+  url: string;
+  /** Catalog version of the font when it was cached */
+  version?: string;
+  /** Raw response */
+  body: string;
+}
+
+/**
+ * Runs tasks with a concurrency limit, see `lib/pool.js`
+ */
+export interface TaskPool {
+  /** Maximum number of running tasks */
+  concurrency: number;
+  run<T>(task: () => T | Promise<T>): Promise<T>;
+  map<I, T>(items: I[], task: (item: I, index: number) => T | Promise<T>): Promise<PromiseSettledResult<T>[]>;
+}
+
+/**
+ * Counts the files and bytes of running downloads, see `lib/progress.js`
+ */
+export interface DownloadProgress {
+  /** Files done */
+  files: number;
+  /** Files planned */
+  totalFiles: number;
+  /** Bytes received */
+  bytes: number;
+  plan(count: number): void;
+  addBytes(count: number): void;
+  fileDone(): void;
+}
+
+/**
+ * Options of `saveAtAsync` and `installAsync`
+ */
+export interface DownloadOptions {
+  /** Number of files downloaded at once (default 4), unless a pool is given */
+  concurrency?: number;
+  /** Pool shared by several families, so that the limit applies to all of them */
+  pool?: TaskPool;
+  /** Progress updated with the planned, received and finished files */
+  progress?: DownloadProgress;
+  /** Fetch the variable font files instead of the static instances */
+  variable?: boolean;
+  /** Character subsets of the files (e.g. ['latin', 'latin-ext']), the default subset otherwise */
+  subsets?: string[];
+  /** `false` to keep saved files out of the installation registry (`saveAtAsync` only) */
+  record?: boolean;
+}
+
+/**
+ * Where `install` puts fonts: the font folder of the current user, or of all users
+ */
+export type InstallScope = 'user' | 'system';
+
+/**
+ * Config file written by `gfcli config set`
+ */
+export type ConfigWhere = 'user' | 'project';
+
+/**
+ * Description of a setting of the config files
+ */
+export interface ConfigKey {
+  /** How the value is checked: 'enum' (one of `values`), 'path', 'list', 'boolean', 'duration', 'number' (whole, from 0) or 'string' */
+  type: 'enum' | 'path' | 'list' | 'boolean' | 'duration' | 'number' | 'string';
+  /** Allowed values of an 'enum' */
+  values?: string[];
+  /** Shown by `gfcli config list` */
+  description: string;
+}
+
+/**
+ * Settings of the config files (`~/.config/gfcli/config.json` and `.gfclirc`)
+ */
+export interface ConfigValues {
+  /** Format of downloaded files */
+  format?: FontFormat;
+  /** Destination folder of downloaded files (absolute once loaded) */
+  dest?: string;
+  /** Variants to download and install */
+  variants?: string[];
+  /** Where fonts are installed */
+  scope?: InstallScope;
+  /** Font provider name */
+  provider?: string;
+  /** Font mirror of offline mode (absolute once loaded) */
+  mirror?: string;
+  /** Cache directory (absolute once loaded) */
+  cacheDir?: string;
+  /** Directory of the installation registry (absolute once loaded) */
+  dataDir?: string;
+  /** Time-to-live of the cached font list, e.g. '12h' */
+  cacheTtl?: string;
+  /** Read and write the cache */
+  cache?: boolean;
+  /** Retries of a failed request */
+  retries?: number;
+  /** Proxy URL of every request */
+  proxy?: string;
+  /** PEM file of extra trusted certificates (absolute once loaded) */
+  caFile?: string;
+}
+
+/**
+ * Settings loaded from the config files
+ */
+export interface LoadedConfig {
+  /** Settings of the user config file, overridden by those of the project config file */
+  values: ConfigValues;
+  /** Config file each setting comes from */
+  sources: Record<string, string>;
+  /** User config file (even if missing) and project config file (null if none was found) */
+  files: { user: string; project: string | null };
+}
+
+/**
+ * Process-wide cache settings, see `Cache.configure`
+ */
+export interface CacheSettings {
+  /** Cache directory (default GFCLI_CACHE_DIR, else $XDG_CACHE_HOME/gfcli, else ~/.gfcli) */
+  dir?: string;
+  /** Time-to-live of cached font lists in milliseconds (default 24 hours) */
+  ttl?: number;
+  /** Read and write the cache (default true) */
+  enabled?: boolean;
+}
+
+/**
+ * Settings of `Registry.configure`
+ */
+export interface RegistrySettings {
+  /** Directory of the installation registry (default GFCLI_DATA_DIR, else $XDG_DATA_HOME/gfcli, else ~/.gfcli) */
+  dir?: string;
+}
+
+/**
+ * Content of the cache, as reported by `gfcli cache info`
+ */
+export interface CacheInfo {
+  /** Cache directory */
+  dir: string;
+  /** Cached font lists (one per provider) */
+  catalogs: { file: string; size: number; updatedAt: string; expired: boolean }[];
+  /** Cached family responses */
+  families: { count: number; size: number };
+  /** Cached font files */
+  files: { count: number; size: number };
+  /** Total size in bytes */
+  size: number;
+}
+
+/**
+ * Outcome of `clear` and `prune`
+ */
+export interface CacheCleanup {
+  /** Number of removed files */
+  removed: number;
+  /** Freed bytes */
+  freed: number;
+}
+
+// ============================================================================
+// Registry Types
+// ============================================================================
+
+/**
+ * How a recorded file was written: `installAsync` or `saveAtAsync`
+ */
+export type RegistryKind = 'install' | 'download';
+
+/**
+ * A font file written by `installAsync` or `saveAtAsync`
+ */
+export interface RegistryEntry {
+  /** Font family name */
+  family: string;
+  /** Normalized variant ID */
+  variant: string;
+  /** How the file was written (entries without it are installs) */
+  kind?: RegistryKind;
+  /** Format of the file */
+  format?: FontFormat;
+  /** Absolute path of the written file */
+  path: string;
+  /** URL the file was downloaded from */
+  url: string;
+  /** SHA-256 checksum of the installed file */
+  sha256: string;
+  /** Catalog version of the family at install time */
+  version?: string;
+  /** Catalog lastModified date of the family at install time */
+  lastModified?: string;
+  /** Subsets the file was requested with, when not the default one */
+  subsets?: string[];
+  /** Scope of an install (older entries have none) */
+  scope?: InstallScope;
+  /** ISO timestamp of the installation or download */
+  installedAt: string;
+}
+
+/**
+ * Structure of the installation registry file
+ */
+export interface RegistryPayload {
+  /** Registry format version */
+  version: number;
+  /** Recorded files */
+  fonts: RegistryEntry[];
+}
+
+/**
+ * A registry entry compared against the disk and the current catalog
+ */
+export interface InstalledFontStatus extends RegistryEntry {
+  /** Version currently published by the catalog */
+  latestVersion?: string;
+  /** lastModified date currently published by the catalog */
+  latestLastModified?: string;
+  /**
+   * - `current`: installed file matches the catalog version
+   * - `outdated`: the catalog publishes a newer version
+   * - `missing`: the recorded file no longer exists
+   * - `unknown`: family not in the catalog, or no version was recorded
+   */
+  status: 'current' | 'outdated' | 'missing' | 'unknown';
+}
+
+/**
+ * Files of one family that must be fetched again to catch up with the catalog
+ */
+export interface UpdatePlanItem {
+  /** Font family name */
+  family: string;
+  /** Whether the files are reinstalled or downloaded again */
+  kind: RegistryKind;
+  /** Format of the files */
+  format: FontFormat;
+  /** Destination folder for downloads */
+  dest?: string;
+  /** Variants to fetch again */
+  variants: string[];
+  /** Whether the files are variable fonts, fetched again in variable mode */
+  variable: boolean;
+  /** Subsets the files were requested with */
+  subsets?: string[];
+  /** Scope the files were installed in, when recorded */
+  scope?: InstallScope;
+  /** Recorded version (or lastModified date) */
+  from?: string;
+  /** Version (or lastModified date) published by the catalog */
+  to?: string;
+}
+
+/**
+ * Outcome of `SystemFont.uninstall`
+ */
+export interface UninstallResult {
+  /** Entries whose file was deleted */
+  removed: RegistryEntry[];
+  /** Entries whose file no longer existed */
+  missing: RegistryEntry[];
+  /** Entries left untouched, with the reason */
+  skipped: { entry: RegistryEntry; reason: string }[];
+}
+
+// ============================================================================
+// Manifest Types
+// ============================================================================
+
+/**
+ * A family requested by a fonts.json manifest
+ */
+export interface ManifestFont {
+  /** Font family name */
+  family: string;
+  /** Normalized variant IDs, or false for all variants */
+  variants: string[] | false;
+  /** Formats to download */
+  formats: FontFormat[];
+  /** Requested character subsets */
+  subsets: string[];
+}
+
+/**
+ * A validated fonts.json manifest
+ */
+export interface ManifestData {
+  /** Absolute path of the manifest */
+  file: string;
+  /** Directory of the manifest; relative paths are resolved from here */
+  dir: string;
+  /** Destination folder, relative to the manifest */
+  destination: string;
+  /** Requested families */
+  fonts: ManifestFont[];
+}
+
+/**
+ * A file pinned by the lockfile
+ */
+export interface LockedFile {
+  variant: string;
+  format: FontFormat;
+  /** Resolved download URL */
+  url: string;
+  /** Path relative to the manifest, with forward slashes */
+  path: string;
+  /** SHA-256 checksum of the file */
+  sha256: string;
+}
+
+/**
+ * A family pinned by the lockfile
+ */
+export interface LockedFont {
+  family: string;
+  /** Catalog version the files were resolved from */
+  version?: string;
+  /** Catalog lastModified date the files were resolved from */
+  lastModified?: string;
+  /** Manifest request the entry was resolved for */
+  variants: string[] | false;
+  formats: FontFormat[];
+  subsets: string[];
+  files: LockedFile[];
+}
+
+/**
+ * Structure of fonts.lock.json
+ */
+export interface LockData {
+  lockfileVersion: number;
+  destination: string;
+  /** Locked families keyed by lowercase family name */
+  fonts: Record<string, LockedFont>;
+}
+
+/**
+ * Options of `Manifest.sync`
+ */
+export interface SyncOptions {
+  /** Current lockfile, if any */
+  lock: LockData | null;
+  /** Only verify against the lockfile, never resolve */
+  frozen?: boolean;
+  /** Look a family up in the catalog */
+  findFont(family: string): Promise<GoogleFontInstance | false>;
+}
+
+/**
+ * Outcome of `Manifest.sync`
+ */
+export interface SyncResult {
+  /** Lock data matching the synced files */
+  lock: LockData;
+  /** Files downloaded from the catalog */
+  downloaded: FontResult[];
+  /** Families whose locked files were verified */
+  verified: string[];
+  /** Families whose locked files did not match in frozen mode, with their problems (also in `problems`) */
+  failed: { family: string, problems: string[] }[];
+  /** Everything that did not match */
+  problems: string[];
+}
+
+// ============================================================================
+// Browser Types
+// ============================================================================
+
+/**
+ * Action picked in the interactive font browser
+ */
+export interface BrowseSelection {
+  action: 'install' | 'download' | 'copy';
+  font: GoogleFontInstance;
+  /** Selected variants, or false for all */
+  variants: string[] | false;
+  /** Format for downloads */
+  format: FontFormat;
+}
+
+// ============================================================================
+// JSON Report Types
+// ============================================================================
+
+/**
+ * Error in a JSON document, `code` is one of Report.ERROR_CODES
+ */
+export interface ReportError {
+  code: string;
+  message: string;
+}
+
+/** Outcome of one requested family */
+export type ReportFamilyStatus = 'ok' | 'partial' | 'failed';
+
+/**
+ * File produced by a command
+ */
+export interface ReportFile {
+  family: string;
+  variant: string;
+  path: string;
+  url: string | null;
+  /** Why the file is saved but not recorded in the installation registry */
+  warning?: string;
+}
+
+/**
+ * Catalog font in a JSON document
+ */
+export interface ReportFont {
+  family: string;
+  category: string | null;
+  variants: string[];
+  subsets: string[];
+  version: string | null;
+  lastModified: string | null;
+  cssUrl: string;
+  /** Search relevance, only for search results */
+  score?: number;
+}
+
+/**
+ * Per family entry of a JSON document
+ */
+export interface ReportFamily {
+  /** Family name as requested */
+  query: string;
+  /** Catalog family name, null if none matched */
+  family: string | null;
+  status: ReportFamilyStatus;
+  files: ReportFile[];
+  error?: ReportError;
+  /** Command specific fields (e.g. suggestions, url) */
+  [key: string]: any;
+}
+
+/**
+ * JSON document printed by `--json`
+ */
+export interface ReportDocument {
+  schemaVersion: number;
+  command: string;
+  /** True when every family succeeded and there are no errors */
+  ok: boolean;
+  summary: { total: number; succeeded: number; failed: number };
+  families: ReportFamily[];
+  errors: ReportError[];
+  /** Command specific fields (e.g. fonts for search) */
+  [key: string]: any;
+}
+
 // ============================================================================
 // Request Types
 // ============================================================================
@@ -80,6 +632,235 @@ export interface MimeTypeResult {
   ext?: string;
 }
 
+/**
+ * Network settings, see `HttpClient.configure`
+ */
+export interface HttpSettings {
+  /** Proxy URL of every request, instead of HTTPS_PROXY/HTTP_PROXY ('' to reset) */
+  proxy?: string;
+  /** PEM file of certificates trusted besides the built-in ones ('' to reset) */
+  caFile?: string;
+}
+
+/**
+ * Retry settings of requests, see `Request.configure`
+ */
+export interface RetrySettings {
+  /** Retries after a connection error, a timeout, a 408, 429 or 5xx response (default 3) */
+  retries?: number;
+  /** Base delay of the exponential backoff in milliseconds (default 500) */
+  retryDelay?: number;
+  /** Longest wait between two attempts in milliseconds, Retry-After included (default 30s) */
+  maxRetryDelay?: number;
+}
+
+/**
+ * Options of a request
+ */
+export interface RequestOptions extends RetrySettings {
+  /** Request headers (e.g. If-None-Match) */
+  headers?: Record<string, string>;
+  /** Bytes of the file already on disk: the rest is requested with a Range header */
+  offset?: number;
+  /** ETag or Last-Modified of the response the bytes on disk come from, sent as If-Range */
+  validator?: string;
+}
+
+/**
+ * Options of `SystemFont.saveAt` and `SystemFont.install`
+ */
+export interface SaveOptions {
+  /** Called with the size of each received chunk */
+  onData?: (bytes: number) => void;
+  /** Family the downloaded file must belong to, checked in its name table */
+  family?: string;
+}
+
+/**
+ * Options of `Sfnt.validate`
+ */
+export interface FontValidationOptions {
+  /** Family the font must belong to */
+  family?: string;
+}
+
+/**
+ * Entry of the table directory of a font file
+ */
+export interface SfntTable {
+  /** Table tag, e.g. 'glyf' */
+  tag: string;
+  /** Checksum of the table directory (0 in WOFF2 files, which have none) */
+  checksum: number;
+  /** Offset of the table in the file, or in the decompressed WOFF2 data */
+  offset: number;
+  /** Length in bytes (in WOFF2 files, of the transformed table when it is) */
+  length: number;
+}
+
+/**
+ * Font file parsed by `Sfnt.parse`
+ */
+export interface SfntFont {
+  /** Container: TrueType or OpenType (CFF) sfnt, or WOFF2 */
+  format: 'ttf' | 'otf' | 'woff2';
+  /** Outlines of a WOFF2 font */
+  flavor?: 'ttf' | 'otf';
+  /** Table directory */
+  tables: SfntTable[];
+  /** Data of the tables by tag (untransformed tables only in WOFF2 files) */
+  data: Record<string, Buffer>;
+}
+
+/**
+ * Names of a font, from its name table
+ */
+export interface FontNames {
+  /** Family (name ID 1), may include a style, e.g. "Roboto Medium" */
+  family?: string;
+  /** Subfamily (name ID 2), e.g. "Regular" */
+  subfamily?: string;
+  /** Full name (name ID 4) */
+  fullName?: string;
+  /** Typographic family (name ID 16), when it differs from the family */
+  typographicFamily?: string;
+}
+
+/**
+ * Variation axis of a variable font, from its fvar table
+ */
+export interface FontAxis {
+  /** Axis tag, e.g. 'wght' */
+  tag: string;
+  /** Axis name of the name table, e.g. "Weight" */
+  name: string | null;
+  min: number;
+  default: number;
+  max: number;
+  /** Whether the axis should not be shown in user interfaces */
+  hidden: boolean;
+}
+
+/**
+ * Named instance of a variable font, e.g. "Bold" at wght 700
+ */
+export interface FontInstance {
+  /** Subfamily name of the instance */
+  name: string | null;
+  /** Position on each axis, by axis tag */
+  coordinates: Record<string, number>;
+}
+
+/**
+ * Metadata of a font file, read by `FontMetadata.read`. Fields the font does not have are null.
+ */
+export interface FontMetadata {
+  format: 'ttf' | 'otf' | 'woff2';
+  /** Family (name ID 1) */
+  family: string | null;
+  /** Subfamily (name ID 2) */
+  subfamily: string | null;
+  /** Full name (name ID 4) */
+  fullName: string | null;
+  /** Typographic family (name ID 16) */
+  typographicFamily: string | null;
+  /** Typographic subfamily (name ID 17) */
+  typographicSubfamily: string | null;
+  /** PostScript name (name ID 6) */
+  postScriptName: string | null;
+  /** Version string (name ID 5), e.g. "Version 3.011" */
+  version: string | null;
+  /** Copyright notice (name ID 0) */
+  copyright: string | null;
+  /** Manufacturer (name ID 8) */
+  manufacturer: string | null;
+  /** Designer (name ID 9) */
+  designer: string | null;
+  /** License description (name ID 13) */
+  license: string | null;
+  /** License URL (name ID 14) */
+  licenseUrl: string | null;
+  /** usWeightClass of the OS/2 table, e.g. 400 */
+  weightClass: number | null;
+  /** usWidthClass of the OS/2 table, 5 is normal */
+  widthClass: number | null;
+  /** Italic or oblique style */
+  italic: boolean;
+  /** Embedding permissions (fsType): installable, restricted, preview & print or editable */
+  embedding: string | null;
+  /** Vendor ID of the OS/2 table */
+  vendor: string | null;
+  /** fontRevision of the head table, e.g. "3.011" */
+  revision: string | null;
+  unitsPerEm: number | null;
+  /** Creation date of the head table, ISO 8601 */
+  created: string | null;
+  /** Modification date of the head table, ISO 8601 */
+  modified: string | null;
+  /** Number of glyphs (maxp) */
+  glyphs: number | null;
+  /** Number of code points mapped by the cmap table */
+  codePoints: number;
+  /** Mapped code points, as [first, last] ranges */
+  unicodeRanges: number[][];
+  /** Variation axes, empty for a static font */
+  axes: FontAxis[];
+  /** Named instances of a variable font */
+  instances: FontInstance[];
+}
+
+/**
+ * Font file of a family inspected by `inspectAsync`
+ */
+export interface FontInspection {
+  /** Catalog family name */
+  family: string;
+  variant: string;
+  url: string;
+  metadata: FontMetadata;
+}
+
+/**
+ * Options of `Subset.subset`
+ */
+export interface FontSubsetOptions {
+  /** Format of the subset file (default 'woff2') */
+  format?: FontFormat;
+}
+
+/**
+ * Font file written by `Subset.subset`
+ */
+export interface FontSubset {
+  /** Content of the subset file */
+  data: Buffer;
+  format: FontFormat;
+  /** Glyphs kept, .notdef, components and substitutes included */
+  glyphs: number;
+  /** Code points of the cmap table */
+  codePoints: number;
+  /** Sorted ranges of those code points, [first, last] each */
+  unicodeRanges: number[][];
+}
+
+/**
+ * Options of `subsetAsync`
+ */
+export interface SubsetOptions extends DownloadOptions, FontSubsetOptions {}
+
+/**
+ * Subset file written by `subsetAsync`
+ */
+export interface SubsetResult extends FontResult {
+  /** Size in bytes of the downloaded TTF file */
+  originalSize: number;
+  /** Size in bytes of the subset file */
+  size: number;
+  glyphs: number;
+  codePoints: number;
+  unicodeRanges: number[][];
+}
+
 // ============================================================================
 // Callback Types
 // ============================================================================
@@ -115,43 +896,182 @@ export interface GoogleFontInstance extends FontData {
   family: string;
   category?: string;
   variants?: string[] | Record<string, string>;
+  version?: string;
+  lastModified?: string;
   apiUrl: string;
   _fileName: string;
+  _provider: FontProvider;
+  /** Variation axes, set by `getAxesAsync` */
+  axes?: VariationAxis[];
+  /** Search relevance between 0 and 1, set on `searchFont` results */
+  score?: number;
+  /** Edit distance to the requested name, set on `suggestFont` results */
+  distance?: number;
+  /** Whether the distance is small enough to assume a typo, set on `suggestFont` results */
+  close?: boolean;
   
   getFamily(): string;
   getVariants(): string[];
   getCategory(): string | undefined;
+  getSubsets(): string[];
   getCssUrl(): string;
+  getAxes(): VariationAxis[];
+  getAxesAsync(): Promise<VariationAxis[]>;
   _getFileMap(format: FontFormat | FileMapCallback, callback?: FileMapCallback): void | Promise<Record<string, string>>;
-  _getFileMapAsync(format?: FontFormat): Promise<Record<string, string>>;
+  _getFileMapAsync(format?: FontFormat, subsets?: string[]): Promise<Record<string, string>>;
+  _getVariableFileMapAsync(format?: FontFormat, subsets?: string[]): Promise<Record<string, string>>;
+  _normalizeSubsets(subsets?: string[]): string[] | undefined;
+  _variableVariants(variants: string[] | false | undefined, fileList: Record<string, string>): string[] | false;
+  _localName(variant: string, subsets?: string[]): string;
   install(variants?: string[] | false, callback?: FontResultCallback): void;
-  installAsync(variants?: string[] | false): Promise<FontResult[]>;
+  installAsync(variants?: string[] | false, options?: DownloadOptions): Promise<FontResult[]>;
   saveAt(variants?: string[] | false, destFolder?: string, format?: FontFormat | FontResultCallback, callback?: FontResultCallback): void;
-  saveAtAsync(variants?: string[] | false, destFolder?: string, format?: FontFormat): Promise<FontResult[]>;
+  saveAtAsync(variants?: string[] | false, destFolder?: string, format?: FontFormat, options?: DownloadOptions): Promise<FontResult[]>;
+  writeCssAsync(results: FontResult[], cssFile: string, options?: FontFaceOptions): Promise<string>;
+  inspectAsync(variants?: string[] | false, format?: FontFormat, options?: DownloadOptions): Promise<FontInspection[]>;
+  subsetAsync(variants: string[] | false | undefined, destFolder: string | undefined, ranges: number[][], options?: SubsetOptions): Promise<SubsetResult[]>;
+  _recordFile(kind: RegistryKind, variant: string, url: string, filePath: string, format: FontFormat, subsets?: string[]): Promise<void>;
   _normalizeVariant(variant: string): string;
 }
 
 /**
  * GoogleFontList instance type
  */
+/**
+ * Minimal fetch response used to download the font list
+ */
+export interface FetchResponse {
+  ok: boolean;
+  status: number;
+  headers?: { get(name: string): string | null };
+  text(): Promise<string>;
+}
+
+/**
+ * fetch-compatible function (e.g. the global `fetch`)
+ */
+export type FetchFunction = (url: string, init?: { headers: Record<string, string> }) => Promise<FetchResponse>;
+
+/**
+ * Outcome of GoogleFontList.load
+ */
+export interface LoadResult {
+  /** The list comes from the cache */
+  fromCache: boolean;
+  /** The cache was expired; it is refreshed in the background */
+  stale?: boolean;
+  /** The server confirmed the cached list is current (304 Not Modified) */
+  revalidated?: boolean;
+}
+
+/**
+ * Options of the GoogleFontList constructor
+ */
+export interface GoogleFontListOptions {
+  /** Start loading the list right away (default true) */
+  autoLoad?: boolean;
+  /** Folder of the cached font list (default GFCLI_CACHE_DIR, else $XDG_CACHE_HOME/gfcli, else ~/.gfcli) */
+  cacheDir?: string;
+  /** Time-to-live of the cached font list in milliseconds (default 24 hours) */
+  cacheTtl?: number;
+  /** Set to false to neither read nor write the cached font list. Family data and font files follow `configureCache` */
+  cache?: boolean;
+  /** Function used to download the font list instead of the built-in request */
+  fetch?: FetchFunction;
+  /** Provider name or object (default GFCLI_PROVIDER, else 'gwfh') */
+  provider?: string | FontProvider;
+  /** Read everything from a font mirror instead of the provider */
+  offline?: boolean;
+  /** Font mirror of offline mode (default GFCLI_MIRROR, else ~/.gfcli/mirror) */
+  mirrorDir?: string;
+  /** Use a recently expired cache right away and refresh it in the background */
+  staleWhileRevalidate?: boolean;
+}
+
+/**
+ * Options of GoogleFontList.create
+ */
+export interface GoogleFontListCreateOptions {
+  /** Ignore the cached list and download it again */
+  refresh?: boolean;
+  /** Folder of the cached font list (default GFCLI_CACHE_DIR, else $XDG_CACHE_HOME/gfcli, else ~/.gfcli) */
+  cacheDir?: string;
+  /** Time-to-live of the cached font list in milliseconds (default 24 hours) */
+  cacheTtl?: number;
+  /** Set to false to neither read nor write the cached font list. Family data and font files follow `configureCache` */
+  cache?: boolean;
+  /** Function used to download the font list instead of the built-in request */
+  fetch?: FetchFunction;
+  /** Provider name or object (default GFCLI_PROVIDER, else 'gwfh') */
+  provider?: string | FontProvider;
+  /** Read everything from a font mirror instead of the provider */
+  offline?: boolean;
+  /** Font mirror of offline mode (default GFCLI_MIRROR, else ~/.gfcli/mirror) */
+  mirrorDir?: string;
+  /** Use a recently expired cache right away and refresh it in the background */
+  staleWhileRevalidate?: boolean;
+}
+
+/**
+ * Result order of a font query
+ */
+export type FontSortKey = 'relevance' | 'popularity' | 'name' | 'lastModified';
+
+/**
+ * Chainable font query created by `GoogleFontList.query()`
+ */
+export interface FontQueryInstance {
+  search(term: string, field?: string): FontQueryInstance;
+  category(categories: string | string[]): FontQueryInstance;
+  subset(subsets: string | string[]): FontQueryInstance;
+  hasVariant(variants: string | string[]): FontQueryInstance;
+  minVariants(count: number): FontQueryInstance;
+  italic(): FontQueryInstance;
+  where(predicate: (font: GoogleFontInstance) => boolean): FontQueryInstance;
+  sort(key: FontSortKey): FontQueryInstance;
+  limit(count: number): FontQueryInstance;
+  variable(axes?: string | string[]): FontQueryInstance;
+  exec(callback?: FontListCallback): GoogleFontListInstance;
+  execAsync(options?: QueryOptions): Promise<GoogleFontListInstance>;
+}
+
+/**
+ * Options of `FontQuery.execAsync`
+ */
+export interface QueryOptions {
+  /** Number of axis requests at once (default 4), unless a pool is given */
+  concurrency?: number;
+  /** Pool shared with other requests */
+  pool?: TaskPool;
+}
+
 export interface GoogleFontListInstance {
   data: GoogleFontInstance[];
   _loading: boolean;
-  _loadingPromise: Promise<{ fromCache: boolean }> | null;
+  _loadingPromise: Promise<LoadResult> | null;
   _filterField?: string;
   _filterTerm?: string;
   loaded?: boolean;
   
-  downloadList(): Promise<{ fromCache: boolean }>;
-  load(forceRefresh?: boolean): Promise<{ fromCache: boolean }>;
+  downloadList(cached?: CachePayload): Promise<LoadResult>;
+  load(forceRefresh?: boolean): Promise<LoadResult>;
   parseRawData(rawData: string): void;
   populate(list: FontData[]): void;
   clone(): GoogleFontListInstance;
+  searchFont(term: string, field: string): Promise<GoogleFontListInstance>;
   searchFont(term: string, field: string, callback: FontListCallback): void;
+  searchFontByName(term: string): Promise<GoogleFontListInstance>;
   searchFontByName(term: string, callback: FontListCallback): void;
+  searchFontByType(term: string): Promise<GoogleFontListInstance>;
   searchFontByType(term: string, callback: FontListCallback): void;
+  suggestFont(term: string): Promise<GoogleFontListInstance>;
+  suggestFont(term: string, callback: FontListCallback): void;
+  query(): FontQueryInstance;
+  getFont(term: string, field: string): Promise<GoogleFontListInstance>;
   getFont(term: string, field: string, callback: FontListCallback): void;
+  getFontByName(term: string): Promise<GoogleFontListInstance>;
   getFontByName(term: string, callback: FontListCallback): void;
+  getFontByType(term: string): Promise<GoogleFontListInstance>;
   getFontByType(term: string, callback: FontListCallback): void;
   getFirst(): GoogleFontInstance | false;
   isSingle(): boolean;
@@ -171,11 +1091,19 @@ export interface RequestInstance {
   req?: import('http').ClientRequest;
   mimeType: boolean | MimeTypeResult;
   _firstBytes: boolean;
+  retries: number;
+  retryDelay: number;
+  maxRetryDelay: number;
+  attempt: number;
+  offset: number;
+  received: number;
   
   init(uri: string): void;
   _getProperLibrary(uri: URL): typeof import('http') | typeof import('https');
   handleResponse(res: import('http').IncomingMessage, originalUri: string): void;
   handleError(error: Error): void;
+  _fail(error: Error & { statusCode?: number }, uri: string, retryAfter?: number): void;
+  _backoff(attempt: number): number;
   getMimeType(): MimeTypeResult | undefined;
   
   // PassThrough/EventEmitter methods
@@ -190,13 +1118,16 @@ export interface RequestInstance {
  * SystemFont instance type
  */
 export interface SystemFontInstance {
-  _saveTmp(remoteFile: string, fileName: string): Promise<string>;
+  _saveTmp(remoteFile: string, fileName: string, onData?: (bytes: number) => void): Promise<string>;
   _move(oldPath: string, destFolder: string): Promise<string>;
   _checkDestFolder(destFolder?: string | null | false): Promise<string>;
   _isFolderOk(folder: string): Promise<void>;
-  saveAt(remoteFile: string, destFolder: string | false, fileName: string): Promise<string>;
+  saveAt(remoteFile: string, destFolder: string | false, fileName: string, onData?: (bytes: number) => void): Promise<string>;
   saveHere(remoteFile: string, fileName: string): Promise<string>;
-  install(remoteFile: string, fileName: string): Promise<string>;
+  install(remoteFile: string, fileName: string, onData?: (bytes: number) => void): Promise<string>;
+  _refreshFontCache(): Promise<void>;
+  checksum(filePath: string): Promise<string>;
+  uninstall(entries: RegistryEntry[]): Promise<UninstallResult>;
 }
 
 // ============================================================================
@@ -25,3 +25,49 @@ declare module 'pascal-case' {
   function pascalCase(str: string): string;
   export = pascalCase;
 }
+
+// Minimal typings for the interactive browser; React and ink ship types
+// that the CommonJS module resolution used here cannot load
+
+declare module 'react' {
+  export function createElement(type: any, props?: any, ...children: any[]): any;
+  export function useState<S>(initial: S): [S, (value: S) => void];
+  export function useMemo<T>(factory: () => T, deps: any[]): T;
+}
+
+declare module 'ink' {
+  export interface Key {
+    upArrow: boolean;
+    downArrow: boolean;
+    leftArrow: boolean;
+    rightArrow: boolean;
+    return: boolean;
+    escape: boolean;
+    tab: boolean;
+    shift: boolean;
+    ctrl: boolean;
+    backspace: boolean;
+    delete: boolean;
+  }
+
+  export interface Instance {
+    waitUntilExit(): Promise<void>;
+    unmount(): void;
+  }
+
+  export const Box: any;
+  export const Text: any;
+  export function render(tree: any): Instance;
+  export function useInput(handler: (input: string, key: Key) => void, options?: { isActive?: boolean }): void;
+  export function useApp(): { exit(error?: Error): void };
+}
+
+declare module 'ink-text-input' {
+  const TextInput: any;
+  export default TextInput;
+}
+
+declare module 'ink-select-input' {
+  const SelectInput: any;
+  export default SelectInput;
+}
@@ -0,0 +1,52 @@
+'use strict';
+
+const GoogleFont = require('../lib/google-font');
+const Browser = require('../lib/browse');
+
+describe('Browser', () => {
+	const fonts = [
+		new GoogleFont({ family: 'Roboto', category: 'sans-serif' }),
+		new GoogleFont({ family: 'Roboto Slab', category: 'serif' }),
+		new GoogleFont({ family: 'Lora', category: 'serif' }),
+		new GoogleFont({ family: 'Fira Code', category: 'monospace' })
+	];
+
+	describe('getCategories', () => {
+		it('should list sorted categories after "all"', () => {
+			expect(Browser.getCategories(fonts)).toEqual(['all', 'monospace', 'sans-serif', 'serif']);
+		});
+	});
+
+	describe('filterFonts', () => {
+		const families = (list) => list.map((f) => f.getFamily());
+
+		it('should return every font for an empty query', () => {
+			expect(families(Browser.filterFonts(fonts, '', 'all'))).toEqual(['Roboto', 'Roboto Slab', 'Lora', 'Fira Code']);
+		});
+
+		it('should match all words in any order', () => {
+			expect(families(Browser.filterFonts(fonts, 'slab rob', 'all'))).toEqual(['Roboto Slab']);
+		});
+
+		it('should filter by category', () => {
+			expect(families(Browser.filterFonts(fonts, '', 'serif'))).toEqual(['Roboto Slab', 'Lora']);
+		});
+
+		it('should rank the best matches first', () => {
+			expect(families(Browser.filterFonts(fonts, 'roboto', 'all'))).toEqual(['Roboto', 'Roboto Slab']);
+			expect(families(Browser.filterFonts(fonts, 'fira cod', 'all'))).toEqual(['Fira Code']);
+		});
+	});
+
+	describe('toggleVariant', () => {
+		const order = ['300', 'regular', '700'];
+
+		it('should add variants in catalog order', () => {
+			expect(Browser.toggleVariant(['700'], '300', order)).toEqual(['300', '700']);
+		});
+
+		it('should remove selected variants', () => {
+			expect(Browser.toggleVariant(['300', '700'], '700', order)).toEqual(['300']);
+		});
+	});
+});
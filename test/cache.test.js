@@ -149,6 +149,20 @@ describe('Cache', () => {
 			writeFileSpy.mockRestore();
 		});
 
+		it('should write to a custom cache directory', async () => {
+			const mkdirSpy = jest.spyOn(fs, 'mkdir').mockResolvedValue(undefined);
+			const writeFileSpy = jest.spyOn(fs, 'writeFile').mockResolvedValue(undefined);
+			const dir = path.join(os.tmpdir(), 'gfcli-custom-cache');
+
+			await Cache.writeCache([{ family: 'Roboto' }], dir);
+
+			expect(mkdirSpy).toHaveBeenCalledWith(dir, { recursive: true });
+			expect(writeFileSpy).toHaveBeenCalledWith(path.join(dir, 'cache.json'), expect.any(String), 'utf8');
+
+			mkdirSpy.mockRestore();
+			writeFileSpy.mockRestore();
+		});
+
 		it('should not throw on mkdir error', async () => {
 			jest.spyOn(fs, 'mkdir').mockRejectedValue(new Error('mkdir failed'));
 			jest.spyOn(fs, 'writeFile').mockResolvedValue(undefined);
@@ -165,4 +179,220 @@ describe('Cache', () => {
 			await expect(Cache.writeCache([{ family: 'Test' }])).resolves.not.toThrow();
 		});
 	});
+
+	describe('validators', () => {
+		beforeEach(() => {
+			jest.restoreAllMocks();
+		});
+
+		it('should keep the validators and return expired entries', async () => {
+			const dir = require('fs').mkdtempSync(path.join(os.tmpdir(), 'gfcli-validators-'));
+			await Cache.writeCache([{ family: 'Roboto' }], dir, undefined, { etag: '"v1"', lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT' });
+			const entry = await Cache.readCacheEntry(dir);
+
+			expect(entry).toEqual({
+				fetchedAt: expect.any(Number),
+				etag: '"v1"',
+				lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT',
+				fonts: [{ family: 'Roboto' }]
+			});
+			expect(Cache.isFresh(entry)).toBe(true);
+			expect(Cache.isFresh(Object.assign({}, entry, { fetchedAt: Date.now() - Cache.CACHE_TTL_MS - 1000 }))).toBe(false);
+			expect(Cache.isFresh({ fetchedAt: Date.now() - 2 * Cache.CACHE_TTL_MS, fonts: [] }, Cache.CACHE_STALE_MS)).toBe(true);
+			require('fs').rmSync(dir, { recursive: true, force: true });
+		});
+	});
+
+	describe('content store', () => {
+		const fsSync = require('fs');
+		const fontUrl = 'https://fonts.gstatic.com/s/roboto/v30/regular.ttf';
+		const familyUrl = 'https://gwfh.mranftl.com/api/fonts/roboto';
+		let dir;
+
+		const age = (filePath, days) => {
+			const then = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+			fsSync.utimesSync(filePath, then, then);
+		};
+
+		beforeEach(() => {
+			// Earlier tests leave fs spies behind
+			jest.restoreAllMocks();
+			dir = fsSync.mkdtempSync(path.join(os.tmpdir(), 'gfcli-store-'));
+		});
+
+		afterEach(() => {
+			fsSync.rmSync(dir, { recursive: true, force: true });
+		});
+
+		it('should cache family responses per font version', async () => {
+			await Cache.writeFamily(familyUrl, '{"variants":[]}', 'v30', dir);
+
+			await expect(Cache.readFamily(familyUrl, 'v30', dir)).resolves.toBe('{"variants":[]}');
+			await expect(Cache.readFamily(familyUrl, undefined, dir)).resolves.toBe('{"variants":[]}');
+			await expect(Cache.readFamily(familyUrl, 'v31', dir)).resolves.toBeNull();
+			await expect(Cache.readFamily(familyUrl + '-mono', 'v30', dir)).resolves.toBeNull();
+		});
+
+		it('should expire family responses', async () => {
+			await Cache.writeFamily(familyUrl, '{}', 'v30', dir);
+			const realNow = Date.now;
+			Date.now = () => realNow() + Cache.FAMILY_TTL_MS + 1000;
+			try {
+				await expect(Cache.readFamily(familyUrl, 'v30', dir)).resolves.toBeNull();
+			} finally {
+				Date.now = realNow;
+			}
+		});
+
+		it('should store font files by URL hash', async () => {
+			const downloaded = path.join(dir, 'Roboto-regular.ttf');
+			fsSync.writeFileSync(downloaded, 'font');
+
+			await expect(Cache.readFile(fontUrl, dir)).resolves.toBeNull();
+			await Cache.writeFile(fontUrl, downloaded, dir);
+			const cached = await Cache.readFile(fontUrl, dir);
+
+			expect(path.dirname(cached)).toBe(path.join(dir, 'store', 'files'));
+			expect(path.basename(cached)).toMatch(/^[0-9a-f]{64}\.ttf$/);
+			expect(fsSync.readFileSync(cached, 'utf8')).toBe('font');
+		});
+
+		it('should describe the cache content', async () => {
+			await Cache.writeCache([{ family: 'Roboto' }], dir);
+			await Cache.writeFamily(familyUrl, '{}', 'v30', dir);
+			fsSync.writeFileSync(path.join(dir, 'font.ttf'), '1234');
+			await Cache.writeFile(fontUrl, path.join(dir, 'font.ttf'), dir);
+
+			const info = await Cache.info(dir);
+
+			expect(info.dir).toBe(dir);
+			expect(info.catalogs).toEqual([expect.objectContaining({ file: path.join(dir, 'cache.json'), expired: false })]);
+			expect(info.families.count).toBe(1);
+			expect(info.files).toEqual({ count: 1, size: 4 });
+			expect(info.size).toBe(info.catalogs[0].size + info.families.size + 4);
+		});
+
+		it('should clear cached data but keep other files', async () => {
+			await Cache.writeCache([{ family: 'Roboto' }], dir, 'cache-fontsource.json');
+			await Cache.writeFamily(familyUrl, '{}', 'v30', dir);
+			fsSync.writeFileSync(path.join(dir, 'installed.json'), '{}');
+
+			const result = await Cache.clear(dir);
+
+			expect(result.removed).toBe(2);
+			expect(fsSync.readdirSync(dir).sort()).toEqual(['installed.json', 'store']);
+		});
+
+		it('should prune expired data and unused font files', async () => {
+			fsSync.writeFileSync(path.join(dir, 'font.ttf'), '1234');
+			await Cache.writeFile(fontUrl, path.join(dir, 'font.ttf'), dir);
+			await Cache.writeFile(fontUrl + '?old', path.join(dir, 'font.ttf'), dir);
+			await Cache.writeCache([], dir);
+			await Cache.writeFamily(familyUrl, '{}', 'v30', dir);
+			age(path.join(dir, 'cache.json'), 8);
+			const files = fsSync.readdirSync(path.join(dir, 'store', 'files'));
+			files.forEach((name) => age(path.join(dir, 'store', 'files', name), 40));
+			// Reading a file marks it as used
+			await Cache.readFile(fontUrl, dir);
+
+			const result = await Cache.prune({}, dir);
+
+			expect(result).toEqual({ removed: 2, freed: expect.any(Number) });
+			await expect(Cache.readFile(fontUrl, dir)).resolves.not.toBeNull();
+			await expect(Cache.readFamily(familyUrl, 'v30', dir)).resolves.toBe('{}');
+			expect(fsSync.existsSync(path.join(dir, 'cache.json'))).toBe(false);
+		});
+
+		it('should keep expired font lists that can still be used while they are revalidated', async () => {
+			await Cache.writeCache([], dir);
+			age(path.join(dir, 'cache.json'), 2);
+
+			await expect(Cache.prune({}, dir)).resolves.toEqual({ removed: 0, freed: 0 });
+			expect(fsSync.existsSync(path.join(dir, 'cache.json'))).toBe(true);
+		});
+
+		it('should prune font files with a custom age', async () => {
+			fsSync.writeFileSync(path.join(dir, 'font.ttf'), '1234');
+			await Cache.writeFile(fontUrl, path.join(dir, 'font.ttf'), dir);
+			fsSync.readdirSync(path.join(dir, 'store', 'files')).forEach((name) => age(path.join(dir, 'store', 'files', name), 2));
+
+			await expect(Cache.prune({ maxAge: 24 * 60 * 60 * 1000 }, dir)).resolves.toEqual({ removed: 1, freed: 4 });
+		});
+	});
+
+	describe('settings', () => {
+		const fsSync = require('fs');
+		const env = { cacheDir: process.env.GFCLI_CACHE_DIR, xdg: process.env.XDG_CACHE_HOME };
+		let dir;
+
+		const restoreEnv = (name, value) => {
+			if (value === undefined) delete process.env[name];
+			else process.env[name] = value;
+		};
+
+		beforeEach(() => {
+			jest.restoreAllMocks();
+			delete process.env.GFCLI_CACHE_DIR;
+			delete process.env.XDG_CACHE_HOME;
+			dir = fsSync.mkdtempSync(path.join(os.tmpdir(), 'gfcli-settings-'));
+		});
+
+		afterEach(() => {
+			restoreEnv('GFCLI_CACHE_DIR', env.cacheDir);
+			restoreEnv('XDG_CACHE_HOME', env.xdg);
+			fsSync.rmSync(dir, { recursive: true, force: true });
+		});
+
+		it('should default to ~/.gfcli', () => {
+			expect(Cache.getCacheDir()).toBe(CACHE_DIR);
+		});
+
+		it('should honour XDG_CACHE_HOME, then GFCLI_CACHE_DIR, then the configured directory', () => {
+			process.env.XDG_CACHE_HOME = path.join(dir, 'xdg');
+			expect(Cache.getCacheDir()).toBe(path.join(dir, 'xdg', 'gfcli'));
+
+			process.env.GFCLI_CACHE_DIR = path.join(dir, 'env');
+			expect(Cache.getCacheDir()).toBe(path.join(dir, 'env'));
+
+			Cache.configure({ dir: path.join(dir, 'flag') });
+			expect(Cache.getCacheDir()).toBe(path.join(dir, 'flag'));
+
+			Cache.configure({ dir: '' });
+			expect(Cache.getCacheDir()).toBe(path.join(dir, 'env'));
+		});
+
+		it('should use the configured directory when none is given', async () => {
+			Cache.configure({ dir: dir });
+			await Cache.writeCache([{ family: 'Roboto' }]);
+
+			expect(fsSync.existsSync(path.join(dir, 'cache.json'))).toBe(true);
+			await expect(Cache.readCache()).resolves.toEqual([{ family: 'Roboto' }]);
+			expect((await Cache.info()).dir).toBe(dir);
+		});
+
+		it('should use the configured time-to-live', async () => {
+			await Cache.writeCache([{ family: 'Roboto' }], dir);
+			const entry = await Cache.readCacheEntry(dir);
+			const hourOld = Object.assign({}, entry, { fetchedAt: Date.now() - 60 * 60 * 1000 });
+
+			expect(Cache.isFresh(hourOld)).toBe(true);
+			Cache.configure({ ttl: 30 * 60 * 1000 });
+			expect(Cache.getCacheTtl()).toBe(30 * 60 * 1000);
+			expect(Cache.isFresh(hourOld)).toBe(false);
+			expect(Cache.isFresh(hourOld, 2 * 60 * 60 * 1000)).toBe(true);
+		});
+
+		it('should neither read nor write when disabled', async () => {
+			const downloaded = path.join(dir, 'font.ttf');
+			fsSync.writeFileSync(downloaded, 'font');
+			await Cache.writeCache([{ family: 'Roboto' }], dir);
+			Cache.configure({ enabled: false });
+
+			expect(Cache.isEnabled()).toBe(false);
+			await expect(Cache.readCacheEntry(dir)).resolves.toBeNull();
+			await Cache.writeFamily('https://example.com/roboto', '{}', 'v30', dir);
+			await Cache.writeFile('https://example.com/font.ttf', downloaded, dir);
+			expect(fsSync.existsSync(path.join(dir, 'store'))).toBe(false);
+		});
+	});
 });
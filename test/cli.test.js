@@ -0,0 +1,83 @@
+'use strict';
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+const TTY = path.join(__dirname, 'fixtures', 'tty.js');
+
+describe('cli', () => {
+	let home;
+
+	beforeEach(() => {
+		home = fs.mkdtempSync(path.join(os.tmpdir(), 'gfcli-cli-'));
+	});
+
+	afterEach(() => {
+		fs.rmSync(home, { recursive: true, force: true });
+	});
+
+	// Run the CLI in a clean home, so no config file or cache of the user is read
+	const run = (nodeArgs, args) => {
+		const env = Object.assign({}, process.env, { HOME: home, USERPROFILE: home, NO_COLOR: '1' });
+		['XDG_CACHE_HOME', 'XDG_DATA_HOME', 'XDG_CONFIG_HOME', 'GFCLI_CACHE_DIR', 'GFCLI_DATA_DIR', 'GFCLI_PROVIDER'].forEach((name) => delete env[name]);
+		return spawnSync(process.execPath, nodeArgs.concat(CLI, args), { cwd: home, env: env, encoding: 'utf8', timeout: 30000 });
+	};
+
+	describe('without arguments', () => {
+		it('should open the browser in a terminal', () => {
+			const result = run(['-r', TTY], []);
+
+			expect(result.stdout).toContain('browser opened with 0 fonts');
+			expect(result.status).toBe(0);
+		});
+
+		it('should print the help otherwise', () => {
+			const result = run([], []);
+
+			expect(result.stdout + result.stderr).toMatch(/^Usage: /m);
+			expect(result.stdout).not.toContain('browser opened');
+		});
+	});
+
+	describe('sync --frozen', () => {
+		const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+		const locked = (family, variant) => ({
+			family: family,
+			variants: [variant],
+			formats: ['ttf'],
+			subsets: [],
+			files: [{ variant: variant, format: 'ttf', url: 'https://example.com/' + variant + '.ttf', path: family + '-' + variant + '.ttf', sha256: sha256(variant + '.ttf') }]
+		});
+
+		it('should report the families whose files do not match the lockfile as failed', () => {
+			fs.writeFileSync(path.join(home, 'fonts.json'), JSON.stringify({ fonts: [{ family: 'Inter', variants: ['700'] }, { family: 'Lato', variants: ['regular'] }] }));
+			fs.writeFileSync(path.join(home, 'fonts.lock.json'), JSON.stringify({
+				lockfileVersion: 1,
+				destination: '.',
+				fonts: { inter: locked('Inter', '700'), lato: locked('Lato', 'regular') }
+			}));
+			fs.writeFileSync(path.join(home, 'Inter-700.ttf'), 'tampered');
+			fs.writeFileSync(path.join(home, 'Lato-regular.ttf'), 'regular.ttf');
+
+			const result = run([], ['--json', 'sync', '--frozen']);
+			const report = JSON.parse(result.stdout);
+
+			expect(result.status).toBe(1);
+			expect(report.ok).toBe(false);
+			expect(report.summary).toEqual({ total: 2, succeeded: 1, failed: 1 });
+			expect(report.families).toEqual([
+				expect.objectContaining({ family: 'Lato', status: 'ok', verified: true }),
+				expect.objectContaining({
+					family: 'Inter',
+					status: 'failed',
+					error: { code: 'SYNC_FAILED', message: 'Inter-700.ttf does not match the locked SHA-256 checksum' }
+				})
+			]);
+			expect(report.errors).toEqual([]);
+		});
+	});
+});
@@ -0,0 +1,160 @@
+'use strict';
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+
+const Config = require('../lib/config');
+
+describe('Config', () => {
+	const originalConfigHome = process.env.XDG_CONFIG_HOME;
+	let dir;
+	let project;
+	let userFile;
+
+	const writeJson = (file, content) => {
+		fs.mkdirSync(path.dirname(file), { recursive: true });
+		fs.writeFileSync(file, JSON.stringify(content));
+	};
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gfcli-config-'));
+		project = path.join(dir, 'project');
+		fs.mkdirSync(path.join(project, 'src'), { recursive: true });
+		process.env.XDG_CONFIG_HOME = path.join(dir, 'config');
+		userFile = path.join(dir, 'config', 'gfcli', 'config.json');
+	});
+
+	afterEach(() => {
+		if (originalConfigHome === undefined) delete process.env.XDG_CONFIG_HOME;
+		else process.env.XDG_CONFIG_HOME = originalConfigHome;
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	describe('userConfigFile', () => {
+		it('should honour XDG_CONFIG_HOME', () => {
+			expect(Config.userConfigFile()).toBe(userFile);
+		});
+
+		it('should default to ~/.config/gfcli/config.json', () => {
+			delete process.env.XDG_CONFIG_HOME;
+			expect(Config.userConfigFile()).toBe(path.join(os.homedir(), '.config', 'gfcli', 'config.json'));
+		});
+	});
+
+	describe('parseValue', () => {
+		it('should parse values typed on the command line', () => {
+			expect(Config.parseValue('format', 'WOFF2')).toBe('woff2');
+			expect(Config.parseValue('variants', 'regular, 700,')).toEqual(['regular', '700']);
+			expect(Config.parseValue('variants', ['regular'])).toEqual(['regular']);
+			expect(Config.parseValue('cache', 'false')).toBe(false);
+			expect(Config.parseValue('cacheTtl', '12h')).toBe('12h');
+			expect(Config.parseValue('provider', 'fontsource')).toBe('fontsource');
+			expect(Config.parseValue('retries', '0')).toBe(0);
+			expect(Config.parseValue('retries', 5)).toBe(5);
+		});
+
+		it('should reject unknown settings and invalid values', () => {
+			expect(() => Config.parseValue('colour', 'red')).toThrow(/Unknown setting "colour"/);
+			expect(() => Config.parseValue('format', 'otf')).toThrow('Invalid value "otf" for format, expected one of: ttf, woff2');
+			expect(() => Config.parseValue('cache', 'maybe')).toThrow(/expected true or false/);
+			expect(() => Config.parseValue('cacheTtl', 'soon')).toThrow(/expected a duration/);
+			expect(() => Config.parseValue('retries', '1.5')).toThrow(/expected a whole number/);
+			expect(() => Config.parseValue('retries', -1)).toThrow(/expected a whole number/);
+			expect(() => Config.parseValue('scope', 'everyone')).toThrow(expect.objectContaining({ code: 'INVALID_ARGUMENT' }));
+		});
+	});
+
+	describe('parseDuration', () => {
+		it('should read hours by default and the m, h and d units', () => {
+			expect(Config.parseDuration('2')).toBe(2 * 60 * 60 * 1000);
+			expect(Config.parseDuration('30m')).toBe(30 * 60 * 1000);
+			expect(Config.parseDuration('1.5h')).toBe(90 * 60 * 1000);
+			expect(Config.parseDuration('7d')).toBe(7 * 24 * 60 * 60 * 1000);
+			expect(() => Config.parseDuration('-1h')).toThrow(/Invalid duration/);
+		});
+	});
+
+	describe('load', () => {
+		it('should be empty without config files', () => {
+			expect(Config.load(project)).toEqual({
+				values: {},
+				sources: {},
+				files: { user: userFile, project: null }
+			});
+		});
+
+		it('should let the project config override the user config', () => {
+			writeJson(userFile, { format: 'woff2', variants: ['regular'], cache: false });
+			writeJson(path.join(project, '.gfclirc'), { variants: ['700'], dest: 'assets/fonts' });
+
+			const loaded = Config.load(path.join(project, 'src'));
+
+			expect(loaded.values).toEqual({
+				format: 'woff2',
+				variants: ['700'],
+				cache: false,
+				dest: path.join(project, 'assets', 'fonts')
+			});
+			expect(loaded.sources).toEqual({
+				format: userFile,
+				variants: path.join(project, '.gfclirc'),
+				cache: userFile,
+				dest: path.join(project, '.gfclirc')
+			});
+			expect(loaded.files.project).toBe(path.join(project, '.gfclirc'));
+		});
+
+		it('should name the file of an invalid setting', () => {
+			writeJson(path.join(project, '.gfclirc'), { format: 'otf' });
+			expect(() => Config.load(project)).toThrow('Invalid value "otf" for format, expected one of: ttf, woff2 in ' + path.join(project, '.gfclirc'));
+
+			fs.writeFileSync(path.join(project, '.gfclirc'), '{ format: ttf');
+			expect(() => Config.load(project)).toThrow(/^Invalid config file .*\.gfclirc/);
+
+			fs.writeFileSync(path.join(project, '.gfclirc'), '[]');
+			expect(() => Config.load(project)).toThrow(/expected a JSON object/);
+		});
+	});
+
+	describe('set and unset', () => {
+		it('should write the user config file with absolute paths', () => {
+			const result = Config.set('dest', 'fonts', 'user', project);
+
+			expect(result).toEqual({ file: userFile, value: path.join(project, 'fonts') });
+			expect(JSON.parse(fs.readFileSync(userFile, 'utf8'))).toEqual({ dest: path.join(project, 'fonts') });
+		});
+
+		it('should write paths relative to the project config file', () => {
+			fs.writeFileSync(path.join(project, '.gfclirc'), '{"format":"woff2"}');
+
+			const result = Config.set('dest', 'assets', 'project', path.join(project, 'src'));
+
+			expect(result.file).toBe(path.join(project, '.gfclirc'));
+			expect(JSON.parse(fs.readFileSync(result.file, 'utf8'))).toEqual({ format: 'woff2', dest: path.join('src', 'assets') });
+			expect(Config.load(project).values.dest).toBe(path.join(project, 'src', 'assets'));
+		});
+
+		it('should create the project config file in the working directory', () => {
+			expect(Config.set('variants', 'regular,700', 'project', project)).toEqual({
+				file: path.join(project, '.gfclirc'),
+				value: ['regular', '700']
+			});
+		});
+
+		it('should not write invalid values', () => {
+			expect(() => Config.set('format', 'otf', 'user', project)).toThrow(/Invalid value/);
+			expect(fs.existsSync(userFile)).toBe(false);
+		});
+
+		it('should remove a setting', () => {
+			Config.set('format', 'woff2', 'user', project);
+			Config.set('cache', 'false', 'user', project);
+
+			expect(Config.unset('format', 'user', project)).toEqual({ file: userFile, removed: true });
+			expect(Config.unset('format', 'user', project)).toEqual({ file: userFile, removed: false });
+			expect(JSON.parse(fs.readFileSync(userFile, 'utf8'))).toEqual({ cache: false });
+			expect(() => Config.unset('colour', 'user', project)).toThrow(/Unknown setting/);
+		});
+	});
+});
@@ -0,0 +1,218 @@
+'use strict';
+
+// Builds small but well-formed font files for the tests: every required
+// table, correct checksums, and a name table with the given names.
+
+const zlib = require('zlib');
+
+const WOFF2_TAGS = ['cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'OS/2', 'post', 'cvt ', 'fpgm', 'glyf', 'loca'];
+
+const checksum = (data) => {
+	const padded = Buffer.concat([data, Buffer.alloc((4 - (data.length % 4)) % 4)]);
+	let sum = 0;
+	for (let i = 0; i < padded.length; i += 4) sum = (sum + padded.readUInt32BE(i)) >>> 0;
+	return sum;
+};
+
+const utf16be = (text) => Buffer.from(text, 'utf16le').swap16();
+
+// name table (format 0) with English Windows records
+const nameTable = (names) => {
+	const ids = Object.keys(names).map(Number).sort((a, b) => a - b);
+	const strings = ids.map((id) => utf16be(names[id]));
+	const table = Buffer.alloc(6 + ids.length * 12);
+	table.writeUInt16BE(ids.length, 2);
+	table.writeUInt16BE(table.length, 4);
+	let offset = 0;
+	ids.forEach((id, i) => {
+		const record = 6 + i * 12;
+		table.writeUInt16BE(3, record);
+		table.writeUInt16BE(1, record + 2);
+		table.writeUInt16BE(0x409, record + 4);
+		table.writeUInt16BE(id, record + 6);
+		table.writeUInt16BE(strings[i].length, record + 8);
+		table.writeUInt16BE(offset, record + 10);
+		offset += strings[i].length;
+	});
+	return Buffer.concat([table].concat(strings));
+};
+
+const headTable = () => {
+	const head = Buffer.alloc(54);
+	head.writeUInt32BE(0x00010000, 0);
+	head.writeUInt32BE(0x5F0F3CF5, 12);
+	head.writeUInt16BE(1000, 18);
+	return head;
+};
+
+/**
+ * TrueType font of one empty glyph
+ * @param {{ family?: string, subfamily?: string, typographicFamily?: string, names?: Record<number, string>, tables?: Record<string, Buffer> }} [options]
+ * @returns {Buffer}
+ */
+const buildSfnt = (options = {}) => {
+	const names = { 1: options.family || 'Roboto', 2: options.subfamily || 'Regular' };
+	names[4] = names[1] + ' ' + names[2];
+	if (options.typographicFamily) names[16] = options.typographicFamily;
+	Object.assign(names, options.names);
+	const tables = Object.assign({
+		cmap: Buffer.from([0, 0, 0, 0]),
+		glyf: Buffer.alloc(0),
+		head: headTable(),
+		hhea: Buffer.alloc(36),
+		hmtx: Buffer.alloc(4),
+		loca: Buffer.alloc(4),
+		maxp: Buffer.from([0, 0, 0x50, 0, 0, 1]),
+		name: nameTable(names)
+	}, options.tables);
+	const tags = Object.keys(tables).sort();
+
+	const header = Buffer.alloc(12 + tags.length * 16);
+	header.writeUInt32BE(0x00010000, 0);
+	header.writeUInt16BE(tags.length, 4);
+	const chunks = [header];
+	let offset = header.length;
+	tags.forEach((tag, i) => {
+		const record = 12 + i * 16;
+		header.write(tag, record, 'latin1');
+		header.writeUInt32BE(checksum(tables[tag]), record + 4);
+		header.writeUInt32BE(offset, record + 8);
+		header.writeUInt32BE(tables[tag].length, record + 12);
+		const padding = Buffer.alloc((4 - (tables[tag].length % 4)) % 4);
+		chunks.push(tables[tag], padding);
+		offset += tables[tag].length + padding.length;
+	});
+	return Buffer.concat(chunks);
+};
+
+// Simple glyph of one contour, its marker as xMin so that tests can tell glyphs apart
+const simpleGlyph = (marker) => {
+	const glyph = Buffer.alloc(12);
+	glyph.writeInt16BE(1, 0);
+	glyph.writeInt16BE(marker, 2);
+	return glyph;
+};
+
+// Composite glyph of components with 16-bit offsets
+const compositeGlyph = (components) => {
+	const glyph = Buffer.alloc(10 + components.length * 8);
+	glyph.writeInt16BE(-1, 0);
+	components.forEach((component, i) => {
+		// ARG_1_AND_2_ARE_WORDS, and MORE_COMPONENTS but on the last one
+		glyph.writeUInt16BE(i < components.length - 1 ? 0x0021 : 0x0001, 10 + i * 8);
+		glyph.writeUInt16BE(component, 12 + i * 8);
+	});
+	return glyph;
+};
+
+// cmap with a (3,10) format 12 subtable of [start, end, startGlyph] groups
+const cmapFormat12 = (groups) => {
+	const subtable = Buffer.alloc(16 + groups.length * 12);
+	subtable.writeUInt16BE(12, 0);
+	subtable.writeUInt32BE(subtable.length, 4);
+	subtable.writeUInt32BE(groups.length, 12);
+	groups.forEach(([start, end, glyph], i) => {
+		subtable.writeUInt32BE(start, 16 + i * 12);
+		subtable.writeUInt32BE(end, 20 + i * 12);
+		subtable.writeUInt32BE(glyph, 24 + i * 12);
+	});
+	return Buffer.concat([Buffer.from([0, 0, 0, 1, 0, 3, 0, 10, 0, 0, 0, 12]), subtable]);
+};
+
+/** Glyph names of `buildGlyphFont`, by glyph ID */
+const GLYPH_NAMES = ['.notdef', 'a', 'b', 'c', 'acute', 'aacute', 'f', 'i', 'f_i', 'grinning'];
+
+/**
+ * TrueType font of a few glyphs: a, b, c, f, i and U+1F600, á made of a and
+ * an unencoded acute, an unencoded f_i ligature in GSUB, and kerning pairs
+ * a-b and f-i. It also has a DSIG table.
+ * @param {{ family?: string }} [options]
+ * @returns {Buffer}
+ */
+const buildGlyphFont = (options = {}) => {
+	const glyphs = GLYPH_NAMES.map((name, id) => name === 'aacute' ? compositeGlyph([1, 4]) : simpleGlyph(id));
+	const loca = Buffer.alloc((glyphs.length + 1) * 2);
+	glyphs.reduce((offset, glyph, id) => {
+		loca.writeUInt16BE((offset + glyph.length) / 2, (id + 1) * 2);
+		return offset + glyph.length;
+	}, 0);
+
+	// Lookup list of one ligature lookup: f i -> f_i
+	const gsub = Buffer.from([
+		0, 1, 0, 0, 0, 0, 0, 0, 0, 10,
+		0, 1, 0, 4,
+		0, 4, 0, 0, 0, 1, 0, 8,
+		0, 1, 0, 8, 0, 1, 0, 14,
+		0, 1, 0, 1, 0, 6,
+		0, 1, 0, 4,
+		0, 8, 0, 2, 0, 7
+	]);
+
+	const pairs = [[1, 2, -50], [6, 7, -20]];
+	const kern = Buffer.alloc(4 + 14 + pairs.length * 6);
+	kern.writeUInt16BE(1, 2);
+	kern.writeUInt16BE(14 + pairs.length * 6, 6);
+	kern.writeUInt16BE(0x0001, 8);
+	kern.writeUInt16BE(pairs.length, 10);
+	pairs.forEach(([left, right, value], i) => {
+		kern.writeUInt16BE(left, 18 + i * 6);
+		kern.writeUInt16BE(right, 20 + i * 6);
+		kern.writeInt16BE(value, 22 + i * 6);
+	});
+
+	return buildSfnt({
+		family: options.family,
+		tables: {
+			cmap: cmapFormat12([[0x61, 0x63, 1], [0x66, 0x66, 6], [0x69, 0x69, 7], [0xE1, 0xE1, 5], [0x1F600, 0x1F600, 9]]),
+			glyf: Buffer.concat(glyphs),
+			loca: loca,
+			maxp: Buffer.from([0, 0, 0x50, 0, 0, glyphs.length]),
+			GSUB: gsub,
+			kern: kern,
+			DSIG: Buffer.from([0, 0, 0, 1, 0, 0, 0, 0])
+		}
+	});
+};
+
+const base128 = (value) => {
+	const bytes = [value & 0x7F];
+	for (value = Math.floor(value / 128); value > 0; value = Math.floor(value / 128)) bytes.unshift(0x80 | (value & 0x7F));
+	return Buffer.from(bytes);
+};
+
+/**
+ * WOFF2 version of a font of `buildSfnt`, its tables left untransformed
+ * @param {Buffer} sfnt - TrueType font
+ * @returns {Buffer}
+ */
+const buildWoff2 = (sfnt) => {
+	const numTables = sfnt.readUInt16BE(4);
+	const directory = [];
+	const tables = [];
+	for (let i = 0; i < numTables; i++) {
+		const record = 12 + i * 16;
+		const tag = sfnt.toString('latin1', record, record + 4);
+		const offset = sfnt.readUInt32BE(record + 8);
+		const length = sfnt.readUInt32BE(record + 12);
+		const index = WOFF2_TAGS.indexOf(tag);
+		// Version 3 of glyf and loca is the null transform
+		const version = tag === 'glyf' || tag === 'loca' ? 3 : 0;
+		directory.push(Buffer.from([(version << 6) | (index === -1 ? 63 : index)]));
+		if (index === -1) directory.push(Buffer.from(tag, 'latin1'));
+		directory.push(base128(length));
+		tables.push(sfnt.subarray(offset, offset + length));
+	}
+	const compressed = zlib.brotliCompressSync(Buffer.concat(tables));
+	const header = Buffer.alloc(48);
+	const body = Buffer.concat(directory.concat([compressed]));
+	header.write('wOF2', 0, 'latin1');
+	header.writeUInt32BE(0x00010000, 4);
+	header.writeUInt32BE(header.length + body.length, 8);
+	header.writeUInt16BE(numTables, 12);
+	header.writeUInt32BE(sfnt.length, 16);
+	header.writeUInt32BE(compressed.length, 20);
+	header.writeUInt16BE(1, 24);
+	return Buffer.concat([header, body]);
+};
+
+module.exports = { buildSfnt, buildWoff2, buildGlyphFont, GLYPH_NAMES, checksum };
@@ -0,0 +1,17 @@
+'use strict';
+
+// Preloaded with `node -r` by test/cli.test.js: pretend to run in a terminal,
+// with a catalog that loads without network and a browser that only reports it was opened
+process.stdin.isTTY = true;
+process.stdout.isTTY = true;
+
+const GoogleFontList = require('../../lib/google-font-list');
+GoogleFontList.prototype.load = async function() {
+	this.loaded = true;
+	return { fromCache: true, stale: false };
+};
+
+require('../../lib/browse').browse = async function(fonts) {
+	console.log('browser opened with ' + fonts.length + ' fonts');
+	return null;
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+
+const FontFace = require('../lib/font-face');
+
+describe('FontFace', () => {
+	describe('parseVariant', () => {
+		it('should map regular and italic to weight 400', () => {
+			expect(FontFace.parseVariant('regular')).toEqual({ weight: '400', style: 'normal' });
+			expect(FontFace.parseVariant('italic')).toEqual({ weight: '400', style: 'italic' });
+		});
+
+		it('should read numeric weights', () => {
+			expect(FontFace.parseVariant('700')).toEqual({ weight: '700', style: 'normal' });
+			expect(FontFace.parseVariant('300italic')).toEqual({ weight: '300', style: 'italic' });
+		});
+
+		it('should read the weight range of variable fonts', () => {
+			expect(FontFace.parseVariant('100..900')).toEqual({ weight: '100 900', style: 'normal' });
+			expect(FontFace.parseVariant('200..800italic')).toEqual({ weight: '200 800', style: 'italic' });
+			expect(FontFace.parseVariant('400..400')).toEqual({ weight: '400', style: 'normal' });
+			expect(FontFace.isVariableVariant('100..900italic')).toBe(true);
+			expect(FontFace.isVariableVariant('700italic')).toBe(false);
+		});
+	});
+
+	describe('buildFontFace', () => {
+		const results = [
+			{ family: 'Open Sans', variant: '700italic', path: '/site/fonts/OpenSans-700italic.woff2' },
+			{ family: 'Open Sans', variant: 'regular', path: '/site/fonts/OpenSans-regular.ttf' },
+			{ family: 'Open Sans', variant: 'regular', path: '/site/fonts/OpenSans-regular.woff2' }
+		];
+
+		it('should emit one rule per variant with relative sources', () => {
+			const css = FontFace.buildFontFace(results, { cssFile: '/site/css/fonts.css' });
+
+			expect(css).toBe([
+				'@font-face {',
+				'  font-family: "Open Sans";',
+				'  font-style: normal;',
+				'  font-weight: 400;',
+				'  font-display: swap;',
+				'  src: url("../fonts/OpenSans-regular.woff2") format("woff2"),',
+				'       url("../fonts/OpenSans-regular.ttf") format("truetype");',
+				'}',
+				'',
+				'@font-face {',
+				'  font-family: "Open Sans";',
+				'  font-style: italic;',
+				'  font-weight: 700;',
+				'  font-display: swap;',
+				'  src: url("../fonts/OpenSans-700italic.woff2") format("woff2");',
+				'}',
+				''
+			].join('\n'));
+		});
+
+		it('should give variable fonts a weight range', () => {
+			const css = FontFace.buildFontFace([
+				{ family: 'Inter', variant: '100..900italic', path: '/site/fonts/Inter-Italic-VariableFont_opsz,wght.woff2' },
+				{ family: 'Inter', variant: '100..900', path: '/site/fonts/Inter-VariableFont_opsz,wght.woff2' }
+			], { cssFile: '/site/fonts.css' });
+
+			expect(css).toMatch(/font-style: normal;\n  font-weight: 100 900;\n  font-display: swap;\n  src: url\("fonts\/Inter-VariableFont_opsz,wght.woff2"\)/);
+			expect(css.indexOf('font-style: normal')).toBeLessThan(css.indexOf('font-style: italic'));
+		});
+
+		it('should use the configured font-display', () => {
+			const css = FontFace.buildFontFace(results, { cssFile: '/site/fonts.css', display: 'optional' });
+
+			expect(css).toContain('font-display: optional;');
+			expect(css).toContain('url("fonts/OpenSans-regular.ttf")');
+		});
+
+		it('should reject invalid font-display values', () => {
+			expect(() => FontFace.buildFontFace(results, { display: 'later' })).toThrow('Invalid font-display "later"');
+		});
+
+		it('should return an empty stylesheet for no results', () => {
+			expect(FontFace.buildFontFace([])).toBe('');
+		});
+	});
+
+	describe('writeFontFace', () => {
+		it('should write the stylesheet and create its folder', async () => {
+			const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gfcli-css-'));
+			const cssFile = path.join(dir, 'css', 'fonts.css');
+
+			const written = await FontFace.writeFontFace(
+				[{ family: 'Inter', variant: '700', path: path.join(dir, 'Inter-700.woff2') }],
+				cssFile
+			);
+
+			expect(written).toBe(cssFile);
+			const css = await fs.readFile(cssFile, 'utf8');
+			expect(css).toContain('src: url("../Inter-700.woff2") format("woff2");');
+			await fs.rm(dir, { recursive: true, force: true });
+		});
+	});
+});
@@ -0,0 +1,229 @@
+'use strict';
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+
+const FontMetadata = require('../lib/font-metadata');
+const { buildSfnt, buildWoff2 } = require('./fixtures/fonts');
+
+describe('FontMetadata', () => {
+	const os2Table = ({ weight = 400, width = 5, fsType = 0, fsSelection = 0x40, vendor = 'GOOG' } = {}) => {
+		const table = Buffer.alloc(78);
+		table.writeUInt16BE(4, 0);
+		table.writeUInt16BE(weight, 4);
+		table.writeUInt16BE(width, 6);
+		table.writeUInt16BE(fsType, 8);
+		table.write(vendor, 58, 'latin1');
+		table.writeUInt16BE(fsSelection, 62);
+		return table;
+	};
+
+	const headTable = ({ revision = 0x00030000, created = 0, modified = 0 } = {}) => {
+		const table = Buffer.alloc(54);
+		table.writeUInt32BE(0x00010000, 0);
+		table.writeUInt32BE(revision, 4);
+		table.writeUInt32BE(0x5F0F3CF5, 12);
+		table.writeUInt16BE(2048, 18);
+		table.writeUInt32BE(created, 24);
+		table.writeUInt32BE(modified, 32);
+		return table;
+	};
+
+	// cmap with a (3,1) format 4 subtable of [start, end, delta] segments
+	const cmapFormat4 = (segments) => {
+		segments = segments.concat([[0xFFFF, 0xFFFF, 1]]);
+		const subtable = Buffer.alloc(16 + segments.length * 8);
+		subtable.writeUInt16BE(4, 0);
+		subtable.writeUInt16BE(subtable.length, 2);
+		subtable.writeUInt16BE(segments.length * 2, 6);
+		segments.forEach(([start, end, delta], i) => {
+			subtable.writeUInt16BE(end, 14 + i * 2);
+			subtable.writeUInt16BE(start, 16 + segments.length * 2 + i * 2);
+			subtable.writeUInt16BE(delta & 0xFFFF, 16 + segments.length * 4 + i * 2);
+		});
+		return Buffer.concat([Buffer.from([0, 0, 0, 1, 0, 3, 0, 1, 0, 0, 0, 12]), subtable]);
+	};
+
+	// cmap with a (3,10) format 12 subtable of [start, end, startGlyph] groups
+	const cmapFormat12 = (groups) => {
+		const subtable = Buffer.alloc(16 + groups.length * 12);
+		subtable.writeUInt16BE(12, 0);
+		subtable.writeUInt32BE(subtable.length, 4);
+		subtable.writeUInt32BE(groups.length, 12);
+		groups.forEach(([start, end, glyph], i) => {
+			subtable.writeUInt32BE(start, 16 + i * 12);
+			subtable.writeUInt32BE(end, 20 + i * 12);
+			subtable.writeUInt32BE(glyph, 24 + i * 12);
+		});
+		return Buffer.concat([Buffer.from([0, 0, 0, 1, 0, 3, 0, 10, 0, 0, 0, 12]), subtable]);
+	};
+
+	// fvar with [tag, min, default, max, nameID] axes and [nameID, ...coordinates] instances
+	const fvarTable = (axes, instances) => {
+		const instanceSize = 4 + axes.length * 4;
+		const table = Buffer.alloc(16 + axes.length * 20 + instances.length * instanceSize);
+		table.writeUInt16BE(1, 0);
+		table.writeUInt16BE(16, 4);
+		table.writeUInt16BE(2, 6);
+		table.writeUInt16BE(axes.length, 8);
+		table.writeUInt16BE(20, 10);
+		table.writeUInt16BE(instances.length, 12);
+		table.writeUInt16BE(instanceSize, 14);
+		axes.forEach(([tag, min, def, max, nameID], i) => {
+			const axis = 16 + i * 20;
+			table.write(tag, axis, 'latin1');
+			table.writeInt32BE(min * 65536, axis + 4);
+			table.writeInt32BE(def * 65536, axis + 8);
+			table.writeInt32BE(max * 65536, axis + 12);
+			table.writeUInt16BE(nameID, axis + 18);
+		});
+		instances.forEach(([nameID, ...coordinates], i) => {
+			const instance = 16 + axes.length * 20 + i * instanceSize;
+			table.writeUInt16BE(nameID, instance);
+			coordinates.forEach((value, j) => table.writeInt32BE(value * 65536, instance + 4 + j * 4));
+		});
+		return table;
+	};
+
+	describe('read', () => {
+		it('should read the names, version and license', () => {
+			const metadata = FontMetadata.read(buildSfnt({
+				family: 'Inter',
+				subfamily: 'Bold',
+				names: {
+					0: 'Copyright 2020 The Inter Project Authors',
+					5: 'Version 4.000',
+					6: 'Inter-Bold',
+					9: 'Rasmus Andersson',
+					13: 'This Font Software is licensed under the SIL Open Font License, Version 1.1.',
+					14: 'https://openfontlicense.org'
+				}
+			}));
+
+			expect(metadata).toEqual(expect.objectContaining({
+				format: 'ttf',
+				family: 'Inter',
+				subfamily: 'Bold',
+				fullName: 'Inter Bold',
+				typographicFamily: null,
+				postScriptName: 'Inter-Bold',
+				version: 'Version 4.000',
+				copyright: 'Copyright 2020 The Inter Project Authors',
+				designer: 'Rasmus Andersson',
+				license: 'This Font Software is licensed under the SIL Open Font License, Version 1.1.',
+				licenseUrl: 'https://openfontlicense.org'
+			}));
+		});
+
+		it('should read the weight, width, style and embedding of the OS/2 table', () => {
+			const metadata = FontMetadata.read(buildSfnt({
+				tables: { 'OS/2': os2Table({ weight: 700, width: 3, fsType: 0x0004, fsSelection: 0x0001, vendor: 'ADBO' }) }
+			}));
+
+			expect(metadata).toEqual(expect.objectContaining({
+				weightClass: 700,
+				widthClass: 3,
+				italic: true,
+				embedding: 'preview & print',
+				vendor: 'ADBO'
+			}));
+			expect(FontMetadata.weightName(metadata.weightClass)).toBe('Bold');
+			expect(FontMetadata.widthName(metadata.widthClass)).toBe('Condensed');
+		});
+
+		it('should leave out what the font does not have', () => {
+			const metadata = FontMetadata.read(buildSfnt());
+
+			expect(metadata).toEqual(expect.objectContaining({
+				weightClass: null,
+				embedding: null,
+				vendor: null,
+				italic: false,
+				created: null,
+				codePoints: 0,
+				unicodeRanges: [],
+				axes: [],
+				instances: []
+			}));
+		});
+
+		it('should read the revision, units per em and dates of the head table', () => {
+			// 2020-01-01T00:00:00Z in seconds since 1904
+			const date = 1577836800 + 2082844800;
+			const metadata = FontMetadata.read(buildSfnt({ tables: { head: headTable({ revision: 0x00030B44, created: date, modified: date + 60 }) } }));
+
+			expect(metadata.revision).toBe('3.044');
+			expect(metadata.unitsPerEm).toBe(2048);
+			expect(metadata.created).toBe('2020-01-01T00:00:00.000Z');
+			expect(metadata.modified).toBe('2020-01-01T00:01:00.000Z');
+		});
+
+		it('should read the code points of a format 4 cmap', () => {
+			const metadata = FontMetadata.read(buildSfnt({
+				tables: { cmap: cmapFormat4([[0x20, 0x7E, -29], [0x7F, 0x9F, -0x7F], [0xA0, 0xFF, -61]]) }
+			}));
+
+			// U+007F maps to glyph 0: not covered
+			expect(metadata.unicodeRanges).toEqual([[0x20, 0x7E], [0x80, 0xFF]]);
+			expect(metadata.codePoints).toBe(95 + 128);
+			expect(FontMetadata.formatUnicodeRanges(metadata.unicodeRanges)).toBe('U+0020-007E, U+0080-00FF');
+		});
+
+		it('should read the code points of a format 12 cmap', () => {
+			const metadata = FontMetadata.read(buildSfnt({
+				tables: { cmap: cmapFormat12([[0x41, 0x5A, 1], [0x1F600, 0x1F64F, 27], [0x1F650, 0x1F650, 107]]) }
+			}));
+
+			expect(metadata.unicodeRanges).toEqual([[0x41, 0x5A], [0x1F600, 0x1F650]]);
+			expect(metadata.codePoints).toBe(26 + 81);
+		});
+
+		it('should read the axes and instances of a variable font', () => {
+			const metadata = FontMetadata.read(buildSfnt({
+				names: { 256: 'Weight', 257: 'Width', 258: 'Thin', 259: 'Black Condensed' },
+				tables: {
+					fvar: fvarTable(
+						[['wght', 100, 400, 900, 256], ['wdth', 75, 100, 100, 257]],
+						[[258, 100, 100], [259, 900, 75]]
+					)
+				}
+			}));
+
+			expect(metadata.axes).toEqual([
+				{ tag: 'wght', name: 'Weight', min: 100, default: 400, max: 900, hidden: false },
+				{ tag: 'wdth', name: 'Width', min: 75, default: 100, max: 100, hidden: false }
+			]);
+			expect(metadata.instances).toEqual([
+				{ name: 'Thin', coordinates: { wght: 100, wdth: 100 } },
+				{ name: 'Black Condensed', coordinates: { wght: 900, wdth: 75 } }
+			]);
+		});
+
+		it('should read WOFF2 files', () => {
+			const sfnt = buildSfnt({ family: 'Lato', tables: { 'OS/2': os2Table({ weight: 300 }) } });
+			const metadata = FontMetadata.read(buildWoff2(sfnt));
+
+			expect(metadata.format).toBe('woff2');
+			expect(metadata.family).toBe('Lato');
+			expect(metadata.weightClass).toBe(300);
+		});
+
+		it('should reject files that are not fonts', () => {
+			expect(() => FontMetadata.read(Buffer.from('<html><body>Not Found</body></html>'))).toThrow(
+				expect.objectContaining({ code: 'INVALID_RESPONSE' })
+			);
+		});
+	});
+
+	describe('readFile', () => {
+		it('should read the file', async () => {
+			const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gfcli-meta-'));
+			const file = path.join(dir, 'Inter-700.ttf');
+			await fs.writeFile(file, buildSfnt({ family: 'Inter' }));
+
+			await expect(FontMetadata.readFile(file)).resolves.toEqual(expect.objectContaining({ family: 'Inter' }));
+			await fs.rm(dir, { recursive: true, force: true });
+		});
+	});
+});
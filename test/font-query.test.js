@@ -0,0 +1,176 @@
+'use strict';
+
+const GoogleFont = require('../lib/google-font');
+const FontQuery = require('../lib/font-query');
+
+// The list constructor starts loading; keep it offline
+jest.mock('../lib/cache', () => ({
+	...jest.requireActual('../lib/cache'),
+	readCache: jest.fn().mockResolvedValue(null),
+	readCacheEntry: jest.fn().mockResolvedValue(null),
+	writeCache: jest.fn()
+}));
+
+jest.mock('../lib/request', () => {
+	const { EventEmitter } = require('events');
+	return jest.fn().mockImplementation(() => {
+		return new EventEmitter();
+	});
+});
+
+const GoogleFontList = require('../lib/google-font-list');
+
+describe('FontQuery', () => {
+	let list;
+
+	beforeAll(() => {
+		jest.spyOn(console, 'error').mockImplementation(() => {});
+	});
+
+	afterAll(() => {
+		console.error.mockRestore();
+	});
+
+	beforeEach(() => {
+		list = new GoogleFontList();
+		list.data = [
+			new GoogleFont({ family: 'Roboto', category: 'sans-serif', variants: ['300', 'regular', 'italic', '700'], subsets: ['latin', 'cyrillic'], popularity: 2, lastModified: '2024-02-01' }),
+			new GoogleFont({ family: 'Lora', category: 'serif', variants: ['regular', 'italic', '700', '700italic'], subsets: ['latin', 'cyrillic'], popularity: 5, lastModified: '2024-05-01' }),
+			new GoogleFont({ family: 'Roboto Mono', category: 'monospace', variants: ['regular', '700'], subsets: ['latin'], popularity: 10, lastModified: '2023-01-01' }),
+			new GoogleFont({ family: 'Abril Fatface', category: 'display', variants: ['regular'], subsets: ['latin'] })
+		];
+	});
+
+	const families = (result) => result.data.map((f) => f.getFamily());
+
+	it('should be created by GoogleFontList.query', () => {
+		expect(list.query()).toBeInstanceOf(FontQuery);
+	});
+
+	it('should return every font without filters', () => {
+		expect(families(list.query().exec())).toEqual(['Roboto', 'Lora', 'Roboto Mono', 'Abril Fatface']);
+	});
+
+	it('should filter by category', () => {
+		expect(families(list.query().category(['Serif', 'monospace']).exec())).toEqual(['Lora', 'Roboto Mono']);
+	});
+
+	it('should filter by subset', () => {
+		expect(families(list.query().subset('cyrillic').exec())).toEqual(['Roboto', 'Lora']);
+	});
+
+	it('should filter by variant, treating 400 as regular', () => {
+		expect(families(list.query().hasVariant(['400', '700italic']).exec())).toEqual(['Lora']);
+	});
+
+	it('should filter by variant count and italics', () => {
+		expect(families(list.query().minVariants(2).exec())).toEqual(['Roboto', 'Lora', 'Roboto Mono']);
+		expect(families(list.query().italic().exec())).toEqual(['Roboto', 'Lora']);
+	});
+
+	it('should combine search and filters', (done) => {
+		list.query().search('roboto').category('monospace').exec((err, result) => {
+			expect(err).toBeNull();
+			expect(families(result)).toEqual(['Roboto Mono']);
+			expect(result.data[0].score).toBeGreaterThan(0);
+			expect(result._filterTerm).toBe('roboto');
+			done();
+		});
+	});
+
+	it('should accept custom predicates', () => {
+		expect(families(list.query().where((f) => f.getFamily().length < 5).exec())).toEqual(['Lora']);
+	});
+
+	it('should sort by popularity, unranked fonts last', () => {
+		expect(families(list.query().sort('popularity').exec())).toEqual(['Roboto', 'Lora', 'Roboto Mono', 'Abril Fatface']);
+	});
+
+	it('should sort by name and by last modification', () => {
+		expect(families(list.query().sort('name').exec())).toEqual(['Abril Fatface', 'Lora', 'Roboto', 'Roboto Mono']);
+		expect(families(list.query().sort('lastModified').exec())).toEqual(['Lora', 'Roboto', 'Roboto Mono', 'Abril Fatface']);
+	});
+
+	it('should reject unknown sort keys', () => {
+		expect(() => list.query().sort('size')).toThrow('Invalid sort "size"');
+	});
+
+	it('should limit the results', () => {
+		expect(families(list.query().search('roboto').limit(1).exec())).toEqual(['Roboto']);
+	});
+
+	describe('variable', () => {
+		const AXES = {
+			Roboto: [{ tag: 'wdth', min: 75, default: 100, max: 100 }, { tag: 'wght', min: 100, default: 400, max: 900 }],
+			Lora: [{ tag: 'wght', min: 400, default: 400, max: 700 }, { tag: 'GRAD', min: -50, default: 0, max: 100 }]
+		};
+
+		beforeEach(() => {
+			list.data.forEach((font) => {
+				font._provider = { label: 'GWFH API', getAxesAsync: jest.fn(async (f) => AXES[f.getFamily()] || []) };
+			});
+		});
+
+		it('should keep variable fonts, reading the axes of the fonts passing the other filters only', async () => {
+			const result = await list.query().variable().subset('cyrillic').execAsync();
+
+			expect(families(result)).toEqual(['Roboto', 'Lora']);
+			expect(list.data[2]._provider.getAxesAsync).not.toHaveBeenCalled();
+			expect(list.data[3]._provider.getAxesAsync).not.toHaveBeenCalled();
+		});
+
+		it('should keep fonts having every given axis, case insensitive', async () => {
+			expect(families(await list.query().variable('wght').execAsync())).toEqual(['Roboto', 'Lora']);
+			expect(families(await list.query().variable(['wght', 'grad']).execAsync())).toEqual(['Lora']);
+			expect(families(await list.query().variable(['wdth', 'GRAD']).execAsync())).toEqual([]);
+		});
+
+		it('should only see the axes read before with exec', async () => {
+			expect(families(list.query().variable().exec())).toEqual([]);
+
+			await list.data[0].getAxesAsync();
+			expect(families(list.query().variable().exec())).toEqual(['Roboto']);
+		});
+
+		it('should reject providers without variable fonts', async () => {
+			list.data.forEach((font) => { font._provider = { label: 'Font mirror' }; });
+
+			await expect(list.query().variable().execAsync()).rejects.toThrow(expect.objectContaining({
+				code: 'INVALID_ARGUMENT',
+				message: 'The Font mirror does not serve variable fonts'
+			}));
+		});
+
+		it('should leave out the fonts whose axes cannot be read', async () => {
+			list.data[1]._provider.getAxesAsync.mockRejectedValue(new Error('getaddrinfo ENOTFOUND api.fontsource.org'));
+
+			expect(families(await list.query().variable().execAsync())).toEqual(['Roboto']);
+			expect(list.data[1].axes).toBeUndefined();
+		});
+
+		it('should not request the axes of the fonts the catalog marks as static', async () => {
+			list.data[0].variable = true;
+			list.data[1].variable = false;
+
+			expect(families(await list.query().variable().execAsync())).toEqual(['Roboto']);
+			expect(list.data[1]._provider.getAxesAsync).not.toHaveBeenCalled();
+		});
+
+		it('should reject providers without variable fonts before requesting any axes', async () => {
+			list.data[3]._provider = { label: 'Font mirror' };
+
+			await expect(list.query().variable().execAsync()).rejects.toThrow('The Font mirror does not serve variable fonts');
+			list.data.slice(0, 3).forEach((font) => expect(font._provider.getAxesAsync).not.toHaveBeenCalled());
+		});
+
+		it('should run like exec without variable', async () => {
+			expect(families(await list.query().search('roboto').execAsync())).toEqual(['Roboto', 'Roboto Mono']);
+			expect(list.data[0]._provider.getAxesAsync).not.toHaveBeenCalled();
+		});
+	});
+
+	it('should not change the queried list', () => {
+		list.query().category('serif').exec();
+		expect(list.data).toHaveLength(4);
+	});
+});
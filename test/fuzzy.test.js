@@ -0,0 +1,67 @@
+'use strict';
+
+const Fuzzy = require('../lib/fuzzy');
+
+describe('Fuzzy', () => {
+	describe('normalize', () => {
+		it('should lowercase and replace punctuation with spaces', () => {
+			expect(Fuzzy.normalize('  Sans-Serif_Pro! ')).toBe('sans serif pro');
+		});
+	});
+
+	describe('compact', () => {
+		it('should drop spaces after normalizing', () => {
+			expect(Fuzzy.compact('Roboto-Mono')).toBe(Fuzzy.compact('roboto mono'));
+			expect(Fuzzy.compact('Open Sans')).toBe('opensans');
+		});
+	});
+
+	describe('distance', () => {
+		it('should count insertions, deletions and substitutions', () => {
+			expect(Fuzzy.distance('roboto', 'roboto')).toBe(0);
+			expect(Fuzzy.distance('robto', 'roboto')).toBe(1);
+			expect(Fuzzy.distance('lato', 'lora')).toBe(3);
+			expect(Fuzzy.distance('', 'abc')).toBe(3);
+		});
+
+		it('should count a transposition as one edit', () => {
+			expect(Fuzzy.distance('rbooto', 'roboto')).toBe(1);
+		});
+	});
+
+	describe('score', () => {
+		it('should give 1 to exact matches, ignoring case, spaces and punctuation', () => {
+			expect(Fuzzy.score('roboto', 'Roboto')).toBe(1);
+			expect(Fuzzy.score('opensans', 'Open Sans')).toBe(1);
+		});
+
+		it('should rank whole words above prefixes, inner matches and typos', () => {
+			const word = Fuzzy.score('sans', 'Open Sans');
+			const prefix = Fuzzy.score('sans', 'Sansita One');
+			const inside = Fuzzy.score('sans', 'Kosansa One');
+			const typo = Fuzzy.score('sanz', 'Open Sans');
+
+			expect(word).toBeGreaterThan(prefix);
+			expect(prefix).toBeGreaterThan(inside);
+			expect(inside).toBeGreaterThan(typo);
+			expect(typo).toBeGreaterThan(0);
+		});
+
+		it('should prefer values the query covers more completely', () => {
+			expect(Fuzzy.score('roboto', 'Roboto Mono')).toBeGreaterThan(Fuzzy.score('roboto', 'Roboto Serif Condensed'));
+		});
+
+		it('should require every word to match', () => {
+			expect(Fuzzy.score('slab rob', 'Roboto Slab')).toBeGreaterThan(0);
+			expect(Fuzzy.score('open roboto', 'Open Sans')).toBe(0);
+		});
+
+		it('should not tolerate typos in very short words', () => {
+			expect(Fuzzy.score('lto', 'Lato')).toBe(0);
+		});
+
+		it('should return 0 for empty queries', () => {
+			expect(Fuzzy.score('  ', 'Roboto')).toBe(0);
+		});
+	});
+});
@@ -4,7 +4,9 @@ const GoogleFont = require('../lib/google-font');
 
 // Mock modules before requiring GoogleFontList
 jest.mock('../lib/cache', () => ({
+	...jest.requireActual('../lib/cache'),
 	readCache: jest.fn().mockResolvedValue(null),
+	readCacheEntry: jest.fn().mockResolvedValue(null),
 	writeCache: jest.fn()
 }));
 
@@ -17,17 +19,32 @@ jest.mock('../lib/request', () => {
 });
 
 const GoogleFontList = require('../lib/google-font-list');
+const Cache = require('../lib/cache');
+
+/**
+ * fetch stub answering with a font list
+ * @param {any} body - JSON body, or a string sent as is
+ * @param {number} [status=200] - HTTP status
+ */
+const fetchReturning = (body, status = 200) => jest.fn().mockResolvedValue({
+	ok: status === 200,
+	status: status,
+	text: async () => (typeof body === 'string' ? body : JSON.stringify(body))
+});
 
 describe('GoogleFontList', () => {
 	let consoleSpy;
+	let consoleErrorSpy;
 
 	beforeAll(() => {
-		// Suppress console.log during tests
+		// Suppress console output during tests
 		consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+		consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
 	});
 
 	afterAll(() => {
 		consoleSpy.mockRestore();
+		consoleErrorSpy.mockRestore();
 	});
 
 	describe('constructor', () => {
@@ -51,6 +68,94 @@ describe('GoogleFontList', () => {
 			expect(typeof fontList.on).toBe('function');
 			expect(typeof fontList.emit).toBe('function');
 		});
+
+		it('should not load with autoLoad set to false', () => {
+			Cache.readCacheEntry.mockClear();
+			const list = new GoogleFontList({ autoLoad: false });
+			expect(list.loaded).toBeUndefined();
+			expect(Cache.readCacheEntry).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('create', () => {
+		beforeEach(() => {
+			Cache.readCacheEntry.mockClear();
+			Cache.writeCache.mockClear();
+		});
+
+		it('should resolve with a loaded list', async () => {
+			const fetch = fetchReturning([{ family: 'Roboto' }, { family: 'Lato' }]);
+			const list = await GoogleFontList.create({ fetch });
+
+			expect(list).toBeInstanceOf(GoogleFontList);
+			expect(list.loaded).toBe(true);
+			expect(list.data.map((f) => f.getFamily())).toEqual(['Roboto', 'Lato']);
+			expect(fetch).toHaveBeenCalledWith('https://gwfh.mranftl.com/api/fonts', { headers: {} });
+		});
+
+		it('should read and write the cache in cacheDir', async () => {
+			Cache.readCacheEntry.mockResolvedValueOnce({ fetchedAt: Date.now(), fonts: [{ family: 'Cached' }] });
+			const fetch = fetchReturning([]);
+			const list = await GoogleFontList.create({ cacheDir: '/tmp/gfcli-cache', fetch });
+
+			expect(Cache.readCacheEntry).toHaveBeenCalledWith('/tmp/gfcli-cache', 'cache.json');
+			expect(list.data.map((f) => f.getFamily())).toEqual(['Cached']);
+			expect(fetch).not.toHaveBeenCalled();
+
+			await GoogleFontList.create({ cacheDir: '/tmp/gfcli-cache', fetch: fetchReturning([{ family: 'Fresh' }]) });
+			expect(Cache.writeCache).toHaveBeenCalledWith([{ family: 'Fresh' }], '/tmp/gfcli-cache', 'cache.json', expect.anything());
+		});
+
+		it('should skip the cache with refresh', async () => {
+			Cache.readCacheEntry.mockResolvedValueOnce({ fetchedAt: Date.now(), fonts: [{ family: 'Cached' }] });
+			const list = await GoogleFontList.create({ refresh: true, fetch: fetchReturning([{ family: 'Fresh' }]) });
+
+			expect(list.data.map((f) => f.getFamily())).toEqual(['Fresh']);
+		});
+
+		it('should reject on HTTP errors and invalid data', async () => {
+			await expect(GoogleFontList.create({ fetch: fetchReturning('', 503) })).rejects.toThrow('returned 503');
+			await expect(GoogleFontList.create({ fetch: fetchReturning('nope') })).rejects.toMatchObject({ isInvalidJson: true });
+		});
+
+		it('should load the catalog of another provider', async () => {
+			const fetch = fetchReturning([{ id: 'lato', family: 'Lato', weights: [400, 700], styles: ['normal'], subsets: ['latin'] }]);
+			const list = await GoogleFontList.create({ provider: 'fontsource', fetch });
+			const font = list.getFirst();
+
+			expect(fetch).toHaveBeenCalledWith('https://api.fontsource.org/v1/fonts', { headers: {} });
+			expect(Cache.writeCache).toHaveBeenCalledWith([expect.objectContaining({ family: 'Lato', variants: ['regular', '700'] })], undefined, 'cache-fontsource.json', expect.anything());
+			expect(font.getCssUrl()).toBe('https://cdn.jsdelivr.net/npm/@fontsource/lato/index.css');
+			expect(list.clone().getFirst()._provider.name).toBe('fontsource');
+		});
+
+		it('should read a font mirror in offline mode', async () => {
+			const fs = require('fs');
+			const dir = fs.mkdtempSync(require('path').join(require('os').tmpdir(), 'gfcli-offline-'));
+			fs.writeFileSync(require('path').join(dir, 'fonts.json'), JSON.stringify([{ family: 'Roboto' }]));
+			const fetch = fetchReturning([]);
+			try {
+				const list = await GoogleFontList.create({ offline: true, mirrorDir: dir, fetch });
+
+				expect(list.data.map((f) => f.getFamily())).toEqual(['Roboto']);
+				expect(fetch).not.toHaveBeenCalled();
+				expect(Cache.readCacheEntry).not.toHaveBeenCalled();
+				expect(Cache.writeCache).not.toHaveBeenCalled();
+			} finally {
+				fs.rmSync(dir, { recursive: true, force: true });
+			}
+		});
+
+		it('should reject unknown providers', async () => {
+			await expect(GoogleFontList.create({ provider: 'nope' })).rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+		});
+
+		it('should replace the data when loaded again', async () => {
+			const list = await GoogleFontList.create({ fetch: fetchReturning([{ family: 'Roboto' }]) });
+			await list.load(true);
+
+			expect(list.data).toHaveLength(1);
+		});
 	});
 
 	describe('load', () => {
@@ -229,6 +334,48 @@ describe('GoogleFontList', () => {
 			});
 		});
 
+		it('should rank exact and prefix matches before typos', (done) => {
+			const list = new GoogleFontList();
+			list.data = [
+				new GoogleFont({ family: 'Roboto Slab' }),
+				new GoogleFont({ family: 'Robotic Sans' }),
+				new GoogleFont({ family: 'Roboto' })
+			];
+
+			list.searchFont('roboto', 'family', (err, result) => {
+				expect(result.data.map((f) => f.getFamily())).toEqual(['Roboto', 'Roboto Slab', 'Robotic Sans']);
+				done();
+			});
+		});
+
+		it('should tolerate typos', (done) => {
+			const list = new GoogleFontList();
+			list.data = [
+				new GoogleFont({ family: 'Lato' }),
+				new GoogleFont({ family: 'Roboto' })
+			];
+
+			list.searchFont('Robto', 'family', (err, result) => {
+				expect(result.data.map((f) => f.getFamily())).toEqual(['Roboto']);
+				done();
+			});
+		});
+
+		it('should expose the score without changing the catalog font', (done) => {
+			const roboto = new GoogleFont({ family: 'Roboto' });
+			const list = new GoogleFontList();
+			list.data = [roboto, new GoogleFont({ family: 'Roboto Mono' })];
+
+			list.searchFont('Roboto', 'family', (err, result) => {
+				expect(result.data[0].score).toBe(1);
+				expect(result.data[1].score).toBeGreaterThan(0);
+				expect(result.data[1].score).toBeLessThan(1);
+				expect(result.data[0]).toBeInstanceOf(GoogleFont);
+				expect(roboto.score).toBeUndefined();
+				done();
+			});
+		});
+
 		it('should set filter metadata on result', (done) => {
 			const list = new GoogleFontList();
 			list.data = [new GoogleFont({ family: 'Roboto' })];
@@ -274,6 +421,207 @@ describe('GoogleFontList', () => {
 		});
 	});
 
+	describe('suggestFont', () => {
+		const makeList = () => {
+			const list = new GoogleFontList();
+			list.data = [
+				new GoogleFont({ family: 'Open Sans' }),
+				new GoogleFont({ family: 'Roboto Mono' }),
+				new GoogleFont({ family: 'Roboto' }),
+				new GoogleFont({ family: 'Lato' })
+			];
+			return list;
+		};
+
+		it('should ignore case, spaces and hyphens', (done) => {
+			makeList().suggestFont('roboto-mono', (err, result) => {
+				expect(err).toBeNull();
+				expect(result.data[0].getFamily()).toBe('Roboto Mono');
+				expect(result.data[0].distance).toBe(0);
+				expect(result.data[0].close).toBe(true);
+				done();
+			});
+		});
+
+		it('should rank close family names by edit distance', (done) => {
+			makeList().suggestFont('Open San', (err, result) => {
+				expect(result.data.map((f) => f.getFamily())).toEqual(['Open Sans']);
+				expect(result.data[0].distance).toBe(1);
+				expect(result.data[0].close).toBe(true);
+				done();
+			});
+		});
+
+		it('should not mark distant suggestions as close', (done) => {
+			makeList().suggestFont('Robo Mono', (err, result) => {
+				expect(result.data[0].getFamily()).toBe('Roboto Mono');
+				expect(result.data[0].close).toBe(false);
+				done();
+			});
+		});
+
+		it('should return nothing for unrelated or empty names', (done) => {
+			const list = makeList();
+			list.suggestFont('Zzzzzz', (err, result) => {
+				expect(result.data).toHaveLength(0);
+				list.suggestFont(' - ', (err2, result2) => {
+					expect(result2.data).toHaveLength(0);
+					done();
+				});
+			});
+		});
+	});
+
+	describe('revalidation', () => {
+		const DAY = 24 * 60 * 60 * 1000;
+		const cachedList = (age) => ({
+			fetchedAt: Date.now() - age,
+			etag: '"v1"',
+			lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT',
+			fonts: [{ family: 'Cached' }]
+		});
+
+		/**
+		 * fetch stub answering 304, or 200 with validators
+		 * @param {number} status - HTTP status
+		 * @param {any} [body] - JSON body of a 200 response
+		 */
+		const fetchAnswering = (status, body) => jest.fn().mockResolvedValue({
+			ok: status === 200,
+			status: status,
+			headers: { get: (name) => ({ etag: '"v2"', 'last-modified': 'Tue, 02 Jan 2024 00:00:00 GMT' })[name] || null },
+			text: async () => JSON.stringify(body)
+		});
+
+		beforeEach(() => {
+			Cache.writeCache.mockClear();
+		});
+
+		it('should keep a fresh cache without requests', async () => {
+			Cache.readCacheEntry.mockResolvedValueOnce(cachedList(DAY / 2));
+			const fetch = fetchAnswering(200, []);
+
+			const list = new GoogleFontList({ autoLoad: false, fetch });
+			await expect(list.load()).resolves.toEqual({ fromCache: true, stale: false });
+			expect(fetch).not.toHaveBeenCalled();
+		});
+
+		it('should send the validators of an expired cache and extend it on 304', async () => {
+			const cached = cachedList(2 * DAY);
+			Cache.readCacheEntry.mockResolvedValueOnce(cached);
+			const fetch = fetchAnswering(304);
+
+			const list = new GoogleFontList({ autoLoad: false, fetch });
+			await expect(list.load()).resolves.toEqual({ fromCache: true, revalidated: true });
+
+			expect(fetch).toHaveBeenCalledWith('https://gwfh.mranftl.com/api/fonts', {
+				headers: { 'If-None-Match': '"v1"', 'If-Modified-Since': 'Mon, 01 Jan 2024 00:00:00 GMT' }
+			});
+			expect(list.data.map((f) => f.getFamily())).toEqual(['Cached']);
+			expect(Cache.writeCache).toHaveBeenCalledWith(cached.fonts, undefined, 'cache.json', cached);
+		});
+
+		it('should store the validators of a new list', async () => {
+			Cache.readCacheEntry.mockResolvedValueOnce(cachedList(2 * DAY));
+
+			const list = new GoogleFontList({ autoLoad: false, fetch: fetchAnswering(200, [{ family: 'Fresh' }]) });
+			await expect(list.load()).resolves.toEqual({ fromCache: false });
+
+			expect(list.data.map((f) => f.getFamily())).toEqual(['Fresh']);
+			expect(Cache.writeCache).toHaveBeenCalledWith([{ family: 'Fresh' }], undefined, 'cache.json', expect.objectContaining({
+				etag: '"v2"',
+				lastModified: 'Tue, 02 Jan 2024 00:00:00 GMT'
+			}));
+		});
+
+		it('should serve a stale cache and refresh it in the background', async () => {
+			Cache.readCacheEntry.mockResolvedValueOnce(cachedList(2 * DAY));
+			const fetch = fetchAnswering(200, [{ family: 'Fresh' }]);
+
+			const list = new GoogleFontList({ autoLoad: false, fetch, staleWhileRevalidate: true });
+			await expect(list.load()).resolves.toEqual({ fromCache: true, stale: true });
+			expect(list.data.map((f) => f.getFamily())).toEqual(['Cached']);
+
+			await list._revalidating;
+			expect(fetch).toHaveBeenCalledTimes(1);
+			expect(Cache.writeCache).toHaveBeenCalledWith([{ family: 'Fresh' }], undefined, 'cache.json', expect.objectContaining({ etag: '"v2"' }));
+			// The loaded list is left as is; the next load uses the new cache
+			expect(list.data.map((f) => f.getFamily())).toEqual(['Cached']);
+			expect(list._revalidating).toBeNull();
+		});
+
+		it('should ignore background refresh failures', async () => {
+			Cache.readCacheEntry.mockResolvedValueOnce(cachedList(2 * DAY));
+
+			const list = new GoogleFontList({ autoLoad: false, fetch: jest.fn().mockRejectedValue(new Error('offline')), staleWhileRevalidate: true });
+			await list.load();
+
+			await expect(list._revalidating).resolves.toBeUndefined();
+			expect(Cache.writeCache).not.toHaveBeenCalled();
+		});
+
+		it('should not serve a cache older than CACHE_STALE_MS', async () => {
+			Cache.readCacheEntry.mockResolvedValueOnce(cachedList(Cache.CACHE_STALE_MS + DAY));
+
+			const list = new GoogleFontList({ autoLoad: false, fetch: fetchAnswering(200, [{ family: 'Fresh' }]), staleWhileRevalidate: true });
+			await expect(list.load()).resolves.toEqual({ fromCache: false });
+			expect(list.data.map((f) => f.getFamily())).toEqual(['Fresh']);
+		});
+
+		it('should expire the cache after cacheTtl', async () => {
+			Cache.readCacheEntry.mockResolvedValueOnce(cachedList(2 * DAY));
+			const fetch = fetchAnswering(200, []);
+
+			const list = new GoogleFontList({ autoLoad: false, fetch, cacheTtl: 3 * DAY });
+			await expect(list.load()).resolves.toEqual({ fromCache: true, stale: false });
+			expect(fetch).not.toHaveBeenCalled();
+			expect(list.clone()._cacheTtl).toBe(3 * DAY);
+		});
+
+		it('should neither read nor write the cache with cache: false', async () => {
+			Cache.readCacheEntry.mockClear();
+
+			const list = await GoogleFontList.create({ cache: false, fetch: fetchAnswering(200, [{ family: 'Fresh' }]) });
+
+			expect(list.data.map((f) => f.getFamily())).toEqual(['Fresh']);
+			expect(Cache.readCacheEntry).not.toHaveBeenCalled();
+			expect(Cache.writeCache).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('promise API', () => {
+		const makeList = () => {
+			const list = new GoogleFontList({ autoLoad: false });
+			list.data = [
+				new GoogleFont({ family: 'Roboto', category: 'sans-serif' }),
+				new GoogleFont({ family: 'Roboto Mono', category: 'monospace' })
+			];
+			return list;
+		};
+
+		it('should return promises when no callback is given', async () => {
+			const list = makeList();
+
+			expect((await list.getFontByName('roboto')).data.map((f) => f.getFamily())).toEqual(['Roboto']);
+			expect((await list.getFontByType('monospace')).data).toHaveLength(1);
+			expect((await list.getFont('Roboto Mono', 'family')).isSingle()).toBe(true);
+			expect((await list.searchFontByName('robot')).data).toHaveLength(2);
+			expect((await list.searchFontByType('mono')).data).toHaveLength(1);
+			expect((await list.searchFont('roboto', 'family')).data[0].score).toBe(1);
+			expect((await list.suggestFont('roboto-mono')).getFirst().getFamily()).toBe('Roboto Mono');
+		});
+
+		it('should not return a promise when a callback is given', () => {
+			const callback = jest.fn();
+			expect(makeList().getFontByName('Roboto', callback)).toBeUndefined();
+			expect(callback).toHaveBeenCalledWith(null, expect.any(GoogleFontList));
+		});
+
+		it('should reject instead of throwing', async () => {
+			await expect(makeList().getFontByName(undefined)).rejects.toThrow(TypeError);
+		});
+	});
+
 	describe('getFont', () => {
 		it('should get exact font match', (done) => {
 			const list = new GoogleFontList();
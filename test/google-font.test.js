@@ -1,6 +1,19 @@
 'use strict';
 
 const GoogleFont = require('../lib/google-font');
+const systemFont = require('../lib/system-font');
+const Registry = require('../lib/registry');
+
+/**
+ * Provider answering without a request, so no lookup outlives the test
+ * @returns {any} Provider stub
+ */
+const stubProvider = () => ({
+	name: 'stub',
+	label: 'stub provider',
+	familyUrl: () => 'https://example.com/roboto',
+	getFileMapAsync: jest.fn().mockResolvedValue({ regular: 'https://example.com/r.ttf' })
+});
 
 describe('GoogleFont', () => {
 	describe('constructor', () => {
@@ -85,6 +98,18 @@ describe('GoogleFont', () => {
 		});
 	});
 
+	describe('getSubsets', () => {
+		it('should return the supported subsets', () => {
+			const font = new GoogleFont({ family: 'Roboto', subsets: ['latin', 'cyrillic'] });
+
+			expect(font.getSubsets()).toEqual(['latin', 'cyrillic']);
+		});
+
+		it('should return an empty array for missing subsets', () => {
+			expect(new GoogleFont({ family: 'Test' }).getSubsets()).toEqual([]);
+		});
+	});
+
 	describe('getCategory', () => {
 		it('should return the font category', () => {
 			const font = new GoogleFont({
@@ -158,34 +183,56 @@ describe('GoogleFont', () => {
 	});
 
 	describe('_getFileMap', () => {
-		it('should accept format and callback', () => {
-			const font = new GoogleFont({ family: 'Roboto' });
-			
-			// Test that format parameter is accepted
-			expect(() => font._getFileMap('ttf', () => {})).not.toThrow();
-			expect(() => font._getFileMap('woff2', () => {})).not.toThrow();
+		it('should accept format and callback', async () => {
+			const provider = stubProvider();
+			const font = new GoogleFont({ family: 'Roboto' }, provider);
+
+			const result = await new Promise((resolve, reject) => {
+				font._getFileMap('woff2', (err, fileMap) => err ? reject(err) : resolve(fileMap));
+			});
+
+			expect(result).toEqual({ regular: 'https://example.com/r.ttf' });
+			expect(provider.getFileMapAsync).toHaveBeenCalledWith(font, 'woff2', undefined);
 		});
 
-		it('should accept only callback (backward compatibility)', () => {
-			const font = new GoogleFont({ family: 'Roboto' });
-			
-			expect(() => font._getFileMap(() => {})).not.toThrow();
+		it('should accept only callback (backward compatibility)', async () => {
+			const provider = stubProvider();
+			const font = new GoogleFont({ family: 'Roboto' }, provider);
+
+			await new Promise((resolve, reject) => {
+				font._getFileMap((err, fileMap) => err ? reject(err) : resolve(fileMap));
+			});
+
+			expect(provider.getFileMapAsync).toHaveBeenCalledWith(font, 'ttf', undefined);
 		});
 
-		it('should return a promise when no callback provided', () => {
-			const font = new GoogleFont({ family: 'Roboto' });
+		it('should return a promise when no callback provided', async () => {
+			const font = new GoogleFont({ family: 'Roboto' }, stubProvider());
 			const result = font._getFileMap('ttf');
 
 			expect(result).toBeInstanceOf(Promise);
+			await expect(result).resolves.toEqual({ regular: 'https://example.com/r.ttf' });
+		});
+
+		it('should pass provider errors to the callback', async () => {
+			const provider = stubProvider();
+			provider.getFileMapAsync.mockRejectedValue(new Error('offline'));
+			const font = new GoogleFont({ family: 'Roboto' }, provider);
+
+			const err = await new Promise((resolve) => font._getFileMap('ttf', resolve));
+
+			expect(err).toEqual(new Error('offline'));
 		});
 	});
 
 	describe('_getFileMapAsync', () => {
 		it('should default to ttf format when not specified', async () => {
-			const font = new GoogleFont({ family: 'Roboto' });
-			// We just check that it doesn't throw for undefined format
-			const promise = font._getFileMapAsync();
-			expect(promise).toBeInstanceOf(Promise);
+			const provider = stubProvider();
+			const font = new GoogleFont({ family: 'Roboto' }, provider);
+
+			await font._getFileMapAsync();
+
+			expect(provider.getFileMapAsync).toHaveBeenCalledWith(font, 'ttf', undefined);
 		});
 	});
 
@@ -207,6 +254,460 @@ describe('GoogleFont', () => {
 		});
 	});
 
+	describe('installAsync', () => {
+		afterEach(() => {
+			jest.restoreAllMocks();
+		});
+
+		it('should record installed files in the registry', async () => {
+			const font = new GoogleFont({ family: 'Roboto', version: 'v30', lastModified: '2022-09-22' });
+			jest.spyOn(font, '_getFileMapAsync').mockResolvedValue({ regular: 'https://example.com/r.ttf' });
+			jest.spyOn(systemFont, 'install').mockResolvedValue('/fonts/Roboto-regular.ttf');
+			jest.spyOn(systemFont, 'checksum').mockResolvedValue('deadbeef');
+			const recordSpy = jest.spyOn(Registry, 'record').mockResolvedValue(undefined);
+
+			const result = await font.installAsync(['400']);
+
+			expect(result).toEqual([{
+				family: 'Roboto',
+				variant: 'regular',
+				path: '/fonts/Roboto-regular.ttf',
+				url: 'https://example.com/r.ttf'
+			}]);
+			expect(recordSpy).toHaveBeenCalledWith([expect.objectContaining({
+				family: 'Roboto',
+				variant: 'regular',
+				kind: 'install',
+				format: 'ttf',
+				path: '/fonts/Roboto-regular.ttf',
+				url: 'https://example.com/r.ttf',
+				sha256: 'deadbeef',
+				version: 'v30',
+				lastModified: '2022-09-22',
+				scope: 'user'
+			})]);
+		});
+
+		it('should record the install scope', async () => {
+			const font = new GoogleFont({ family: 'Roboto' });
+			jest.spyOn(font, '_getFileMapAsync').mockResolvedValue({ regular: 'https://example.com/r.ttf' });
+			jest.spyOn(systemFont, 'install').mockResolvedValue('/usr/local/share/fonts/Roboto-regular.ttf');
+			jest.spyOn(systemFont, 'checksum').mockResolvedValue('deadbeef');
+			const recordSpy = jest.spyOn(Registry, 'record').mockResolvedValue(undefined);
+			systemFont.scope = 'system';
+
+			try {
+				await font.installAsync(['regular']);
+			} finally {
+				systemFont.scope = 'user';
+			}
+
+			expect(recordSpy).toHaveBeenCalledWith([expect.objectContaining({ scope: 'system' })]);
+		});
+
+		it('should not record installs that do not produce a file path', async () => {
+			const font = new GoogleFont({ family: 'Roboto' });
+			jest.spyOn(font, '_getFileMapAsync').mockResolvedValue({ regular: 'https://example.com/r.ttf' });
+			jest.spyOn(systemFont, 'install').mockResolvedValue('Font System Folder with Powershell.');
+			const recordSpy = jest.spyOn(Registry, 'record').mockResolvedValue(undefined);
+
+			await font.installAsync(['regular']);
+
+			expect(recordSpy).not.toHaveBeenCalled();
+		});
+
+		it('should install the other variants when one fails', async () => {
+			const font = new GoogleFont({ family: 'Roboto' });
+			jest.spyOn(font, '_getFileMapAsync').mockResolvedValue({
+				regular: 'https://example.com/r.ttf',
+				'700': 'https://example.com/b.ttf'
+			});
+			jest.spyOn(systemFont, 'install').mockImplementation(async (url, name) => {
+				if (name === 'Roboto-regular') throw new Error('disk full');
+				return '/fonts/' + name + '.ttf';
+			});
+			jest.spyOn(systemFont, 'checksum').mockResolvedValue('deadbeef');
+			jest.spyOn(Registry, 'record').mockResolvedValue(undefined);
+
+			const err = await font.installAsync(['regular', '700']).catch((e) => e);
+
+			expect(err).toBeInstanceOf(AggregateError);
+			expect(err.message).toBe('Failed to install 1 variant(s)');
+			expect(err.errors).toEqual([new Error('disk full')]);
+			expect(err.results).toEqual([expect.objectContaining({ variant: '700', path: '/fonts/Roboto-700.ttf' })]);
+		});
+	});
+
+	describe('saveAtAsync', () => {
+		afterEach(() => {
+			jest.restoreAllMocks();
+		});
+
+		it('should record downloaded files in the registry', async () => {
+			const font = new GoogleFont({ family: 'Inter', version: 'v12' });
+			jest.spyOn(font, '_getFileMapAsync').mockResolvedValue({ '700': 'https://example.com/b.woff2' });
+			jest.spyOn(systemFont, 'saveAt').mockResolvedValue('/project/fonts/Inter-700.woff2');
+			jest.spyOn(systemFont, 'checksum').mockResolvedValue('cafe');
+			const recordSpy = jest.spyOn(Registry, 'record').mockResolvedValue(undefined);
+
+			await font.saveAtAsync(['700'], '/project/fonts', 'woff2');
+
+			expect(systemFont.saveAt).toHaveBeenCalledWith('https://example.com/b.woff2', '/project/fonts', 'Inter-700', expect.objectContaining({ family: 'Inter' }));
+			expect(recordSpy).toHaveBeenCalledWith([expect.objectContaining({
+				family: 'Inter',
+				variant: '700',
+				kind: 'download',
+				format: 'woff2',
+				path: '/project/fonts/Inter-700.woff2',
+				version: 'v12'
+			})]);
+		});
+
+		it('should not record the files when asked not to', async () => {
+			const font = new GoogleFont({ family: 'Inter' });
+			jest.spyOn(font, '_getFileMapAsync').mockResolvedValue({ '700': 'https://example.com/b.woff2' });
+			jest.spyOn(systemFont, 'saveAt').mockResolvedValue('/project/fonts/Inter-700.woff2');
+			const recordSpy = jest.spyOn(Registry, 'record').mockResolvedValue(undefined);
+
+			await expect(font.saveAtAsync(['700'], '/project/fonts', 'woff2', { record: false })).resolves.toEqual([
+				expect.objectContaining({ variant: '700', path: '/project/fonts/Inter-700.woff2' })
+			]);
+			expect(recordSpy).not.toHaveBeenCalled();
+		});
+
+		it('should keep the saved file when the registry cannot be written', async () => {
+			const font = new GoogleFont({ family: 'Inter' });
+			jest.spyOn(font, '_getFileMapAsync').mockResolvedValue({ '700': 'https://example.com/b.woff2' });
+			jest.spyOn(systemFont, 'saveAt').mockResolvedValue('/project/fonts/Inter-700.woff2');
+			jest.spyOn(systemFont, 'checksum').mockResolvedValue('cafe');
+			jest.spyOn(Registry, 'record').mockRejectedValue(new Error('EACCES: permission denied'));
+
+			await expect(font.saveAtAsync(['700'], '/project/fonts', 'woff2')).resolves.toEqual([expect.objectContaining({
+				variant: '700',
+				path: '/project/fonts/Inter-700.woff2',
+				warning: 'Not recorded in the installation registry: EACCES: permission denied'
+			})]);
+		});
+
+		describe('in parallel', () => {
+			const fileMap = {
+				regular: 'https://example.com/r.ttf',
+				'700': 'https://example.com/b.ttf',
+				italic: 'https://example.com/i.ttf'
+			};
+			let font;
+			// Settle after a number of microtask turns, so that downloads finish out of order
+			const ticks = async (count) => {
+				for (let i = 0; i < count; i++) await Promise.resolve();
+			};
+
+			beforeEach(() => {
+				font = new GoogleFont({ family: 'Roboto' });
+				jest.spyOn(font, '_getFileMapAsync').mockResolvedValue(fileMap);
+				jest.spyOn(systemFont, 'checksum').mockResolvedValue('cafe');
+				jest.spyOn(Registry, 'record').mockResolvedValue(undefined);
+			});
+
+			it('should keep the order of the variants whatever the order downloads finish in', async () => {
+				const finished = [];
+				const delays = { 'Roboto-regular': 30, 'Roboto-700': 10, 'Roboto-italic': 20 };
+				jest.spyOn(systemFont, 'saveAt').mockImplementation(async (url, dest, name) => {
+					await ticks(delays[name]);
+					finished.push(name);
+					return dest + '/' + name + '.ttf';
+				});
+
+				const result = await font.saveAtAsync(['regular', '700', 'italic'], '/fonts', 'ttf', { concurrency: 3 });
+
+				expect(finished).toEqual(['Roboto-700', 'Roboto-italic', 'Roboto-regular']);
+				expect(result.map((r) => r.variant)).toEqual(['regular', '700', 'italic']);
+			});
+
+			it('should not run more downloads than the concurrency of a shared pool', async () => {
+				const Pool = require('../lib/pool');
+				const pool = new Pool(2);
+				let running = 0;
+				let max = 0;
+				jest.spyOn(systemFont, 'saveAt').mockImplementation(async (url, dest, name) => {
+					running++;
+					max = Math.max(max, running);
+					await ticks(5);
+					running--;
+					return dest + '/' + name + '.ttf';
+				});
+				const other = new GoogleFont({ family: 'Lato' });
+				jest.spyOn(other, '_getFileMapAsync').mockResolvedValue(fileMap);
+
+				await Promise.all([
+					font.saveAtAsync(false, '/fonts', 'ttf', { pool }),
+					other.saveAtAsync(false, '/fonts', 'ttf', { pool })
+				]);
+
+				expect(systemFont.saveAt).toHaveBeenCalledTimes(6);
+				expect(max).toBe(2);
+			});
+
+			it('should count files and bytes, downloading each variant once', async () => {
+				const Progress = require('../lib/progress');
+				const progress = new Progress();
+				jest.spyOn(systemFont, 'saveAt').mockImplementation(async (url, dest, name, { onData }) => {
+					onData(100);
+					onData(20);
+					return dest + '/' + name + '.ttf';
+				});
+
+				await font.saveAtAsync(['regular', '400', 'bold', '700'], '/fonts', 'ttf', { progress });
+
+				expect(systemFont.saveAt).toHaveBeenCalledTimes(2);
+				expect(progress.totalFiles).toBe(2);
+				expect(progress.files).toBe(2);
+				expect(progress.bytes).toBe(240);
+			});
+		});
+	});
+
+	describe('subsets', () => {
+		const font = () => new GoogleFont({ family: 'Inter', variants: ['regular', '700'], subsets: ['cyrillic', 'latin', 'latin-ext'] });
+
+		afterEach(() => {
+			jest.restoreAllMocks();
+		});
+
+		it('should request the subsets and add them to the file names', async () => {
+			const inter = font();
+			jest.spyOn(inter, '_getFileMapAsync').mockResolvedValue({ '700': 'https://example.com/b.woff2' });
+			jest.spyOn(systemFont, 'saveAt').mockImplementation(async (url, dest, name) => dest + '/' + name + '.woff2');
+			jest.spyOn(systemFont, 'checksum').mockResolvedValue('cafe');
+			const recordSpy = jest.spyOn(Registry, 'record').mockResolvedValue(undefined);
+
+			const results = await inter.saveAtAsync(['700'], '/project/fonts', 'woff2', { subsets: ['Latin-Ext', 'latin', 'latin'] });
+
+			expect(inter._getFileMapAsync).toHaveBeenCalledWith('woff2', ['latin', 'latin-ext']);
+			expect(results).toEqual([{
+				family: 'Inter',
+				variant: '700',
+				path: '/project/fonts/Inter-700-latin_latin-ext.woff2',
+				url: 'https://example.com/b.woff2',
+				subsets: ['latin', 'latin-ext']
+			}]);
+			expect(recordSpy).toHaveBeenCalledWith([expect.objectContaining({ variant: '700', subsets: ['latin', 'latin-ext'] })]);
+		});
+
+		it('should keep the file names of the default subset', async () => {
+			const inter = font();
+			jest.spyOn(inter, '_getFileMapAsync').mockResolvedValue({ regular: 'https://example.com/r.ttf' });
+			jest.spyOn(systemFont, 'install').mockImplementation(async (url, name) => 'Font System Folder with Powershell.');
+
+			await inter.installAsync(false, { subsets: [] });
+
+			expect(inter._getFileMapAsync).toHaveBeenCalledWith('ttf', undefined);
+			expect(systemFont.install).toHaveBeenCalledWith('https://example.com/r.ttf', 'Inter-regular', expect.any(Object));
+		});
+
+		it('should reject subsets the family does not have', async () => {
+			const inter = font();
+			jest.spyOn(inter, '_getFileMapAsync');
+
+			await expect(inter.installAsync(false, { subsets: ['latin', 'greek'] })).rejects.toThrow(expect.objectContaining({
+				code: 'INVALID_ARGUMENT',
+				message: '"Inter" has no subset(s) greek (available: cyrillic, latin, latin-ext)'
+			}));
+			expect(inter._getFileMapAsync).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('variable fonts', () => {
+		const axes = [
+			{ tag: 'ital', min: 0, default: 0, max: 1 },
+			{ tag: 'opsz', min: 14, default: 14, max: 32 },
+			{ tag: 'wght', min: 100, default: 400, max: 900 }
+		];
+		const files = {
+			'100..900': 'https://fonts.gstatic.com/s/inter/v13/upright.ttf',
+			'100..900italic': 'https://fonts.gstatic.com/s/inter/v13/italic.ttf'
+		};
+		/** @param {object} [provider] - Provider methods overriding the GWFH ones */
+		const variableFont = (provider) => new GoogleFont({ family: 'Inter', variants: ['regular', '700', 'italic'] }, Object.assign({}, require('../lib/providers/gwfh'), {
+			getAxesAsync: jest.fn().mockResolvedValue(axes),
+			getVariableFileMapAsync: jest.fn().mockResolvedValue(files)
+		}, provider));
+
+		beforeEach(() => {
+			jest.spyOn(systemFont, 'checksum').mockResolvedValue('cafe');
+			jest.spyOn(Registry, 'record').mockResolvedValue(undefined);
+		});
+
+		afterEach(() => {
+			jest.restoreAllMocks();
+		});
+
+		it('should read the axes once', async () => {
+			const font = variableFont();
+
+			expect(font.getAxes()).toEqual([]);
+			expect(await font.getAxesAsync()).toEqual(axes);
+			expect(await font.getAxesAsync()).toEqual(axes);
+			expect(font.getAxes()).toEqual(axes);
+			expect(font._provider.getAxesAsync).toHaveBeenCalledTimes(1);
+		});
+
+		it('should save the variable files with weight range variants', async () => {
+			const font = variableFont();
+			jest.spyOn(systemFont, 'saveAt').mockImplementation(async (url, dest, name) => dest + '/' + name + '.woff2');
+
+			const results = await font.saveAtAsync(false, '/project/fonts', 'woff2', { variable: true });
+
+			expect(font._provider.getVariableFileMapAsync).toHaveBeenCalledWith(font, 'woff2', axes, undefined);
+			expect(results).toEqual([
+				expect.objectContaining({ variant: '100..900', path: '/project/fonts/Inter-VariableFont_opsz,wght.woff2' }),
+				expect.objectContaining({ variant: '100..900italic', path: '/project/fonts/Inter-Italic-VariableFont_opsz,wght.woff2' })
+			]);
+		});
+
+		it('should install the variable files covering the requested variants', async () => {
+			const font = variableFont();
+			jest.spyOn(systemFont, 'install').mockImplementation(async (url, name) => '/fonts/' + name + '.ttf');
+
+			const results = await font.installAsync(['regular', '700'], { variable: true });
+
+			expect(results.map((r) => r.variant)).toEqual(['100..900']);
+			expect(systemFont.install).toHaveBeenCalledWith(files['100..900'], 'Inter-VariableFont_opsz,wght', expect.objectContaining({ family: 'Inter' }));
+			expect(Registry.record).toHaveBeenCalledWith([expect.objectContaining({ variant: '100..900', kind: 'install' })]);
+		});
+
+		it('should reject families without a variable version', async () => {
+			const font = variableFont({ getAxesAsync: jest.fn().mockResolvedValue([]) });
+
+			await expect(font.saveAtAsync(false, '/tmp', 'ttf', { variable: true })).rejects.toThrow(
+				expect.objectContaining({ code: 'INVALID_ARGUMENT', message: '"Inter" has no variable version' })
+			);
+		});
+
+		it('should reject providers without variable fonts', async () => {
+			const font = variableFont({ getAxesAsync: undefined, getVariableFileMapAsync: undefined });
+
+			expect(await font.getAxesAsync()).toEqual([]);
+			await expect(font.installAsync(false, { variable: true })).rejects.toThrow(
+				expect.objectContaining({ code: 'INVALID_ARGUMENT', message: 'The GWFH API does not serve variable fonts' })
+			);
+		});
+	});
+
+	describe('inspectAsync', () => {
+		const path = require('path');
+		const os = require('os');
+		const fs = require('fs').promises;
+		const { buildSfnt } = require('./fixtures/fonts');
+
+		afterEach(() => {
+			jest.restoreAllMocks();
+		});
+
+		it('should read the metadata of each variant, then remove the downloaded files', async () => {
+			const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gfcli-inspect-'));
+			const font = new GoogleFont({ family: 'Inter' });
+			jest.spyOn(font, '_getFileMapAsync').mockResolvedValue({
+				regular: 'https://example.com/r.woff2',
+				'700': 'https://example.com/b.woff2'
+			});
+			const saveTmp = jest.spyOn(systemFont, '_saveTmp').mockImplementation(async (url, name) => {
+				const file = path.join(dir, name + '.ttf');
+				await fs.writeFile(file, buildSfnt({ family: 'Inter', subfamily: name === 'Inter-700' ? 'Bold' : 'Regular' }));
+				return file;
+			});
+
+			const result = await font.inspectAsync(['700'], 'woff2');
+
+			expect(font._getFileMapAsync).toHaveBeenCalledWith('woff2');
+			expect(saveTmp).toHaveBeenCalledWith('https://example.com/b.woff2', 'Inter-700', expect.objectContaining({ family: 'Inter' }));
+			expect(result).toEqual([{
+				family: 'Inter',
+				variant: '700',
+				url: 'https://example.com/b.woff2',
+				metadata: expect.objectContaining({ family: 'Inter', subfamily: 'Bold' })
+			}]);
+			expect(await fs.readdir(dir)).toEqual([]);
+			await fs.rm(dir, { recursive: true, force: true });
+		});
+
+		it('should reject with the variants read before the failure', async () => {
+			const font = new GoogleFont({ family: 'Inter' });
+			jest.spyOn(font, '_getFileMapAsync').mockResolvedValue({ regular: 'https://example.com/r.ttf' });
+			jest.spyOn(systemFont, '_saveTmp').mockRejectedValue(new Error('Downloaded file https://example.com/r.ttf is corrupted'));
+
+			await expect(font.inspectAsync(false)).rejects.toThrow(expect.objectContaining({
+				message: 'Failed to inspect 1 variant(s)',
+				results: []
+			}));
+		});
+	});
+
+	describe('subsetAsync', () => {
+		const path = require('path');
+		const os = require('os');
+		const fs = require('fs').promises;
+		const { buildGlyphFont } = require('./fixtures/fonts');
+
+		afterEach(() => {
+			jest.restoreAllMocks();
+		});
+
+		it('should write the subset of the TTF file of each variant, then remove the downloaded files', async () => {
+			const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'gfcli-subset-tmp-'));
+			const dest = await fs.mkdtemp(path.join(os.tmpdir(), 'gfcli-subset-'));
+			const font = new GoogleFont({ family: 'Inter' });
+			const original = buildGlyphFont({ family: 'Inter' });
+			jest.spyOn(font, '_getFileMapAsync').mockResolvedValue({ regular: 'https://example.com/r.ttf' });
+			jest.spyOn(systemFont, '_saveTmp').mockImplementation(async (url, name) => {
+				const file = path.join(tmp, name + '.ttf');
+				await fs.writeFile(file, original);
+				return file;
+			});
+
+			const result = await font.subsetAsync(false, dest, [[0x61, 0x62]]);
+
+			expect(font._getFileMapAsync).toHaveBeenCalledWith('ttf', undefined);
+			expect(result).toEqual([expect.objectContaining({
+				family: 'Inter',
+				variant: 'regular',
+				path: path.join(dest, 'Inter-regular-subset.woff2'),
+				url: 'https://example.com/r.ttf',
+				originalSize: original.length,
+				glyphs: 3,
+				codePoints: 2,
+				unicodeRanges: [[0x61, 0x62]]
+			})]);
+			expect(result[0].size).toBe((await fs.stat(result[0].path)).size);
+			expect(await fs.readdir(tmp)).toEqual([]);
+			await fs.rm(tmp, { recursive: true, force: true });
+			await fs.rm(dest, { recursive: true, force: true });
+		});
+
+		it('should reject with the variants written before the failure', async () => {
+			const font = new GoogleFont({ family: 'Inter' });
+			jest.spyOn(font, '_getFileMapAsync').mockResolvedValue({ regular: 'https://example.com/r.ttf' });
+			jest.spyOn(systemFont, '_saveTmp').mockRejectedValue(new Error('Downloaded file https://example.com/r.ttf is corrupted'));
+
+			await expect(font.subsetAsync(false, os.tmpdir(), [[0x61, 0x62]])).rejects.toThrow(expect.objectContaining({
+				message: 'Failed to subset 1 variant(s)',
+				results: []
+			}));
+		});
+	});
+
+	describe('writeCssAsync', () => {
+		it('should write @font-face rules for saved results', async () => {
+			const FontFace = require('../lib/font-face');
+			const writeSpy = jest.spyOn(FontFace, 'writeFontFace').mockResolvedValue('/site/fonts.css');
+			const font = new GoogleFont({ family: 'Inter' });
+			const results = [{ family: 'Inter', variant: '700', path: '/site/Inter-700.woff2' }];
+
+			await expect(font.writeCssAsync(results, 'fonts.css', { display: 'block' })).resolves.toBe('/site/fonts.css');
+			expect(writeSpy).toHaveBeenCalledWith(results, 'fonts.css', { display: 'block' });
+			writeSpy.mockRestore();
+		});
+	});
+
 	describe('saveAt', () => {
 		it('should accept variants, destFolder, format, and callback', () => {
 			const font = new GoogleFont({ family: 'Roboto' });
@@ -0,0 +1,231 @@
+'use strict';
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+jest.mock('../lib/registry');
+
+const Manifest = require('../lib/manifest');
+const GoogleFont = require('../lib/google-font');
+const systemFont = require('../lib/system-font');
+
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+describe('Manifest', () => {
+	let dir;
+
+	const writeManifest = async (data) => {
+		const file = path.join(dir, 'fonts.json');
+		await fs.writeFile(file, JSON.stringify(data));
+		return file;
+	};
+
+	// Catalog font whose downloads write "<variant>.<format>" as file content
+	const fakeFont = (data) => {
+		const font = new GoogleFont(Object.assign({ version: 'v1', lastModified: '2024-01-01' }, data));
+		jest.spyOn(font, 'saveAtAsync').mockImplementation(async (variants, dest, format) => {
+			await fs.mkdir(dest, { recursive: true });
+			const list = variants || font.getVariants();
+			return Promise.all(list.map(async (v) => {
+				const file = path.join(dest, font._fileName + '-' + v + '.' + format);
+				await fs.writeFile(file, v + '.' + format);
+				return { family: font.getFamily(), variant: v, path: file, url: 'https://example.com/' + v + '.' + format };
+			}));
+		});
+		return font;
+	};
+
+	beforeEach(async () => {
+		dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gfcli-manifest-'));
+	});
+
+	afterEach(async () => {
+		jest.restoreAllMocks();
+		await fs.rm(dir, { recursive: true, force: true });
+	});
+
+	describe('readManifest', () => {
+		it('should apply defaults and normalize variants', async () => {
+			const file = await writeManifest({
+				destination: 'assets/fonts',
+				fonts: ['Lato', { family: 'Inter', variants: ['400', '700'], formats: ['woff2'], subsets: ['latin'] }]
+			});
+
+			const manifest = await Manifest.readManifest(file);
+
+			expect(manifest.dir).toBe(dir);
+			expect(manifest.destination).toBe('assets/fonts');
+			expect(manifest.fonts).toEqual([
+				{ family: 'Lato', variants: false, formats: ['ttf'], subsets: [] },
+				{ family: 'Inter', variants: ['regular', '700'], formats: ['woff2'], subsets: ['latin'] }
+			]);
+		});
+
+		it('should reject a manifest without fonts', async () => {
+			const file = await writeManifest({ destination: 'fonts' });
+			await expect(Manifest.readManifest(file)).rejects.toThrow('must contain a "fonts" array');
+		});
+
+		it('should reject unsupported formats', async () => {
+			const file = await writeManifest({ fonts: [{ family: 'Inter', formats: ['otf'] }] });
+			await expect(Manifest.readManifest(file)).rejects.toThrow('unsupported format "otf"');
+		});
+
+		it('should report a missing manifest', async () => {
+			await expect(Manifest.readManifest(path.join(dir, 'nope.json'))).rejects.toThrow('Unable to read font manifest');
+		});
+	});
+
+	describe('readLock', () => {
+		it('should return null when there is no lockfile', async () => {
+			await expect(Manifest.readLock(path.join(dir, 'fonts.lock.json'))).resolves.toBeNull();
+		});
+
+		it('should reject unknown lockfile versions', async () => {
+			const file = path.join(dir, 'fonts.lock.json');
+			await fs.writeFile(file, JSON.stringify({ lockfileVersion: 99, fonts: {} }));
+			await expect(Manifest.readLock(file)).rejects.toThrow('unsupported format');
+		});
+	});
+
+	describe('lockPathFor', () => {
+		it('should place the lockfile next to the manifest', () => {
+			expect(Manifest.lockPathFor('/project/fonts.json')).toBe(path.resolve('/project/fonts.lock.json'));
+		});
+	});
+
+	describe('sync', () => {
+		const catalog = () => {
+			const fonts = {
+				inter: fakeFont({ family: 'Inter', variants: ['regular', '700'], subsets: ['latin', 'cyrillic'] })
+			};
+			return jest.fn(async (family) => fonts[family.toLowerCase()] || false);
+		};
+
+		it('should download fonts and lock urls, versions and hashes', async () => {
+			const manifest = await Manifest.readManifest(await writeManifest({
+				destination: 'fonts',
+				fonts: [{ family: 'Inter', variants: ['700'], formats: ['woff2', 'ttf'], subsets: ['latin'] }]
+			}));
+
+			const findFont = catalog();
+			const result = await Manifest.sync(manifest, { lock: null, findFont: findFont });
+
+			expect(result.problems).toEqual([]);
+			expect(result.downloaded).toHaveLength(2);
+			expect((await findFont('Inter')).saveAtAsync).toHaveBeenCalledWith(['700'], path.join(dir, 'fonts'), 'woff2', { subsets: ['latin'], record: false });
+			expect(result.lock.fonts.inter).toEqual({
+				family: 'Inter',
+				version: 'v1',
+				lastModified: '2024-01-01',
+				variants: ['700'],
+				formats: ['woff2', 'ttf'],
+				subsets: ['latin'],
+				files: [
+					{ variant: '700', format: 'woff2', url: 'https://example.com/700.woff2', path: 'fonts/Inter-700.woff2', sha256: sha256('700.woff2') },
+					{ variant: '700', format: 'ttf', url: 'https://example.com/700.ttf', path: 'fonts/Inter-700.ttf', sha256: sha256('700.ttf') }
+				]
+			});
+		});
+
+		it('should reuse locked families whose files match', async () => {
+			const manifest = await Manifest.readManifest(await writeManifest({ fonts: [{ family: 'Inter', variants: ['700'] }] }));
+			const first = await Manifest.sync(manifest, { lock: null, findFont: catalog() });
+			const findFont = catalog();
+
+			const second = await Manifest.sync(manifest, { lock: first.lock, findFont: findFont });
+
+			expect(findFont).not.toHaveBeenCalled();
+			expect(second.verified).toEqual(['Inter']);
+			expect(second.lock).toEqual(first.lock);
+		});
+
+		it('should restore missing files from the locked url', async () => {
+			const manifest = await Manifest.readManifest(await writeManifest({ fonts: [{ family: 'Inter', variants: ['700'] }] }));
+			const lock = (await Manifest.sync(manifest, { lock: null, findFont: catalog() })).lock;
+			await fs.unlink(path.join(dir, 'Inter-700.ttf'));
+			const saveAt = jest.spyOn(systemFont, 'saveAt').mockImplementation(async (url, folder, name) => {
+				const file = path.join(folder, name + '.ttf');
+				await fs.writeFile(file, '700.ttf');
+				return file;
+			});
+			const findFont = catalog();
+
+			const result = await Manifest.sync(manifest, { lock: lock, findFont: findFont });
+
+			expect(saveAt).toHaveBeenCalledWith('https://example.com/700.ttf', dir, 'Inter-700');
+			expect(findFont).not.toHaveBeenCalled();
+			expect(result.problems).toEqual([]);
+			expect(result.verified).toEqual(['Inter']);
+		});
+
+		it('should reject unknown subsets and variants', async () => {
+			const manifest = await Manifest.readManifest(await writeManifest({
+				fonts: [
+					{ family: 'Inter', subsets: ['greek'] },
+					{ family: 'Inter', variants: ['900'] },
+					{ family: 'Nope' }
+				]
+			}));
+
+			const result = await Manifest.sync(manifest, { lock: null, findFont: catalog() });
+
+			expect(result.problems).toEqual([
+				'Inter: "Inter" has no subset(s) greek',
+				'Inter: "Inter" has no variant(s) 900',
+				'Unable to find font family "Nope"'
+			]);
+		});
+
+		describe('frozen', () => {
+			let manifest;
+			let lock;
+
+			beforeEach(async () => {
+				manifest = await Manifest.readManifest(await writeManifest({ fonts: [{ family: 'Inter', variants: ['700'] }] }));
+				lock = (await Manifest.sync(manifest, { lock: null, findFont: catalog() })).lock;
+			});
+
+			it('should pass when files match the lockfile', async () => {
+				const findFont = catalog();
+				const result = await Manifest.sync(manifest, { lock: lock, frozen: true, findFont: findFont });
+
+				expect(result.problems).toEqual([]);
+				expect(result.verified).toEqual(['Inter']);
+				expect(findFont).not.toHaveBeenCalled();
+			});
+
+			it('should fail when a file was modified', async () => {
+				await fs.writeFile(path.join(dir, 'Inter-700.ttf'), 'tampered');
+
+				const result = await Manifest.sync(manifest, { lock: lock, frozen: true, findFont: catalog() });
+
+				expect(result.problems).toEqual(['Inter-700.ttf does not match the locked SHA-256 checksum']);
+				expect(result.verified).toEqual([]);
+				expect(result.failed).toEqual([{ family: 'Inter', problems: ['Inter-700.ttf does not match the locked SHA-256 checksum'] }]);
+			});
+
+			it('should fail when a file is missing', async () => {
+				await fs.unlink(path.join(dir, 'Inter-700.ttf'));
+				const saveAt = jest.spyOn(systemFont, 'saveAt');
+
+				const result = await Manifest.sync(manifest, { lock: lock, frozen: true, findFont: catalog() });
+
+				expect(saveAt).not.toHaveBeenCalled();
+				expect(result.problems).toEqual(['Inter-700.ttf is missing']);
+				expect(result.verified).toEqual([]);
+				expect(result.failed).toEqual([{ family: 'Inter', problems: ['Inter-700.ttf is missing'] }]);
+			});
+
+			it('should fail when the manifest changed', async () => {
+				const changed = await Manifest.readManifest(await writeManifest({ fonts: [{ family: 'Inter', variants: ['regular'] }] }));
+
+				const result = await Manifest.sync(changed, { lock: lock, frozen: true, findFont: catalog() });
+
+				expect(result.problems).toEqual(['"Inter" in fonts.json does not match fonts.lock.json']);
+			});
+		});
+	});
+});
@@ -0,0 +1,171 @@
+'use strict';
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const url = require('url');
+
+jest.mock('../lib/registry');
+
+const GoogleFont = require('../lib/google-font');
+const Mirror = require('../lib/mirror');
+const Providers = require('../lib/providers');
+const { buildSfnt, buildWoff2 } = require('./fixtures/fonts');
+
+describe('Mirror', () => {
+	let dir;
+	let source;
+
+	/**
+	 * Catalog font whose files are on disk
+	 * @param {object} data - Font data
+	 * @param {Record<string, Record<string, string>>} files - File names per format and variant
+	 */
+	const localFont = (data, files) => {
+		const font = new GoogleFont(data);
+		font._getFileMapAsync = async (format) => {
+			const map = {};
+			Object.keys(files[format] || {}).forEach((variant) => {
+				map[variant] = url.pathToFileURL(path.join(source, files[format][variant])).href;
+			});
+			return map;
+		};
+		return font;
+	};
+
+	const roboto = () => localFont(
+		{ id: 'roboto', family: 'Roboto', category: 'sans-serif', variants: ['regular', '700'], subsets: ['latin'], version: 'v30' },
+		{ ttf: { '700': 'b.ttf', regular: 'r.ttf' }, woff2: { regular: 'r.woff2' } }
+	);
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gfcli-mirror-'));
+		source = path.join(dir, 'source');
+		fs.mkdirSync(source);
+		// Mirrored files are checked like downloaded ones
+		['r.ttf', 'b.ttf'].forEach((name) => fs.writeFileSync(path.join(source, name), buildSfnt({ family: 'Roboto' })));
+		fs.writeFileSync(path.join(source, 'r.woff2'), buildWoff2(buildSfnt({ family: 'Roboto' })));
+		fs.writeFileSync(path.join(source, 'l.ttf'), buildSfnt({ family: 'Lato' }));
+	});
+
+	afterEach(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	describe('saveFamily', () => {
+		it('should save the files and a family file in the GWFH format', async () => {
+			const mirrorDir = path.join(dir, 'mirror');
+			const results = await Mirror.saveFamily(roboto(), mirrorDir);
+
+			expect(results.map((r) => path.relative(mirrorDir, r.path)).sort()).toEqual([
+				path.join('files', 'roboto', 'Roboto-700.ttf'),
+				path.join('files', 'roboto', 'Roboto-regular.ttf'),
+				path.join('files', 'roboto', 'Roboto-regular.woff2')
+			]);
+			expect(JSON.parse(fs.readFileSync(path.join(mirrorDir, 'fonts', 'roboto.json'), 'utf8'))).toEqual({
+				id: 'roboto',
+				family: 'Roboto',
+				category: 'sans-serif',
+				subsets: ['latin'],
+				version: 'v30',
+				variants: [
+					{ id: 'regular', ttf: 'files/roboto/Roboto-regular.ttf', woff2: 'files/roboto/Roboto-regular.woff2' },
+					{ id: '700', ttf: 'files/roboto/Roboto-700.ttf' }
+				]
+			});
+		});
+
+		it('should only save the requested formats', async () => {
+			const results = await Mirror.saveFamily(roboto(), dir, ['woff2']);
+
+			expect(results.map((r) => r.variant)).toEqual(['regular']);
+		});
+
+		it('should keep files already in the mirror', async () => {
+			await Mirror.saveFamily(roboto(), dir);
+			const kept = path.join(dir, 'files', 'roboto', 'Roboto-700.ttf');
+			fs.writeFileSync(kept, 'kept');
+
+			await Mirror.saveFamily(roboto(), dir);
+
+			expect(fs.readFileSync(kept, 'utf8')).toBe('kept');
+		});
+
+		it('should report failed files with the saved ones', async () => {
+			fs.unlinkSync(path.join(source, 'b.ttf'));
+
+			const err = await Mirror.saveFamily(roboto(), dir).catch((e) => e);
+
+			expect(err).toBeInstanceOf(AggregateError);
+			expect(err.message).toBe('Failed to mirror 1 file(s) of Roboto');
+			expect(err.results).toHaveLength(2);
+			expect(fs.existsSync(path.join(dir, 'fonts', 'roboto.json'))).toBe(false);
+		});
+	});
+
+	describe('writeCatalog', () => {
+		it('should add families to the font list, replacing older entries', async () => {
+			const lato = localFont({ family: 'Lato', variants: ['regular'] }, { ttf: { regular: 'l.ttf' } });
+			await Mirror.saveFamily(roboto(), dir);
+			await Mirror.saveFamily(lato, dir);
+			await Mirror.writeCatalog(dir, [roboto()]);
+
+			const catalogFile = await Mirror.writeCatalog(dir, [lato, roboto()]);
+			const catalog = JSON.parse(fs.readFileSync(catalogFile, 'utf8'));
+
+			expect(catalogFile).toBe(path.join(dir, 'fonts.json'));
+			expect(catalog.map((f) => f.family)).toEqual(['Roboto', 'Lato']);
+			expect(catalog[0].variants).toEqual(['regular', '700']);
+			expect(catalog[1].id).toBe('lato');
+		});
+	});
+
+	describe('mirror provider', () => {
+		it('should read the mirror from disk', async () => {
+			await Mirror.saveFamily(roboto(), dir);
+			await Mirror.writeCatalog(dir, [roboto()]);
+			const provider = Providers.mirror(dir);
+
+			const catalog = provider.parseList(JSON.parse(await provider.fetchList()));
+			const font = new GoogleFont(catalog[0], provider);
+			const files = await font._getFileMapAsync('ttf');
+
+			expect(provider.cacheFile).toBeNull();
+			expect(font.apiUrl).toBe(path.join(dir, 'fonts', 'roboto.json'));
+			expect(files).toEqual({
+				regular: url.pathToFileURL(path.join(dir, 'files', 'roboto', 'Roboto-regular.ttf')).href,
+				'700': url.pathToFileURL(path.join(dir, 'files', 'roboto', 'Roboto-700.ttf')).href
+			});
+			expect(font.getCssUrl()).toBe('https://fonts.googleapis.com/css?family=Roboto');
+		});
+
+		it('should only serve the default subset', async () => {
+			await Mirror.saveFamily(roboto(), dir);
+			const font = new GoogleFont({ family: 'Roboto' }, Providers.mirror(dir));
+
+			expect(Object.keys(await font._getFileMapAsync('ttf', ['latin'])).sort()).toEqual(['700', 'regular']);
+			await expect(font._getFileMapAsync('ttf', ['cyrillic'])).rejects.toThrow(expect.objectContaining({
+				code: 'INVALID_ARGUMENT',
+				message: 'The font mirror only has the latin subset of Roboto'
+			}));
+		});
+
+		it('should explain what is missing', async () => {
+			const provider = Providers.mirror(path.join(dir, 'none'));
+
+			await expect(provider.fetchList()).rejects.toThrow('No font mirror in ' + path.join(dir, 'none'));
+			await expect(new GoogleFont({ family: 'Lato' }, provider)._getFileMapAsync('ttf')).rejects.toThrow('Lato is not in the font mirror');
+		});
+
+		it('should default to GFCLI_MIRROR', () => {
+			const env = process.env.GFCLI_MIRROR;
+			process.env.GFCLI_MIRROR = dir;
+			try {
+				expect(Providers.mirror().listUrl).toBe(url.pathToFileURL(path.join(dir, 'fonts.json')).href);
+			} finally {
+				if (env === undefined) delete process.env.GFCLI_MIRROR;
+				else process.env.GFCLI_MIRROR = env;
+			}
+		});
+	});
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+const Pool = require('../lib/pool');
+
+describe('Pool', () => {
+	const delay = (ms, value) => new Promise((resolve) => setTimeout(() => resolve(value), ms));
+
+	describe('constructor', () => {
+		it('should default to DEFAULT_CONCURRENCY', () => {
+			expect(new Pool().concurrency).toBe(Pool.DEFAULT_CONCURRENCY);
+			expect(Pool.DEFAULT_CONCURRENCY).toBe(4);
+		});
+
+		it('should reject a concurrency that is not a positive integer', () => {
+			expect(() => new Pool(0)).toThrow(/Invalid concurrency "0"/);
+			expect(() => new Pool(1.5)).toThrow(expect.objectContaining({ code: 'INVALID_ARGUMENT' }));
+			expect(() => new Pool(/** @type {any} */ ('2'))).toThrow(/expected a positive integer/);
+		});
+	});
+
+	describe('run', () => {
+		it('should never run more tasks than the concurrency', async () => {
+			const pool = new Pool(2);
+			let running = 0;
+			let max = 0;
+			const task = async () => {
+				running++;
+				max = Math.max(max, running);
+				await delay(5);
+				running--;
+			};
+
+			await Promise.all([1, 2, 3, 4, 5].map(() => pool.run(task)));
+
+			expect(max).toBe(2);
+			expect(pool.running).toBe(0);
+		});
+
+		it('should keep running tasks after a failure', async () => {
+			const pool = new Pool(1);
+
+			await expect(pool.run(() => { throw new Error('boom'); })).rejects.toThrow('boom');
+			await expect(pool.run(() => 'next')).resolves.toBe('next');
+		});
+	});
+
+	describe('map', () => {
+		it('should return the outcomes in the order of the items', async () => {
+			const pool = new Pool(3);
+
+			const results = await pool.map([30, 10, 20], (ms, index) => {
+				if (index === 1) return Promise.reject(new Error('second'));
+				return delay(ms, 'item ' + index);
+			});
+
+			expect(results).toEqual([
+				{ status: 'fulfilled', value: 'item 0' },
+				{ status: 'rejected', reason: new Error('second') },
+				{ status: 'fulfilled', value: 'item 2' }
+			]);
+		});
+	});
+});
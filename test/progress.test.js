@@ -0,0 +1,27 @@
+'use strict';
+
+const Progress = require('../lib/progress');
+
+describe('Progress', () => {
+	it('should count files and bytes and emit each change', () => {
+		const progress = new Progress();
+		const updates = [];
+		progress.on('update', (p) => updates.push([p.files, p.totalFiles, p.bytes]));
+
+		progress.plan(2);
+		progress.addBytes(100);
+		progress.fileDone();
+		progress.plan(1);
+		progress.addBytes(50);
+		progress.fileDone();
+
+		expect(updates).toEqual([
+			[0, 2, 0],
+			[0, 2, 100],
+			[1, 2, 100],
+			[1, 3, 100],
+			[1, 3, 150],
+			[2, 3, 150]
+		]);
+	});
+});
@@ -0,0 +1,324 @@
+'use strict';
+
+const https = require('https');
+const { EventEmitter } = require('events');
+const GoogleFont = require('../lib/google-font');
+const Cache = require('../lib/cache');
+const Providers = require('../lib/providers');
+const gwfh = require('../lib/providers/gwfh');
+const fontsource = require('../lib/providers/fontsource');
+const Variable = require('../lib/providers/variable');
+
+describe('Providers', () => {
+	describe('get', () => {
+		const env = process.env.GFCLI_PROVIDER;
+
+		afterEach(() => {
+			if (env === undefined) delete process.env.GFCLI_PROVIDER;
+			else process.env.GFCLI_PROVIDER = env;
+		});
+
+		it('should default to gwfh', () => {
+			delete process.env.GFCLI_PROVIDER;
+			expect(Providers.get()).toBe(gwfh);
+		});
+
+		it('should find providers by name, ignoring case', () => {
+			expect(Providers.get('fontsource')).toBe(fontsource);
+			expect(Providers.get(' FontSource ')).toBe(fontsource);
+		});
+
+		it('should use GFCLI_PROVIDER when no name is given', () => {
+			process.env.GFCLI_PROVIDER = 'fontsource';
+			expect(Providers.get()).toBe(fontsource);
+			expect(Providers.get('gwfh')).toBe(gwfh);
+		});
+
+		it('should return provider objects as is', () => {
+			const custom = Object.assign({}, gwfh, { name: 'custom' });
+			expect(Providers.get(custom)).toBe(custom);
+		});
+
+		it('should reject unknown providers', () => {
+			expect(() => Providers.get('nope')).toThrow('Unknown font provider "nope" (available: gwfh, fontsource)');
+			try {
+				Providers.get('nope');
+			} catch (err) {
+				expect(err.code).toBe('INVALID_ARGUMENT');
+			}
+		});
+	});
+
+	describe('gwfh', () => {
+		const font = new GoogleFont({ family: 'Roboto Mono', version: 'v23' }, gwfh);
+
+		/**
+		 * Answer https.get with a response
+		 * @param {number} statusCode - HTTP status
+		 * @param {string} body - Response body
+		 */
+		const respondWith = (statusCode, body) => {
+			jest.spyOn(https, 'get').mockImplementation((url, options, callback) => {
+				const res = new EventEmitter();
+				res.statusCode = statusCode;
+				res.headers = {};
+				process.nextTick(() => {
+					callback(res);
+					res.emit('data', Buffer.from(body));
+					res.emit('end');
+				});
+				return Object.assign(new EventEmitter(), { setTimeout: jest.fn(), destroy: jest.fn() });
+			});
+		};
+
+		beforeEach(() => {
+			jest.spyOn(Cache, 'readFamily').mockResolvedValue(null);
+			jest.spyOn(Cache, 'writeFamily').mockResolvedValue(undefined);
+		});
+
+		afterEach(() => jest.restoreAllMocks());
+
+		it('should map the variants of the family endpoint', async () => {
+			respondWith(200, JSON.stringify({
+				variants: [
+					{ id: 'regular', ttf: 'https://example.com/r.ttf', woff2: 'https://example.com/r.woff2' },
+					{ id: '700', ttf: 'https://example.com/b.ttf' }
+				]
+			}));
+
+			expect(await gwfh.getFileMapAsync(font, 'ttf')).toEqual({
+				regular: 'https://example.com/r.ttf',
+				'700': 'https://example.com/b.ttf'
+			});
+			expect(await gwfh.getFileMapAsync(font, 'woff2')).toEqual({ regular: 'https://example.com/r.woff2' });
+			expect(https.get).toHaveBeenCalledWith('https://gwfh.mranftl.com/api/fonts/roboto-mono', expect.any(Object), expect.any(Function));
+		});
+
+		it('should cache family responses with the font version', async () => {
+			const body = JSON.stringify({ variants: [{ id: 'regular', ttf: 'https://example.com/r.ttf' }] });
+			respondWith(200, body);
+
+			await gwfh.getFileMapAsync(font, 'ttf');
+
+			expect(Cache.readFamily).toHaveBeenCalledWith('https://gwfh.mranftl.com/api/fonts/roboto-mono', 'v23');
+			expect(Cache.writeFamily).toHaveBeenCalledWith('https://gwfh.mranftl.com/api/fonts/roboto-mono', body, 'v23');
+		});
+
+		it('should use cached family responses without a request', async () => {
+			Cache.readFamily.mockResolvedValue(JSON.stringify({ variants: [{ id: 'regular', ttf: 'https://example.com/r.ttf' }] }));
+			jest.spyOn(https, 'get');
+
+			expect(await gwfh.getFileMapAsync(font, 'ttf')).toEqual({ regular: 'https://example.com/r.ttf' });
+			expect(https.get).not.toHaveBeenCalled();
+			expect(Cache.writeFamily).not.toHaveBeenCalled();
+		});
+
+		it('should request the files of the given subsets', async () => {
+			respondWith(200, JSON.stringify({ variants: [{ id: 'regular', ttf: 'https://example.com/r-ext.ttf' }] }));
+
+			expect(await gwfh.getFileMapAsync(font, 'ttf', ['latin', 'latin-ext'])).toEqual({ regular: 'https://example.com/r-ext.ttf' });
+			expect(https.get).toHaveBeenCalledWith('https://gwfh.mranftl.com/api/fonts/roboto-mono?subsets=latin,latin-ext', expect.any(Object), expect.any(Function));
+			expect(Cache.readFamily).toHaveBeenCalledWith('https://gwfh.mranftl.com/api/fonts/roboto-mono?subsets=latin,latin-ext', 'v23');
+		});
+
+		it('should reject on HTTP errors and invalid JSON', async () => {
+			respondWith(404, '');
+			await expect(gwfh.getFileMapAsync(font, 'ttf')).rejects.toThrow('GWFH API returned 404 for Roboto Mono');
+
+			respondWith(200, '<html>');
+			await expect(gwfh.getFileMapAsync(font, 'ttf')).rejects.toThrow('Failed to parse GWFH JSON response');
+			expect(Cache.writeFamily).not.toHaveBeenCalled();
+		});
+
+		it('should link the Google Fonts stylesheet', () => {
+			expect(gwfh.cssUrl(font)).toBe('https://fonts.googleapis.com/css?family=Roboto+Mono');
+		});
+	});
+
+	describe('fontsource', () => {
+		const catalog = [
+			{
+				id: 'roboto-mono',
+				family: 'Roboto Mono',
+				subsets: ['cyrillic', 'latin'],
+				weights: [700, 400],
+				styles: ['italic', 'normal'],
+				defSubset: 'latin',
+				category: 'monospace',
+				lastModified: '2024-01-01',
+				variable: true,
+				type: 'google'
+			},
+			{ id: 'custom', family: 'Custom', weights: [400], styles: ['normal'], type: 'other' }
+		];
+
+		it('should convert the catalog, keeping the Google Fonts only', () => {
+			expect(fontsource.parseList(catalog)).toEqual([{
+				id: 'roboto-mono',
+				family: 'Roboto Mono',
+				category: 'monospace',
+				variants: ['regular', 'italic', '700', '700italic'],
+				subsets: ['cyrillic', 'latin'],
+				defSubset: 'latin',
+				version: undefined,
+				lastModified: '2024-01-01',
+				variable: true
+			}]);
+		});
+
+		it('should build the file URLs of the default subset', async () => {
+			const font = new GoogleFont(fontsource.parseList(catalog)[0], fontsource);
+
+			expect(await font._getFileMapAsync('woff2')).toEqual({
+				regular: 'https://cdn.jsdelivr.net/fontsource/fonts/roboto-mono@latest/latin-400-normal.woff2',
+				italic: 'https://cdn.jsdelivr.net/fontsource/fonts/roboto-mono@latest/latin-400-italic.woff2',
+				'700': 'https://cdn.jsdelivr.net/fontsource/fonts/roboto-mono@latest/latin-700-normal.woff2',
+				'700italic': 'https://cdn.jsdelivr.net/fontsource/fonts/roboto-mono@latest/latin-700-italic.woff2'
+			});
+		});
+
+		it('should build the file URLs of a requested subset, one at most', async () => {
+			const font = new GoogleFont(fontsource.parseList(catalog)[0], fontsource);
+
+			expect(await font._getFileMapAsync('ttf', ['cyrillic'])).toEqual(expect.objectContaining({
+				regular: 'https://cdn.jsdelivr.net/fontsource/fonts/roboto-mono@latest/cyrillic-400-normal.ttf'
+			}));
+			await expect(font._getFileMapAsync('ttf', ['cyrillic', 'latin'])).rejects.toThrow(expect.objectContaining({
+				code: 'INVALID_ARGUMENT',
+				message: 'Fontsource files hold a single subset, got cyrillic, latin'
+			}));
+		});
+
+		it('should derive the ID and subset when the catalog has none', async () => {
+			const font = new GoogleFont({ family: 'Noto Sans JP', variants: ['regular'], subsets: ['japanese'] }, fontsource);
+
+			expect(await font._getFileMapAsync('ttf')).toEqual({
+				regular: 'https://cdn.jsdelivr.net/fontsource/fonts/noto-sans-jp@latest/japanese-400-normal.ttf'
+			});
+			expect(font.apiUrl).toBe('https://api.fontsource.org/v1/fonts/noto-sans-jp');
+			expect(font.getCssUrl()).toBe('https://cdn.jsdelivr.net/npm/@fontsource/noto-sans-jp/index.css');
+		});
+	});
+	describe('variable', () => {
+		const font = new GoogleFont({ family: 'Inter', version: 'v13', variants: ['regular', 'italic', '700'] }, gwfh);
+		const axes = [
+			{ tag: 'ital', min: 0, default: 0, max: 1 },
+			{ tag: 'opsz', min: 14, default: 14, max: 32 },
+			{ tag: 'wght', min: 100, default: 400, max: 900 }
+		];
+
+		/**
+		 * Answer https.get with the response of the first route the URL starts with
+		 * @param {Record<string, [number, string]>} routes - Status and body by URL prefix
+		 */
+		const respondWith = (routes) => {
+			jest.spyOn(https, 'get').mockImplementation((url, options, callback) => {
+				// Requests without headers leave out the options
+				if (typeof options === 'function') callback = options;
+				const [statusCode, body] = routes[Object.keys(routes).find((prefix) => String(url).startsWith(prefix))];
+				const res = new EventEmitter();
+				res.statusCode = statusCode;
+				res.headers = {};
+				process.nextTick(() => {
+					callback(res);
+					res.emit('data', Buffer.from(body));
+					res.emit('end');
+				});
+				return Object.assign(new EventEmitter(), { setTimeout: jest.fn(), destroy: jest.fn() });
+			});
+		};
+
+		beforeEach(() => {
+			jest.spyOn(Cache, 'readFamily').mockResolvedValue(null);
+			jest.spyOn(Cache, 'writeFamily').mockResolvedValue(undefined);
+		});
+
+		afterEach(() => jest.restoreAllMocks());
+
+		it('should read the axes of the Fontsource API, adding ital for italic families', async () => {
+			respondWith({
+				'https://api.fontsource.org/v1/variable/inter': [200, JSON.stringify({
+					axes: {
+						wght: { default: '400', min: '100', max: '900', step: '1' },
+						opsz: { default: '14', min: '14', max: '32', step: '1' }
+					}
+				})]
+			});
+
+			expect(await Variable.getAxesAsync(font)).toEqual(axes);
+			expect(Cache.writeFamily).toHaveBeenCalledWith('https://api.fontsource.org/v1/variable/inter', expect.any(String), 'v13');
+		});
+
+		it('should give no axes for static families', async () => {
+			respondWith({ 'https://api.fontsource.org/v1/variable/': [404, 'Not Found'] });
+
+			expect(await Variable.getAxesAsync(font)).toEqual([]);
+		});
+
+		it('should sort axes as Google Fonts does', () => {
+			const sorted = Variable.sortAxes([{ tag: 'YTAS' }, { tag: 'wght' }, { tag: 'GRAD' }, { tag: 'opsz' }]);
+
+			expect(sorted.map((axis) => axis.tag)).toEqual(['opsz', 'wght', 'GRAD', 'YTAS']);
+		});
+
+		it('should request the full range of every axis', () => {
+			expect(Variable.css2Url(font, axes)).toBe('https://fonts.googleapis.com/css2?family=Inter:ital,opsz,wght@0,14..32,100..900;1,14..32,100..900');
+			expect(Variable.css2Url(font, axes.slice(2))).toBe('https://fonts.googleapis.com/css2?family=Inter:wght@100..900');
+		});
+
+		it('should map the TTF faces of the stylesheet to weight ranges', async () => {
+			respondWith({
+				'https://fonts.googleapis.com/css2': [200, [
+					'@font-face {',
+					'  font-family: \'Inter\';',
+					'  font-style: normal;',
+					'  font-weight: 100 900;',
+					'  src: url(https://fonts.gstatic.com/s/inter/v13/upright.ttf) format(\'truetype\');',
+					'}',
+					'@font-face {',
+					'  font-family: \'Inter\';',
+					'  font-style: italic;',
+					'  font-weight: 100 900;',
+					'  src: url(https://fonts.gstatic.com/s/inter/v13/italic.ttf) format(\'truetype\');',
+					'}'
+				].join('\n')]
+			});
+
+			expect(await Variable.getVariableFileMapAsync(font, 'ttf', axes)).toEqual({
+				'100..900': 'https://fonts.gstatic.com/s/inter/v13/upright.ttf',
+				'100..900italic': 'https://fonts.gstatic.com/s/inter/v13/italic.ttf'
+			});
+			// No User-Agent: Google Fonts answers with TTF files
+			expect(https.get).toHaveBeenCalledWith(expect.stringMatching(/^https:\/\/fonts.googleapis.com\/css2/), expect.any(Function));
+		});
+
+		it('should keep the latin WOFF2 file of a split font', async () => {
+			const face = (subset, file) => '/* ' + subset + ' */\n@font-face {\n  font-style: normal;\n  src: url(https://fonts.gstatic.com/s/inter/v13/' + file + ') format(\'woff2\');\n}\n';
+			respondWith({ 'https://fonts.googleapis.com/css2': [200, face('cyrillic', 'c.woff2') + face('latin-ext', 'le.woff2') + face('latin', 'l.woff2')] });
+
+			expect(await Variable.getVariableFileMapAsync(font, 'woff2', axes.slice(2))).toEqual({
+				'100..900': 'https://fonts.gstatic.com/s/inter/v13/l.woff2'
+			});
+			expect(https.get.mock.calls[0][1].headers['User-Agent']).toMatch(/Chrome/);
+			expect(Cache.readFamily).toHaveBeenCalledWith('https://fonts.googleapis.com/css2?family=Inter:wght@100..900#woff2', 'v13');
+		});
+
+		it('should keep the WOFF2 file of a requested subset', async () => {
+			const face = (subset, file) => '/* ' + subset + ' */\n@font-face {\n  font-style: normal;\n  src: url(https://fonts.gstatic.com/s/inter/v13/' + file + ') format(\'woff2\');\n}\n';
+			respondWith({ 'https://fonts.googleapis.com/css2': [200, face('latin', 'l.woff2') + face('cyrillic', 'c.woff2')] });
+
+			expect(await Variable.getVariableFileMapAsync(font, 'woff2', axes.slice(2), ['cyrillic'])).toEqual({
+				'100..900': 'https://fonts.gstatic.com/s/inter/v13/c.woff2'
+			});
+			expect(await Variable.getVariableFileMapAsync(font, 'woff2', axes.slice(2), ['greek'])).toEqual({});
+			await expect(Variable.getVariableFileMapAsync(font, 'woff2', axes.slice(2), ['cyrillic', 'latin'])).rejects.toThrow(
+				expect.objectContaining({ code: 'INVALID_ARGUMENT' })
+			);
+		});
+
+		it('should be served by both providers', () => {
+			expect(gwfh.getVariableFileMapAsync).toBe(Variable.getVariableFileMapAsync);
+			expect(fontsource.getAxesAsync).toBe(Variable.getAxesAsync);
+		});
+	});
+});
@@ -0,0 +1,281 @@
+'use strict';
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+
+describe('Registry', () => {
+	let Registry;
+	let home;
+
+	const entry = (family, variant, extra) => Object.assign({
+		family: family,
+		variant: variant,
+		path: path.join(home, 'fonts', family.replace(/\s/g, '') + '-' + variant + '.ttf'),
+		url: 'https://example.com/' + variant + '.ttf',
+		sha256: 'abc',
+		installedAt: '2024-01-01T00:00:00.000Z'
+	}, extra);
+
+	beforeEach(() => {
+		home = fs.mkdtempSync(path.join(os.tmpdir(), 'gfcli-registry-'));
+		delete process.env.GFCLI_DATA_DIR;
+		delete process.env.XDG_DATA_HOME;
+		jest.resetModules();
+		jest.spyOn(os, 'homedir').mockReturnValue(home);
+		Registry = require('../lib/registry');
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+		fs.rmSync(home, { recursive: true, force: true });
+	});
+
+	describe('getRegistryFile', () => {
+		afterEach(() => {
+			delete process.env.GFCLI_DATA_DIR;
+			delete process.env.XDG_DATA_HOME;
+		});
+
+		it('should store the registry under ~/.gfcli', () => {
+			expect(Registry.getRegistryFile()).toBe(path.join(home, '.gfcli', 'installed.json'));
+			expect(Registry.REGISTRY_FILE).toBe(Registry.getRegistryFile());
+		});
+
+		it('should prefer the configured directory, then GFCLI_DATA_DIR, then XDG_DATA_HOME', () => {
+			process.env.XDG_DATA_HOME = path.join(home, 'data');
+			expect(Registry.getRegistryFile()).toBe(path.join(home, 'data', 'gfcli', 'installed.json'));
+			process.env.GFCLI_DATA_DIR = path.join(home, 'env');
+			expect(Registry.getRegistryFile()).toBe(path.join(home, 'env', 'installed.json'));
+			Registry.configure({ dir: path.join(home, 'configured') });
+			expect(Registry.getRegistryFile()).toBe(path.join(home, 'configured', 'installed.json'));
+		});
+
+		it('should write to the configured directory', async () => {
+			Registry.configure({ dir: path.join(home, 'configured') });
+			await Registry.record([entry('Roboto', 'regular')]);
+
+			expect(fs.existsSync(path.join(home, 'configured', 'installed.json'))).toBe(true);
+		});
+	});
+
+	describe('readRegistry', () => {
+		it('should return an empty list when no registry exists', async () => {
+			await expect(Registry.readRegistry()).resolves.toEqual([]);
+		});
+
+		it('should throw for a corrupted registry', async () => {
+			fs.mkdirSync(path.dirname(Registry.getRegistryFile()), { recursive: true });
+			fs.writeFileSync(Registry.getRegistryFile(), 'not json');
+
+			await expect(Registry.readRegistry()).rejects.toThrow('is corrupted');
+		});
+	});
+
+	describe('record', () => {
+		it('should persist entries', async () => {
+			await Registry.record([entry('Roboto', 'regular')]);
+
+			const saved = JSON.parse(fs.readFileSync(Registry.getRegistryFile(), 'utf8'));
+			expect(saved.version).toBe(1);
+			expect(saved.fonts).toEqual([entry('Roboto', 'regular')]);
+		});
+
+		it('should replace entries recorded for the same path', async () => {
+			await Registry.record([entry('Roboto', 'regular', { sha256: 'old' })]);
+			await Registry.record([entry('Roboto', 'regular', { sha256: 'new' })]);
+
+			const entries = await Registry.readRegistry();
+			expect(entries).toHaveLength(1);
+			expect(entries[0].sha256).toBe('new');
+		});
+
+		it('should not lose entries recorded concurrently', async () => {
+			await Promise.all([
+				Registry.record([entry('Roboto', 'regular')]),
+				Registry.record([entry('Roboto', '700')]),
+				Registry.record([entry('Lato', '300')])
+			]);
+
+			const entries = await Registry.readRegistry();
+			expect(entries).toHaveLength(3);
+		});
+	});
+
+	describe('remove', () => {
+		it('should forget entries by path', async () => {
+			await Registry.record([entry('Roboto', 'regular'), entry('Roboto', '700')]);
+			await Registry.remove([entry('Roboto', 'regular').path]);
+
+			const entries = await Registry.readRegistry();
+			expect(entries.map((e) => e.variant)).toEqual(['700']);
+		});
+	});
+
+	describe('find', () => {
+		beforeEach(async () => {
+			await Registry.record([
+				entry('Open Sans', 'regular'),
+				entry('Open Sans', '700'),
+				entry('Lato', 'regular')
+			]);
+		});
+
+		it('should match the family case-insensitively', async () => {
+			const entries = await Registry.find('open sans');
+			expect(entries).toHaveLength(2);
+		});
+
+		it('should filter by variant', async () => {
+			const entries = await Registry.find('Open Sans', ['700']);
+			expect(entries.map((e) => e.variant)).toEqual(['700']);
+		});
+
+		it('should filter by kind', async () => {
+			await Registry.record([entry('Lato', '700', { kind: 'download' })]);
+
+			const installs = await Registry.find('Lato', false, 'install');
+			const downloads = await Registry.find('Lato', false, 'download');
+			expect(installs.map((e) => e.variant)).toEqual(['regular']);
+			expect(downloads.map((e) => e.variant)).toEqual(['700']);
+		});
+
+		it('should return nothing for unknown families', async () => {
+			await expect(Registry.find('Roboto')).resolves.toEqual([]);
+		});
+	});
+
+	describe('isOutdated', () => {
+		it('should flag a different catalog version', () => {
+			expect(Registry.isOutdated({ version: 'v30' }, { version: 'v32' })).toBe(true);
+		});
+
+		it('should flag a newer lastModified date', () => {
+			expect(Registry.isOutdated(
+				{ version: 'v30', lastModified: '2022-01-01' },
+				{ version: 'v30', lastModified: '2023-05-02' }
+			)).toBe(true);
+		});
+
+		it('should not flag the same version', () => {
+			expect(Registry.isOutdated(
+				{ version: 'v30', lastModified: '2022-01-01' },
+				{ version: 'v30', lastModified: '2022-01-01' }
+			)).toBe(false);
+		});
+
+		it('should return undefined when nothing was recorded', () => {
+			expect(Registry.isOutdated({}, { version: 'v30' })).toBeUndefined();
+		});
+	});
+
+	describe('status', () => {
+		const GoogleFont = require('../lib/google-font');
+
+		it('should compare entries with the disk and the catalog', async () => {
+			const current = entry('Roboto', 'regular', { version: 'v30' });
+			const outdated = entry('Lato', 'regular', { version: 'v20' });
+			const missing = entry('Lato', '700', { version: 'v20' });
+			const unknown = entry('Gone Font', 'regular', { version: 'v1' });
+			fs.mkdirSync(path.join(home, 'fonts'));
+			[current, outdated, unknown].forEach((e) => fs.writeFileSync(e.path, 'font'));
+
+			const statuses = await Registry.status([current, outdated, missing, unknown], [
+				new GoogleFont({ family: 'Roboto', version: 'v30' }),
+				new GoogleFont({ family: 'Lato', version: 'v24' })
+			]);
+
+			expect(statuses.map((s) => s.status)).toEqual(['current', 'outdated', 'missing', 'unknown']);
+			expect(statuses[1].latestVersion).toBe('v24');
+			expect(statuses[1].path).toBe(outdated.path);
+		});
+
+		it('should tell installed and downloaded files apart', async () => {
+			const installed = entry('Roboto', 'regular');
+			const downloaded = entry('Roboto', '700', { kind: 'download', format: 'woff2' });
+
+			const statuses = await Registry.status([installed, downloaded], []);
+
+			expect(statuses.map((s) => s.kind)).toEqual(['install', 'download']);
+		});
+	});
+
+	describe('planUpdate', () => {
+		const outdated = (family, variant, extra) => Object.assign(
+			entry(family, variant, { version: 'v1' }),
+			{ status: 'outdated', latestVersion: 'v2' },
+			extra
+		);
+
+		it('should group outdated installs by family', () => {
+			const plan = Registry.planUpdate([
+				outdated('Roboto', 'regular'),
+				outdated('Roboto', '700'),
+				Object.assign(entry('Lato', 'regular'), { status: 'current' })
+			]);
+
+			expect(plan).toEqual([{
+				family: 'Roboto',
+				kind: 'install',
+				format: 'ttf',
+				dest: undefined,
+				variants: ['regular', '700'],
+				variable: false,
+				subsets: undefined,
+				from: 'v1',
+				to: 'v2'
+			}]);
+		});
+
+		it('should keep downloads to different folders and formats apart', () => {
+			const plan = Registry.planUpdate([
+				outdated('Inter', 'regular', { kind: 'download', format: 'woff2', path: '/a/Inter-regular.woff2' }),
+				outdated('Inter', '700', { kind: 'download', format: 'woff2', path: '/a/Inter-700.woff2' }),
+				outdated('Inter', 'regular', { kind: 'download', format: 'ttf', path: '/b/Inter-regular.ttf' })
+			]);
+
+			expect(plan.map((p) => [p.dest, p.format, p.variants])).toEqual([
+				['/a', 'woff2', ['regular', '700']],
+				['/b', 'ttf', ['regular']]
+			]);
+		});
+
+		it('should keep files of other subsets apart', () => {
+			const plan = Registry.planUpdate([
+				outdated('Inter', 'regular'),
+				outdated('Inter', '700', { subsets: ['latin', 'latin-ext'] })
+			]);
+
+			expect(plan.map((p) => [p.subsets, p.variants])).toEqual([
+				[undefined, ['regular']],
+				[['latin', 'latin-ext'], ['700']]
+			]);
+		});
+
+		it('should keep installs of other scopes apart', () => {
+			const plan = Registry.planUpdate([
+				outdated('Inter', 'regular', { scope: 'system' }),
+				outdated('Inter', '700', { scope: 'user' }),
+				outdated('Inter', 'italic', { scope: 'system' })
+			]);
+
+			expect(plan.map((p) => [p.scope, p.variants])).toEqual([
+				['system', ['regular', 'italic']],
+				['user', ['700']]
+			]);
+		});
+
+		it('should keep variable fonts apart from static files', () => {
+			const plan = Registry.planUpdate([
+				outdated('Inter', 'regular'),
+				outdated('Inter', '100..900'),
+				outdated('Inter', '100..900italic')
+			]);
+
+			expect(plan.map((p) => [p.variable, p.variants])).toEqual([
+				[false, ['regular']],
+				[true, ['100..900', '100..900italic']]
+			]);
+		});
+	});
+});
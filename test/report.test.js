@@ -0,0 +1,127 @@
+'use strict';
+
+const GoogleFont = require('../lib/google-font');
+const Report = require('../lib/report');
+
+describe('Report', () => {
+	const roboto = [
+		{ family: 'Roboto', variant: 'regular', path: '/fonts/Roboto-regular.ttf', url: 'https://example.com/r.ttf' },
+		{ family: 'Roboto', variant: '700', path: '/fonts/Roboto-700.ttf' }
+	];
+
+	const toDocument = (report) => JSON.parse(JSON.stringify(report));
+
+	describe('toJSON', () => {
+		it('should produce the stable envelope for an empty report', () => {
+			expect(toDocument(new Report('search'))).toEqual({
+				schemaVersion: 1,
+				command: 'search',
+				ok: true,
+				summary: { total: 0, succeeded: 0, failed: 0 },
+				families: [],
+				errors: []
+			});
+		});
+
+		it('should list families with their status, files and errors', () => {
+			const report = new Report('download');
+			report.succeed('roboto', 'Roboto', roboto);
+			report.fail('Open San', null, 'Unable to find font family "Open San"', {
+				code: Report.ERROR_CODES.FONT_NOT_FOUND,
+				suggestions: ['Open Sans']
+			});
+
+			expect(toDocument(report)).toEqual({
+				schemaVersion: 1,
+				command: 'download',
+				ok: false,
+				summary: { total: 2, succeeded: 1, failed: 1 },
+				families: [
+					{
+						query: 'roboto',
+						family: 'Roboto',
+						status: 'ok',
+						files: [
+							{ family: 'Roboto', variant: 'regular', path: '/fonts/Roboto-regular.ttf', url: 'https://example.com/r.ttf' },
+							{ family: 'Roboto', variant: '700', path: '/fonts/Roboto-700.ttf', url: null }
+						]
+					},
+					{
+						query: 'Open San',
+						family: null,
+						status: 'failed',
+						files: [],
+						error: { code: 'FONT_NOT_FOUND', message: 'Unable to find font family "Open San"' },
+						suggestions: ['Open Sans']
+					}
+				],
+				errors: []
+			});
+		});
+
+		it('should mark failures with saved files as partial', () => {
+			const err = new AggregateError([new Error('Connection to example.com failed: timeout')], 'Failed to save 1 variant(s)');
+			err.results = [roboto[0]];
+			const entry = new Report('download').fail('Roboto', 'Roboto', err);
+
+			expect(entry.status).toBe('partial');
+			expect(entry.files).toHaveLength(1);
+			expect(entry.error).toEqual({ code: 'NETWORK_ERROR', message: 'Failed to save 1 variant(s)' });
+		});
+
+		it('should add command specific fields and top-level errors', () => {
+			const report = new Report('sync')
+				.set('lockFile', '/project/fonts.lock.json')
+				.error('Inter: checksum mismatch', Report.ERROR_CODES.SYNC_FAILED);
+			const doc = toDocument(report);
+
+			expect(doc.ok).toBe(false);
+			expect(doc.lockFile).toBe('/project/fonts.lock.json');
+			expect(doc.errors).toEqual([{ code: 'SYNC_FAILED', message: 'Inter: checksum mismatch' }]);
+		});
+	});
+
+	describe('errorCode', () => {
+		it('should recognize network failures', () => {
+			expect(Report.errorCode(new Error('Connection to gwfh.mranftl.com failed: getaddrinfo ENOTFOUND'))).toBe('NETWORK_ERROR');
+			expect(Report.errorCode(new Error('GWFH API returned 500 for Roboto'))).toBe('NETWORK_ERROR');
+			expect(Report.errorCode(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))).toBe('NETWORK_ERROR');
+		});
+
+		it('should recognize invalid responses and permission errors', () => {
+			expect(Report.errorCode(Object.assign(new Error('bad'), { isInvalidJson: true }))).toBe('INVALID_RESPONSE');
+			expect(Report.errorCode(Object.assign(new Error('denied'), { code: 'EACCES' }))).toBe('PERMISSION_DENIED');
+		});
+
+		it('should keep codes that are already known', () => {
+			expect(Report.errorCode(Object.assign(new Error('x'), { code: 'FILE_MODIFIED' }))).toBe('FILE_MODIFIED');
+		});
+
+		it('should fall back to OPERATION_FAILED', () => {
+			expect(Report.errorCode(new Error('Something went wrong writing the file.'))).toBe('OPERATION_FAILED');
+			expect(Report.errorCode(null)).toBe('OPERATION_FAILED');
+		});
+	});
+
+	describe('describeFont', () => {
+		it('should describe a catalog font', () => {
+			const font = new GoogleFont({ family: 'Roboto', category: 'sans-serif', variants: ['regular'], subsets: ['latin'], version: 'v30' });
+
+			expect(Report.describeFont(font)).toEqual({
+				family: 'Roboto',
+				category: 'sans-serif',
+				variants: ['regular'],
+				subsets: ['latin'],
+				version: 'v30',
+				lastModified: null,
+				cssUrl: 'https://fonts.googleapis.com/css?family=Roboto'
+			});
+		});
+
+		it('should include the score of search results', () => {
+			const result = Object.create(new GoogleFont({ family: 'Roboto' }), { score: { value: 0.9 } });
+
+			expect(Report.describeFont(result).score).toBe(0.9);
+		});
+	});
+});
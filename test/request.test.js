@@ -15,6 +15,8 @@ describe('Request', () => {
 
 	beforeEach(() => {
 		jest.clearAllMocks();
+		// Retry at once instead of waiting for the backoff
+		Request.configure({ retryDelay: 0 });
 		
 		mockResponse = new EventEmitter();
 		mockResponse.statusCode = 200;
@@ -149,6 +151,47 @@ describe('Request', () => {
 		});
 	});
 
+	describe('conditional requests', () => {
+		it('should send request headers', () => {
+			https.get.mockImplementation(() => mockRequest);
+
+			new Request('https://example.com/api', { headers: { 'If-None-Match': '"v1"' } });
+
+			expect(https.get).toHaveBeenCalledWith('https://example.com/api', { headers: { 'If-None-Match': '"v1"' } }, expect.any(Function));
+		});
+
+		it('should emit notModified on 304 responses', (done) => {
+			mockResponse.statusCode = 304;
+			mockResponse.headers = { etag: '"v1"' };
+			https.get.mockImplementation((url, options, callback) => {
+				setImmediate(() => callback(mockResponse));
+				return mockRequest;
+			});
+
+			const request = new Request('https://example.com/api', { headers: { 'If-None-Match': '"v1"' } });
+			request.on('success', () => done(new Error('Unexpected success')));
+			request.on('notModified', () => {
+				expect(request.getHeader('ETag')).toBe('"v1"');
+				done();
+			});
+		});
+
+		it('should expose the headers of the response', (done) => {
+			mockResponse.headers = { 'last-modified': 'Mon, 01 Jan 2024 00:00:00 GMT' };
+			const request = new Request('https://example.com/api');
+
+			request.on('success', () => {
+				expect(request.getHeader('Last-Modified')).toBe('Mon, 01 Jan 2024 00:00:00 GMT');
+				expect(request.getHeader('etag')).toBeUndefined();
+				done();
+			});
+			setImmediate(() => {
+				mockResponse.emit('data', Buffer.from('[]'));
+				mockResponse.emit('end');
+			});
+		});
+	});
+
 	describe('getMimeType', () => {
 		it('should return undefined initially', () => {
 			const request = new Request('https://example.com');
@@ -245,4 +288,146 @@ describe('Request', () => {
 			});
 		});
 	});
+
+	describe('retries', () => {
+		// Answer each call with the next response, whatever the signature of get
+		const respondWith = (...responses) => {
+			https.get.mockImplementation((url, options, callback) => {
+				const respond = responses.shift();
+				setImmediate(() => respond(typeof options === 'function' ? options : callback));
+				return mockRequest;
+			});
+		};
+		const response = (statusCode, headers, body, complete = true) => (callback) => {
+			const res = new EventEmitter();
+			res.statusCode = statusCode;
+			res.headers = headers;
+			callback(res);
+			setImmediate(() => {
+				if (body) res.emit('data', Buffer.from(body));
+				res.complete = complete;
+				if (complete) res.emit('end');
+				res.emit('close');
+			});
+		};
+		const collect = (request) => new Promise((resolve, reject) => {
+			const chunks = [];
+			request.on('data', (chunk) => chunks.push(chunk));
+			request.on('error', reject);
+			request.on('success', (message) => resolve({ message, data: Buffer.concat(chunks).toString() }));
+		});
+
+		it('should try again after the delay of Retry-After', async () => {
+			respondWith(response(503, { 'retry-after': '0' }), response(200, {}, 'fonts'));
+			const request = new Request('https://example.com/api');
+			const retries = [];
+			request.on('retry', (retry) => retries.push(retry));
+
+			await expect(collect(request)).resolves.toEqual({ message: 'fonts', data: 'fonts' });
+			expect(retries).toEqual([{ error: expect.objectContaining({ statusCode: 503 }), attempt: 1, delay: 0 }]);
+		});
+
+		it('should give up after the configured retries', async () => {
+			mockRequest.setTimeout = jest.fn();
+			https.get.mockImplementation(() => {
+				setImmediate(() => mockRequest.emit('error', new Error('ECONNRESET')));
+				return mockRequest;
+			});
+
+			await expect(collect(new Request('https://example.com', { retries: 2 }))).rejects.toThrow('Connection to example.com failed: ECONNRESET');
+			expect(https.get).toHaveBeenCalledTimes(3);
+			expect(mockRequest.destroy).toHaveBeenCalled();
+		});
+
+		it('should not retry client errors', async () => {
+			respondWith(response(404, {}), response(200, {}, 'fonts'));
+
+			await expect(collect(new Request('https://example.com'))).rejects.toThrow('Bad response: 404');
+			expect(https.get).toHaveBeenCalledTimes(1);
+		});
+
+		it('should resume an interrupted response with a Range header', async () => {
+			respondWith(
+				response(200, {}, 'Hello ', false),
+				response(206, { 'content-range': 'bytes 6-10/11' }, 'World')
+			);
+
+			await expect(collect(new Request('https://example.com/font.ttf'))).resolves.toEqual({ message: 'Hello World', data: 'Hello World' });
+			expect(https.get).toHaveBeenLastCalledWith('https://example.com/font.ttf', { headers: { Range: 'bytes=6-' } }, expect.any(Function));
+		});
+
+		it('should send the validator of the bytes on disk with the Range header', async () => {
+			respondWith(response(206, { 'content-range': 'bytes 3-5/6' }, 'def'));
+
+			await expect(collect(new Request('https://example.com/font.ttf', { offset: 3, validator: '"v1"' }))).resolves.toEqual({ message: 'def', data: 'def' });
+			expect(https.get).toHaveBeenCalledWith('https://example.com/font.ttf', { headers: { Range: 'bytes=3-', 'If-Range': '"v1"' } }, expect.any(Function));
+		});
+
+		it('should fail when the server sends the whole file instead of the rest of the file on disk', async () => {
+			respondWith(response(200, { etag: '"v1"' }, 'abcdef'));
+
+			await expect(collect(new Request('https://example.com/font.ttf', { offset: 3, validator: '"v1"' }))).rejects.toMatchObject({ code: 'RANGE_IGNORED' });
+			expect(https.get).toHaveBeenCalledTimes(1);
+		});
+
+		it('should skip the bytes already received when the server ignores the Range header for the same file', async () => {
+			respondWith(
+				response(200, { etag: '"v1"' }, 'Hello ', false),
+				response(200, { etag: '"v1"' }, 'Hello World')
+			);
+
+			await expect(collect(new Request('https://example.com/font.ttf'))).resolves.toEqual({ message: 'Hello World', data: 'Hello World' });
+			expect(https.get).toHaveBeenLastCalledWith('https://example.com/font.ttf', { headers: { Range: 'bytes=6-', 'If-Range': '"v1"' } }, expect.any(Function));
+		});
+
+		it('should fail when the file changed while it was received', async () => {
+			respondWith(
+				response(200, { 'last-modified': 'Mon, 01 Jan 2024 00:00:00 GMT' }, 'Hello ', false),
+				response(200, { 'last-modified': 'Tue, 02 Jan 2024 00:00:00 GMT' }, 'Howdy World')
+			);
+
+			await expect(collect(new Request('https://example.com/font.ttf'))).rejects.toMatchObject({ code: 'RANGE_IGNORED' });
+		});
+
+		it('should succeed when the whole file is already on disk', async () => {
+			respondWith(response(416, { 'content-range': 'bytes */3' }));
+
+			await expect(collect(new Request('https://example.com/font.ttf', { offset: 3 }))).resolves.toEqual({ message: '', data: '' });
+		});
+
+		it('should fail with the status code when the range cannot be satisfied', async () => {
+			respondWith(response(416, { 'content-range': 'bytes */2' }));
+
+			await expect(collect(new Request('https://example.com/font.ttf', { offset: 3 }))).rejects.toMatchObject({ statusCode: 416 });
+			expect(https.get).toHaveBeenCalledTimes(1);
+		});
+	});
+
+	describe('parseRetryAfter', () => {
+		it('should read seconds and HTTP dates', () => {
+			const now = Date.parse('Mon, 01 Jan 2024 00:00:00 GMT');
+
+			expect(Request.parseRetryAfter('120')).toBe(120000);
+			expect(Request.parseRetryAfter('Mon, 01 Jan 2024 00:00:30 GMT', now)).toBe(30000);
+			expect(Request.parseRetryAfter('Sun, 31 Dec 2023 00:00:00 GMT', now)).toBe(0);
+			expect(Request.parseRetryAfter('soon')).toBeUndefined();
+			expect(Request.parseRetryAfter(undefined)).toBeUndefined();
+		});
+	});
+
+	describe('_backoff', () => {
+		it('should double the delay with each attempt, half of it random, up to maxRetryDelay', () => {
+			https.get.mockImplementation(() => mockRequest);
+			const request = new Request('https://example.com', { retryDelay: 100, maxRetryDelay: 300 });
+
+			for (let i = 0; i < 20; i++) {
+				expect(request._backoff(1)).toBeGreaterThanOrEqual(50);
+				expect(request._backoff(1)).toBeLessThanOrEqual(100);
+				expect(request._backoff(2)).toBeGreaterThanOrEqual(100);
+				expect(request._backoff(2)).toBeLessThanOrEqual(200);
+				expect(request._backoff(5)).toBeGreaterThanOrEqual(150);
+				expect(request._backoff(5)).toBeLessThanOrEqual(300);
+			}
+		});
+	});
 });
@@ -0,0 +1,156 @@
+'use strict';
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+
+const Sfnt = require('../lib/sfnt');
+const { buildSfnt, buildWoff2, checksum } = require('./fixtures/fonts');
+
+describe('Sfnt', () => {
+	const invalid = (message) => expect.objectContaining({ code: 'INVALID_RESPONSE', message: expect.stringMatching(message) });
+
+	describe('validate', () => {
+		it('should accept a TrueType font and read its names', () => {
+			const font = Sfnt.validate(buildSfnt({ family: 'Roboto Medium', subfamily: 'Regular', typographicFamily: 'Roboto' }));
+
+			expect(font.format).toBe('ttf');
+			expect(font.tables.map((table) => table.tag)).toContain('glyf');
+			expect(font.names).toEqual({
+				family: 'Roboto Medium',
+				subfamily: 'Regular',
+				fullName: 'Roboto Medium Regular',
+				typographicFamily: 'Roboto'
+			});
+		});
+
+		it('should reject an HTML error page', () => {
+			const page = Buffer.from('<!DOCTYPE html><html><body>404 Not Found</body></html>');
+
+			expect(() => Sfnt.validate(page)).toThrow(invalid(/^Not a font file: text starting with "<!DOCTYPE html><"$/));
+		});
+
+		it('should reject truncated files', () => {
+			const font = buildSfnt();
+
+			expect(() => Sfnt.validate(font.subarray(0, 8))).toThrow(invalid(/^File too small to be a font/));
+			expect(() => Sfnt.validate(font.subarray(0, 40))).toThrow(invalid(/^Truncated table directory$/));
+			expect(() => Sfnt.validate(font.subarray(0, font.length - 40))).toThrow(invalid(/ends after the end of the file$/));
+		});
+
+		it('should reject tables whose checksum does not match', () => {
+			const font = buildSfnt();
+			const name = font.indexOf(Buffer.from('R\u0000o', 'latin1')) - 1;
+			font[name] ^= 0xFF;
+
+			expect(() => Sfnt.validate(font)).toThrow(invalid(/^Checksum mismatch in table "name"$/));
+		});
+
+		it('should ignore checkSumAdjustment in the checksum of the head table', () => {
+			const font = buildSfnt();
+			const record = font.indexOf('head');
+			font.writeUInt32BE(0x12345678, font.readUInt32BE(record + 8) + 8);
+
+			expect(() => Sfnt.validate(font)).not.toThrow();
+		});
+
+		it('should reject fonts without the required tables', () => {
+			const font = buildSfnt();
+			font.write('xxxx', font.indexOf('hmtx'), 'latin1');
+
+			expect(() => Sfnt.validate(font)).toThrow(invalid(/^Missing font tables: hmtx$/));
+		});
+
+		it('should reject collections', () => {
+			const collection = Buffer.concat([Buffer.from('ttcf'), Buffer.alloc(12)]);
+
+			expect(() => Sfnt.validate(collection)).toThrow(invalid(/^Font collections are not supported$/));
+		});
+
+		it('should check the family of the name table', () => {
+			const font = buildSfnt({ family: 'Open Sans SemiBold' });
+
+			expect(() => Sfnt.validate(font, { family: 'Open Sans' })).not.toThrow();
+			expect(() => Sfnt.validate(font, { family: 'open-sans' })).not.toThrow();
+			expect(() => Sfnt.validate(font, { family: 'Roboto' })).toThrow(
+				invalid(/^Font family is "Open Sans SemiBold", expected "Roboto"$/)
+			);
+		});
+
+		it('should prefer the typographic family', () => {
+			const font = buildSfnt({ family: 'Roboto Condensed Light', typographicFamily: 'Roboto Condensed' });
+
+			expect(() => Sfnt.validate(font, { family: 'Roboto Condensed' })).not.toThrow();
+			expect(() => Sfnt.validate(font, { family: 'Roboto' })).toThrow(invalid(/^Font family is "Roboto Condensed"/));
+		});
+	});
+
+	describe('WOFF2', () => {
+		it('should accept a WOFF2 font and read its names', () => {
+			const font = Sfnt.validate(buildWoff2(buildSfnt({ family: 'Lato' })), { family: 'Lato' });
+
+			expect(font.format).toBe('woff2');
+			expect(font.flavor).toBe('ttf');
+			expect(font.names.family).toBe('Lato');
+		});
+
+		it('should reject a length that does not match the file', () => {
+			const font = buildWoff2(buildSfnt());
+
+			expect(() => Sfnt.validate(font.subarray(0, font.length - 1))).toThrow(invalid(/^WOFF2 header gives a length of/));
+		});
+
+		it('should reject data that does not decompress', () => {
+			const font = buildWoff2(buildSfnt());
+			font.fill(0xFF, font.length - 10);
+
+			expect(() => Sfnt.validate(font)).toThrow(invalid(/^WOFF2 (data does not decompress|tables take)/));
+		});
+
+		it('should reject a table directory that does not match the data', () => {
+			const font = buildWoff2(buildSfnt());
+			// Original length of the first table (cmap, 4 bytes)
+			font[49] = 5;
+
+			expect(() => Sfnt.validate(font)).toThrow(invalid(/^WOFF2 tables take \d+ bytes, the table directory gives \d+$/));
+		});
+	});
+
+	describe('build', () => {
+		it('should write the tables of a parsed font back', () => {
+			const original = Sfnt.parse(buildSfnt({ family: 'Lato' }));
+			const font = Sfnt.build(original.data);
+
+			expect(Sfnt.validate(font, { family: 'Lato' }).tables.map((table) => table.tag)).toEqual(original.tables.map((table) => table.tag));
+			expect(font.readUInt16BE(6)).toBe(8 * 16);
+		});
+
+		it('should set checkSumAdjustment from the checksum of the whole font', () => {
+			expect(checksum(Sfnt.build(Sfnt.parse(buildSfnt()).data))).toBe(0xB1B0AFBA);
+		});
+	});
+
+	describe('encodeWoff2', () => {
+		it('should write a WOFF2 font of the same tables', () => {
+			const original = Sfnt.parse(buildSfnt({ family: 'Lato' }));
+			const font = Sfnt.validate(Sfnt.encodeWoff2(original.data), { family: 'Lato' });
+
+			expect(font.format).toBe('woff2');
+			expect(font.flavor).toBe('ttf');
+			Object.keys(original.data).filter((tag) => tag !== 'head').forEach((tag) => expect(font.data[tag]).toEqual(original.data[tag]));
+			// head differs by its checkSumAdjustment only
+			expect(font.data.head.subarray(12)).toEqual(original.data.head.subarray(12));
+		});
+	});
+
+	describe('validateFile', () => {
+		it('should read the file', async () => {
+			const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gfcli-sfnt-'));
+			const file = path.join(dir, 'Roboto-regular.ttf');
+			await fs.writeFile(file, buildSfnt());
+
+			await expect(Sfnt.validateFile(file, { family: 'Roboto' })).resolves.toEqual(expect.objectContaining({ format: 'ttf' }));
+			await fs.rm(dir, { recursive: true, force: true });
+		});
+	});
+});
@@ -0,0 +1,154 @@
+'use strict';
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+
+const Subset = require('../lib/subset');
+const Sfnt = require('../lib/sfnt');
+const FontMetadata = require('../lib/font-metadata');
+const { buildSfnt, buildWoff2, buildGlyphFont, GLYPH_NAMES } = require('./fixtures/fonts');
+
+describe('Subset', () => {
+	// Names of the glyphs of a subset of `buildGlyphFont` that still have outlines
+	const keptGlyphs = (data) => {
+		const font = Sfnt.parse(data);
+		const long = font.data.head.readInt16BE(50) === 1;
+		const offset = (i) => long ? font.data.loca.readUInt32BE(i * 4) : font.data.loca.readUInt16BE(i * 2) * 2;
+		return GLYPH_NAMES.filter((name, id) => offset(id + 1) > offset(id));
+	};
+
+	// Glyph of a code point in the format 4 subtable of a font, looked up like a renderer does
+	const format4Glyph = (data, code) => {
+		const cmap = Sfnt.parse(data).data.cmap;
+		let table = -1;
+		for (let i = 0; i < cmap.readUInt16BE(2); i++) {
+			const offset = cmap.readUInt32BE(8 + i * 8);
+			if (cmap.readUInt16BE(offset) === 4) table = offset;
+		}
+		const segCount = cmap.readUInt16BE(table + 6) / 2;
+		for (let i = 0; i < segCount; i++) {
+			const end = cmap.readUInt16BE(table + 14 + i * 2);
+			const start = cmap.readUInt16BE(table + 16 + segCount * 2 + i * 2);
+			if (code > end) continue;
+			if (code < start) return 0;
+			expect(cmap.readUInt16BE(table + 16 + segCount * 6 + i * 2)).toBe(0);
+			return (code + cmap.readUInt16BE(table + 16 + segCount * 4 + i * 2)) & 0xFFFF;
+		}
+		return 0;
+	};
+
+	describe('parseUnicodes', () => {
+		it('should read code points, ranges and wildcards', () => {
+			expect(Subset.parseUnicodes('U+0020-007E,U+00A0 U+4??')).toEqual([[0x20, 0x7E], [0xA0, 0xA0], [0x400, 0x4FF]]);
+			expect(Subset.parseUnicodes('0x41-0x5A, u+61-7a')).toEqual([[0x41, 0x5A], [0x61, 0x7A]]);
+		});
+
+		it('should merge overlapping ranges', () => {
+			expect(Subset.parseUnicodes('U+0041-0050,U+0045-005A,U+005B')).toEqual([[0x41, 0x5B]]);
+		});
+
+		it('should reject what is not a range', () => {
+			['', 'U+ZZ', 'U+0050-0041', 'U+110000', 'U+4?1'].forEach((spec) => {
+				expect(() => Subset.parseUnicodes(spec)).toThrow(expect.objectContaining({ code: 'INVALID_ARGUMENT' }));
+			});
+		});
+	});
+
+	describe('textRanges', () => {
+		it('should give the code points of a text, astral ones included', () => {
+			expect(Subset.textRanges('cabbage 😀')).toEqual([[0x20, 0x20], [0x61, 0x63], [0x65, 0x65], [0x67, 0x67], [0x1F600, 0x1F600]]);
+		});
+	});
+
+	describe('subset', () => {
+		it('should keep .notdef and the glyphs of the code points, and empty the others', () => {
+			const result = Subset.subset(buildGlyphFont(), Subset.textRanges('ca'), { format: 'ttf' });
+
+			expect(result).toEqual(expect.objectContaining({ format: 'ttf', glyphs: 3, codePoints: 2, unicodeRanges: [[0x61, 0x61], [0x63, 0x63]] }));
+			expect(keptGlyphs(result.data)).toEqual(['.notdef', 'a', 'c']);
+			// Glyph IDs are kept
+			expect(Sfnt.parse(result.data).data.maxp.readUInt16BE(4)).toBe(GLYPH_NAMES.length);
+			expect(FontMetadata.read(result.data).unicodeRanges).toEqual([[0x61, 0x61], [0x63, 0x63]]);
+		});
+
+		it('should keep the components of composite glyphs', () => {
+			const result = Subset.subset(buildGlyphFont(), Subset.textRanges('á'), { format: 'ttf' });
+
+			expect(keptGlyphs(result.data)).toEqual(['.notdef', 'a', 'acute', 'aacute']);
+			expect(result.codePoints).toBe(1);
+		});
+
+		it('should keep the ligatures of the kept glyphs', () => {
+			expect(keptGlyphs(Subset.subset(buildGlyphFont(), Subset.textRanges('fi'), { format: 'ttf' }).data)).toEqual(['.notdef', 'f', 'i', 'f_i']);
+			expect(keptGlyphs(Subset.subset(buildGlyphFont(), Subset.textRanges('f'), { format: 'ttf' }).data)).toEqual(['.notdef', 'f']);
+		});
+
+		it('should keep the kerning pairs of the kept glyphs', () => {
+			const kern = Sfnt.parse(Subset.subset(buildGlyphFont(), Subset.textRanges('abf'), { format: 'ttf' }).data).data.kern;
+
+			expect(kern.readUInt16BE(10)).toBe(1);
+			expect([kern.readUInt16BE(18), kern.readUInt16BE(20), kern.readInt16BE(22)]).toEqual([1, 2, -50]);
+		});
+
+		it('should map code points above the BMP with a format 12 subtable', () => {
+			const result = Subset.subset(buildGlyphFont(), Subset.textRanges('a😀'), { format: 'ttf' });
+
+			expect(keptGlyphs(result.data)).toEqual(['.notdef', 'a', 'grinning']);
+			expect(FontMetadata.read(result.data).unicodeRanges).toEqual([[0x61, 0x61], [0x1F600, 0x1F600]]);
+		});
+
+		it('should map the code points to their glyphs in the format 4 subtable, and 0xFFFF to .notdef', () => {
+			const result = Subset.subset(buildGlyphFont(), Subset.textRanges('ac'), { format: 'ttf' });
+
+			expect(format4Glyph(result.data, 0x61)).toBe(GLYPH_NAMES.indexOf('a'));
+			expect(format4Glyph(result.data, 0x63)).toBe(GLYPH_NAMES.indexOf('c'));
+			expect(format4Glyph(result.data, 0x62)).toBe(0);
+			expect(format4Glyph(result.data, 0xFFFF)).toBe(0);
+		});
+
+		it('should drop the signature of the original font', () => {
+			const font = Sfnt.parse(Subset.subset(buildGlyphFont(), Subset.textRanges('a'), { format: 'ttf' }).data);
+
+			expect(font.data.DSIG).toBeUndefined();
+		});
+
+		it('should write a WOFF2 file by default', () => {
+			const result = Subset.subset(buildGlyphFont({ family: 'Lato' }), Subset.parseUnicodes('U+0061-0063'));
+
+			expect(result.format).toBe('woff2');
+			expect(Sfnt.validate(result.data, { family: 'Lato' }).format).toBe('woff2');
+			expect(FontMetadata.read(result.data).unicodeRanges).toEqual([[0x61, 0x63]]);
+		});
+
+		it('should subset WOFF2 files of untransformed tables', () => {
+			const result = Subset.subset(buildWoff2(buildGlyphFont()), Subset.textRanges('b'), { format: 'ttf' });
+
+			expect(keptGlyphs(result.data)).toEqual(['.notdef', 'b']);
+		});
+
+		it('should reject fonts with CFF outlines', () => {
+			const otf = buildSfnt({ tables: { 'CFF ': Buffer.alloc(4) } });
+			otf.write('OTTO', 0, 'latin1');
+
+			expect(() => Subset.subset(otf, [[0x61, 0x61]])).toThrow(expect.objectContaining({ code: 'INVALID_ARGUMENT' }));
+		});
+
+		it('should reject files that are not fonts', () => {
+			expect(() => Subset.subset(Buffer.from('<html><body>Not Found</body></html>'), [[0x61, 0x61]])).toThrow(
+				expect.objectContaining({ code: 'INVALID_RESPONSE' })
+			);
+		});
+	});
+
+	describe('subsetFile', () => {
+		it('should subset the file', async () => {
+			const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gfcli-subset-'));
+			const file = path.join(dir, 'Roboto-regular.ttf');
+			await fs.writeFile(file, buildGlyphFont());
+
+			await expect(Subset.subsetFile(file, [[0x61, 0x62]])).resolves.toEqual(expect.objectContaining({ glyphs: 3, codePoints: 2 }));
+			await fs.rm(dir, { recursive: true, force: true });
+		});
+	});
+});
@@ -6,8 +6,10 @@ const fs = require('fs').promises;
 
 // Mock the request module
 jest.mock('../lib/request');
+jest.mock('../lib/registry');
 
 describe('SystemFont', () => {
+	const { buildSfnt } = require('./fixtures/fonts');
 	let systemFont;
 	let mockRequest;
 	const EventEmitter = require('events').EventEmitter;
@@ -109,6 +111,13 @@ describe('SystemFont', () => {
 	});
 
 	describe('_saveTmp', () => {
+		// Wait until the download starts
+		const requested = async () => {
+			while (!require('../lib/request').mock.calls.length) {
+				await new Promise((resolve) => setImmediate(resolve));
+			}
+		};
+
 		it('should throw error for empty remoteFile', async () => {
 			await expect(systemFont._saveTmp(null, 'test')).rejects.toThrow(
 				'Nothing to download'
@@ -126,6 +135,277 @@ describe('SystemFont', () => {
 				'Nothing to download'
 			);
 		});
+
+		it('should copy file: URLs from disk', async () => {
+			const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gfcli-local-'));
+			const source = path.join(dir, 'Roboto-regular.ttf');
+			const font = buildSfnt({ family: 'Roboto' });
+			await fs.writeFile(source, font);
+			jest.spyOn(systemFont, '_checkDestFolder').mockResolvedValue(dir);
+
+			const saved = await systemFont._saveTmp(require('url').pathToFileURL(source).href, 'Local-regular', { family: 'Roboto' });
+
+			expect(saved).toBe(path.join(dir, 'Local-regular.ttf'));
+			expect(await fs.readFile(saved)).toEqual(font);
+			expect(require('../lib/request')).not.toHaveBeenCalled();
+			await fs.rm(dir, { recursive: true, force: true });
+		});
+
+		it('should reject file: URLs that are not fonts of the family', async () => {
+			const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gfcli-local-'));
+			const source = path.join(dir, 'Roboto-regular.ttf');
+			await fs.writeFile(source, buildSfnt({ family: 'Lato' }));
+			jest.spyOn(systemFont, '_checkDestFolder').mockResolvedValue(dir);
+
+			await expect(systemFont._saveTmp(require('url').pathToFileURL(source).href, 'Local-regular', { family: 'Roboto' })).rejects.toThrow(expect.objectContaining({
+				code: 'INVALID_RESPONSE',
+				message: 'File ' + source + ' is corrupted: Font family is "Lato", expected "Roboto"'
+			}));
+			await expect(fs.access(path.join(dir, 'Local-regular.ttf'))).rejects.toThrow();
+			await fs.rm(dir, { recursive: true, force: true });
+		});
+
+		it('should copy files downloaded before from the cache, even offline', async () => {
+			const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gfcli-cached-'));
+			const cached = path.join(dir, 'abc.ttf');
+			const font = buildSfnt({ family: 'Roboto' });
+			await fs.writeFile(cached, font);
+			jest.spyOn(require('../lib/cache'), 'readFile').mockResolvedValue(cached);
+			jest.spyOn(systemFont, '_checkDestFolder').mockResolvedValue(dir);
+			systemFont.offline = true;
+
+			const saved = await systemFont._saveTmp('https://example.com/r.ttf', 'Cached-regular', { family: 'Roboto' });
+
+			expect(await fs.readFile(saved)).toEqual(font);
+			expect(require('../lib/request')).not.toHaveBeenCalled();
+			await fs.rm(dir, { recursive: true, force: true });
+		});
+
+		it('should reject a corrupted file of the cache in offline mode', async () => {
+			const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gfcli-cached-'));
+			const cached = path.join(dir, 'abc.ttf');
+			await fs.writeFile(cached, buildSfnt({ family: 'Roboto' }).subarray(0, 20));
+			jest.spyOn(require('../lib/cache'), 'readFile').mockResolvedValue(cached);
+			jest.spyOn(systemFont, '_checkDestFolder').mockResolvedValue(dir);
+			systemFont.offline = true;
+
+			await expect(systemFont._saveTmp('https://example.com/r.ttf', 'Cached-regular')).rejects.toThrow(expect.objectContaining({
+				code: 'INVALID_RESPONSE',
+				message: expect.stringContaining('Cached file ' + cached + ' is corrupted: ')
+			}));
+			await expect(fs.access(path.join(dir, 'Cached-regular.ttf'))).rejects.toThrow();
+			expect(require('../lib/request')).not.toHaveBeenCalled();
+			await fs.rm(dir, { recursive: true, force: true });
+		});
+
+		it('should download a corrupted file of the cache again', async () => {
+			const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gfcli-cached-'));
+			const cached = path.join(dir, 'abc.ttf');
+			await fs.writeFile(cached, '<html>Not Found</html>');
+			const Cache = require('../lib/cache');
+			jest.spyOn(Cache, 'readFile').mockResolvedValue(cached);
+			jest.spyOn(Cache, 'writeFile').mockResolvedValue(undefined);
+			jest.spyOn(systemFont, '_checkDestFolder').mockResolvedValue(dir);
+			const download = jest.spyOn(systemFont, '_download').mockImplementation((remoteFile, filePath) => fs.writeFile(filePath, buildSfnt({ family: 'Roboto' })));
+
+			const saved = await systemFont._saveTmp('https://example.com/r.ttf', 'Cached-regular', { family: 'Roboto' });
+
+			expect(download).toHaveBeenCalledWith('https://example.com/r.ttf', saved, undefined);
+			expect(Cache.writeFile).toHaveBeenCalledWith('https://example.com/r.ttf', saved);
+			jest.restoreAllMocks();
+			await fs.rm(dir, { recursive: true, force: true });
+		});
+
+		it('should refuse remote files in offline mode', async () => {
+			jest.spyOn(require('../lib/cache'), 'readFile').mockResolvedValue(null);
+			systemFont.offline = true;
+
+			await expect(systemFont._saveTmp('https://example.com/r.ttf', 'test')).rejects.toThrow(
+				'Offline mode: https://example.com/r.ttf is not available on disk'
+			);
+			expect(require('../lib/request')).not.toHaveBeenCalled();
+		});
+
+		it('should report the size of received chunks', async () => {
+			const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gfcli-chunks-'));
+			const Cache = require('../lib/cache');
+			jest.spyOn(Cache, 'readFile').mockResolvedValue(null);
+			jest.spyOn(Cache, 'writeFile').mockResolvedValue(undefined);
+			jest.spyOn(systemFont, '_checkDestFolder').mockResolvedValue(dir);
+			jest.spyOn(require('../lib/sfnt'), 'validateFile').mockResolvedValue({});
+			const onData = jest.fn();
+
+			const saving = systemFont._saveTmp('https://example.com/r.ttf', 'Remote-regular', { onData: onData });
+			await requested();
+			mockRequest.emit('data', Buffer.alloc(3));
+			mockRequest.emit('data', Buffer.alloc(5));
+			mockRequest.emit('finish');
+
+			await expect(saving).resolves.toBe(path.join(dir, 'Remote-regular.ttf'));
+			expect(onData.mock.calls).toEqual([[3], [5]]);
+			jest.restoreAllMocks();
+			await fs.rm(dir, { recursive: true, force: true });
+		});
+
+		describe('validation', () => {
+			let dir;
+			let Cache;
+
+			beforeEach(async () => {
+				dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gfcli-valid-'));
+				Cache = require('../lib/cache');
+				jest.spyOn(Cache, 'readFile').mockResolvedValue(null);
+				jest.spyOn(Cache, 'writeFile').mockResolvedValue(undefined);
+				jest.spyOn(systemFont, '_checkDestFolder').mockResolvedValue(dir);
+			});
+
+			afterEach(async () => {
+				jest.restoreAllMocks();
+				await fs.rm(dir, { recursive: true, force: true });
+			});
+
+			// Write the response to the file, like a real stream
+			const download = async (body, options) => {
+				mockRequest.pipe = (file) => {
+					mockRequest.on('data', (chunk) => file.write(chunk));
+					mockRequest.on('end', () => file.end());
+					return file;
+				};
+				const saving = systemFont._saveTmp('https://example.com/r.ttf', 'Roboto-regular', options);
+				await requested();
+				mockRequest.emit('data', body);
+				mockRequest.emit('end');
+				return saving;
+			};
+
+			it('should keep and cache a font of the requested family', async () => {
+				const saved = await download(buildSfnt({ family: 'Roboto' }), { family: 'Roboto' });
+
+				expect(saved).toBe(path.join(dir, 'Roboto-regular.ttf'));
+				expect(Cache.writeFile).toHaveBeenCalledWith('https://example.com/r.ttf', saved);
+			});
+
+			it('should reject an error page saved as .ttf', async () => {
+				await expect(download(Buffer.from('<html>Service Unavailable</html>'))).rejects.toThrow(expect.objectContaining({
+					code: 'INVALID_RESPONSE',
+					message: 'Downloaded file https://example.com/r.ttf is corrupted: Not a font file: text starting with "<html>Service Un"'
+				}));
+				await expect(fs.access(path.join(dir, 'Roboto-regular.ttf'))).rejects.toThrow();
+				expect(Cache.writeFile).not.toHaveBeenCalled();
+			});
+
+			it('should reject a font of another family', async () => {
+				await expect(download(buildSfnt({ family: 'Lato' }), { family: 'Roboto' })).rejects.toThrow(
+					'is corrupted: Font family is "Lato", expected "Roboto"'
+				);
+			});
+		});
+	});
+
+	describe('_download', () => {
+		let dir;
+		let Request;
+
+		beforeEach(async () => {
+			dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gfcli-part-'));
+			Request = require('../lib/request');
+		});
+
+		afterEach(async () => {
+			await fs.rm(dir, { recursive: true, force: true });
+		});
+
+		// Stand-in for Request: streams the given bytes, then fails if an error is given
+		const response = (chunks, error) => () => {
+			const { PassThrough } = require('stream');
+			const stream = new PassThrough();
+			stream.getMimeType = () => undefined;
+			setImmediate(() => {
+				chunks.forEach((chunk) => stream.write(chunk));
+				if (error) stream.emit('error', error);
+				stream.end();
+			});
+			return stream;
+		};
+
+		const url = 'https://example.com/r.ttf';
+		const partOf = (remoteFile) => path.join(dir, require('crypto').createHash('sha256').update(remoteFile).digest('hex') + '.part');
+		const exists = (file) => fs.access(file).then(() => true, () => false);
+
+		it('should keep the partial file of a failed download, with its validator', async () => {
+			const filePath = path.join(dir, 'Roboto-regular.ttf');
+			Request.mockImplementation(() => Object.assign(response(['abc'], new Error('Connection reset'))(), { validator: '"v1"' }));
+
+			await expect(systemFont._download(url, filePath)).rejects.toThrow('Connection reset');
+
+			expect(await fs.readFile(partOf(url), 'utf8')).toBe('abc');
+			expect(await fs.readFile(partOf(url) + '.validator', 'utf8')).toBe('"v1"');
+			expect(await exists(filePath)).toBe(false);
+		});
+
+		it('should resume from the partial file of the same url', async () => {
+			const filePath = path.join(dir, 'Roboto-regular.ttf');
+			await fs.writeFile(partOf(url), 'abc');
+			await fs.writeFile(partOf(url) + '.validator', '"v1"');
+			Request.mockImplementation(response(['def']));
+
+			await systemFont._download(url, filePath);
+
+			expect(Request).toHaveBeenCalledWith(url, { offset: 3, validator: '"v1"' });
+			expect(await fs.readFile(filePath, 'utf8')).toBe('abcdef');
+			expect(await exists(partOf(url))).toBe(false);
+			expect(await exists(partOf(url) + '.validator')).toBe(false);
+		});
+
+		it('should not resume from the partial file of another url', async () => {
+			const filePath = path.join(dir, 'Roboto-regular.ttf');
+			await fs.writeFile(partOf('https://example.com/other.ttf'), 'abc');
+			await fs.writeFile(partOf('https://example.com/other.ttf') + '.validator', '"v1"');
+			Request.mockImplementation(response(['fresh']));
+
+			await systemFont._download(url, filePath);
+
+			expect(Request).toHaveBeenCalledWith(url, { offset: 0 });
+			expect(await fs.readFile(filePath, 'utf8')).toBe('fresh');
+		});
+
+		it('should start over when the partial file has no validator', async () => {
+			const filePath = path.join(dir, 'Roboto-regular.ttf');
+			await fs.writeFile(partOf(url), 'abc');
+			Request.mockImplementation(response(['fresh']));
+
+			await systemFont._download(url, filePath);
+
+			expect(Request).toHaveBeenCalledWith(url, { offset: 0 });
+			expect(await fs.readFile(filePath, 'utf8')).toBe('fresh');
+		});
+
+		it('should download the whole file again when the range cannot be satisfied', async () => {
+			const filePath = path.join(dir, 'Roboto-regular.ttf');
+			await fs.writeFile(partOf(url), 'stale content');
+			await fs.writeFile(partOf(url) + '.validator', '"v1"');
+			const rangeError = Object.assign(new Error('Bad response: 416'), { statusCode: 416 });
+			Request.mockImplementationOnce(response([], rangeError)).mockImplementationOnce(response(['fresh']));
+
+			await systemFont._download(url, filePath);
+
+			expect(Request.mock.calls.map((call) => call[1])).toEqual([{ offset: 13, validator: '"v1"' }, { offset: 0 }]);
+			expect(await fs.readFile(filePath, 'utf8')).toBe('fresh');
+		});
+
+		it('should discard the partial file when the server sends the whole file', async () => {
+			const filePath = path.join(dir, 'Roboto-regular.ttf');
+			await fs.writeFile(partOf(url), 'old');
+			await fs.writeFile(partOf(url) + '.validator', '"v1"');
+			const ignored = Object.assign(new Error('The server sent the whole file instead of the rest of it'), { statusCode: 200, code: 'RANGE_IGNORED' });
+			Request.mockImplementationOnce(response([], ignored)).mockImplementationOnce(response(['new file']));
+
+			await systemFont._download(url, filePath);
+
+			expect(Request.mock.calls.map((call) => call[1])).toEqual([{ offset: 3, validator: '"v1"' }, { offset: 0 }]);
+			expect(await fs.readFile(filePath, 'utf8')).toBe('new file');
+			expect(await exists(partOf(url) + '.validator')).toBe(false);
+		});
 	});
 
 	describe('saveAt', () => {
@@ -181,9 +461,100 @@ describe('SystemFont', () => {
 			
 			// Verify the method exists
 			expect(typeof systemFont.install).toBe('function');
-			
+
 			saveAtSpy.mockRestore();
 		});
+
+		it('should install in the folder of all users with the system scope', async () => {
+			if (os.platform() !== 'linux') {
+				return;
+			}
+			const saveAtSpy = jest.spyOn(systemFont, 'saveAt').mockResolvedValue('/usr/local/share/fonts/Roboto-regular.ttf');
+			jest.spyOn(systemFont, '_refreshFontCache').mockResolvedValue(undefined);
+
+			expect(systemFont.scope).toBe('user');
+			systemFont.scope = 'system';
+			await systemFont.install('https://example.com/roboto.ttf', 'Roboto-regular');
+
+			expect(saveAtSpy).toHaveBeenCalledWith('https://example.com/roboto.ttf', '/usr/local/share/fonts', 'Roboto-regular', undefined);
+			jest.restoreAllMocks();
+		});
+	});
+
+	describe('checksum', () => {
+		it('should return the sha256 digest of a file', async () => {
+			const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gfcli-sum-'));
+			const file = path.join(dir, 'font.ttf');
+			await fs.writeFile(file, 'hello');
+
+			await expect(systemFont.checksum(file)).resolves.toBe(
+				'2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824'
+			);
+			await fs.rm(dir, { recursive: true, force: true });
+		});
+	});
+
+	describe('uninstall', () => {
+		let dir;
+		let Registry;
+
+		const entryFor = async (name, content) => {
+			const file = path.join(dir, name);
+			await fs.writeFile(file, content);
+			return {
+				family: 'Test',
+				variant: name,
+				path: file,
+				url: 'https://example.com/' + name,
+				sha256: await systemFont.checksum(file),
+				installedAt: new Date().toISOString()
+			};
+		};
+
+		beforeEach(async () => {
+			dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gfcli-uninstall-'));
+			Registry = require('../lib/registry');
+			Registry.remove.mockResolvedValue(undefined);
+			jest.spyOn(systemFont, '_refreshFontCache').mockResolvedValue(undefined);
+		});
+
+		afterEach(async () => {
+			await fs.rm(dir, { recursive: true, force: true });
+		});
+
+		it('should delete recorded files and forget them', async () => {
+			const entry = await entryFor('regular', 'font data');
+
+			const result = await systemFont.uninstall([entry]);
+
+			expect(result.removed).toEqual([entry]);
+			await expect(fs.access(entry.path)).rejects.toThrow();
+			expect(Registry.remove).toHaveBeenCalledWith([entry.path]);
+			expect(systemFont._refreshFontCache).toHaveBeenCalledTimes(1);
+		});
+
+		it('should refuse to delete files modified after installation', async () => {
+			const entry = await entryFor('700', 'font data');
+			await fs.writeFile(entry.path, 'someone else\'s font');
+
+			const result = await systemFont.uninstall([entry]);
+
+			expect(result.removed).toEqual([]);
+			expect(result.skipped).toEqual([{ entry: entry, reason: expect.any(String) }]);
+			await expect(fs.readFile(entry.path, 'utf8')).resolves.toBe('someone else\'s font');
+			expect(Registry.remove).toHaveBeenCalledWith([]);
+			expect(systemFont._refreshFontCache).not.toHaveBeenCalled();
+		});
+
+		it('should forget entries whose file is already gone', async () => {
+			const entry = await entryFor('italic', 'font data');
+			await fs.unlink(entry.path);
+
+			const result = await systemFont.uninstall([entry]);
+
+			expect(result.missing).toEqual([entry]);
+			expect(Registry.remove).toHaveBeenCalledWith([entry.path]);
+		});
 	});
 
 	describe('_move', () => {